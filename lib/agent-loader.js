@@ -9,6 +9,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import matter from 'gray-matter';
 import { assertValidPath } from './path-validator.js';
+import { parseWorkflow } from './workflow.js';
 
 /**
  * Agent types
@@ -16,11 +17,13 @@ import { assertValidPath } from './path-validator.js';
  * - chatbot: Interactive conversation with persistent session
  * - doc: Processes a specific document (one-shot, document injected)
  * - standalone: One-shot execution, gathers own context
+ * - workflow: Runs a pipeline of other agents (see workflow.js)
  */
 export const AgentType = {
   CHATBOT: 'chatbot',     // Interactive conversation - maintains session
   DOC: 'doc',             // Document processing - receives document as context
-  STANDALONE: 'standalone' // One-shot execution - no session
+  STANDALONE: 'standalone', // One-shot execution - no session
+  WORKFLOW: 'workflow'    // Pipeline of agents - runs through the queue
 };
 
 /**
@@ -42,11 +45,14 @@ const DEFAULT_AGENT_CONFIG = {
     read: ['*'],
     write: ['*'],
     spawn: [],
+    handoff: [],              // Agents this one may hand a chat session over to
     tools: ['Read', 'Write', 'Glob', 'Grep', 'Bash']
   },
   constraints: {
     max_spawns: 3,
-    timeout: 300
+    timeout: 300              // Seconds per run, 0 = no limit
+    // Optional budgets: max_daily_tokens, max_cost_per_run (USD)
+    // Optional retries: number of backoff retries for failed queued runs
   }
 };
 
@@ -79,12 +85,22 @@ export async function loadAgent(agentPath, vaultPath) {
     description: agentConfig.description || '',
     path: agentPath,
 
-    // Agent type - chatbot, doc, or standalone
+    // Agent type - chatbot, doc, standalone, or workflow
     type: agentConfig.type || DEFAULT_AGENT_CONFIG.type,
 
+    // Workflow steps (workflow agents only)
+    workflow: null,
+
+    // Queue lane (interactive, scheduled, background) - null lets the
+    // orchestrator pick based on how the run was queued
+    lane: agentConfig.lane || null,
+
     // Model (optional - if not set, SDK default is used)
     model: agentConfig.model || null,
 
+    // Review mode - stage file edits for the user to apply instead of writing them
+    review: agentConfig.review === true,
+
     // Tools
     tools: agentConfig.tools || DEFAULT_AGENT_CONFIG.tools,
 
@@ -108,6 +124,10 @@ export async function loadAgent(agentPath, vaultPath) {
       read: agentConfig.permissions?.read || DEFAULT_AGENT_CONFIG.permissions.read,
       write: agentConfig.permissions?.write || DEFAULT_AGENT_CONFIG.permissions.write,
       spawn: agentConfig.permissions?.spawn || DEFAULT_AGENT_CONFIG.permissions.spawn,
+      handoff: agentConfig.permissions?.handoff || DEFAULT_AGENT_CONFIG.permissions.handoff,
+      // Bash allow/deny command patterns (see bash-policy.js) - null keeps
+      // the write-based default
+      bash: agentConfig.permissions?.bash || null,
       tools: agentConfig.permissions?.tools || DEFAULT_AGENT_CONFIG.permissions.tools
     },
 
@@ -120,10 +140,21 @@ export async function loadAgent(agentPath, vaultPath) {
     // MCP Servers (optional - for browser automation, etc.)
     mcpServers: agentConfig.mcpServers || null,
 
+    // Session retention overrides (optional): retention_days, max_sessions, delete_after_days
+    sessions: agentConfig.sessions || null,
+
     // System prompt is the markdown body
     systemPrompt: body.trim()
   };
 
+  if (agent.type === AgentType.WORKFLOW) {
+    try {
+      agent.workflow = parseWorkflow(agentConfig.workflow);
+    } catch (e) {
+      throw new Error(`Invalid workflow in ${agentPath}: ${e.message}`);
+    }
+  }
+
   return agent;
 }
 
@@ -159,11 +190,24 @@ export function matchesPatterns(filePath, patterns, context = {}) {
   return false;
 }
 
+/**
+ * Check if patterns cover everything under a directory (for searches such
+ * as Glob and Grep). `projects/*` covers `projects`; `projects/*.md` does not.
+ *
+ * @param {string} dir - Directory path ('' for the vault root)
+ * @param {string[]} patterns - Glob-like patterns
+ * @returns {boolean}
+ */
+export function matchesDirectory(dir, patterns) {
+  const prefix = dir.replace(/^\.?\/*/, '').replace(/\/+$/, '');
+  return matchesPatterns(prefix ? `${prefix}/*` : '*', patterns);
+}
+
 /**
  * Check if agent has permission to perform an action
  *
  * @param {AgentDefinition} agent
- * @param {string} action - 'read' | 'write' | 'spawn'
+ * @param {string} action - 'read' | 'write' | 'spawn' | 'handoff'
  * @param {string} target - File path or agent path
  * @returns {boolean}
  */
@@ -300,6 +344,7 @@ export default {
   loadAllAgents,
   hasPermission,
   matchesPatterns,
+  matchesDirectory,
   findTriggeredAgents,
   buildSystemPrompt
 };
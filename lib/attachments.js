@@ -0,0 +1,254 @@
+/**
+ * Chat Attachments
+ *
+ * Images and files sent with a chat message. They are saved next to the
+ * session file (agent-sessions/<agent>/attachments/), passed to the SDK as
+ * image/document content blocks, and embedded in the session file with
+ * Obsidian `![[...]]` links.
+ *
+ * Stored on the user message as:
+ *   attachments: [{ name, path, mimeType, size }]   (path is vault-relative)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { BadRequestError } from './errors.js';
+
+/**
+ * Folder (next to the session files) attachments are saved in
+ */
+export const ATTACHMENTS_DIR = 'attachments';
+
+/**
+ * Default limits per message
+ */
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+export const MAX_ATTACHMENTS = 10;
+
+// Image types the API accepts as image blocks
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+const EXTENSION_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.html': 'text/html',
+  '.xml': 'application/xml',
+  '.yaml': 'application/yaml',
+  '.yml': 'application/yaml'
+};
+
+/**
+ * Guess a MIME type from a file name
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+export function guessMimeType(name) {
+  return EXTENSION_TYPES[path.extname(name || '').toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Whether a MIME type can be passed to the model as plain text
+ */
+function isTextType(mimeType) {
+  return mimeType.startsWith('text/') ||
+    ['application/json', 'application/xml', 'application/yaml'].includes(mimeType);
+}
+
+/**
+ * Make a file name safe to write into the vault
+ */
+function safeFileName(name) {
+  const cleaned = path.basename(String(name || ''))
+    .replace(/[^\p{L}\p{N}._ -]+/gu, '-')
+    .replace(/^[.\s-]+/, '')
+    .trim();
+  return cleaned || 'attachment';
+}
+
+/**
+ * Validate attachments from a request
+ *
+ * Each item is { name, mimeType?, data } with base64 `data` (a `data:` URL
+ * is accepted too), or { name, mimeType?, buffer } from a multipart upload.
+ *
+ * @param {Array<object>} input
+ * @param {object} options - { maxBytes, maxCount }
+ * @returns {Array<{ name: string, mimeType: string, buffer: Buffer }>}
+ * @throws {BadRequestError} On malformed, too many or too large attachments
+ */
+export function normalizeAttachments(input, { maxBytes = MAX_ATTACHMENT_BYTES, maxCount = MAX_ATTACHMENTS } = {}) {
+  if (input === undefined || input === null) return [];
+  if (!Array.isArray(input)) {
+    throw new BadRequestError('attachments must be an array');
+  }
+  if (input.length > maxCount) {
+    throw new BadRequestError(`Too many attachments: ${input.length} (max ${maxCount})`);
+  }
+
+  return input.map((item, i) => {
+    if (!item || typeof item !== 'object') {
+      throw new BadRequestError(`Attachment ${i + 1} must be an object`);
+    }
+
+    const name = safeFileName(item.name || `attachment-${i + 1}`);
+    let mimeType = item.mimeType || item.type || null;
+    let buffer = item.buffer;
+
+    if (!buffer) {
+      if (typeof item.data !== 'string' || item.data.length === 0) {
+        throw new BadRequestError(`Attachment ${name} has no data`);
+      }
+      const dataUrl = item.data.match(/^data:([^;,]+)?(?:;[^,]*)?,(.*)$/s);
+      if (dataUrl) mimeType = mimeType || dataUrl[1] || null;
+      buffer = Buffer.from(dataUrl ? dataUrl[2] : item.data, 'base64');
+    }
+
+    if (buffer.length === 0) {
+      throw new BadRequestError(`Attachment ${name} is empty`);
+    }
+    if (buffer.length > maxBytes) {
+      throw new BadRequestError(`Attachment ${name} is too large: ${buffer.length} bytes (max ${maxBytes})`);
+    }
+
+    return { name, mimeType: mimeType || guessMimeType(name), buffer };
+  });
+}
+
+/**
+ * Write attachments into a directory. Attachments that were already saved
+ * (they carry a `path`) are kept where they are.
+ *
+ * @param {string} vaultPath
+ * @param {string} dir - Absolute directory to save into
+ * @param {Array<object>} attachments - Normalized attachments
+ * @param {string} prefix - File name prefix (e.g. date and session ID)
+ * @returns {Promise<Array<{ name, path, mimeType, size }>>}
+ */
+export async function saveAttachments(vaultPath, dir, attachments, prefix = '') {
+  const saved = [];
+
+  for (const attachment of attachments) {
+    if (attachment.path) {
+      saved.push({ name: attachment.name, path: attachment.path, mimeType: attachment.mimeType, size: attachment.buffer.length });
+      continue;
+    }
+
+    await fs.mkdir(dir, { recursive: true });
+    const ext = path.extname(attachment.name);
+    const base = `${prefix}${attachment.name.slice(0, attachment.name.length - ext.length)}`;
+
+    // Never overwrite an earlier attachment with the same name
+    let filePath;
+    for (let i = 0; ; i++) {
+      filePath = path.join(dir, `${base}${i > 0 ? `-${i}` : ''}${ext}`);
+      try {
+        await fs.writeFile(filePath, attachment.buffer, { flag: 'wx' });
+        break;
+      } catch (e) {
+        if (e.code !== 'EEXIST') throw e;
+      }
+    }
+
+    saved.push({
+      name: attachment.name,
+      path: path.relative(vaultPath, filePath),
+      mimeType: attachment.mimeType,
+      size: attachment.buffer.length
+    });
+  }
+
+  return saved;
+}
+
+/**
+ * Read saved attachments back, e.g. to resend them when regenerating a reply.
+ * Missing files are skipped.
+ *
+ * @param {string} vaultPath
+ * @param {Array<object>} records - { name, path, mimeType }
+ * @returns {Promise<Array<object>>} Normalized attachments that keep their `path`
+ */
+export async function loadAttachments(vaultPath, records = []) {
+  const attachments = [];
+  for (const record of records) {
+    try {
+      const buffer = await fs.readFile(path.join(vaultPath, record.path));
+      attachments.push({ name: record.name, mimeType: record.mimeType, path: record.path, buffer });
+    } catch (e) {
+      console.warn(`[Attachments] Could not read ${record.path}:`, e.message);
+    }
+  }
+  return attachments;
+}
+
+/**
+ * Build the SDK message content for a prompt with attachments: images and
+ * PDFs as base64 blocks, text files as text documents, and anything else
+ * as a note pointing the agent at the saved file.
+ *
+ * @param {string} text - The prompt
+ * @param {Array<object>} attachments - Normalized attachments
+ * @param {Array<object>} saved - Matching records from saveAttachments
+ * @returns {Array<object>} Content blocks
+ */
+export function buildContentBlocks(text, attachments, saved) {
+  const blocks = [];
+  const notes = [];
+
+  attachments.forEach((attachment, i) => {
+    const { mimeType, buffer, name } = attachment;
+    const savedPath = saved[i]?.path;
+
+    if (IMAGE_TYPES.includes(mimeType)) {
+      blocks.push({ type: 'image', source: { type: 'base64', media_type: mimeType, data: buffer.toString('base64') } });
+    } else if (mimeType === 'application/pdf') {
+      blocks.push({ type: 'document', source: { type: 'base64', media_type: mimeType, data: buffer.toString('base64') }, title: name });
+    } else if (isTextType(mimeType)) {
+      blocks.push({ type: 'document', source: { type: 'text', media_type: 'text/plain', data: buffer.toString('utf-8') }, title: name });
+    } else {
+      notes.push(`- ${name} (${mimeType}): ${savedPath}`);
+      return;
+    }
+    if (savedPath) notes.push(`- ${name}: ${savedPath}`);
+  });
+
+  const files = notes.length > 0 ? `\n\nAttached files (saved in the vault):\n${notes.join('\n')}` : '';
+  blocks.push({ type: 'text', text: `${text || ''}${files}`.trim() || 'See the attached files.' });
+  return blocks;
+}
+
+/**
+ * Wrap message content as the prompt for query(), which takes either a
+ * string or a stream of SDK user messages
+ *
+ * @param {Array<object>} content - Content blocks
+ */
+export async function* userMessagePrompt(content) {
+  yield {
+    type: 'user',
+    message: { role: 'user', content },
+    parent_tool_use_id: null,
+    session_id: ''
+  };
+}
+
+export default {
+  ATTACHMENTS_DIR,
+  MAX_ATTACHMENT_BYTES,
+  MAX_ATTACHMENTS,
+  guessMimeType,
+  normalizeAttachments,
+  saveAttachments,
+  loadAttachments,
+  buildContentBlocks,
+  userMessagePrompt
+};
@@ -0,0 +1,83 @@
+/**
+ * Attachments Tests
+ *
+ * Run with: node --test lib/attachments.test.js
+ */
+
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  normalizeAttachments,
+  saveAttachments,
+  loadAttachments,
+  buildContentBlocks
+} from './attachments.js';
+import { BadRequestError } from './errors.js';
+
+const TEST_VAULT_PATH = '/tmp/test-vault-attachments-' + Date.now();
+const PNG = Buffer.from('89504e470d0a1a0a', 'hex');
+
+describe('attachments', () => {
+  afterEach(async () => {
+    await fs.rm(TEST_VAULT_PATH, { recursive: true, force: true });
+  });
+
+  test('normalizes base64 and data URL attachments', () => {
+    const [image, note] = normalizeAttachments([
+      { name: '../../photo.png', data: `data:image/png;base64,${PNG.toString('base64')}` },
+      { name: 'notes.md', data: Buffer.from('# Notes').toString('base64') }
+    ]);
+
+    assert.strictEqual(image.name, 'photo.png');
+    assert.strictEqual(image.mimeType, 'image/png');
+    assert.deepStrictEqual(image.buffer, PNG);
+    assert.strictEqual(note.mimeType, 'text/markdown');
+    assert.deepStrictEqual(normalizeAttachments(undefined), []);
+  });
+
+  test('rejects malformed, oversized and too many attachments', () => {
+    assert.throws(() => normalizeAttachments({ name: 'a' }), BadRequestError);
+    assert.throws(() => normalizeAttachments([{ name: 'a.png' }]), /has no data/);
+    assert.throws(() => normalizeAttachments([{ name: 'a.png', buffer: PNG }], { maxBytes: 4 }), /too large/);
+    assert.throws(() => normalizeAttachments([{}, {}], { maxCount: 1 }), /Too many/);
+  });
+
+  test('saves without overwriting and loads back by vault path', async () => {
+    const dir = path.join(TEST_VAULT_PATH, 'agent-sessions', 'agent', 'attachments');
+    const attachments = normalizeAttachments([{ name: 'photo.png', buffer: PNG }]);
+
+    const [first] = await saveAttachments(TEST_VAULT_PATH, dir, attachments, '2025-12-07-abc-');
+    const [second] = await saveAttachments(TEST_VAULT_PATH, dir, attachments, '2025-12-07-abc-');
+
+    assert.strictEqual(first.path, 'agent-sessions/agent/attachments/2025-12-07-abc-photo.png');
+    assert.strictEqual(second.path, 'agent-sessions/agent/attachments/2025-12-07-abc-photo-1.png');
+    assert.deepStrictEqual(first, { name: 'photo.png', path: first.path, mimeType: 'image/png', size: PNG.length });
+
+    const loadedAll = await loadAttachments(TEST_VAULT_PATH, [first, { name: 'gone.png', path: 'missing.png' }]);
+    assert.strictEqual(loadedAll.length, 1);
+    const [loaded] = loadedAll;
+    assert.deepStrictEqual(loaded.buffer, PNG);
+    // Already saved attachments stay where they are
+    assert.deepStrictEqual(await saveAttachments(TEST_VAULT_PATH, dir, [loaded]), [first]);
+  });
+
+  test('builds image, document and text blocks with a note on where files are saved', () => {
+    const attachments = [
+      { name: 'photo.png', mimeType: 'image/png', buffer: PNG },
+      { name: 'paper.pdf', mimeType: 'application/pdf', buffer: Buffer.from('%PDF') },
+      { name: 'data.csv', mimeType: 'text/csv', buffer: Buffer.from('a,b') },
+      { name: 'archive.zip', mimeType: 'application/zip', buffer: Buffer.from('PK') }
+    ];
+    const saved = attachments.map(a => ({ path: `attachments/${a.name}` }));
+
+    const blocks = buildContentBlocks('What is this?', attachments, saved);
+
+    assert.deepStrictEqual(blocks.map(b => b.type), ['image', 'document', 'document', 'text']);
+    assert.strictEqual(blocks[0].source.data, PNG.toString('base64'));
+    assert.deepStrictEqual(blocks[2].source, { type: 'text', media_type: 'text/plain', data: 'a,b' });
+    assert.match(blocks[3].text, /^What is this\?\n\nAttached files/);
+    assert.match(blocks[3].text, /archive\.zip \(application\/zip\): attachments\/archive\.zip/);
+  });
+});
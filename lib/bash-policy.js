@@ -0,0 +1,467 @@
+/**
+ * Bash Policy
+ *
+ * Decides Bash tool calls from an agent's `permissions.bash` section:
+ *
+ *   permissions:
+ *     bash:
+ *       allow: ['git status', 'git diff *', 'ls', 'npm run *']
+ *       deny: ['rm -rf *', 'curl']
+ *       restrict_cwd: true   # default
+ *
+ * Commands are split into their parts (pipelines, `&&`, `||`, `;`, command
+ * and process substitutions, `sh -c` scripts, the command run by `sudo`, `env`, `xargs`
+ * and friends) and each part is checked on its own:
+ *
+ * - a part matching a deny pattern blocks the whole command
+ * - the command runs without asking when every part matches an allow pattern
+ * - anything else needs approval
+ *
+ * A pattern is a program name, optionally followed by an argument glob:
+ * `git` matches any git command, `git diff *` only diffs, `*` everything.
+ * With restrict_cwd, a `cd` within the vault (or the session's working
+ * directory) is always allowed and a `cd` out of it needs approval.
+ *
+ * Output redirections (`>`, `>>`, `&>`) write files, so their targets must
+ * be inside the working directory (with restrict_cwd) and match the agent's
+ * `permissions.write` patterns, or the command needs approval.
+ *
+ * Agents without a `bash` section keep the old behaviour: every command is
+ * allowed when `permissions.write` includes `*`, otherwise each needs approval.
+ * Neither `cd` nor redirect targets are checked for them.
+ */
+
+import path from 'path';
+import { matchesGlob } from './permission-rules.js';
+import { matchesPatterns } from './agent-loader.js';
+
+/**
+ * Decision for a command or one of its parts
+ */
+export const BashDecision = {
+  ALLOW: 'allow',
+  DENY: 'deny',
+  ASK: 'ask'
+};
+
+// Commands that run the command given in their arguments
+const WRAPPERS = ['sudo', 'env', 'nohup', 'time', 'nice', 'command', 'exec', 'xargs', 'timeout'];
+// Shells whose `-c` script is parsed as more commands
+const SHELLS = ['sh', 'bash', 'zsh', 'dash'];
+// Commands that change the working directory
+const CD_COMMANDS = ['cd', 'pushd'];
+
+const SEPARATORS = ['|', '||', '&&', ';', '&', '|&', '\n'];
+
+// Redirect targets that aren't files
+const DEVICE_FILES = ['/dev/null', '/dev/stdout', '/dev/stderr', '/dev/tty'];
+
+/**
+ * Read the agent's Bash policy, falling back to the write-based default
+ *
+ * @param {object} permissions - agent.permissions
+ * @returns {{ allow: string[], deny: string[], restrictCwd: boolean, configured: boolean }}
+ */
+export function resolveBashPolicy(permissions = {}) {
+  const bash = permissions.bash;
+  if (bash) {
+    return {
+      allow: bash.allow || [],
+      deny: bash.deny || [],
+      restrictCwd: bash.restrict_cwd !== false,
+      configured: true
+    };
+  }
+  return {
+    allow: (permissions.write || ['*']).includes('*') ? ['*'] : [],
+    deny: [],
+    restrictCwd: false,
+    configured: false
+  };
+}
+
+/**
+ * Read a `$(...)`, `<(...)`, `>(...)` or backtick substitution starting at `start` (just after
+ * the opening), returning its inner text and the index after it
+ */
+function readSubstitution(command, start, close) {
+  let depth = 1;
+  let quote = null;
+  for (let i = start; i < command.length; i++) {
+    const c = command[i];
+    if (c === '\\' && quote !== "'") { i++; continue; }
+    if (quote) {
+      if (c === quote) quote = null;
+      continue;
+    }
+    if (c === "'" || c === '"') { quote = c; continue; }
+    if (close === ')' && c === '(') depth++;
+    if (c === close && --depth === 0) {
+      return { inner: command.slice(start, i), end: i + 1 };
+    }
+  }
+  throw new Error('Unterminated command substitution');
+}
+
+/**
+ * Split a command line into segments of words, collecting redirections and
+ * substitutions. Quotes are removed from words; `dynamic` marks words that
+ * use variables or substitutions and so can't be known in advance.
+ *
+ * @returns {{ segments: Array<Array<object>>, substitutions: string[] }}
+ */
+function tokenize(command) {
+  const segments = [[]];
+  const substitutions = [];
+  let word = null;
+
+  const current = () => segments[segments.length - 1];
+  const startWord = () => { if (!word) word = { text: '', dynamic: false, quoted: false }; };
+  const endWord = () => {
+    if (word) current().push(word);
+    word = null;
+  };
+
+  for (let i = 0; i < command.length; i++) {
+    const c = command[i];
+
+    if (c === '\\') {
+      if (command[i + 1] === '\n') { i++; continue; }
+      startWord();
+      word.text += command[++i] ?? '';
+      continue;
+    }
+
+    if (c === "'") {
+      const end = command.indexOf("'", i + 1);
+      if (end < 0) throw new Error('Unterminated quote');
+      startWord();
+      word.quoted = true;
+      word.text += command.slice(i + 1, end);
+      i = end;
+      continue;
+    }
+
+    if (c === '"') {
+      startWord();
+      word.quoted = true;
+      let j = i + 1;
+      for (; j < command.length && command[j] !== '"'; j++) {
+        if (command[j] === '\\') { word.text += command[++j] ?? ''; continue; }
+        if (command[j] === '`' || (command[j] === '$' && command[j + 1] === '(')) {
+          const sub = command[j] === '`'
+            ? readSubstitution(command, j + 1, '`')
+            : readSubstitution(command, j + 2, ')');
+          substitutions.push(sub.inner);
+          word.dynamic = true;
+          word.text += command.slice(j, sub.end);
+          j = sub.end - 1;
+          continue;
+        }
+        if (command[j] === '$') word.dynamic = true;
+        word.text += command[j];
+      }
+      if (j >= command.length) throw new Error('Unterminated quote');
+      i = j;
+      continue;
+    }
+
+    if (c === '`' || (c === '$' && command[i + 1] === '(')) {
+      const sub = c === '`'
+        ? readSubstitution(command, i + 1, '`')
+        : readSubstitution(command, i + 2, ')');
+      substitutions.push(sub.inner);
+      startWord();
+      word.dynamic = true;
+      word.text += command.slice(i, sub.end);
+      i = sub.end - 1;
+      continue;
+    }
+
+    if (c === '#' && !word) {
+      // Comment to end of line
+      while (i + 1 < command.length && command[i + 1] !== '\n') i++;
+      continue;
+    }
+
+    if (c === ' ' || c === '\t') {
+      endWord();
+      continue;
+    }
+
+    if ((c === '<' || c === '>') && command[i + 1] === '(') {
+      // Process substitution: an argument whose command runs too
+      const sub = readSubstitution(command, i + 2, ')');
+      substitutions.push(sub.inner);
+      endWord();
+      startWord();
+      word.dynamic = true;
+      word.text += command.slice(i, sub.end);
+      i = sub.end - 1;
+      continue;
+    }
+
+    if (c === '<' || c === '>' || (c === '&' && command[i + 1] === '>')) {
+      // A leading file descriptor (2>) belongs to the redirection
+      if (word && !word.quoted && /^\d+$/.test(word.text)) word = null;
+      endWord();
+      let op = c;
+      while (i + 1 < command.length && /[<>&|]/.test(command[i + 1])) op += command[++i];
+      if (op.endsWith('&') && /[\d-]/.test(command[i + 1] || '')) {
+        // Duplicating a descriptor (2>&1) has no target file
+        while (/[\d-]/.test(command[i + 1] || '')) op += command[++i];
+        current().push({ redirect: op, target: null });
+      } else {
+        current().push({ redirect: op });
+      }
+      continue;
+    }
+
+    if (c === '|' || c === '&' || c === ';' || c === '\n') {
+      endWord();
+      const two = command.slice(i, i + 2);
+      if (SEPARATORS.includes(two)) i++;
+      segments.push([]);
+      continue;
+    }
+
+    // Grouping: the commands inside are checked on their own
+    if (c === ')') {
+      endWord();
+      continue;
+    }
+    if (!word && (c === '(' || ((c === '{' || c === '}') && /\s|;|$/.test(command[i + 1] || '')))) {
+      continue;
+    }
+
+    startWord();
+    if (c === '$') word.dynamic = true;
+    word.text += c;
+  }
+  endWord();
+
+  return { segments: segments.filter(s => s.length > 0), substitutions };
+}
+
+/**
+ * Turn a segment's tokens into a command part
+ */
+function toPart(tokens) {
+  const words = [];
+  const redirects = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.redirect) {
+      if (token.target === null) continue;
+      const target = tokens[i + 1];
+      if (target && !target.redirect) {
+        redirects.push({ op: token.redirect, target: target.text });
+        i++;
+      }
+      continue;
+    }
+    words.push(token);
+  }
+
+  // Skip variable assignments before the program (FOO=bar cmd)
+  while (words.length > 0 && !words[0].quoted && /^[A-Za-z_][A-Za-z0-9_]*=/.test(words[0].text)) {
+    words.shift();
+  }
+  if (words.length === 0) {
+    // A bare redirection (> file) still writes its target
+    if (redirects.length === 0) return null;
+    return {
+      command: redirects.map(r => `${r.op} ${r.target}`).join(' '),
+      program: '',
+      args: [],
+      dynamic: false,
+      redirects,
+      words
+    };
+  }
+
+  return {
+    command: words.map(w => /\s/.test(w.text) ? JSON.stringify(w.text) : w.text).join(' '),
+    program: path.basename(words[0].text),
+    args: words.slice(1).map(w => w.text),
+    dynamic: words.some(w => w.dynamic),
+    redirects,
+    words
+  };
+}
+
+/**
+ * Split a command line into the simple commands it runs
+ *
+ * @param {string} command - Bash command line
+ * @returns {Array<{ command: string, program: string, args: string[], dynamic: boolean, redirects: Array }>}
+ * @throws {Error} If the command has unterminated quotes or substitutions
+ */
+export function parseCommand(command, depth = 0) {
+  if (depth > 5) throw new Error('Command is nested too deeply');
+
+  const { segments, substitutions } = tokenize(String(command));
+  const parts = [];
+
+  for (const segment of segments) {
+    const part = toPart(segment);
+    if (!part) continue;
+    const { words, ...rest } = part;
+    parts.push(rest);
+
+    // The command a wrapper runs (sudo rm ...) is checked too
+    if (WRAPPERS.includes(part.program)) {
+      let start = 1;
+      while (start < words.length && (words[start].text.startsWith('-') ||
+        /^[A-Za-z_][A-Za-z0-9_]*=/.test(words[start].text) ||
+        (part.program === 'timeout' && /^\d/.test(words[start].text)))) {
+        start++;
+      }
+      if (start < words.length) {
+        const inner = toPart(words.slice(start));
+        if (inner) {
+          const { words: innerWords, ...innerRest } = inner;
+          parts.push(innerRest);
+        }
+      }
+    }
+
+    // sh -c '...' runs a script of its own
+    const scriptIndex = part.args.indexOf('-c');
+    if (SHELLS.includes(part.program) && scriptIndex >= 0 && part.args[scriptIndex + 1]) {
+      parts.push(...parseCommand(part.args[scriptIndex + 1], depth + 1));
+    }
+  }
+
+  for (const inner of substitutions) {
+    parts.push(...parseCommand(inner, depth + 1));
+  }
+
+  return parts;
+}
+
+/**
+ * Whether a pattern (`program [argument glob]`) matches a command part
+ */
+export function matchesCommandPattern(part, pattern) {
+  const trimmed = String(pattern).trim().replace(/\s+/g, ' ');
+  if (trimmed === '*') return true;
+
+  const space = trimmed.indexOf(' ');
+  const programPattern = space < 0 ? trimmed : trimmed.slice(0, space);
+  const argsPattern = space < 0 ? null : trimmed.slice(space + 1);
+
+  const program = programPattern.includes('/') ? part.command.split(' ')[0] : part.program;
+  if (!matchesGlob(program, programPattern)) return false;
+  if (argsPattern === null) return true;
+  return matchesGlob(part.args.join(' '), argsPattern);
+}
+
+/**
+ * Find an output redirection of a part that needs approval
+ *
+ * @returns {{ rule: string|null, reason: string }|null} null if every target is fine
+ */
+function checkRedirects(part, dir, { roots, vaultPath, writePatterns, restrictCwd }) {
+  for (const { op, target } of part.redirects) {
+    if (!op.includes('>') || DEVICE_FILES.includes(target) || target.startsWith('/dev/fd/')) continue;
+
+    if (target.startsWith('~') || /[$`*?[]/.test(target) || (!dir && !path.isAbsolute(target))) {
+      return { rule: null, reason: `writes to a file that cannot be checked (${target})` };
+    }
+    const fullPath = path.resolve(dir || '/', target);
+    if (restrictCwd && !roots.some(root => fullPath === root || fullPath.startsWith(root + path.sep))) {
+      return { rule: 'restrict_cwd', reason: `writes outside the working directory (${fullPath})` };
+    }
+    if (writePatterns) {
+      // Outside the vault: keep the absolute path so only '*' matches it
+      const relative = vaultPath ? path.relative(vaultPath, fullPath) : fullPath;
+      const filePath = relative.startsWith('..') || path.isAbsolute(relative) ? fullPath : relative;
+      if (!matchesPatterns(filePath, writePatterns)) {
+        return { rule: 'write', reason: `writes to ${filePath}, outside permissions.write` };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Evaluate a Bash command against a policy
+ *
+ * @param {string} command - Bash command line
+ * @param {object} policy - From resolveBashPolicy
+ * @param {object} options - { cwd: starting directory, roots: directories
+ *   commands may `cd` within and write to, vaultPath: what write patterns
+ *   are relative to (default the first root), writePatterns: the agent's
+ *   `permissions.write`, checked against redirect targets }
+ * @returns {{ decision: string, reason: string, rule: string|null,
+ *   parts: Array<{ command: string, decision: string, rule: string|null, reason?: string }> }}
+ */
+export function evaluateBashCommand(command, policy, { cwd = null, roots = [], vaultPath = roots[0] || null, writePatterns = null } = {}) {
+  let parsed;
+  try {
+    parsed = parseCommand(command);
+  } catch (e) {
+    return { decision: BashDecision.ASK, reason: `Could not parse command: ${e.message}`, rule: null, parts: [] };
+  }
+
+  let dir = cwd;
+  const parts = parsed.map(part => {
+    const deny = policy.deny.find(pattern => matchesCommandPattern(part, pattern));
+    if (deny) {
+      return { command: part.command, decision: BashDecision.DENY, rule: `deny: ${deny}` };
+    }
+
+    if (policy.restrictCwd && dir && CD_COMMANDS.includes(part.program)) {
+      const target = part.args.find(arg => !arg.startsWith('-'));
+      if (!target || target === '-' || part.dynamic || target.startsWith('~')) {
+        return { command: part.command, decision: BashDecision.ASK, rule: 'restrict_cwd', reason: 'changes to a directory that cannot be checked' };
+      }
+      const next = path.resolve(dir, target);
+      if (!roots.some(root => next === root || next.startsWith(root + path.sep))) {
+        return { command: part.command, decision: BashDecision.ASK, rule: 'restrict_cwd', reason: `leaves the working directory (${next})` };
+      }
+      dir = next;
+      // Moving around inside the working directory is always fine
+      return { command: part.command, decision: BashDecision.ALLOW, rule: 'restrict_cwd' };
+    }
+
+    const redirect = policy.configured &&
+      checkRedirects(part, dir, { roots, vaultPath, writePatterns, restrictCwd: policy.restrictCwd });
+    if (redirect) {
+      return { command: part.command, decision: BashDecision.ASK, ...redirect };
+    }
+
+    const allow = policy.allow.find(pattern => matchesCommandPattern(part, pattern));
+    if (allow) {
+      return { command: part.command, decision: BashDecision.ALLOW, rule: `allow: ${allow}` };
+    }
+    return { command: part.command, decision: BashDecision.ASK, rule: null, reason: 'matches no allow pattern' };
+  });
+
+  const denied = parts.find(p => p.decision === BashDecision.DENY);
+  if (denied) {
+    return { decision: BashDecision.DENY, reason: `"${denied.command}" matches ${denied.rule}`, rule: denied.rule, parts };
+  }
+  const asked = parts.find(p => p.decision === BashDecision.ASK);
+  if (asked) {
+    return { decision: BashDecision.ASK, reason: `"${asked.command}" ${asked.reason}`, rule: asked.rule, parts };
+  }
+  if (parts.length === 0) {
+    return { decision: BashDecision.ASK, reason: 'No command to run', rule: null, parts };
+  }
+  return {
+    decision: BashDecision.ALLOW,
+    reason: parts.length === 1 ? `matches ${parts[0].rule}` : 'every part matches an allow pattern',
+    rule: parts.length === 1 ? parts[0].rule : null,
+    parts
+  };
+}
+
+export default {
+  BashDecision,
+  resolveBashPolicy,
+  parseCommand,
+  matchesCommandPattern,
+  evaluateBashCommand
+};
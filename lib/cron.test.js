@@ -0,0 +1,166 @@
+/**
+ * Cron Tests
+ *
+ * Run with: node --test lib/cron.test.js
+ */
+
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { parseCronExpression, getNextCronTime, isValidTimeZone } from './cron.js';
+import { parseTrigger, shouldTriggerFire, getNextTriggerTime, DocumentScanner } from './document-scanner.js';
+
+describe('parseCronExpression', () => {
+  test('parses lists, ranges and steps', () => {
+    const schedule = parseCronExpression('0,30 9-17/4 * * *');
+    assert.deepStrictEqual([...schedule.minute], [0, 30]);
+    assert.deepStrictEqual([...schedule.hour], [9, 13, 17]);
+  });
+
+  test('parses named months and days', () => {
+    const schedule = parseCronExpression('0 8 * jan-mar mon,FRI');
+    assert.deepStrictEqual([...schedule.month], [1, 2, 3]);
+    assert.deepStrictEqual([...schedule.dayOfWeek], [1, 5]);
+  });
+
+  test('treats 7 as Sunday', () => {
+    const schedule = parseCronExpression('0 0 * * 7');
+    assert.deepStrictEqual([...schedule.dayOfWeek], [0]);
+  });
+
+  test('expands macros', () => {
+    const schedule = parseCronExpression('@daily');
+    assert.deepStrictEqual([...schedule.minute], [0]);
+    assert.deepStrictEqual([...schedule.hour], [0]);
+  });
+
+  test('rejects invalid expressions', () => {
+    assert.throws(() => parseCronExpression('0 22 * *'), /5 fields/);
+    assert.throws(() => parseCronExpression('60 * * * *'), /out of range/);
+    assert.throws(() => parseCronExpression('*/0 * * * *'), /step/);
+    assert.throws(() => parseCronExpression('0 0 * * funday'), /Invalid dayOfWeek/);
+  });
+});
+
+describe('getNextCronTime', () => {
+  test('finds the next matching minute in UTC', () => {
+    const next = getNextCronTime('30 22 * * *', '2025-01-10T12:00:00Z', 'UTC');
+    assert.strictEqual(next.toISOString(), '2025-01-10T22:30:00.000Z');
+  });
+
+  test('is exclusive of the start time', () => {
+    const next = getNextCronTime('0 22 * * *', '2025-01-10T22:00:00Z', 'UTC');
+    assert.strictEqual(next.toISOString(), '2025-01-11T22:00:00.000Z');
+  });
+
+  test('matches either day field when both are restricted', () => {
+    // 2025-01-13 is a Monday, the 15th is a Wednesday
+    const next = getNextCronTime('0 0 15 * mon', '2025-01-10T00:00:00Z', 'UTC');
+    assert.strictEqual(next.toISOString(), '2025-01-13T00:00:00.000Z');
+  });
+
+  test('respects timezones', () => {
+    // 09:00 in New York during standard time is 14:00 UTC
+    const next = getNextCronTime('0 9 * * *', '2025-01-10T00:00:00Z', 'America/New_York');
+    assert.strictEqual(next.toISOString(), '2025-01-10T14:00:00.000Z');
+  });
+
+  test('handles DST transitions', () => {
+    // Clocks change on 2025-03-09 in New York - 09:00 is then 13:00 UTC
+    const next = getNextCronTime('0 9 * * *', '2025-03-09T00:00:00Z', 'America/New_York');
+    assert.strictEqual(next.toISOString(), '2025-03-09T13:00:00.000Z');
+  });
+
+  test('returns null for schedules that never fire', () => {
+    assert.strictEqual(getNextCronTime('0 0 30 2 *', '2025-01-01T00:00:00Z', 'UTC'), null);
+  });
+
+  test('validates timezones', () => {
+    assert.strictEqual(isValidTimeZone('Europe/Berlin'), true);
+    assert.strictEqual(isValidTimeZone('Mars/Olympus'), false);
+  });
+});
+
+describe('cron triggers', () => {
+  test('parseTrigger keeps the full expression', () => {
+    const trigger = parseTrigger('cron:*/15 9-17 * * mon-fri');
+    assert.strictEqual(trigger.type, 'cron');
+    assert.strictEqual(trigger.expression, '*/15 9-17 * * mon-fri');
+  });
+
+  test('parseTrigger keeps the full daily time', () => {
+    assert.deepStrictEqual(parseTrigger('daily@22:30'), { type: 'daily', time: '22:30' });
+  });
+
+  test('parseTrigger flags invalid cron expressions', () => {
+    const trigger = parseTrigger('cron:not a cron');
+    assert.strictEqual(trigger.type, 'unknown');
+    assert.ok(trigger.error);
+  });
+
+  test('fires when a run was missed since last_run', () => {
+    const trigger = parseTrigger('cron:* * * * *');
+    const lastRun = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+    assert.strictEqual(shouldTriggerFire(trigger, lastRun, 'UTC'), true);
+  });
+
+  test('does not fire before the next scheduled time', () => {
+    const trigger = parseTrigger('cron:0 0 1 1 *');
+    const lastRun = new Date().toISOString();
+    assert.strictEqual(shouldTriggerFire(trigger, lastRun, 'UTC'), false);
+  });
+
+  test('waits for the first occurrence without a last_run', () => {
+    const trigger = parseTrigger('cron:* * * * *');
+    assert.strictEqual(shouldTriggerFire(trigger, null, 'UTC'), false);
+    assert.ok(getNextTriggerTime(trigger, null, 'UTC') > new Date());
+  });
+});
+
+describe('scheduled document triggers', () => {
+  const vaultPath = '/tmp/test-vault-triggers-' + Date.now();
+  const docPath = path.join(vaultPath, 'daily.md');
+  const longAgo = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString();
+
+  afterEach(async () => {
+    await fs.rm(vaultPath, { recursive: true, force: true });
+  });
+
+  async function scan(agents) {
+    await fs.mkdir(vaultPath, { recursive: true });
+    const lines = agents.flatMap(a => Object.entries(a).map(([key, value], i) => `${i === 0 ? '  - ' : '    '}${key}: ${JSON.stringify(value)}`));
+    await fs.writeFile(docPath, `---\nagents:\n${lines.join('\n')}\n---\n\n# Today\n`);
+    const scanner = new DocumentScanner(vaultPath);
+    return (await scanner.findTriggeredAgents()).map(pair => pair.agentPath);
+  }
+
+  test('starts a new cron schedule from when it is first seen', async () => {
+    assert.deepStrictEqual(await scan([{ path: 'agents/a.md', trigger: 'cron:* * * * *' }]), []);
+
+    // last_run is seeded, so the trigger fires from its next occurrence on
+    const scanner = new DocumentScanner(vaultPath);
+    const [agent] = (await scanner.parseDocument(docPath)).agents;
+    assert.ok(Date.now() - new Date(agent.lastRun) < 60 * 1000);
+    assert.strictEqual(agent.status, 'pending');
+    assert.deepStrictEqual(await scanner.findTriggeredAgents(), []);
+  });
+
+  test('keeps completed pairs eligible only for recurring triggers', async () => {
+    const triggered = await scan([
+      { path: 'agents/cron.md', trigger: 'cron:* * * * *', status: 'completed', last_run: longAgo },
+      { path: 'agents/daily.md', trigger: 'daily@00:00', status: 'completed', last_run: longAgo },
+      { path: 'agents/hourly.md', trigger: 'hourly', status: 'completed', last_run: longAgo },
+      { path: 'agents/pending.md', trigger: 'hourly', status: 'pending', last_run: longAgo }
+    ]);
+    assert.deepStrictEqual(triggered, ['agents/cron.md', 'agents/pending.md']);
+  });
+
+  test('keeps failed pairs eligible for recurring triggers', async () => {
+    const triggered = await scan([
+      { path: 'agents/cron.md', trigger: 'cron:* * * * *', status: 'error', last_run: longAgo },
+      { path: 'agents/hourly.md', trigger: 'hourly', status: 'error', last_run: longAgo }
+    ]);
+    assert.deepStrictEqual(triggered, ['agents/cron.md']);
+  });
+});
@@ -10,6 +10,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import matter from 'gray-matter';
+import { parseCronExpression, getNextCronTime, isValidTimeZone } from './cron.js';
 
 // Agent status values for each agent-document relationship
 export const AgentStatus = {
@@ -17,23 +18,37 @@ export const AgentStatus = {
   NEEDS_RUN: 'needs_run',   // Trigger fired, ready to run
   RUNNING: 'running',       // Currently executing
   COMPLETED: 'completed',   // Finished successfully
+  AWAITING_REVIEW: 'awaiting_review', // Finished with edits staged for review
   ERROR: 'error'            // Failed
 };
 
+// Triggers that keep firing after a run completes or fails; the others fire
+// while their pair is pending
+const RECURRING_TRIGGERS = ['cron', 'on_save'];
+
+const WEEKDAYS = {
+  'sunday': 0, 'monday': 1, 'tuesday': 2, 'wednesday': 3,
+  'thursday': 4, 'friday': 5, 'saturday': 6
+};
+
 /**
  * Parse trigger expression
  * Formats:
  *   - "daily@22:00" - Every day at 22:00
  *   - "hourly" - Every hour
- *   - "on_save" - When document is saved (handled by plugin)
+ *   - "on_save" - When document is saved (detected by the vault watcher)
  *   - "manual" - Only when manually triggered
  *   - "weekly@monday" - Every week on Monday
- *   - "cron:0 22 * * *" - Cron expression
+ *   - "cron:0 22 * * *" - Cron expression (5 fields, or @daily-style macro)
  */
 function parseTrigger(triggerStr) {
   if (!triggerStr) return null;
 
-  const [type, value] = triggerStr.split(/[@:]/);
+  // Split on the first separator only - "daily@22:00" and cron
+  // expressions contain further '@' and ':' characters
+  const sepIdx = triggerStr.search(/[@:]/);
+  const type = sepIdx >= 0 ? triggerStr.slice(0, sepIdx) : triggerStr;
+  const value = sepIdx >= 0 ? triggerStr.slice(sepIdx + 1).trim() : undefined;
 
   switch (type) {
     case 'daily':
@@ -47,16 +62,50 @@ function parseTrigger(triggerStr) {
     case 'weekly':
       return { type: 'weekly', day: value || 'monday' };
     case 'cron':
-      return { type: 'cron', expression: value };
+      try {
+        parseCronExpression(value); // Validate up front
+        return { type: 'cron', expression: value };
+      } catch (e) {
+        console.warn(`[DocumentScanner] Invalid cron trigger "${triggerStr}": ${e.message}`);
+        return { type: 'unknown', raw: triggerStr, error: e.message };
+      }
     default:
       return { type: 'unknown', raw: triggerStr };
   }
 }
 
+/**
+ * Resolve the timezone for a trigger (null = server local time)
+ */
+function resolveTimeZone(timeZone) {
+  if (!timeZone) return null;
+  if (!isValidTimeZone(timeZone)) {
+    console.warn(`[DocumentScanner] Unknown timezone "${timeZone}", using server time`);
+    return null;
+  }
+  return timeZone;
+}
+
+/**
+ * Compute the next cron fire time after the last run (may be in the past).
+ * Without a last run the schedule starts now, so a newly configured trigger
+ * waits for its first occurrence (the scanner then seeds last_run so that
+ * start sticks). Several missed runs (e.g. server downtime) collapse into
+ * one catch-up run because the run updates last_run to now.
+ */
+function getNextCronRun(trigger, lastRun, timeZone, now) {
+  const since = lastRun ? new Date(lastRun) : now;
+  return getNextCronTime(trigger.expression, since, resolveTimeZone(timeZone));
+}
+
 /**
  * Check if a trigger should fire
+ *
+ * @param {object} trigger - Parsed trigger
+ * @param {string|null} lastRun - ISO timestamp of the last run
+ * @param {string|null} timeZone - IANA timezone for cron triggers
  */
-function shouldTriggerFire(trigger, lastRun) {
+function shouldTriggerFire(trigger, lastRun, timeZone = null) {
   if (!trigger) return false;
 
   const now = new Date();
@@ -84,11 +133,7 @@ function shouldTriggerFire(trigger, lastRun) {
     }
 
     case 'weekly': {
-      const dayMap = {
-        'sunday': 0, 'monday': 1, 'tuesday': 2, 'wednesday': 3,
-        'thursday': 4, 'friday': 5, 'saturday': 6
-      };
-      const targetDay = dayMap[trigger.day.toLowerCase()] || 1;
+      const targetDay = WEEKDAYS[trigger.day.toLowerCase()] ?? 1;
       const today = now.getDay();
 
       if (today === targetDay) {
@@ -100,6 +145,12 @@ function shouldTriggerFire(trigger, lastRun) {
       return false;
     }
 
+    case 'cron': {
+      if (!lastRunDate) return false;
+      const next = getNextCronRun(trigger, lastRun, timeZone, now);
+      return !!next && next <= now;
+    }
+
     case 'manual':
     case 'on_save':
       return false; // These are triggered externally
@@ -109,7 +160,63 @@ function shouldTriggerFire(trigger, lastRun) {
   }
 }
 
-export { parseTrigger, shouldTriggerFire };
+/**
+ * Compute when a scheduled trigger will next fire
+ *
+ * @param {object} trigger - Parsed trigger
+ * @param {string|null} lastRun - ISO timestamp of the last run
+ * @param {string|null} timeZone - IANA timezone for cron triggers
+ * @returns {Date|null} Next fire time (now if overdue), null for unscheduled triggers
+ */
+function getNextTriggerTime(trigger, lastRun, timeZone = null) {
+  if (!trigger) return null;
+
+  const now = new Date();
+  const lastRunDate = lastRun ? new Date(lastRun) : null;
+
+  switch (trigger.type) {
+    case 'cron': {
+      const next = getNextCronRun(trigger, lastRun, timeZone, now);
+      return next && next < now ? now : next;
+    }
+
+    case 'hourly': {
+      if (!lastRunDate) return now;
+      const next = new Date(lastRunDate.getTime() + 60 * 60 * 1000);
+      return next < now ? now : next;
+    }
+
+    case 'daily': {
+      const [hours, minutes] = trigger.time.split(':').map(Number);
+      const triggerTime = new Date(now);
+      triggerTime.setHours(hours, minutes, 0, 0);
+
+      if (now >= triggerTime) {
+        if (!lastRunDate || lastRunDate < triggerTime) return now;
+        triggerTime.setDate(triggerTime.getDate() + 1);
+      }
+      return triggerTime;
+    }
+
+    case 'weekly': {
+      if (shouldTriggerFire(trigger, lastRun)) return now;
+
+      // Weekly triggers fire any time on their day - report the start of it
+      const targetDay = WEEKDAYS[trigger.day.toLowerCase()] ?? 1;
+      const next = new Date(now);
+      next.setHours(0, 0, 0, 0);
+      do {
+        next.setDate(next.getDate() + 1);
+      } while (next.getDay() !== targetDay);
+      return next;
+    }
+
+    default:
+      return null; // manual/on_save are triggered externally
+  }
+}
+
+export { parseTrigger, shouldTriggerFire, getNextTriggerTime };
 
 /**
  * Normalize agent config to array format
@@ -123,6 +230,7 @@ function normalizeAgentsConfig(frontmatter) {
       status: a.status || AgentStatus.PENDING,
       trigger: a.trigger ? parseTrigger(a.trigger) : null,
       triggerRaw: a.trigger || null,
+      timezone: a.timezone || null,
       lastRun: a.last_run || null,
       enabled: a.enabled !== false
     }));
@@ -135,6 +243,7 @@ function normalizeAgentsConfig(frontmatter) {
       status: frontmatter.agent_status || AgentStatus.PENDING,
       trigger: parseTrigger(frontmatter.agent_trigger),
       triggerRaw: frontmatter.agent_trigger || null,
+      timezone: frontmatter.agent_timezone || null,
       lastRun: frontmatter.agent_last_run || null,
       enabled: true
     }];
@@ -146,6 +255,22 @@ function normalizeAgentsConfig(frontmatter) {
 export class DocumentScanner {
   constructor(vaultPath) {
     this.vaultPath = vaultPath;
+
+    // Optional hook called with the full path before the scanner writes a file
+    // (lets the vault watcher ignore status updates)
+    this.onWrite = null;
+
+    // Optional hook called with { path, agentPath, status, ...fields }
+    // after an agent status is written (lets clients follow document runs)
+    this.onStatusChange = null;
+  }
+
+  /**
+   * Write a document back to disk
+   */
+  async writeDocument(fullPath, content) {
+    if (this.onWrite) this.onWrite(fullPath);
+    await fs.writeFile(fullPath, content);
   }
 
   /**
@@ -234,11 +359,14 @@ export class DocumentScanner {
 
     for (const doc of docs) {
       for (const agent of doc.agents) {
+        if (this.isAwaitingTrigger(agent) && agent.trigger.type === 'cron' && !agent.lastRun) {
+          // First sight of a cron trigger: its schedule starts now
+          await this.seedLastRun(doc.path, agent.path);
+          continue;
+        }
         if (
-          agent.enabled &&
-          agent.status === AgentStatus.PENDING &&
-          agent.trigger &&
-          shouldTriggerFire(agent.trigger, agent.lastRun)
+          this.isAwaitingTrigger(agent) &&
+          shouldTriggerFire(agent.trigger, agent.lastRun, agent.timezone)
         ) {
           pairs.push({
             documentPath: doc.path,
@@ -253,6 +381,68 @@ export class DocumentScanner {
     return pairs;
   }
 
+  /**
+   * Check if an agent-document pair is waiting for its trigger.
+   * Completed and failed pairs stay eligible for recurring (cron, on_save)
+   * triggers, so one failed run doesn't stop the schedule.
+   */
+  isAwaitingTrigger(agent) {
+    return (
+      agent.enabled &&
+      !!agent.trigger &&
+      (agent.status === AgentStatus.PENDING ||
+        ((agent.status === AgentStatus.COMPLETED || agent.status === AgentStatus.ERROR) &&
+          RECURRING_TRIGGERS.includes(agent.trigger.type)))
+    );
+  }
+
+  /**
+   * Record now as an agent's last run without changing its status, so a
+   * schedule counts from when it was first seen
+   */
+  async seedLastRun(documentPath, agentPath) {
+    const fullPath = path.join(this.vaultPath, documentPath);
+    const content = await fs.readFile(fullPath, 'utf-8');
+    const { data: frontmatter, content: body } = matter(content);
+    const now = new Date().toISOString();
+
+    if (Array.isArray(frontmatter.agents)) {
+      const agent = frontmatter.agents.find(a => a.path === agentPath);
+      if (!agent || agent.last_run) return;
+      agent.last_run = now;
+    } else if (frontmatter.agent === agentPath && !frontmatter.agent_last_run) {
+      frontmatter.agent_last_run = now;
+    } else {
+      return;
+    }
+
+    console.log(`[DocumentScanner] Scheduling ${agentPath} on ${documentPath} from ${now}`);
+    await this.writeDocument(fullPath, matter.stringify(body, frontmatter));
+  }
+
+  /**
+   * Get the next scheduled run for an agent-document pair
+   *
+   * @returns {string|null} ISO timestamp, or null if nothing is scheduled
+   */
+  getNextRun(agent) {
+    if (!this.isAwaitingTrigger(agent)) return null;
+    const next = getNextTriggerTime(agent.trigger, agent.lastRun, agent.timezone);
+    return next ? next.toISOString() : null;
+  }
+
+  /**
+   * Find agents on a document that should run because it was saved
+   */
+  async findOnSaveAgents(documentPath) {
+    const fullPath = path.join(this.vaultPath, documentPath);
+    const doc = await this.parseDocument(fullPath);
+
+    return doc.agents.filter(agent =>
+      agent.trigger?.type === 'on_save' && this.isAwaitingTrigger(agent)
+    );
+  }
+
   /**
    * Get all pending agents for a specific document
    */
@@ -300,9 +490,12 @@ export class DocumentScanner {
 
     // Rebuild document
     const newContent = matter.stringify(body, frontmatter);
-    await fs.writeFile(fullPath, newContent);
+    await this.writeDocument(fullPath, newContent);
+
+    const change = { path: documentPath, agentPath, status: newStatus };
+    if (this.onStatusChange) this.onStatusChange({ ...change, ...additionalFields });
 
-    return { path: documentPath, agentPath, status: newStatus };
+    return change;
   }
 
   /**
@@ -329,7 +522,7 @@ export class DocumentScanner {
 
     if (triggered.length > 0) {
       const newContent = matter.stringify(body, frontmatter);
-      await fs.writeFile(fullPath, newContent);
+      await this.writeDocument(fullPath, newContent);
     }
 
     return triggered;
@@ -361,7 +554,7 @@ export class DocumentScanner {
 
     if (triggered.length > 0) {
       const newContent = matter.stringify(body, frontmatter);
-      await fs.writeFile(fullPath, newContent);
+      await this.writeDocument(fullPath, newContent);
     }
 
     return triggered;
@@ -393,7 +586,7 @@ export class DocumentScanner {
 
     if (reset.length > 0) {
       const newContent = matter.stringify(body, frontmatter);
-      await fs.writeFile(fullPath, newContent);
+      await this.writeDocument(fullPath, newContent);
     }
 
     return reset;
@@ -412,6 +605,7 @@ export class DocumentScanner {
       path: a.path,
       status: a.status || AgentStatus.PENDING,
       trigger: a.trigger || null,
+      ...(a.timezone && { timezone: a.timezone }),
       enabled: a.enabled !== false
     }));
 
@@ -424,7 +618,7 @@ export class DocumentScanner {
 
     // Rebuild document
     const newContent = matter.stringify(body, frontmatter);
-    await fs.writeFile(fullPath, newContent);
+    await this.writeDocument(fullPath, newContent);
 
     return frontmatter.agents;
   }
@@ -452,6 +646,7 @@ export class DocumentScanner {
       path: a.path,
       status: a.status,
       trigger: a.triggerRaw,
+      timezone: a.timezone,
       enabled: a.enabled
     })), newAgent];
 
@@ -472,6 +667,7 @@ export class DocumentScanner {
         path: a.path,
         status: a.status,
         trigger: a.triggerRaw,
+        timezone: a.timezone,
         enabled: a.enabled
       }));
 
@@ -121,6 +121,43 @@ export class RateLimitError extends ApiError {
   }
 }
 
+/**
+ * 429 Too Many Requests - Token or cost budget exhausted
+ */
+export class BudgetExceededError extends RateLimitError {
+  constructor(message, retryAfter = null, budget = null, code = 'BUDGET_EXCEEDED') {
+    super(message, retryAfter, code);
+    this.name = 'BudgetExceededError';
+    this.budget = budget;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      ...(this.budget && { budget: this.budget })
+    };
+  }
+}
+
+/**
+ * Agent run aborted - timed out (504) or cancelled by a client (409)
+ */
+export class RunAbortedError extends ApiError {
+  constructor(message, reason = 'cancelled') {
+    const timedOut = reason === 'timeout';
+    super(message, timedOut ? 504 : 409, timedOut ? 'TIMEOUT' : 'CANCELLED');
+    this.name = 'RunAbortedError';
+    this.reason = reason;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      reason: this.reason
+    };
+  }
+}
+
 /**
  * 500 Internal Server Error
  */
@@ -183,6 +220,8 @@ export default {
   PayloadTooLargeError,
   ValidationError,
   RateLimitError,
+  BudgetExceededError,
+  RunAbortedError,
   InternalError,
   ServiceUnavailableError,
   errorHandler,
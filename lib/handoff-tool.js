@@ -0,0 +1,62 @@
+/**
+ * Handoff Tool
+ *
+ * An in-process MCP server that lets a chat agent hand the conversation
+ * over to another agent (see Orchestrator.handoffChatSession). Calling the
+ * tool only records the request; the orchestrator performs the handoff once
+ * the current reply is complete, so the turn finishes under the agent that
+ * started it.
+ *
+ * Agents get the tool when their `permissions.handoff` patterns match at
+ * least one other chat agent.
+ */
+
+import { tool, createSdkMcpServer } from '@anthropic-ai/claude-agent-sdk';
+import { z } from 'zod';
+
+/**
+ * MCP server name (its tool is `mcp__parachute-handoff__handoff`)
+ */
+export const HANDOFF_MCP_SERVER = 'parachute-handoff';
+
+/**
+ * Create the handoff tool for one chat turn
+ *
+ * @param {Array<{ path: string, name: string, description?: string }>} candidates - Agents it may hand off to
+ * @returns {{ server: object, tool: object, pending: { to: string, reason: string|null }|null }}
+ *   `pending` is set when the agent asks for a handoff
+ */
+export function createHandoffTool(candidates) {
+  const state = { server: null, tool: null, pending: null };
+  const paths = candidates.map(c => c.path);
+
+  const handoff = tool(
+    'handoff',
+    'Hand this conversation over to another agent that is better suited to continue it. ' +
+    'The handoff happens after your current reply, and the new agent sees the conversation so far. ' +
+    `Available agents:\n${candidates.map(c => `- ${c.path}: ${c.description || c.name}`).join('\n')}`,
+    {
+      agent: z.string().describe('Path of the agent to hand off to, e.g. agents/project-manager.md'),
+      reason: z.string().optional().describe('Why the conversation is being handed off (shown in the transcript)')
+    },
+    async ({ agent, reason }) => {
+      if (!paths.includes(agent)) {
+        return {
+          content: [{ type: 'text', text: `Cannot hand off to ${agent}. Choose one of: ${paths.join(', ')}` }],
+          isError: true
+        };
+      }
+
+      state.pending = { to: agent, reason: reason || null };
+      return {
+        content: [{ type: 'text', text: `The conversation will be handed off to ${agent} after this reply. End with a short note to the user.` }]
+      };
+    }
+  );
+
+  state.tool = handoff;
+  state.server = createSdkMcpServer({ name: HANDOFF_MCP_SERVER, version: '1.0.0', tools: [handoff] });
+  return state;
+}
+
+export default { HANDOFF_MCP_SERVER, createHandoffTool };
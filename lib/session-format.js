@@ -0,0 +1,466 @@
+/**
+ * Session File Format
+ *
+ * Reads and writes session markdown files.
+ *
+ * Version 2 (current) keeps the readable layout of version 1 but wraps each
+ * message in HTML comment markers, which Obsidian hides in reading view:
+ *
+ *   ---
+ *   format_version: 2
+ *   session_id: "..."
+ *   title: "Quotes \"escaped\" properly"
+ *   ...
+ *   ---
+ *
+ *   # Title
+ *
+ *   ## Conversation
+ *
+ *   ### Assistant | 2025-12-07T04:39:48.123Z
+ *   <!-- message {"id":"...","role":"assistant","timestamp":"..."} -->
+ *
+ *   Any markdown, including --- rules and ## headings
+ *
+ *   <!-- /message ... -->
+ *
+ * Message content between the markers round-trips byte for byte; everything
+ * except the content (role, timestamp, tool calls, ...) is kept in the
+ * marker's JSON. Frontmatter values are written as JSON, which is valid YAML.
+ *
+ * Tool calls and permission decisions are also rendered after the end marker
+ * as collapsed callouts, for reading only - the parser ignores them and
+ * rebuilds everything from the marker's JSON:
+ *
+ *   > [!tool]- Bash: `npm test`
+ *   > ...input and (truncated) result...
+ *
+ *   > [!check]- Permission granted: Write `notes/a.md`
+ *
+ * Attachments sent with a message are embedded the same way:
+ *
+ *   ![[agent-sessions/my-agent/attachments/2025-12-07-1a2b3c4d-photo.png]]
+ *
+ * A rolling summary of older turns, when there is one, sits above the
+ * conversation in the same marker style and may be edited by hand:
+ *
+ *   ## Summary
+ *   <!-- summary {"throughMessageId":"...","messageCount":40,"updatedAt":"..."} -->
+ *
+ *   Summary text
+ *
+ *   <!-- /summary -->
+ *
+ * Version 1 (no format_version) split messages on headings and was parsed
+ * with a line-based YAML reader; it is still read for migration.
+ */
+
+import matter from 'gray-matter';
+
+export const SESSION_FORMAT_VERSION = 2;
+
+const MESSAGE_START = /^<!-- message (\{.*\}) -->$/gm;
+const SUMMARY_START = /^<!-- summary (\{.*\}) -->$/m;
+const SUMMARY_END = '\n<!-- /summary -->';
+
+/**
+ * Capitalize a role for headings ("assistant" -> "Assistant")
+ */
+function roleLabel(role) {
+  return role.charAt(0).toUpperCase() + role.slice(1);
+}
+
+/**
+ * JSON for use inside an HTML comment (which must not contain "-->")
+ */
+function commentJson(value) {
+  return JSON.stringify(value).replace(/-->/g, '--\\u003e');
+}
+
+/**
+ * Max characters of a tool input value shown in a callout title
+ */
+const CALLOUT_TITLE_LENGTH = 80;
+
+/**
+ * Callout type and label per permission decision
+ */
+const PERMISSION_CALLOUTS = {
+  granted: { type: 'check', label: 'Permission granted' },
+  denied: { type: 'failure', label: 'Permission denied' },
+  timeout: { type: 'warning', label: 'Permission timed out' }
+};
+
+/**
+ * Wrap text in a code fence longer than any backtick run inside it
+ */
+function codeBlock(text, lang = '') {
+  const longest = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longest + 1);
+  return `${fence}${lang}\n${text}\n${fence}`;
+}
+
+/**
+ * Inline code for a callout title (single line, shortened)
+ */
+function inlineCode(text) {
+  let value = String(text).split('\n')[0];
+  if (value.length > CALLOUT_TITLE_LENGTH) {
+    value = `${value.slice(0, CALLOUT_TITLE_LENGTH - 1)}…`;
+  }
+  return value.includes('`') ? `\`\` ${value} \`\`` : `\`${value}\``;
+}
+
+/**
+ * Prefix every line with "> " so it renders inside a callout
+ */
+function quoteLines(text) {
+  return text.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+}
+
+/**
+ * The most telling input value of a tool call, for the callout title
+ */
+function toolSubject(input) {
+  if (!input || typeof input !== 'object') return null;
+  return input.command ?? input.file_path ?? input.path ?? input.pattern ?? input.url ?? input.query ?? null;
+}
+
+/**
+ * Render a tool call as a collapsed callout
+ *
+ * @param {object} toolCall - { name, input, result? }
+ * @returns {string}
+ */
+export function renderToolCallout(toolCall) {
+  const subject = toolSubject(toolCall.input);
+  const failed = toolCall.result?.isError ? ' (error)' : '';
+  let body = `**Input**\n${codeBlock(JSON.stringify(toolCall.input ?? {}, null, 2), 'json')}`;
+
+  if (toolCall.result) {
+    const { content, truncated, length } = toolCall.result;
+    const note = truncated ? ` (first ${content.length} of ${length} characters)` : '';
+    body += `\n\n**Result**${note}\n${codeBlock(content)}`;
+  }
+
+  const title = `${toolCall.name}${subject !== null ? `: ${inlineCode(subject)}` : ''}${failed}`;
+  return `> [!tool]- ${title}\n${quoteLines(body)}`;
+}
+
+/**
+ * Render a permission decision as a collapsed callout
+ *
+ * @param {object} permission - { toolName, filePath?, mcpServer?, rule?, decision, timestamp }
+ * @returns {string}
+ */
+export function renderPermissionCallout(permission) {
+  const { type, label } = PERMISSION_CALLOUTS[permission.decision] || PERMISSION_CALLOUTS.denied;
+  const subject = permission.filePath ?? permission.mcpServer;
+  const title = `${label}: ${permission.toolName}${subject ? ` ${inlineCode(subject)}` : ''}`;
+
+  const details = [];
+  if (permission.filePath) details.push(`- Target: ${inlineCode(permission.filePath)}`);
+  if (permission.mcpServer) details.push(`- MCP server: ${permission.mcpServer}`);
+  if (permission.scope) details.push(`- Scope: ${permission.scope}`);
+  if (permission.rule) details.push(`- Rule: ${permission.rule}`);
+  if (permission.timestamp) details.push(`- At: ${permission.timestamp}`);
+
+  return `> [!${type}]- ${title}\n${quoteLines(details.join('\n'))}`;
+}
+
+/**
+ * Render a message's attachments as Obsidian embeds
+ *
+ * @param {Array<object>} attachments - { name, path }
+ * @returns {string}
+ */
+export function renderAttachmentEmbeds(attachments) {
+  return attachments.map(attachment => `![[${attachment.path}]]`).join('\n');
+}
+
+/**
+ * Embeds for a message's attachments, then callouts for everything an
+ * agent did while producing it
+ */
+function renderActivity(msg) {
+  const blocks = [
+    ...(msg.attachments?.length ? [renderAttachmentEmbeds(msg.attachments)] : []),
+    ...(msg.permissions || []).map(renderPermissionCallout),
+    ...(msg.toolCalls || []).map(renderToolCallout)
+  ];
+  return blocks.map(block => `${block}\n\n`).join('');
+}
+
+/**
+ * Split a file into frontmatter YAML and body
+ *
+ * @param {string} content
+ * @returns {{ yaml: string|null, body: string }}
+ */
+export function splitFrontmatter(content) {
+  const match = content.match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/);
+  if (!match) {
+    return { yaml: null, body: content };
+  }
+  return { yaml: match[1], body: match[2] };
+}
+
+/**
+ * Detect the format version from frontmatter YAML
+ *
+ * @param {string|null} yaml
+ * @returns {number}
+ */
+export function detectFormatVersion(yaml) {
+  const match = yaml?.match(/^format_version:\s*"?(\d+)"?\s*$/m);
+  return match ? parseInt(match[1], 10) : 1;
+}
+
+/**
+ * Serialize frontmatter - one `key: <json>` line per defined value
+ *
+ * @param {object} data
+ * @returns {string} YAML (without --- fences)
+ */
+export function stringifyFrontmatter(data) {
+  return Object.entries(data)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+    .join('\n');
+}
+
+/**
+ * Parse version 2 frontmatter (real YAML)
+ *
+ * @param {string} yaml
+ * @returns {object}
+ */
+export function parseFrontmatterYaml(yaml) {
+  return matter.engines.yaml.parse(yaml) || {};
+}
+
+/**
+ * Parse version 1 frontmatter, which was hand-written without escaping
+ * (one `key: value` per line, optional surrounding quotes)
+ *
+ * @param {string} yaml
+ * @returns {object}
+ */
+export function parseLegacyFrontmatter(yaml) {
+  const data = {};
+  for (const line of yaml.split('\n')) {
+    const colonIdx = line.indexOf(':');
+    if (colonIdx > 0) {
+      const key = line.slice(0, colonIdx).trim();
+      let value = line.slice(colonIdx + 1).trim();
+
+      // Handle quoted strings
+      if ((value.startsWith('"') && value.endsWith('"')) ||
+          (value.startsWith("'") && value.endsWith("'"))) {
+        value = value.slice(1, -1);
+      }
+
+      // Handle objects (simple case) - but NOT for sdk_session_id which should stay as string
+      if (key !== 'sdk_session_id' && (value === '' || value === '{}')) {
+        value = {};
+      } else if (key !== 'sdk_session_id' && value.startsWith('{')) {
+        // Context was written as JSON
+        try {
+          value = JSON.parse(value);
+        } catch (e) {
+          // Keep as string
+        }
+      }
+      // Keep empty strings as null for sdk_session_id
+      if (key === 'sdk_session_id' && value === '') {
+        value = null;
+      }
+
+      data[key] = value;
+    }
+  }
+  return data;
+}
+
+/**
+ * Serialize messages in the version 2 layout
+ *
+ * @param {Array<object>} messages - { id, role, timestamp, content, ...metadata }
+ * @returns {string}
+ */
+export function serializeMessages(messages) {
+  let md = '';
+
+  messages.forEach((msg, index) => {
+    const { content = '', ...meta } = msg;
+    const id = meta.id || `m${index + 1}`;
+    const timestamp = meta.timestamp || new Date().toISOString();
+
+    md += `### ${roleLabel(meta.role)} | ${timestamp}\n`;
+    md += `<!-- message ${commentJson({ ...meta, id, timestamp })} -->\n\n`;
+    md += `${content}\n\n`;
+    md += `<!-- /message ${id} -->\n\n`;
+    md += renderActivity(msg);
+  });
+
+  return md;
+}
+
+/**
+ * Serialize a session summary section
+ *
+ * @param {object|null} summary - { content, throughMessageId, messageCount, updatedAt }
+ * @returns {string} Empty string when there is no summary
+ */
+export function serializeSummary(summary) {
+  if (!summary?.content) return '';
+
+  const { content, ...meta } = summary;
+  let md = `## Summary\n`;
+  md += `<!-- summary ${commentJson(meta)} -->\n\n`;
+  md += `${content}\n\n`;
+  md += `<!-- /summary -->\n\n`;
+  return md;
+}
+
+/**
+ * Extract the summary section from a body (only above the conversation)
+ *
+ * @param {string} body
+ * @returns {{ summary: object|null, rest: string }} rest is the body after the section
+ */
+export function parseSummary(body) {
+  // The summary sits in the header; a marker inside a message is content
+  const headerEnd = body.search(/^(?:<!-- message \{|## Conversation$)/m);
+  const header = headerEnd >= 0 ? body.slice(0, headerEnd) : body;
+  const match = header.match(SUMMARY_START);
+  if (!match) return { summary: null, rest: body };
+
+  let meta;
+  try {
+    meta = JSON.parse(match[1]);
+  } catch (e) {
+    return { summary: null, rest: body };
+  }
+
+  let contentStart = match.index + match[0].length;
+  if (body[contentStart] === '\n') contentStart++;
+  if (body[contentStart] === '\n') contentStart++;
+
+  const contentEnd = body.indexOf(SUMMARY_END, contentStart);
+  if (contentEnd < 0) return { summary: null, rest: body };
+
+  const content = body.slice(contentStart, contentEnd).replace(/\n$/, '');
+  return {
+    summary: { ...meta, content },
+    rest: body.slice(contentEnd + SUMMARY_END.length)
+  };
+}
+
+/**
+ * Parse version 2 messages
+ *
+ * @param {string} body
+ * @returns {Array<object>}
+ */
+export function parseMessages(body) {
+  const messages = [];
+  const start = new RegExp(MESSAGE_START.source, 'gm');
+
+  let match;
+  while ((match = start.exec(body)) !== null) {
+    let meta;
+    try {
+      meta = JSON.parse(match[1]);
+    } catch (e) {
+      continue;
+    }
+
+    // Content starts after the blank line following the marker
+    let contentStart = match.index + match[0].length;
+    if (body[contentStart] === '\n') contentStart++;
+    if (body[contentStart] === '\n') contentStart++;
+
+    const endMarker = `\n<!-- /message ${meta.id} -->`;
+    let contentEnd = body.indexOf(endMarker, contentStart);
+    let content;
+
+    if (contentEnd >= 0) {
+      content = body.slice(contentStart, contentEnd).replace(/\n$/, '');
+      start.lastIndex = contentEnd + endMarker.length;
+    } else {
+      // Unterminated (hand-edited) - take everything up to the next message
+      const rest = body.slice(contentStart);
+      const next = rest.search(/\n### \w+ \| [^\n]*\n<!-- message \{/);
+      contentEnd = next >= 0 ? contentStart + next : body.length;
+      content = body.slice(contentStart, contentEnd).trim();
+      start.lastIndex = contentEnd;
+    }
+
+    messages.push({ ...meta, content });
+  }
+
+  return messages;
+}
+
+/**
+ * Parse version 1 messages. Splits only on the role/timestamp headings
+ * (not on every rule or heading, which truncated replies in version 1).
+ *
+ * @param {string} body
+ * @returns {Array<object>}
+ */
+export function parseLegacyMessages(body) {
+  const messages = [];
+  // Match timestamps with or without milliseconds (e.g., 2025-12-07T04:39:47.485Z or 2025-12-07T04:39:47Z)
+  const regex = /### (User|Assistant|System) \| (\d{4}-\d{2}-\d{2}T[\d:.]+Z?)\n\n([\s\S]*?)(?=\n### (?:User|Assistant|System) \| \d{4}-\d{2}-\d{2}T|$)/g;
+
+  let match;
+  while ((match = regex.exec(body)) !== null) {
+    messages.push({
+      role: match[1].toLowerCase(),
+      timestamp: match[2],
+      content: match[3].trim()
+    });
+  }
+
+  return messages;
+}
+
+/**
+ * Parse a session file of any version
+ *
+ * @param {string} content
+ * @returns {{ version: number, data: object, body: string, summary: object|null, messages: Array<object> }}
+ */
+export function parseSessionFile(content) {
+  const { yaml, body } = splitFrontmatter(content);
+  if (yaml === null) {
+    return { version: 1, data: {}, body, summary: null, messages: [] };
+  }
+
+  const version = detectFormatVersion(yaml);
+  if (version >= 2) {
+    const { summary, rest } = parseSummary(body);
+    return { version, data: parseFrontmatterYaml(yaml), body, summary, messages: parseMessages(rest) };
+  }
+
+  return { version, data: parseLegacyFrontmatter(yaml), body, summary: null, messages: parseLegacyMessages(body) };
+}
+
+export default {
+  SESSION_FORMAT_VERSION,
+  splitFrontmatter,
+  detectFormatVersion,
+  stringifyFrontmatter,
+  parseFrontmatterYaml,
+  parseLegacyFrontmatter,
+  renderToolCallout,
+  renderPermissionCallout,
+  serializeSummary,
+  parseSummary,
+  serializeMessages,
+  parseMessages,
+  parseLegacyMessages,
+  parseSessionFile
+};
@@ -0,0 +1,182 @@
+/**
+ * Session Format Tests
+ *
+ * Run with: node --test lib/session-format.test.js
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import {
+  SESSION_FORMAT_VERSION,
+  stringifyFrontmatter,
+  serializeMessages,
+  renderToolCallout,
+  serializeSummary,
+  parseMessages,
+  parseSessionFile
+} from './session-format.js';
+
+const trickyContent = `Here is a plan:
+
+---
+
+## Step 1
+
+### User | 2025-12-07T04:39:47Z
+
+<!-- message {"id":"fake","role":"user"} -->
+
+Indented code:
+
+    const x = 1;
+<!-- /message fake -->
+`;
+
+describe('session format', () => {
+  test('round-trips arbitrary markdown and message metadata', () => {
+    const messages = [
+      { id: 'a', role: 'user', timestamp: '2025-12-07T04:39:47.485Z', content: 'Question?' },
+      {
+        id: 'b',
+        role: 'assistant',
+        timestamp: '2025-12-07T04:39:48.123Z',
+        content: trickyContent,
+        toolCalls: [{ name: 'Bash', input: { command: 'echo "-->"' } }]
+      }
+    ];
+
+    const parsed = parseMessages(`## Conversation\n\n${serializeMessages(messages)}`);
+
+    assert.deepStrictEqual(parsed, messages);
+  });
+
+  test('renders tool calls and permission decisions as collapsed callouts', () => {
+    const messages = [{
+      id: 'c',
+      role: 'assistant',
+      timestamp: '2025-12-07T04:39:48.123Z',
+      content: 'Done.',
+      toolCalls: [{
+        id: 'toolu_1',
+        name: 'Bash',
+        input: { command: 'cat session.md' },
+        result: {
+          content: '<!-- message {"id":"x","role":"user"} -->\n```\nfenced\n```',
+          isError: false,
+          truncated: true,
+          length: 5000
+        }
+      }],
+      permissions: [{ toolName: 'Write', filePath: 'notes/a.md', decision: 'denied', timestamp: '2025-12-07T04:39:47Z' }]
+    }];
+
+    const md = serializeMessages(messages);
+
+    assert.match(md, /^> \[!tool\]- Bash: `cat session\.md`$/m);
+    assert.match(md, /^> \[!failure\]- Permission denied: Write `notes\/a\.md`$/m);
+    assert.match(md, /^> \*\*Result\*\* \(first \d+ of 5000 characters\)$/m);
+    assert.match(md, /^> ````$/m);
+    // Callouts are display only - the marker JSON is what gets parsed back
+    assert.deepStrictEqual(parseMessages(md), messages);
+  });
+
+  test('embeds attachments below the message', () => {
+    const messages = [{
+      id: 'd',
+      role: 'user',
+      timestamp: '2025-12-07T04:39:47Z',
+      content: 'What is this?',
+      attachments: [{ name: 'photo.png', path: 'agent-sessions/a/attachments/photo.png', mimeType: 'image/png', size: 8 }]
+    }];
+
+    const md = serializeMessages(messages);
+
+    assert.match(md, /<!-- \/message d -->\n\n!\[\[agent-sessions\/a\/attachments\/photo\.png\]\]\n/);
+    assert.deepStrictEqual(parseMessages(md), messages);
+  });
+
+  test('titles tool callouts without a known input field by name only', () => {
+    const callout = renderToolCallout({ name: 'TodoWrite', input: { todos: [] } });
+    assert.strictEqual(callout.split('\n')[0], '> [!tool]- TodoWrite');
+  });
+
+  test('reads the summary section separately from the messages', () => {
+    const summary = { throughMessageId: 'a', messageCount: 1, updatedAt: '2025-12-07T04:40:00Z', content: '- Goal: write\n\n## Notes' };
+    const body = `# Chat\n\n${serializeSummary(summary)}## Conversation\n\n${serializeMessages([
+      { id: 'b', role: 'user', timestamp: '2025-12-07T04:41:00Z', content: 'Next' }
+    ])}`;
+
+    const parsed = parseSessionFile(`---\nformat_version: 2\nsession_id: "s"\n---\n\n${body}`);
+
+    assert.deepStrictEqual(parsed.summary, summary);
+    assert.deepStrictEqual(parsed.messages.map(m => m.id), ['b']);
+    assert.strictEqual(serializeSummary(null), '');
+  });
+
+  test('treats a summary marker inside a message as content', () => {
+    const messages = [
+      { id: 'a', role: 'user', timestamp: '2025-12-07T04:40:00Z', content: 'How are summaries stored?' },
+      { id: 'b', role: 'assistant', timestamp: '2025-12-07T04:41:00Z', content: 'Like this:\n\n<!-- summary {"messageCount":1} -->\n\nText\n\n<!-- /summary -->' },
+      { id: 'c', role: 'user', timestamp: '2025-12-07T04:42:00Z', content: 'Thanks' }
+    ];
+    const body = `# Chat\n\n## Conversation\n\n${serializeMessages(messages)}`;
+
+    const parsed = parseSessionFile(`---\nformat_version: 2\nsession_id: "s"\n---\n\n${body}`);
+
+    assert.strictEqual(parsed.summary, null);
+    assert.deepStrictEqual(parsed.messages, messages);
+  });
+
+  test('writes frontmatter that survives quotes and newlines', () => {
+    const yaml = stringifyFrontmatter({
+      format_version: SESSION_FORMAT_VERSION,
+      session_id: 'abc',
+      title: 'He said "hi": twice\nreally',
+      archived: false,
+      context: { documentPath: 'notes/a.md' },
+      skipped: undefined
+    });
+
+    const { version, data } = parseSessionFile(`---\n${yaml}\n---\n\n# Title\n`);
+
+    assert.strictEqual(version, SESSION_FORMAT_VERSION);
+    assert.strictEqual(data.title, 'He said "hi": twice\nreally');
+    assert.strictEqual(data.archived, false);
+    assert.deepStrictEqual(data.context, { documentPath: 'notes/a.md' });
+    assert.ok(!('skipped' in data));
+  });
+
+  test('reads version 1 files without truncating rules and headings', () => {
+    const v1 = `---
+session_id: "abc"
+title: "Say "hello""
+context: {"documentPath":"notes/a.md"}
+---
+
+# Chat
+
+## Conversation
+
+### User | 2025-12-07T04:39:47.485Z
+
+Hi
+
+### Assistant | 2025-12-07T04:39:48Z
+
+Above
+
+---
+
+## Below
+
+`;
+
+    const { version, data, messages } = parseSessionFile(v1);
+
+    assert.strictEqual(version, 1);
+    assert.strictEqual(data.title, 'Say "hello"');
+    assert.deepStrictEqual(data.context, { documentPath: 'notes/a.md' });
+    assert.strictEqual(messages.length, 2);
+    assert.strictEqual(messages[1].content, 'Above\n\n---\n\n## Below');
+  });
+});
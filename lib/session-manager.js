@@ -12,7 +12,10 @@
  * - Lazy loading: Only session index loaded at startup (lightweight)
  * - Full sessions loaded on-demand from markdown files
  * - SDK sessions are ephemeral; markdown is source of truth
- * - Context injection when SDK sessions expire
+ * - Context injection when SDK sessions expire, led by a rolling summary
+ *   of older turns (see session-summarizer.js)
+ * - File format is versioned (see session-format.js); older files are
+ *   migrated on startup
  */
 
 import fs from 'fs/promises';
@@ -20,6 +23,31 @@ import fsSync from 'fs';
 import path from 'path';
 import { randomUUID } from 'crypto';
 import { generateSessionTitle } from './title-generator.js';
+import { generateSessionSummary } from './session-summarizer.js';
+import { SessionSearchIndex } from './session-search.js';
+import { VaultWatcher } from './vault-watcher.js';
+import { ExportFormat, exportSessionJson, exportSessionHtml } from './session-transfer.js';
+import {
+  SESSION_FORMAT_VERSION,
+  splitFrontmatter,
+  detectFormatVersion,
+  stringifyFrontmatter,
+  parseFrontmatterYaml,
+  parseLegacyFrontmatter,
+  serializeSummary,
+  serializeMessages,
+  parseMessages as parseMessagesV2,
+  parseLegacyMessages,
+  parseSessionFile
+} from './session-format.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Per-agent folder that retention moves archived sessions into, by month
+const ARCHIVE_DIR = 'archive';
+
+// Bump when the shape of index entries changes to discard old caches
+const INDEX_CACHE_VERSION = 1;
 
 /**
  * Session resumption info returned to caller for debugging/visibility
@@ -32,6 +60,7 @@ export class SessionResumeInfo {
     this.sdkResumeFailed = false;
     this.contextInjected = false;
     this.messagesInjected = 0;     // How many messages were injected as context
+    this.summaryInjected = false;  // Was the rolling summary injected ahead of them?
     this.tokensEstimate = 0;       // Rough token estimate for injected context
     this.previousMessageCount = 0; // Total messages in session history
     this.loadedFromDisk = false;   // Was session loaded from markdown file?
@@ -46,6 +75,7 @@ export class SessionResumeInfo {
       sdkResumeFailed: this.sdkResumeFailed,
       contextInjected: this.contextInjected,
       messagesInjected: this.messagesInjected,
+      summaryInjected: this.summaryInjected,
       tokensEstimate: this.tokensEstimate,
       previousMessageCount: this.previousMessageCount,
       loadedFromDisk: this.loadedFromDisk,
@@ -75,6 +105,18 @@ export class SessionManager {
     // Lightweight index: id -> { filePath, agentPath, lastAccessed, archived }
     this.sessionIndex = new Map();
 
+    // Every markdown file the index has seen: filePath -> { mtimeMs, size, entry }
+    // (entry is null for files that aren't sessions). Persisted so startup
+    // only parses files that changed; also tells our own writes apart from
+    // changes made by sync.
+    this.indexedFiles = new Map();
+    this.indexCachePath = path.join(this.sessionsPath, '.index-cache.json');
+    this.indexCacheDelayMs = 5000;
+    this.indexCacheTimer = null;
+
+    // Watches agent-sessions/ for files added or changed by sync
+    this.watcher = null;
+
     // Full sessions loaded on-demand (LRU cache behavior)
     this.loadedSessions = new Map();
 
@@ -84,6 +126,21 @@ export class SessionManager {
     // Cache settings
     this.cacheMaxAge = 30 * 60 * 1000; // 30 minutes
     this.contextTokenBudget = 50000;   // ~50k tokens for context injection
+
+    // Rolling summary: once unsummarized history passes the trigger, older
+    // turns are folded into the summary, keeping the most recent verbatim
+    this.summaryTriggerTokens = 30000;
+    this.summaryKeepTokens = 10000;
+    this.generateSummary = generateSessionSummary;
+    this.summarizing = new Set(); // Session keys with an update in flight
+
+    // Full-text search, built on first search and kept current by saveSession
+    this.searchIndex = new SessionSearchIndex();
+    this.searchIndexBuild = null;
+    this.searchIndexBuilt = false;
+
+    // Log of actions taken by retention policies (see applyRetention)
+    this.retentionLogPath = path.join(this.sessionsPath, '.retention-log.jsonl');
   }
 
   /**
@@ -93,51 +150,60 @@ export class SessionManager {
     // Ensure new directory exists
     await fs.mkdir(this.sessionsPath, { recursive: true });
 
+    const cache = await this.loadIndexCache();
+
+    // Bring older session files up to the current format
+    const migrated = await this.migrateSessionFiles(cache);
+    if (migrated > 0) {
+      console.log(`[SessionManager] Migrated ${migrated} sessions to format v${SESSION_FORMAT_VERSION}`);
+    }
+
     // Build lightweight index from files (including legacy paths for migration)
-    await this.buildSessionIndex();
-    console.log(`[SessionManager] Indexed ${this.sessionIndex.size} sessions (lazy load enabled)`);
+    const { cached, parsed } = await this.buildSessionIndex(cache);
+    if (parsed > 0 || cache.size !== this.indexedFiles.size) {
+      await this.saveIndexCache();
+    }
+    console.log(`[SessionManager] Indexed ${this.sessionIndex.size} sessions (${cached} files from cache, ${parsed} parsed; lazy load enabled)`);
   }
 
   /**
    * Build lightweight session index from markdown files
    * Only extracts frontmatter, not full message content
    * Indexes from new path + legacy paths for migration
+   *
+   * @param {Map} cache - Persisted index cache (see loadIndexCache)
+   * @returns {Promise<{ cached: number, parsed: number }>} File counts
    */
-  async buildSessionIndex() {
-    // Index from new unified path
-    try {
-      await this.indexSessionsFromDir(this.sessionsPath);
-    } catch (e) {
-      // Directory may not exist yet
-    }
+  async buildSessionIndex(cache = new Map()) {
+    const counts = { cached: 0, parsed: 0 };
 
-    // Also index from legacy paths for migration
-    try {
-      await this.indexSessionsFromDir(this.legacyChatsPath);
-    } catch (e) {
-      // Legacy directory may not exist
-    }
-    try {
-      await this.indexSessionsFromDir(this.legacyLogsPath);
-    } catch (e) {
-      // Legacy directory may not exist
+    // Index from new unified path, then legacy paths for migration
+    // (missing directories are skipped)
+    for (const dir of [this.sessionsPath, this.legacyChatsPath, this.legacyLogsPath]) {
+      await this.indexSessionsFromDir(dir, cache, counts);
     }
+
+    return counts;
   }
 
   /**
    * Recursively index sessions from a directory
    */
-  async indexSessionsFromDir(dir) {
+  async indexSessionsFromDir(dir, cache = new Map(), counts = { cached: 0, parsed: 0 }) {
     try {
       const entries = await fs.readdir(dir, { withFileTypes: true });
 
       for (const entry of entries) {
         const fullPath = path.join(dir, entry.name);
 
+        // Skip dot-directories (e.g. migration backups)
+        if (entry.name.startsWith('.')) continue;
+
         if (entry.isDirectory()) {
-          await this.indexSessionsFromDir(fullPath);
+          await this.indexSessionsFromDir(fullPath, cache, counts);
         } else if (entry.name.endsWith('.md')) {
-          await this.indexSessionFromFile(fullPath);
+          const fromCache = await this.indexSessionFromFile(fullPath, cache);
+          counts[fromCache ? 'cached' : 'parsed']++;
         }
       }
     } catch (e) {
@@ -146,17 +212,33 @@ export class SessionManager {
   }
 
   /**
-   * Add a session to the index (lightweight - just frontmatter)
+   * Add a session to the index (lightweight - just frontmatter). Files whose
+   * mtime and size match the cache aren't read at all.
+   *
+   * @param {string} filePath
+   * @param {Map} cache - vault-relative path -> { mtimeMs, size, entry }
+   * @returns {Promise<boolean>} Whether the cached entry was used
    */
-  async indexSessionFromFile(filePath) {
+  async indexSessionFromFile(filePath, cache = null) {
     try {
+      const stats = await fs.stat(filePath);
+      const cached = cache?.get(path.relative(this.vaultPath, filePath));
+
+      if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+        this.addIndexEntry(filePath, stats, cached.entry ? { ...cached.entry, filePath } : null);
+        return true;
+      }
+
       const content = await fs.readFile(filePath, 'utf-8');
       const matter = this.parseFrontmatter(content);
 
-      if (!matter.data.session_id) return;
+      if (!matter.data.session_id) {
+        this.addIndexEntry(filePath, stats, null);
+        return false;
+      }
 
       // Only store lightweight index data
-      this.sessionIndex.set(matter.data.session_key, {
+      this.addIndexEntry(filePath, stats, {
         id: matter.data.session_id,
         key: matter.data.session_key,
         filePath,
@@ -166,14 +248,214 @@ export class SessionManager {
         createdAt: matter.data.created_at,
         lastAccessed: matter.data.last_accessed,
         archived: matter.data.archived === 'true' || matter.data.archived === true,
+        archivedAt: matter.data.archived_at || null,
         sdkSessionId: this.validateSdkSessionId(matter.data.sdk_session_id),
         workingDirectory: matter.data.working_directory || null,
+        parentSessionId: matter.data.parent_session_id || null,
+        forkedFromMessageId: matter.data.forked_from_message_id || null,
+        importedFrom: matter.data.imported_from || null,
+        externalId: matter.data.external_id || null,
+        handoffs: matter.data.handoffs || [],
         // Don't load messages - that's the heavy part
-        messageCount: (content.match(/### (User|Assistant|System) \|/g) || []).length
+        messageCount: matter.version >= 2
+          ? parseInt(matter.data.message_count, 10) || 0
+          : (content.match(/### (User|Assistant|System) \|/g) || []).length
       });
     } catch (e) {
       console.error(`[SessionManager] Error indexing ${filePath}:`, e.message);
     }
+    return false;
+  }
+
+  /**
+   * Record an indexed file and, if it's a session, its index entry
+   */
+  addIndexEntry(filePath, stats, entry) {
+    this.indexedFiles.set(filePath, { mtimeMs: stats.mtimeMs, size: stats.size, entry });
+    if (!entry) return;
+
+    // Two files claiming one session (e.g. the copy a cleared session was
+    // renamed to): the most recently used one wins
+    const existing = this.sessionIndex.get(entry.key);
+    if (existing && existing.filePath !== filePath &&
+        String(existing.lastAccessed) > String(entry.lastAccessed)) {
+      return;
+    }
+    this.sessionIndex.set(entry.key, entry);
+  }
+
+  /**
+   * Read the persisted index cache (ignored if from another cache version)
+   *
+   * @returns {Promise<Map>} vault-relative path -> { mtimeMs, size, entry }
+   */
+  async loadIndexCache() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.indexCachePath, 'utf-8'));
+      if (data.version !== INDEX_CACHE_VERSION || data.formatVersion !== SESSION_FORMAT_VERSION) {
+        return new Map();
+      }
+      return new Map(Object.entries(data.files || {}));
+    } catch (e) {
+      return new Map(); // No cache yet, or unreadable
+    }
+  }
+
+  /**
+   * Write the index cache now
+   */
+  async saveIndexCache() {
+    clearTimeout(this.indexCacheTimer);
+    this.indexCacheTimer = null;
+
+    const files = {};
+    for (const [filePath, { mtimeMs, size, entry }] of this.indexedFiles) {
+      files[path.relative(this.vaultPath, filePath)] = {
+        mtimeMs,
+        size,
+        entry: entry ? { ...entry, filePath: undefined } : null
+      };
+    }
+
+    try {
+      const data = { version: INDEX_CACHE_VERSION, formatVersion: SESSION_FORMAT_VERSION, files };
+      await fs.writeFile(this.indexCachePath, JSON.stringify(data), 'utf-8');
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        console.error('[SessionManager] Failed to write index cache:', e.message);
+      }
+    }
+  }
+
+  /**
+   * Write the index cache shortly, batching saves that come in quick succession
+   */
+  scheduleIndexCacheSave() {
+    if (this.indexCacheTimer) return;
+    this.indexCacheTimer = setTimeout(() => this.saveIndexCache(), this.indexCacheDelayMs);
+    this.indexCacheTimer.unref();
+  }
+
+  /**
+   * Remember the stat of a file we just wrote, so the watcher knows the
+   * change was ours
+   */
+  async recordFileWrite(filePath, entry) {
+    try {
+      const stats = await fs.stat(filePath);
+      this.indexedFiles.set(filePath, { mtimeMs: stats.mtimeMs, size: stats.size, entry });
+    } catch (e) {
+      this.indexedFiles.delete(filePath);
+    }
+    this.scheduleIndexCacheSave();
+  }
+
+  /**
+   * Forget a file we deleted or moved away
+   */
+  recordFileRemoval(filePath) {
+    if (this.indexedFiles.delete(filePath)) {
+      this.scheduleIndexCacheSave();
+    }
+  }
+
+  /**
+   * Watch agent-sessions/ for session files added, changed or deleted
+   * outside the server (e.g. by Obsidian Sync) and keep the index current
+   */
+  startWatching() {
+    if (this.watcher) return;
+
+    this.watcher = new VaultWatcher(this.sessionsPath, { ignoredDirs: [] });
+    const refresh = (relativePath) => {
+      this.refreshSessionFile(path.join(this.sessionsPath, relativePath)).catch(err => {
+        console.error(`[SessionManager] Error refreshing ${relativePath}:`, err.message);
+      });
+    };
+    this.watcher.on('change', refresh);
+    this.watcher.on('remove', refresh);
+
+    try {
+      this.watcher.start();
+    } catch (e) {
+      console.warn('[SessionManager] Session watcher unavailable, external changes need a restart:', e.message);
+      this.watcher = null;
+    }
+  }
+
+  /**
+   * Stop watching agent-sessions/
+   */
+  stopWatching() {
+    if (this.watcher) {
+      this.watcher.stop();
+      this.watcher = null;
+    }
+  }
+
+  /**
+   * Bring the index in line with a session file that changed on disk.
+   * Our own writes are recognized by their recorded mtime and size.
+   *
+   * @param {string} filePath - Absolute path
+   * @returns {Promise<boolean>} Whether the index changed
+   */
+  async refreshSessionFile(filePath) {
+    const known = this.indexedFiles.get(filePath);
+    let stats = null;
+    try {
+      stats = await fs.stat(filePath);
+    } catch (e) {
+      // Deleted or renamed away
+    }
+
+    if (!stats) {
+      if (!known) return false;
+      this.indexedFiles.delete(filePath);
+      if (known.entry) this.dropIndexedSession(known.entry.key, filePath);
+      this.scheduleIndexCacheSave();
+      console.log(`[SessionManager] Session file removed externally: ${path.relative(this.vaultPath, filePath)}`);
+      return true;
+    }
+
+    if (known && known.mtimeMs === stats.mtimeMs && known.size === stats.size) return false;
+
+    await this.indexSessionFromFile(filePath);
+    const entry = this.indexedFiles.get(filePath)?.entry;
+
+    // The file now belongs to a different session (or none)
+    if (known?.entry && known.entry.key !== entry?.key) {
+      this.dropIndexedSession(known.entry.key, filePath);
+    }
+
+    if (entry && this.sessionIndex.get(entry.key)?.filePath === filePath) {
+      // Replace a stale in-memory copy, and re-index it for search
+      const wasLoaded = this.loadedSessions.has(entry.key);
+      if (wasLoaded || this.searchIndexBuilt) {
+        const session = await this.loadSessionFromFile(filePath);
+        if (session && this.searchIndexBuilt) this.searchIndex.indexSession(session);
+        if (!wasLoaded) this.loadedSessions.delete(entry.key);
+      }
+    }
+
+    this.scheduleIndexCacheSave();
+    console.log(`[SessionManager] Session file changed externally: ${path.relative(this.vaultPath, filePath)}`);
+    return true;
+  }
+
+  /**
+   * Remove a session whose file is gone from the index
+   */
+  dropIndexedSession(key, filePath) {
+    const index = this.sessionIndex.get(key);
+    if (!index || index.filePath !== filePath) return;
+
+    this.sessionIndex.delete(key);
+    this.searchIndex.removeSession(index.id);
+    // A session with a live SDK query keeps its in-memory copy
+    if (!this.activeSessions.has(key)) {
+      this.loadedSessions.delete(key);
+    }
   }
 
   /**
@@ -221,10 +503,11 @@ export class SessionManager {
    * Parse a session from markdown format
    */
   parseSessionMarkdown(content, filePath) {
-    const matter = this.parseFrontmatter(content);
+    const matter = parseSessionFile(content);
     if (!matter.data.session_id) return null;
 
-    const messages = this.parseMessages(matter.body);
+    // Messages from version 1 files have no IDs yet
+    const messages = matter.messages.map(msg => (msg.id ? msg : { id: randomUUID(), ...msg }));
 
     // Validate sdkSessionId when loading from file
     const rawSdkId = matter.data.sdk_session_id;
@@ -242,70 +525,141 @@ export class SessionManager {
       createdAt: matter.data.created_at,
       lastAccessed: matter.data.last_accessed,
       archived: matter.data.archived === 'true' || matter.data.archived === true,
-      workingDirectory: matter.data.working_directory || null
+      archivedAt: matter.data.archived_at || null,
+      workingDirectory: matter.data.working_directory || null,
+      parentSessionId: matter.data.parent_session_id || null,
+      forkedFromMessageId: matter.data.forked_from_message_id || null,
+      forkedAt: matter.data.forked_at || null,
+      importedFrom: matter.data.imported_from || null,
+      externalId: matter.data.external_id || null,
+      importedAt: matter.data.imported_at || null,
+      handoffs: matter.data.handoffs || [],
+      summary: matter.summary,
+      formatVersion: matter.version
     };
   }
 
   /**
-   * Parse frontmatter from markdown
+   * Parse frontmatter from markdown (any format version)
+   * Returns { data, body, version }
    */
   parseFrontmatter(content) {
-    const match = content.match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/);
-    if (!match) {
-      return { data: {}, body: content };
-    }
-
-    const yamlStr = match[1];
-    const body = match[2];
-
-    // Simple YAML parser for our use case
-    const data = {};
-    for (const line of yamlStr.split('\n')) {
-      const colonIdx = line.indexOf(':');
-      if (colonIdx > 0) {
-        const key = line.slice(0, colonIdx).trim();
-        let value = line.slice(colonIdx + 1).trim();
-
-        // Handle quoted strings
-        if ((value.startsWith('"') && value.endsWith('"')) ||
-            (value.startsWith("'") && value.endsWith("'"))) {
-          value = value.slice(1, -1);
-        }
+    const { yaml, body } = splitFrontmatter(content);
+    if (yaml === null) {
+      return { data: {}, body, version: 1 };
+    }
 
-        // Handle objects (simple case) - but NOT for sdk_session_id which should stay as string
-        if (key !== 'sdk_session_id' && (value === '' || value === '{}')) {
-          value = {};
-        }
-        // Keep empty strings as null for sdk_session_id
-        if (key === 'sdk_session_id' && value === '') {
-          value = null;
-        }
+    const version = detectFormatVersion(yaml);
+    const data = version >= 2 ? parseFrontmatterYaml(yaml) : parseLegacyFrontmatter(yaml);
+
+    return { data, body, version };
+  }
+
+  /**
+   * Parse messages from markdown body (current or version 1 layout)
+   */
+  parseMessages(body) {
+    return /^<!-- message \{/m.test(body) ? parseMessagesV2(body) : parseLegacyMessages(body);
+  }
 
-        data[key] = value;
+  /**
+   * Rewrite session files older than the current format version.
+   * Sessions in the legacy agent-chats/ and agent-logs/ folders move into
+   * agent-sessions/. Originals are kept under agent-sessions/.backup-v1/.
+   *
+   * @returns {Promise<number>} Number of migrated sessions
+   */
+  async migrateSessionFiles(cache = new Map()) {
+    const sources = [this.sessionsPath, this.legacyChatsPath, this.legacyLogsPath];
+    const backupRoot = path.join(this.sessionsPath, `.backup-v${SESSION_FORMAT_VERSION - 1}`);
+    let migrated = 0;
+
+    for (const sourceDir of sources) {
+      const files = await this.listMarkdownFiles(sourceDir);
+
+      for (const filePath of files) {
+        try {
+          // Cached files were already current when last indexed
+          const cached = cache.get(path.relative(this.vaultPath, filePath));
+          if (cached) {
+            const stats = await fs.stat(filePath);
+            if (cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) continue;
+          }
+
+          const content = await fs.readFile(filePath, 'utf-8');
+          const { yaml } = splitFrontmatter(content);
+          if (yaml === null || detectFormatVersion(yaml) >= SESSION_FORMAT_VERSION) continue;
+
+          const session = this.parseSessionMarkdown(content, filePath);
+          if (!session) continue;
+
+          const relativePath = path.relative(sourceDir, filePath);
+          const isLegacyDir = sourceDir !== this.sessionsPath;
+          const backupPath = isLegacyDir
+            ? path.join(backupRoot, path.basename(sourceDir), relativePath)
+            : path.join(backupRoot, relativePath);
+
+          if (isLegacyDir) {
+            session.filePath = await this.findFreePath(path.join(this.sessionsPath, relativePath));
+          }
+
+          await fs.mkdir(path.dirname(backupPath), { recursive: true });
+          await fs.writeFile(backupPath, content, 'utf-8');
+
+          await fs.mkdir(path.dirname(session.filePath), { recursive: true });
+          await fs.writeFile(session.filePath, this.sessionToMarkdown(session), 'utf-8');
+          if (session.filePath !== filePath) {
+            await fs.unlink(filePath);
+          }
+
+          migrated++;
+        } catch (e) {
+          console.error(`[SessionManager] Failed to migrate ${filePath}:`, e.message);
+        }
       }
     }
 
-    return { data, body };
+    return migrated;
   }
 
   /**
-   * Parse messages from markdown body
+   * Recursively list markdown files, skipping dot-directories
    */
-  parseMessages(body) {
-    const messages = [];
-    // Match timestamps with or without milliseconds (e.g., 2025-12-07T04:39:47.485Z or 2025-12-07T04:39:47Z)
-    const regex = /### (User|Assistant|System) \| (\d{4}-\d{2}-\d{2}T[\d:.]+Z?)\n\n([\s\S]*?)(?=\n### |\n---|\n## |$)/g;
-
-    let match;
-    while ((match = regex.exec(body)) !== null) {
-      messages.push({
-        role: match[1].toLowerCase(),
-        timestamp: match[2],
-        content: match[3].trim()
-      });
+  async listMarkdownFiles(dir) {
+    const files = [];
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (e) {
+      return files; // Directory doesn't exist
+    }
+
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await this.listMarkdownFiles(fullPath));
+      } else if (entry.name.endsWith('.md')) {
+        files.push(fullPath);
+      }
     }
 
-    return messages;
+    return files;
+  }
+
+  /**
+   * Return filePath, or a suffixed variant if a file already exists there
+   */
+  async findFreePath(filePath) {
+    let candidate = filePath;
+    for (let i = 1; ; i++) {
+      try {
+        await fs.access(candidate);
+      } catch (e) {
+        return candidate;
+      }
+      candidate = filePath.replace(/\.md$/, `-${i}.md`);
+    }
   }
 
   /**
@@ -320,10 +674,14 @@ export class SessionManager {
 
   /**
    * Get the file path for a session
+   *
+   * @param {string} agentPath
+   * @param {object} context
+   * @param {string} createdAt - ISO date for the file name prefix (default today)
    */
-  getSessionFilePath(agentPath, context = {}) {
+  getSessionFilePath(agentPath, context = {}, createdAt = null) {
     const agentName = agentPath.replace('agents/', '').replace('.md', '');
-    const today = new Date().toISOString().split('T')[0];
+    const today = (createdAt || new Date().toISOString()).split('T')[0];
 
     if (context.sessionId) {
       // Plugin session with unique ID
@@ -390,6 +748,7 @@ export class SessionManager {
       context,
       sdkSessionId: null,
       messages: [],
+      summary: null,
       filePath,
       createdAt: new Date().toISOString(),
       lastAccessed: new Date().toISOString(),
@@ -419,25 +778,47 @@ export class SessionManager {
     return { session, resumeInfo };
   }
 
+  /**
+   * Rough token estimate for a message (4 chars/token)
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  /**
+   * Messages not yet covered by a session summary
+   */
+  getUnsummarizedMessages(messages, summary) {
+    if (!summary?.throughMessageId) return messages;
+    const index = messages.findIndex(m => m.id === summary.throughMessageId);
+    // Summarized messages were removed by hand - keep everything
+    return index >= 0 ? messages.slice(index + 1) : messages;
+  }
+
   /**
    * Build context string from message history for injection
-   * Returns { contextString, messagesUsed, tokensEstimate }
+   * The session summary (if any) leads, followed by the newer messages.
+   * Returns { contextString, messagesUsed, tokensEstimate, summaryUsed }
    */
-  buildContextFromHistory(messages) {
+  buildContextFromHistory(messages, summary = null) {
     if (!messages || messages.length === 0) {
-      return { contextString: '', messagesUsed: 0, tokensEstimate: 0 };
+      return { contextString: '', messagesUsed: 0, tokensEstimate: 0, summaryUsed: false };
     }
 
+    const recent = this.getUnsummarizedMessages(messages, summary);
+    const summaryUsed = !!summary?.content;
+
     const contextMessages = [];
-    let estimatedTokens = 0;
+    let estimatedTokens = summaryUsed ? this.estimateTokens(summary.content) : 0;
 
     // Work backwards from most recent
-    for (let i = messages.length - 1; i >= 0; i--) {
-      const msg = messages[i];
-      // Skip system messages (errors, etc.)
-      if (msg.role === 'system') continue;
+    for (let i = recent.length - 1; i >= 0; i--) {
+      const msg = recent[i];
+      // Skip system messages (errors, etc.), but keep handoff notes so
+      // the new agent knows who it took over from
+      if (msg.role === 'system' && !msg.handoff) continue;
 
-      const msgTokens = Math.ceil(msg.content.length / 4); // Rough estimate: 4 chars/token
+      const msgTokens = this.estimateTokens(msg.content);
 
       if (estimatedTokens + msgTokens > this.contextTokenBudget) {
         // Add indicator of omitted messages
@@ -455,15 +836,22 @@ export class SessionManager {
     }
 
     // Format as conversation history
-    const contextString = contextMessages.map(m => {
+    const sections = contextMessages.map(m => {
       const role = m.role.charAt(0).toUpperCase() + m.role.slice(1);
-      return `### ${role}\n${m.content}`;
-    }).join('\n\n');
+      const attached = m.attachments?.length
+        ? `\n\n[Attached: ${m.attachments.map(a => `${a.name} (${a.path})`).join(', ')}]`
+        : '';
+      return `### ${role}\n${m.content}${attached}`;
+    });
+    if (summaryUsed) {
+      sections.unshift(`### Summary of Earlier Conversation\n${summary.content}`);
+    }
 
     return {
-      contextString,
+      contextString: sections.join('\n\n'),
       messagesUsed: contextMessages.filter(m => m.role !== 'system').length,
-      tokensEstimate: estimatedTokens
+      tokensEstimate: estimatedTokens,
+      summaryUsed
     };
   }
 
@@ -494,12 +882,14 @@ export class SessionManager {
 
     // No valid SDK session - inject context from history
     if (session.messages.length > 0) {
-      const { contextString, messagesUsed, tokensEstimate } = this.buildContextFromHistory(session.messages);
+      const { contextString, messagesUsed, tokensEstimate, summaryUsed } =
+        this.buildContextFromHistory(session.messages, session.summary);
 
       if (contextString) {
         resumeInfo.method = 'context_injection';
         resumeInfo.contextInjected = true;
         resumeInfo.messagesInjected = messagesUsed;
+        resumeInfo.summaryInjected = summaryUsed;
         resumeInfo.tokensEstimate = tokensEstimate;
 
         const prompt = `## Previous Conversation\n\n${contextString}\n\n---\n\n## Current Message\n\n${message}`;
@@ -546,7 +936,7 @@ export class SessionManager {
       await fs.writeFile(session.filePath, markdown, 'utf-8');
 
       // Update index
-      this.sessionIndex.set(session.key, {
+      const entry = {
         id: session.id,
         key: session.key,
         filePath: session.filePath,
@@ -555,10 +945,22 @@ export class SessionManager {
         createdAt: session.createdAt,
         lastAccessed: session.lastAccessed,
         archived: session.archived,
+        archivedAt: session.archivedAt || null,
         sdkSessionId: session.sdkSessionId,
         messageCount: session.messages.length,
-        workingDirectory: session.workingDirectory
-      });
+        workingDirectory: session.workingDirectory,
+        parentSessionId: session.parentSessionId || null,
+        forkedFromMessageId: session.forkedFromMessageId || null,
+        importedFrom: session.importedFrom || null,
+        externalId: session.externalId || null,
+        handoffs: session.handoffs || []
+      };
+      this.sessionIndex.set(session.key, entry);
+      await this.recordFileWrite(session.filePath, entry);
+
+      if (this.searchIndexBuilt) {
+        this.searchIndex.syncSession(session);
+      }
 
       console.log(`[SessionManager] Saved session to ${session.filePath}`);
     } catch (e) {
@@ -586,58 +988,49 @@ export class SessionManager {
   }
 
   /**
-   * Convert session to markdown format
+   * Convert session to markdown format (current format version)
    */
   sessionToMarkdown(session) {
     const agentName = session.agentPath.replace('agents/', '').replace('.md', '');
 
-    // Validate sdkSessionId before saving
-    const validatedSdkId = this.validateSdkSessionId(session.sdkSessionId) || '';
-
-    // Serialize context if it has values
-    const contextYaml = Object.keys(session.context || {}).length > 0
-      ? `context: ${JSON.stringify(session.context)}`
-      : '';
-
-    // Title line - only include if we have a title
-    const titleYaml = session.title ? `title: "${session.title}"` : '';
-
-    // Working directory line - only include if set
-    const workingDirYaml = session.workingDirectory ? `working_directory: "${session.workingDirectory}"` : '';
+    const frontmatter = stringifyFrontmatter({
+      format_version: SESSION_FORMAT_VERSION,
+      session_id: session.id,
+      session_key: session.key,
+      agent: session.agentPath,
+      agent_name: agentName,
+      title: session.title || undefined,
+      type: 'chat',
+      created_at: session.createdAt,
+      last_accessed: session.lastAccessed,
+      // Validate sdkSessionId before saving
+      sdk_session_id: this.validateSdkSessionId(session.sdkSessionId) || '',
+      archived: session.archived || false,
+      archived_at: session.archivedAt || undefined,
+      message_count: session.messages.length,
+      working_directory: session.workingDirectory || undefined,
+      context: Object.keys(session.context || {}).length > 0 ? session.context : undefined,
+      parent_session_id: session.parentSessionId || undefined,
+      forked_from_message_id: session.forkedFromMessageId || undefined,
+      forked_at: session.forkedAt || undefined,
+      imported_from: session.importedFrom || undefined,
+      external_id: session.externalId || undefined,
+      imported_at: session.importedAt || undefined,
+      handoffs: session.handoffs?.length ? session.handoffs : undefined
+    });
 
     // Use title for heading if available, otherwise default
-    const heading = session.title || `Chat with ${agentName}`;
-
-    let md = `---
-session_id: "${session.id}"
-session_key: "${session.key}"
-agent: "${session.agentPath}"
-agent_name: "${agentName}"
-${titleYaml}
-type: chat
-created_at: "${session.createdAt}"
-last_accessed: "${session.lastAccessed}"
-sdk_session_id: "${validatedSdkId}"
-archived: ${session.archived || false}
-${workingDirYaml}
-${contextYaml}
----
-
-# ${heading}
-
-`;
+    const heading = (session.title || `Chat with ${agentName}`).replace(/\s*\n\s*/g, ' ');
+
+    let md = `---\n${frontmatter}\n---\n\n# ${heading}\n\n`;
 
     if (session.context?.documentPath) {
       md += `> Context: [[${session.context.documentPath}]]\n\n`;
     }
 
+    md += serializeSummary(session.summary);
     md += `## Conversation\n\n`;
-
-    for (const msg of session.messages) {
-      const role = msg.role.charAt(0).toUpperCase() + msg.role.slice(1);
-      const timestamp = msg.timestamp || new Date().toISOString();
-      md += `### ${role} | ${timestamp}\n\n${msg.content}\n\n`;
-    }
+    md += serializeMessages(session.messages);
 
     return md;
   }
@@ -658,14 +1051,21 @@ ${contextYaml}
 
   /**
    * Add a message to session history
+   *
+   * @param {string} sessionKey
+   * @param {string} role - user, assistant or system
+   * @param {string} content - Markdown content
+   * @param {object} metadata - Extra fields stored with the message
    */
-  async addMessage(sessionKey, role, content) {
+  async addMessage(sessionKey, role, content, metadata = {}) {
     const session = this.loadedSessions.get(sessionKey);
     if (session) {
       session.messages.push({
+        id: randomUUID(),
         role,
-        content,
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        ...metadata,
+        content
       });
       session.lastAccessed = new Date().toISOString();
       await this.saveSession(session);
@@ -706,7 +1106,10 @@ ${contextYaml}
 
     // Generate title using Haiku
     try {
-      const title = await generateSessionTitle(session.messages, agentName);
+      const title = await generateSessionTitle(session.messages, agentName, {
+        sessionId: session.id,
+        agentPath: session.agentPath
+      });
       if (title) {
         session.title = title;
         await this.saveSession(session);
@@ -720,6 +1123,62 @@ ${contextYaml}
     return null;
   }
 
+  /**
+   * Fold older turns into the session's rolling summary once the
+   * unsummarized history grows past summaryTriggerTokens. The most recent
+   * summaryKeepTokens worth of messages stay verbatim. Called after each
+   * turn; the previous summary (including hand edits) is extended, not
+   * regenerated from scratch.
+   *
+   * @param {string} sessionKey - The session key
+   * @param {string} agentName - The agent name for summary context
+   * @returns {Promise<object|null>} - Updated summary, or null if not needed
+   */
+  async maybeUpdateSummary(sessionKey, agentName) {
+    const session = this.loadedSessions.get(sessionKey);
+    if (!session || this.summarizing.has(sessionKey)) return null;
+
+    const pending = this.getUnsummarizedMessages(session.messages, session.summary)
+      .filter(m => m.role !== 'system');
+    const pendingTokens = pending.reduce((sum, m) => sum + this.estimateTokens(m.content), 0);
+    if (pendingTokens <= this.summaryTriggerTokens) return null;
+
+    // Keep the newest messages verbatim, summarize the rest
+    let keptTokens = 0;
+    let cut = pending.length;
+    while (cut > 0 && keptTokens + this.estimateTokens(pending[cut - 1].content) <= this.summaryKeepTokens) {
+      cut--;
+      keptTokens += this.estimateTokens(pending[cut].content);
+    }
+    const toSummarize = pending.slice(0, cut);
+    if (toSummarize.length === 0) return null;
+
+    this.summarizing.add(sessionKey);
+    try {
+      const content = await this.generateSummary(session.summary?.content || null, toSummarize, agentName, {
+        sessionId: session.id,
+        agentPath: session.agentPath
+      });
+      if (!content) return null;
+
+      const through = toSummarize[toSummarize.length - 1];
+      session.summary = {
+        throughMessageId: through.id,
+        messageCount: session.messages.indexOf(through) + 1,
+        updatedAt: new Date().toISOString(),
+        content
+      };
+      await this.saveSession(session);
+      console.log(`[SessionManager] Updated summary for ${sessionKey} (through message ${session.summary.messageCount})`);
+      return session.summary;
+    } catch (error) {
+      console.error(`[SessionManager] Error updating summary:`, error.message);
+      return null;
+    } finally {
+      this.summarizing.delete(sessionKey);
+    }
+  }
+
   /**
    * Get message history for a session
    */
@@ -753,6 +1212,7 @@ ${contextYaml}
         const archivePath = session.filePath.replace('.md', `-${Date.now()}.md`);
         try {
           await fs.rename(session.filePath, archivePath);
+          this.recordFileRemoval(session.filePath);
         } catch (e) {
           // Ignore if file doesn't exist
         }
@@ -761,6 +1221,7 @@ ${contextYaml}
       // Reset session
       session.sdkSessionId = null;
       session.messages = [];
+      session.summary = null;
       session.lastAccessed = new Date().toISOString();
       session.filePath = this.getSessionFilePath(agentPath, context);
 
@@ -789,16 +1250,68 @@ ${contextYaml}
     if (session?.filePath) {
       try {
         await fs.unlink(session.filePath);
+        this.recordFileRemoval(session.filePath);
       } catch (e) {
         // Ignore if file doesn't exist
       }
     }
 
+    const indexed = this.sessionIndex.get(key);
+    if (indexed) this.searchIndex.removeSession(indexed.id);
+
     this.loadedSessions.delete(key);
     this.sessionIndex.delete(key);
     console.log(`[SessionManager] Deleted session: ${key}`);
   }
 
+  /**
+   * Build the search index from every session file (once). Loaded
+   * sessions are indexed from memory, the rest read from disk without
+   * being cached.
+   */
+  async ensureSearchIndex() {
+    if (this.searchIndexBuilt) return;
+    if (!this.searchIndexBuild) {
+      this.searchIndexBuild = (async () => {
+        const startTime = Date.now();
+        for (const [key, index] of this.sessionIndex) {
+          let session = this.loadedSessions.get(key);
+          if (!session) {
+            try {
+              const content = await fs.readFile(index.filePath, 'utf-8');
+              session = this.parseSessionMarkdown(content, index.filePath);
+            } catch (e) {
+              console.error(`[SessionManager] Error indexing ${index.filePath} for search:`, e.message);
+            }
+          }
+          // Prefer a copy that was loaded (and maybe changed) meanwhile
+          session = this.loadedSessions.get(key) || session;
+          if (session) this.searchIndex.indexSession(session);
+        }
+        this.searchIndexBuilt = true;
+        console.log(`[SessionManager] Built search index for ${this.searchIndex.sessions.size} sessions in ${Date.now() - startTime}ms`);
+      })().finally(() => {
+        this.searchIndexBuild = null;
+      });
+    }
+    await this.searchIndexBuild;
+  }
+
+  /**
+   * Full-text search over session titles and messages
+   *
+   * @param {string} query
+   * @param {object} filters - See SessionSearchIndex.search
+   * @returns {Promise<Array<object>>} Ranked sessions with highlighted snippets
+   */
+  async searchSessions(query, filters = {}) {
+    await this.ensureSearchIndex();
+    return this.searchIndex.search(query, filters).map(result => ({
+      ...result,
+      agentName: result.agentPath.replace('agents/', '').replace('.md', '')
+    }));
+  }
+
   /**
    * List all sessions (from index - lightweight)
    */
@@ -819,7 +1332,12 @@ ${contextYaml}
         lastAccessed: s.lastAccessed,
         filePath: s.filePath.replace(this.vaultPath + '/', ''),
         archived: s.archived || false,
+        archivedAt: s.archivedAt || null,
         workingDirectory: s.workingDirectory || null,
+        parentSessionId: s.parentSessionId || null,
+        forkedFromMessageId: s.forkedFromMessageId || null,
+        importedFrom: s.importedFrom || null,
+        handoffs: s.handoffs || [],
         // Include context info for session routing
         context: contextSessionId && contextSessionId !== 'default'
           ? { sessionId: contextSessionId }
@@ -878,7 +1396,8 @@ ${contextYaml}
     const session = await this.getSessionByIdAsync(sessionId);
     if (session) {
       session.archived = true;
-      session.lastAccessed = new Date().toISOString();
+      session.archivedAt = new Date().toISOString();
+      session.lastAccessed = session.archivedAt;
       await this.saveSession(session);
       console.log(`[SessionManager] Archived session: ${sessionId}`);
       return true;
@@ -893,7 +1412,13 @@ ${contextYaml}
     const session = await this.getSessionByIdAsync(sessionId);
     if (session) {
       session.archived = false;
+      session.archivedAt = null;
       session.lastAccessed = new Date().toISOString();
+      // Back out of the archive folder retention may have moved it into
+      if (this.isInArchiveFolder(session.filePath)) {
+        const archiveDir = path.dirname(path.dirname(path.dirname(session.filePath)));
+        await this.moveSessionFile(session, path.join(archiveDir, path.basename(session.filePath)));
+      }
       await this.saveSession(session);
       console.log(`[SessionManager] Unarchived session: ${sessionId}`);
       return true;
@@ -901,6 +1426,242 @@ ${contextYaml}
     return false;
   }
 
+  /**
+   * Chat context that routes back to a session (see getSessionKey)
+   *
+   * @param {object} session
+   * @returns {object} { sessionId } or {} for the default session
+   */
+  getChatContext(session) {
+    const contextKey = session.key.slice(session.agentPath.length + 1);
+    return contextKey && contextKey !== 'default' ? { sessionId: contextKey } : {};
+  }
+
+  /**
+   * Copy the first messages of a session into a new session linked to it.
+   * The fork starts without an SDK session; its history is injected as
+   * context on the first message.
+   *
+   * @param {string} sessionId - Parent session ID
+   * @param {number} messageCount - How many messages to copy (from the start)
+   * @returns {Promise<object|null>} The new session, or null if the parent doesn't exist
+   */
+  async forkSession(sessionId, messageCount) {
+    const parent = await this.getSessionByIdAsync(sessionId);
+    if (!parent) return null;
+
+    const messages = parent.messages.slice(0, messageCount).map(msg => ({ ...msg }));
+    const id = randomUUID();
+    const context = { ...parent.context, sessionId: id };
+    const now = new Date().toISOString();
+
+    const session = {
+      id,
+      key: this.getSessionKey(parent.agentPath, context),
+      agentPath: parent.agentPath,
+      title: parent.title ? `${parent.title} (fork)` : null,
+      context,
+      sdkSessionId: null,
+      messages,
+      summary: this.summaryWithin(parent.summary, messages),
+      filePath: await this.findFreePath(this.getSessionFilePath(parent.agentPath, context)),
+      createdAt: now,
+      lastAccessed: now,
+      archived: false,
+      workingDirectory: parent.workingDirectory || null,
+      parentSessionId: parent.id,
+      forkedFromMessageId: messages.length > 0 ? messages[messages.length - 1].id : null,
+      forkedAt: now
+    };
+
+    this.loadedSessions.set(session.key, session);
+    await this.saveSession(session);
+    console.log(`[SessionManager] Forked session ${parent.id} -> ${id} (${messages.length} messages)`);
+    return session;
+  }
+
+  /**
+   * Drop every message from index `messageCount` on, e.g. before editing or
+   * regenerating. The SDK session still holds the dropped turns, so it is
+   * cleared and the next message resumes by context injection.
+   *
+   * @param {object} session
+   * @param {number} messageCount - How many messages to keep
+   * @returns {Promise<Array<object>>} The removed messages
+   */
+  async truncateSession(session, messageCount) {
+    const removed = session.messages.splice(messageCount);
+    session.sdkSessionId = null;
+    session.summary = this.summaryWithin(session.summary, session.messages);
+    session.lastAccessed = new Date().toISOString();
+    await this.saveSession(session);
+    console.log(`[SessionManager] Truncated session ${session.id} to ${messageCount} messages (${removed.length} removed)`);
+    return removed;
+  }
+
+  /**
+   * Hand a session over to another agent. The session keeps its ID, chat
+   * context and history; its key and file follow the new agent, and the SDK
+   * session is dropped so the new agent's first turn starts from its own
+   * system prompt with the history injected as context.
+   *
+   * @param {object} session
+   * @param {string} toAgentPath - Agent path (or 'vault-agent')
+   * @param {object} options - { reason, initiatedBy: 'user' | 'agent' }
+   * @returns {Promise<object|null>} The handoff record { from, to, reason, initiatedBy, at },
+   *   or null if the new agent already has a session with this chat context
+   */
+  async handoffSession(session, toAgentPath, { reason = null, initiatedBy = 'user' } = {}) {
+    const oldKey = session.key;
+    const key = this.getSessionKey(toAgentPath, this.getChatContext(session));
+    if (this.sessionIndex.has(key) || this.loadedSessions.has(key)) return null;
+
+    if (this.activeSessions.has(oldKey)) {
+      try {
+        this.activeSessions.get(oldKey).close();
+      } catch (e) {
+        // Ignore close errors
+      }
+      this.activeSessions.delete(oldKey);
+    }
+
+    const agentName = toAgentPath.replace('agents/', '').replace('.md', '');
+    await this.moveSessionFile(session, path.join(this.sessionsPath, agentName, path.basename(session.filePath)));
+    this.loadedSessions.delete(oldKey);
+    this.sessionIndex.delete(oldKey);
+
+    const now = new Date().toISOString();
+    const handoff = { from: session.agentPath, to: toAgentPath, reason: reason || null, initiatedBy, at: now };
+    const fromName = session.agentPath.replace('agents/', '').replace('.md', '');
+
+    session.key = key;
+    session.agentPath = toAgentPath;
+    session.sdkSessionId = null;
+    session.handoffs = [...(session.handoffs || []), handoff];
+    session.messages.push({
+      id: randomUUID(),
+      role: 'system',
+      timestamp: now,
+      handoff,
+      content: `Handed off from ${fromName} to ${agentName}${reason ? `: ${reason}` : ''}`
+    });
+    session.lastAccessed = now;
+
+    this.loadedSessions.set(key, session);
+    await this.saveSession(session);
+    console.log(`[SessionManager] Handed off session ${session.id} from ${handoff.from} to ${toAgentPath}`);
+    return handoff;
+  }
+
+  /**
+   * Agent a chat was handed off to. Clients keep sending the agent they
+   * started with; this finds where a session with their chat context went.
+   *
+   * @param {string} agentPath - Agent the client asked for
+   * @param {object} context - Chat context ({ sessionId })
+   * @returns {string|null} The current agent path, or null if not handed off
+   */
+  findHandoffTarget(agentPath, context = {}) {
+    if (!context.sessionId) return null;
+    if (this.sessionIndex.has(this.getSessionKey(agentPath, context))) return null;
+
+    for (const index of this.sessionIndex.values()) {
+      if (index.handoffs?.some(h => h.from === agentPath) &&
+          this.getChatContext(index).sessionId === context.sessionId) {
+        return index.agentPath;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * A summary is only valid for a message list that still contains the
+   * last message it covers
+   */
+  summaryWithin(summary, messages) {
+    if (!summary) return null;
+    return messages.some(m => m.id === summary.throughMessageId) ? { ...summary } : null;
+  }
+
+  /**
+   * Render a session as a self-contained transcript
+   *
+   * @param {string} sessionId
+   * @param {string} format - ExportFormat value
+   * @returns {Promise<{ content: string, contentType: string, extension: string, session: object }|null>}
+   */
+  async exportSession(sessionId, format = ExportFormat.JSON) {
+    const session = await this.getSessionByIdAsync(sessionId);
+    if (!session) return null;
+
+    switch (format) {
+      case ExportFormat.HTML:
+        return { session, content: exportSessionHtml(session), contentType: 'text/html', extension: 'html' };
+      case ExportFormat.MARKDOWN:
+        return { session, content: this.sessionToMarkdown(session), contentType: 'text/markdown', extension: 'md' };
+      case ExportFormat.JSON:
+      default:
+        return {
+          session,
+          content: JSON.stringify(exportSessionJson(session), null, 2),
+          contentType: 'application/json',
+          extension: 'json'
+        };
+    }
+  }
+
+  /**
+   * Store an imported conversation as a new session
+   * (see session-transfer.js for the normalized shape). A conversation
+   * already imported from the same source is skipped.
+   *
+   * @param {object} conversation - Normalized conversation
+   * @param {string} agentPath - Agent to continue the conversation with
+   * @returns {Promise<{ session: object|null, duplicateOf: string|null }>}
+   */
+  async importConversation(conversation, agentPath) {
+    if (conversation.externalId) {
+      for (const index of this.sessionIndex.values()) {
+        if (index.importedFrom === conversation.source && index.externalId === conversation.externalId) {
+          return { session: null, duplicateOf: index.id };
+        }
+      }
+    }
+
+    const id = randomUUID();
+    const context = { sessionId: id };
+    const now = new Date().toISOString();
+    const createdAt = conversation.createdAt || conversation.messages[0]?.timestamp || now;
+
+    const session = {
+      id,
+      key: this.getSessionKey(agentPath, context),
+      agentPath,
+      title: conversation.title || null,
+      context,
+      sdkSessionId: null,
+      messages: conversation.messages.map(msg => ({
+        ...msg,
+        id: msg.id || randomUUID(),
+        timestamp: msg.timestamp || createdAt
+      })),
+      summary: conversation.summary || null,
+      filePath: await this.findFreePath(this.getSessionFilePath(agentPath, context, createdAt)),
+      createdAt,
+      lastAccessed: conversation.updatedAt || createdAt,
+      archived: false,
+      workingDirectory: null,
+      importedFrom: conversation.source,
+      externalId: conversation.externalId || null,
+      importedAt: now
+    };
+    session.summary = this.summaryWithin(session.summary, session.messages);
+
+    await this.saveSession(session);
+    console.log(`[SessionManager] Imported ${conversation.source} conversation as ${id} (${session.messages.length} messages)`);
+    return { session, duplicateOf: null };
+  }
+
   /**
    * Delete a session by ID
    */
@@ -923,6 +1684,7 @@ ${contextYaml}
     if (session.filePath) {
       try {
         await fs.unlink(session.filePath);
+        this.recordFileRemoval(session.filePath);
       } catch (e) {
         // Ignore if file doesn't exist
       }
@@ -930,6 +1692,7 @@ ${contextYaml}
 
     this.loadedSessions.delete(session.key);
     this.sessionIndex.delete(session.key);
+    this.searchIndex.removeSession(session.id);
     console.log(`[SessionManager] Deleted session by ID: ${sessionId}`);
     return true;
   }
@@ -971,29 +1734,203 @@ ${contextYaml}
   }
 
   /**
-   * Clean up old sessions (archive sessions older than N days)
+   * Whether a session file is inside an agent's archive folder
+   * (agent-sessions/<agent>/archive/YYYY-MM/)
    */
-  async cleanupOldSessions(maxAgeDays = 30) {
-    // Evict stale sessions from memory
-    this.evictStaleSessions();
+  isInArchiveFolder(filePath) {
+    return path.basename(path.dirname(path.dirname(filePath))) === ARCHIVE_DIR;
+  }
+
+  /**
+   * Archive folder path for a session archived at the given time
+   */
+  getArchiveFilePath(index, archivedAt) {
+    const agentName = index.agentPath.replace('agents/', '').replace('.md', '');
+    const month = new Date(archivedAt).toISOString().slice(0, 7);
+    return path.join(this.sessionsPath, agentName, ARCHIVE_DIR, month, path.basename(index.filePath));
+  }
 
-    // For markdown storage, we keep files but could archive old ones
-    // For now, just log
-    const cutoff = Date.now() - (maxAgeDays * 24 * 60 * 60 * 1000);
-    let oldCount = 0;
+  /**
+   * Move a session's file, keeping the index and loaded copy in sync
+   *
+   * @returns {Promise<string>} The new file path
+   */
+  async moveSessionFile(session, targetPath) {
+    const newPath = await this.findFreePath(targetPath);
+    await fs.mkdir(path.dirname(newPath), { recursive: true });
+    await fs.rename(session.filePath, newPath);
+    this.recordFileRemoval(session.filePath);
+
+    const index = this.sessionIndex.get(session.key);
+    if (index) index.filePath = newPath;
+    session.filePath = newPath;
+    return newPath;
+  }
+
+  /**
+   * Work out what the retention policies call for:
+   * - archive: open sessions inactive for more than archiveAfterDays, or
+   *   older than an agent's newest maxSessions
+   * - move: archived sessions not yet in the agent's dated archive folder
+   * - delete: sessions archived more than deleteAfterDays ago
+   *
+   * @param {function(string): object} policyFor - agentPath -> { archiveAfterDays, maxSessions, deleteAfterDays } (null/0 = off)
+   * @param {object} options - { exclude: Set of session IDs to leave alone, now }
+   * @returns {Array<object>} Actions in the order they should run
+   */
+  planRetention(policyFor, { exclude = new Set(), now = Date.now() } = {}) {
+    const ageDays = time => (now - new Date(time).getTime()) / DAY_MS;
 
+    const byAgent = new Map();
     for (const index of this.sessionIndex.values()) {
-      const lastAccessed = new Date(index.lastAccessed).getTime();
-      if (lastAccessed < cutoff) {
-        oldCount++;
+      if (exclude.has(index.id)) continue;
+      if (!byAgent.has(index.agentPath)) byAgent.set(index.agentPath, []);
+      byAgent.get(index.agentPath).push(index);
+    }
+
+    const actions = [];
+    for (const [agentPath, sessions] of byAgent) {
+      const policy = policyFor(agentPath) || {};
+
+      const open = sessions
+        .filter(s => !s.archived)
+        .sort((a, b) => String(b.lastAccessed).localeCompare(String(a.lastAccessed)));
+      const archiving = new Set();
+
+      open.forEach((s, i) => {
+        let reason = null;
+        if (policy.archiveAfterDays && ageDays(s.lastAccessed) > policy.archiveAfterDays) {
+          reason = `inactive for more than ${policy.archiveAfterDays} days`;
+        } else if (policy.maxSessions && i >= policy.maxSessions) {
+          reason = `beyond the ${policy.maxSessions} most recent sessions`;
+        }
+        if (reason) {
+          archiving.add(s);
+          actions.push(this.retentionAction('archive', s, reason));
+        }
+      });
+
+      for (const s of sessions) {
+        if (!s.archived && !archiving.has(s)) continue;
+
+        const archivedAt = archiving.has(s) ? now : new Date(s.archivedAt || s.lastAccessed).getTime();
+        if (!archiving.has(s) && policy.deleteAfterDays && ageDays(archivedAt) > policy.deleteAfterDays) {
+          actions.push(this.retentionAction('delete', s, `archived more than ${policy.deleteAfterDays} days ago`));
+        } else if (!this.isInArchiveFolder(s.filePath) && !Number.isNaN(archivedAt)) {
+          actions.push({
+            ...this.retentionAction('move', s, 'archived'),
+            to: path.relative(this.vaultPath, this.getArchiveFilePath(s, archivedAt))
+          });
+        }
       }
     }
 
-    if (oldCount > 0) {
-      console.log(`[SessionManager] ${oldCount} sessions older than ${maxAgeDays} days`);
+    return actions;
+  }
+
+  retentionAction(action, index, reason) {
+    return {
+      action,
+      sessionId: index.id,
+      agentPath: index.agentPath,
+      title: index.title || null,
+      lastAccessed: index.lastAccessed,
+      filePath: path.relative(this.vaultPath, index.filePath),
+      reason
+    };
+  }
+
+  /**
+   * Apply retention policies (see planRetention). Every action taken is
+   * appended to the retention log; failures are recorded on the action.
+   *
+   * @param {function(string): object} policyFor - agentPath -> policy
+   * @param {object} options - { dryRun, exclude, now }
+   * @returns {Promise<Array<object>>} Planned (dryRun) or performed actions
+   */
+  async applyRetention(policyFor, options = {}) {
+    const { dryRun = false, now = Date.now() } = options;
+    const actions = this.planRetention(policyFor, options);
+    if (dryRun || actions.length === 0) return actions;
+
+    for (const action of actions) {
+      try {
+        await this.performRetentionAction(action, now);
+      } catch (e) {
+        action.error = e.message;
+        console.error(`[SessionManager] Retention ${action.action} failed for ${action.sessionId}:`, e.message);
+      }
+      action.timestamp = new Date().toISOString();
+    }
+
+    await this.appendRetentionLog(actions);
+    const done = actions.filter(a => !a.error).length;
+    console.log(`[SessionManager] Retention: ${done}/${actions.length} actions applied`);
+    return actions;
+  }
+
+  async performRetentionAction(action, now) {
+    if (action.action === 'delete') {
+      await this.deleteSessionById(action.sessionId);
+      return;
     }
 
-    return 0; // Don't actually delete - keep for history
+    const wasLoaded = [...this.loadedSessions.values()].some(s => s.id === action.sessionId);
+    const session = await this.getSessionByIdAsync(action.sessionId);
+    if (!session) throw new Error('Session not found');
+
+    if (action.action === 'archive') {
+      // lastAccessed stays as is - it's what the policy is based on
+      session.archived = true;
+      session.archivedAt = new Date(now).toISOString();
+    } else if (action.action === 'move') {
+      action.to = path.relative(this.vaultPath, await this.moveSessionFile(session, path.join(this.vaultPath, action.to)));
+    }
+    await this.saveSession(session);
+
+    // Don't keep sessions in memory just because retention touched them
+    if (!wasLoaded) {
+      this.loadedSessions.delete(session.key);
+    }
+  }
+
+  /**
+   * Append performed retention actions to the log (JSON lines)
+   */
+  async appendRetentionLog(actions) {
+    try {
+      await fs.mkdir(path.dirname(this.retentionLogPath), { recursive: true });
+      await fs.appendFile(this.retentionLogPath, actions.map(a => JSON.stringify(a) + '\n').join(''), 'utf-8');
+    } catch (e) {
+      console.error('[SessionManager] Failed to write retention log:', e.message);
+    }
+  }
+
+  /**
+   * Read the retention log, newest first
+   *
+   * @param {object} options - { limit, sessionId }
+   * @returns {Promise<Array<object>>}
+   */
+  async getRetentionLog({ limit = 100, sessionId = null } = {}) {
+    let content;
+    try {
+      content = await fs.readFile(this.retentionLogPath, 'utf-8');
+    } catch (e) {
+      return [];
+    }
+
+    const entries = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (!sessionId || entry.sessionId === sessionId) entries.push(entry);
+      } catch (e) {
+        // Skip partial lines
+      }
+    }
+    return entries.reverse().slice(0, limit);
   }
 
   /**
@@ -1005,7 +1942,8 @@ ${contextYaml}
       loadedSessions: this.loadedSessions.size,
       activeSdkSessions: this.activeSessions.size,
       cacheMaxAge: this.cacheMaxAge,
-      contextTokenBudget: this.contextTokenBudget
+      contextTokenBudget: this.contextTokenBudget,
+      searchIndex: this.searchIndexBuilt ? this.searchIndex.getStats() : null
     };
   }
 }
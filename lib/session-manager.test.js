@@ -166,6 +166,394 @@ Hello!
     });
   });
 
+  describe('migrateSessionFiles', () => {
+    const legacySession = `---
+session_id: "legacy-1"
+session_key: "agents/test-agent.md:old"
+agent: "agents/test-agent.md"
+agent_name: "test-agent"
+title: "Notes on "quotes""
+type: chat
+created_at: "2025-01-01T00:00:00.000Z"
+last_accessed: "2025-01-01T00:00:00.000Z"
+sdk_session_id: ""
+archived: false
+---
+
+# Chat
+
+## Conversation
+
+### User | 2025-01-01T00:00:00.000Z
+
+Plan?
+
+### Assistant | 2025-01-01T00:00:01.000Z
+
+Part one
+
+---
+
+## Part two
+
+`;
+
+    test('moves legacy agent-chats files into agent-sessions in the current format', async () => {
+      const legacyPath = path.join(TEST_VAULT_PATH, 'agent-chats', 'test-agent', 'old.md');
+      await fs.mkdir(path.dirname(legacyPath), { recursive: true });
+      await fs.writeFile(legacyPath, legacySession);
+
+      const manager = new SessionManager(TEST_VAULT_PATH);
+      await manager.initialize();
+
+      const session = manager.getSessionById('legacy-1');
+      assert.strictEqual(session.filePath, path.join(TEST_VAULT_PATH, 'agent-sessions', 'test-agent', 'old.md'));
+      assert.strictEqual(session.title, 'Notes on "quotes"');
+      assert.strictEqual(session.messages[1].content, 'Part one\n\n---\n\n## Part two');
+      assert.ok(session.messages.every(m => m.id));
+
+      const migrated = await fs.readFile(session.filePath, 'utf-8');
+      assert.match(migrated, /^---\nformat_version: 2\n/);
+      await assert.rejects(() => fs.access(legacyPath));
+      await fs.access(path.join(TEST_VAULT_PATH, 'agent-sessions', '.backup-v1', 'agent-chats', 'test-agent', 'old.md'));
+
+      // Already-migrated files are left alone
+      assert.strictEqual(await manager.migrateSessionFiles(), 0);
+    });
+
+    test('keeps message content and metadata across reloads', async () => {
+      const { session } = await sessionManager.getSession('agents/test-agent.md');
+      await sessionManager.addMessage(session.key, 'assistant', 'Intro\n\n---\n\n### Details\n\nMore', {
+        toolCalls: [{ name: 'Read' }]
+      });
+
+      const manager = new SessionManager(TEST_VAULT_PATH);
+      await manager.initialize();
+      const [message] = manager.getSessionById(session.id).messages;
+
+      assert.strictEqual(message.content, 'Intro\n\n---\n\n### Details\n\nMore');
+      assert.deepStrictEqual(message.toolCalls, [{ name: 'Read' }]);
+      assert.strictEqual(manager.listSessions()[0].messageCount, 1);
+    });
+  });
+
+  describe('rolling summary', () => {
+    beforeEach(() => {
+      sessionManager.summaryTriggerTokens = 20;
+      sessionManager.summaryKeepTokens = 10;
+    });
+
+    async function sessionWithTurns(count) {
+      const { session } = await sessionManager.getSession('agents/researcher.md');
+      for (let i = 1; i <= count; i++) {
+        await sessionManager.addMessage(session.key, i % 2 ? 'user' : 'assistant', `Message ${i} `.padEnd(40, '.'));
+      }
+      return session;
+    }
+
+    test('folds older turns into the summary and keeps recent ones verbatim', async () => {
+      const session = await sessionWithTurns(4);
+      const calls = [];
+      sessionManager.generateSummary = async (previous, messages) => {
+        calls.push({ previous, count: messages.length });
+        return `Summary of ${messages.length} messages`;
+      };
+
+      const summary = await sessionManager.maybeUpdateSummary(session.key, 'researcher');
+
+      assert.deepStrictEqual(calls, [{ previous: null, count: 3 }]);
+      assert.strictEqual(summary.throughMessageId, session.messages[2].id);
+      assert.strictEqual(summary.messageCount, 3);
+
+      const { contextString, messagesUsed, summaryUsed } =
+        sessionManager.buildContextFromHistory(session.messages, session.summary);
+      assert.strictEqual(summaryUsed, true);
+      assert.strictEqual(messagesUsed, 1);
+      assert.ok(contextString.startsWith('### Summary of Earlier Conversation\nSummary of 3 messages'));
+      assert.ok(!contextString.includes('Message 1'));
+    });
+
+    test('extends a hand-edited summary from the session file', async () => {
+      const session = await sessionWithTurns(4);
+      sessionManager.generateSummary = async () => 'First summary';
+      await sessionManager.maybeUpdateSummary(session.key, 'researcher');
+
+      // Edit the summary text in the file and reload
+      const file = await fs.readFile(session.filePath, 'utf-8');
+      await fs.writeFile(session.filePath, file.replace('First summary', 'Edited summary\n\n- keep this'));
+      const reloaded = await sessionManager.loadSessionFromFile(session.filePath);
+      assert.strictEqual(reloaded.summary.content, 'Edited summary\n\n- keep this');
+      assert.strictEqual(reloaded.messages.length, 4);
+
+      sessionManager.loadedSessions.set(session.key, reloaded);
+      for (let i = 5; i <= 6; i++) {
+        await sessionManager.addMessage(session.key, 'user', `Message ${i} `.padEnd(40, '.'));
+      }
+
+      let previousSummary;
+      sessionManager.generateSummary = async (previous, messages) => {
+        previousSummary = previous;
+        assert.strictEqual(messages[0].content.startsWith('Message 4'), true);
+        return 'Second summary';
+      };
+      await sessionManager.maybeUpdateSummary(session.key, 'researcher');
+
+      assert.strictEqual(previousSummary, 'Edited summary\n\n- keep this');
+      assert.strictEqual(reloaded.summary.content, 'Second summary');
+    });
+
+    test('does nothing below the trigger', async () => {
+      const session = await sessionWithTurns(1);
+      sessionManager.generateSummary = async () => assert.fail('should not summarize');
+
+      assert.strictEqual(await sessionManager.maybeUpdateSummary(session.key, 'researcher'), null);
+      assert.strictEqual(session.summary, null);
+    });
+  });
+
+  describe('forkSession', () => {
+    test('copies the first messages into a linked session', async () => {
+      const { session } = await sessionManager.getSession('agents/test-agent.md', { sessionId: 'parent' });
+      await sessionManager.addMessage(session.key, 'user', 'One');
+      await sessionManager.addMessage(session.key, 'assistant', 'Two');
+      await sessionManager.addMessage(session.key, 'user', 'Three');
+      session.summary = { throughMessageId: session.messages[2].id, content: 'Covers three' };
+
+      const fork = await sessionManager.forkSession(session.id, 2);
+
+      assert.notStrictEqual(fork.id, session.id);
+      assert.deepStrictEqual(fork.messages.map(m => m.content), ['One', 'Two']);
+      assert.strictEqual(fork.summary, null);
+      assert.deepStrictEqual(sessionManager.getChatContext(fork), { sessionId: fork.id });
+
+      // Lineage survives a reload and shows in listings
+      const reloaded = await sessionManager.loadSessionFromFile(fork.filePath);
+      assert.strictEqual(reloaded.parentSessionId, session.id);
+      assert.strictEqual(reloaded.forkedFromMessageId, session.messages[1].id);
+      const listed = sessionManager.listSessions().find(s => s.id === fork.id);
+      assert.strictEqual(listed.parentSessionId, session.id);
+      assert.strictEqual(session.messages.length, 3);
+    });
+
+    test('truncateSession drops later messages and the SDK session', async () => {
+      const { session } = await sessionManager.getSession('agents/test-agent.md');
+      await sessionManager.addMessage(session.key, 'user', 'One');
+      await sessionManager.addMessage(session.key, 'assistant', 'Two');
+      session.sdkSessionId = 'sdk-123';
+
+      const removed = await sessionManager.truncateSession(session, 1);
+
+      assert.deepStrictEqual(removed.map(m => m.content), ['Two']);
+      assert.strictEqual(session.sdkSessionId, null);
+      assert.deepStrictEqual(sessionManager.getChatContext(session), {});
+    });
+  });
+
+  describe('handoffSession', () => {
+    test('moves the session to the new agent and records the handoff', async () => {
+      const { session } = await sessionManager.getSession('vault-agent', { sessionId: 'chat-1' });
+      await sessionManager.addMessage(session.key, 'user', 'Plan my week');
+      await sessionManager.addMessage(session.key, 'assistant', 'Let me pass you on');
+      session.sdkSessionId = 'sdk-123';
+
+      const handoff = await sessionManager.handoffSession(session, 'agents/project-manager.md', { reason: 'Planning' });
+
+      assert.strictEqual(handoff.from, 'vault-agent');
+      assert.strictEqual(handoff.initiatedBy, 'user');
+      assert.strictEqual(session.key, 'agents/project-manager.md:chat-1');
+      assert.strictEqual(session.sdkSessionId, null);
+      assert.strictEqual(path.basename(path.dirname(session.filePath)), 'project-manager');
+      assert.strictEqual(session.messages.at(-1).content, 'Handed off from vault-agent to project-manager: Planning');
+      assert.strictEqual(sessionManager.sessionIndex.has('vault-agent:chat-1'), false);
+
+      // Survives a reload, and the note reaches the new agent's context
+      const reloaded = await sessionManager.loadSessionFromFile(session.filePath);
+      assert.deepStrictEqual(reloaded.handoffs, [handoff]);
+      const { contextString } = sessionManager.buildContextFromHistory(reloaded.messages);
+      assert.match(contextString, /### System\nHanded off from vault-agent/);
+
+      // Clients still addressing the first agent are redirected
+      assert.strictEqual(sessionManager.findHandoffTarget('vault-agent', { sessionId: 'chat-1' }), 'agents/project-manager.md');
+      assert.strictEqual(sessionManager.findHandoffTarget('vault-agent', { sessionId: 'other' }), null);
+    });
+
+    test('refuses when the new agent already has the chat context', async () => {
+      const { session } = await sessionManager.getSession('vault-agent', { sessionId: 'chat-1' });
+      await sessionManager.getSession('agents/project-manager.md', { sessionId: 'chat-1' });
+
+      assert.strictEqual(await sessionManager.handoffSession(session, 'agents/project-manager.md'), null);
+      assert.strictEqual(session.agentPath, 'vault-agent');
+    });
+  });
+
+  describe('searchSessions', () => {
+    test('indexes existing files and keeps up with new messages', async () => {
+      const { session } = await sessionManager.getSession('agents/test-agent.md', { sessionId: 'search-1' });
+      await sessionManager.addMessage(session.key, 'user', 'How should we shard the database?');
+
+      // A fresh manager has to read the file to find it
+      const fresh = new SessionManager(TEST_VAULT_PATH);
+      await fresh.initialize();
+      const [found] = await fresh.searchSessions('shard');
+      assert.strictEqual(found.id, session.id);
+      assert.strictEqual(found.agentName, 'test-agent');
+
+      const { session: reopened } = await fresh.getSession('agents/test-agent.md', { sessionId: 'search-1' });
+      await fresh.addMessage(reopened.key, 'assistant', 'Use consistent hashing');
+      const [updated] = await fresh.searchSessions('hashing');
+      assert.strictEqual(updated.matches[0].role, 'assistant');
+
+      await fresh.deleteSessionById(session.id);
+      assert.deepStrictEqual(await fresh.searchSessions('shard'), []);
+    });
+  });
+
+  describe('importConversation and exportSession', () => {
+    const conversation = {
+      source: 'claude',
+      externalId: 'claude-1',
+      title: 'Garden',
+      createdAt: '2024-05-01T10:00:00.000Z',
+      updatedAt: '2024-05-01T10:05:00.000Z',
+      messages: [
+        { role: 'user', content: 'Tomatoes?', timestamp: '2024-05-01T10:00:00.000Z' },
+        { role: 'assistant', content: 'Full sun.', timestamp: '2024-05-01T10:01:00.000Z' }
+      ]
+    };
+
+    test('writes imported conversations as sessions and skips repeats', async () => {
+      const { session } = await sessionManager.importConversation(conversation, 'vault-agent');
+
+      assert.ok(path.basename(session.filePath).startsWith('2024-05-01-'));
+      const reloaded = await sessionManager.loadSessionFromFile(session.filePath);
+      assert.strictEqual(reloaded.importedFrom, 'claude');
+      assert.strictEqual(reloaded.messages[1].content, 'Full sun.');
+      assert.strictEqual(sessionManager.listSessions().find(s => s.id === session.id).importedFrom, 'claude');
+      assert.strictEqual((await sessionManager.searchSessions('tomatoes'))[0].id, session.id);
+
+      const again = await sessionManager.importConversation(conversation, 'vault-agent');
+      assert.strictEqual(again.duplicateOf, session.id);
+    });
+
+    test('exports json, html and markdown transcripts', async () => {
+      const { session } = await sessionManager.importConversation(conversation, 'vault-agent');
+
+      const json = await sessionManager.exportSession(session.id, 'json');
+      assert.strictEqual(JSON.parse(json.content).session.messages.length, 2);
+      assert.strictEqual((await sessionManager.exportSession(session.id, 'html')).contentType, 'text/html');
+      const md = await sessionManager.exportSession(session.id, 'md');
+      assert.strictEqual(md.content, await fs.readFile(session.filePath, 'utf-8'));
+      assert.strictEqual(await sessionManager.exportSession('missing', 'md'), null);
+    });
+  });
+
+  describe('index cache', () => {
+    test('reuses cached entries for unchanged files and re-parses changed ones', async () => {
+      const { session: first } = await sessionManager.getSession('agents/test-agent.md', { sessionId: 'cache-1' });
+      const { session: second } = await sessionManager.getSession('agents/test-agent.md', { sessionId: 'cache-2' });
+      await sessionManager.saveIndexCache();
+
+      const content = await fs.readFile(second.filePath, 'utf-8');
+      await fs.writeFile(second.filePath, content.replace('message_count: 0', 'message_count: 7'));
+
+      const fresh = new SessionManager(TEST_VAULT_PATH);
+      await fresh.migrateSessionFiles(await fresh.loadIndexCache());
+      const counts = await fresh.buildSessionIndex(await fresh.loadIndexCache());
+
+      assert.deepStrictEqual(counts, { cached: 1, parsed: 1 });
+      const sessions = fresh.listSessions();
+      assert.strictEqual(sessions.find(s => s.id === first.id).filePath, path.relative(TEST_VAULT_PATH, first.filePath));
+      assert.strictEqual(sessions.find(s => s.id === second.id).messageCount, 7);
+    });
+
+    test('picks up session files added, changed and removed outside the server', async () => {
+      const { session } = await sessionManager.getSession('agents/test-agent.md', { sessionId: 'synced' });
+      await sessionManager.addMessage(session.key, 'user', 'Local message');
+
+      // Our own writes aren't external changes
+      assert.strictEqual(await sessionManager.refreshSessionFile(session.filePath), false);
+
+      // Another device appended a reply
+      const synced = { ...session, messages: [...session.messages, { id: 'remote', role: 'assistant', timestamp: session.lastAccessed, content: 'From sync' }] };
+      await fs.writeFile(session.filePath, sessionManager.sessionToMarkdown(synced));
+      assert.strictEqual(await sessionManager.refreshSessionFile(session.filePath), true);
+      assert.strictEqual(sessionManager.loadedSessions.get(session.key).messages.length, 2);
+      assert.strictEqual(sessionManager.listSessions()[0].messageCount, 2);
+
+      // A session created elsewhere
+      const otherPath = path.join(TEST_VAULT_PATH, 'agent-sessions', 'test-agent', 'other.md');
+      await fs.writeFile(otherPath, sessionManager.sessionToMarkdown({ ...synced, id: 'other-id', key: 'agents/test-agent.md:other' }));
+      await sessionManager.refreshSessionFile(otherPath);
+      assert.ok(sessionManager.getSessionById('other-id'));
+
+      await fs.unlink(otherPath);
+      assert.strictEqual(await sessionManager.refreshSessionFile(otherPath), true);
+      assert.strictEqual(sessionManager.listSessions().length, 1);
+    });
+  });
+
+  describe('applyRetention', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    const now = Date.parse('2025-06-15T12:00:00.000Z');
+
+    async function sessionAged(id, days, extra = {}) {
+      const { session } = await sessionManager.getSession('agents/test-agent.md', { sessionId: id });
+      Object.assign(session, { lastAccessed: new Date(now - days * DAY).toISOString() }, extra);
+      await sessionManager.saveSession(session);
+      return session;
+    }
+
+    test('plans archive, move and delete actions without touching files on a dry run', async () => {
+      const recent = await sessionAged('recent', 1);
+      const stale = await sessionAged('stale', 40);
+      const old = await sessionAged('old', 200, { archived: true, archivedAt: new Date(now - 100 * DAY).toISOString() });
+      const policyFor = () => ({ archiveAfterDays: 30, deleteAfterDays: 90 });
+
+      const actions = await sessionManager.applyRetention(policyFor, { dryRun: true, now });
+
+      assert.deepStrictEqual(actions.map(a => [a.action, a.sessionId]), [
+        ['archive', stale.id],
+        ['move', stale.id],
+        ['delete', old.id]
+      ]);
+      assert.strictEqual(actions[1].to, `agent-sessions/test-agent/archive/2025-06/${path.basename(stale.filePath)}`);
+      assert.ok(!actions.some(a => a.sessionId === recent.id));
+      await fs.access(old.filePath);
+      assert.deepStrictEqual(await sessionManager.getRetentionLog(), []);
+    });
+
+    test('archives beyond max sessions, moves to the archive folder and logs each action', async () => {
+      const newest = await sessionAged('newest', 1);
+      const oldest = await sessionAged('oldest', 3);
+      const busy = await sessionAged('busy', 5);
+      sessionManager.loadedSessions.clear();
+
+      const actions = await sessionManager.applyRetention(() => ({ maxSessions: 1 }), {
+        now,
+        exclude: new Set([busy.id])
+      });
+
+      assert.deepStrictEqual(actions.map(a => a.action), ['archive', 'move']);
+      assert.ok(actions.every(a => !a.error && a.timestamp));
+      const archived = sessionManager.listSessions().find(s => s.id === oldest.id);
+      assert.strictEqual(archived.archived, true);
+      assert.strictEqual(archived.archivedAt, new Date(now).toISOString());
+      assert.strictEqual(archived.filePath, actions[1].to);
+      await assert.rejects(fs.access(oldest.filePath));
+      assert.strictEqual(sessionManager.listSessions().find(s => s.id === newest.id).archived, false);
+      assert.strictEqual(sessionManager.loadedSessions.size, 0);
+
+      const log = await sessionManager.getRetentionLog();
+      assert.deepStrictEqual(log.map(e => e.action), ['move', 'archive']);
+
+      // A fresh index finds it in the archive folder; unarchiving moves it back
+      const fresh = new SessionManager(TEST_VAULT_PATH);
+      await fresh.initialize();
+      assert.ok(await fresh.unarchiveSession(oldest.id));
+      assert.strictEqual(fresh.listSessions().find(s => s.id === oldest.id).filePath, path.relative(TEST_VAULT_PATH, oldest.filePath));
+    });
+  });
+
   describe('listSessions', () => {
     test('returns all sessions', async () => {
       await sessionManager.getSession('agents/agent1.md');
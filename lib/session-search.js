@@ -0,0 +1,338 @@
+/**
+ * Session Search
+ *
+ * In-memory full-text index over chat session titles and message content.
+ *
+ * The index is built once from the session files and then kept current by
+ * SessionManager as sessions are saved: appended messages are tokenized on
+ * their own, other changes (truncation, clearing) re-index that session only.
+ *
+ * Ranking is BM25 per message (titles weighted higher), summed per session
+ * and scaled by how many of the query terms the session matched.
+ */
+
+/**
+ * Words ignored in queries and content
+ */
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'how', 'in', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'we', 'what', 'when', 'where', 'which',
+  'with', 'you'
+]);
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const TITLE_WEIGHT = 3;
+const TITLE_KEY = '#title';
+const SNIPPET_RADIUS = 80;
+
+/**
+ * Split text into lowercase search terms
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return (String(text || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [])
+    .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+}
+
+/**
+ * Escape a string for use in a RegExp
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a snippet around the first query term in `text`, with every term
+ * occurrence wrapped in <mark></mark>
+ *
+ * @param {string} text
+ * @param {string[]} terms - Query terms (lowercase)
+ * @returns {string}
+ */
+export function buildSnippet(text, terms) {
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])(${terms.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}_])`, 'giu');
+  const flat = text.replace(/\s+/g, ' ').trim();
+
+  const first = flat.search(pattern);
+  const center = first >= 0 ? first : 0;
+  let start = Math.max(0, center - SNIPPET_RADIUS);
+  let end = Math.min(flat.length, center + SNIPPET_RADIUS);
+
+  // Don't cut words in half
+  if (start > 0) {
+    const space = flat.indexOf(' ', start);
+    if (space >= 0 && space < center) start = space + 1;
+  }
+  if (end < flat.length) {
+    const space = flat.lastIndexOf(' ', end);
+    if (space > center) end = space;
+  }
+
+  const excerpt = flat.slice(start, end).replace(pattern, '<mark>$1</mark>');
+  return `${start > 0 ? '…' : ''}${excerpt}${end < flat.length ? '…' : ''}`;
+}
+
+/**
+ * Session Search Index class
+ */
+export class SessionSearchIndex {
+  constructor() {
+    // term -> Map(docKey -> term frequency)
+    this.postings = new Map();
+    // docKey -> { sessionId, messageId, role, timestamp, content, length, terms }
+    this.docs = new Map();
+    // sessionId -> { meta, messageIds: string[], docKeys: Set }
+    this.sessions = new Map();
+    this.totalLength = 0;
+  }
+
+  /**
+   * Bring a session's entries in line with its current state. Appended
+   * messages are indexed incrementally; anything else re-indexes it.
+   *
+   * @param {object} session - Full session (id, title, messages, ...)
+   */
+  syncSession(session) {
+    const entry = this.sessions.get(session.id);
+    if (!entry) {
+      this.indexSession(session);
+      return;
+    }
+
+    const indexed = entry.messageIds;
+    const isAppend = session.messages.length >= indexed.length &&
+      indexed.every((id, i) => session.messages[i].id === id);
+
+    if (!isAppend) {
+      this.indexSession(session);
+      return;
+    }
+
+    if (entry.meta.title !== (session.title || null)) {
+      this.removeDoc(session.id, TITLE_KEY);
+      this.addDoc(session.id, TITLE_KEY, { content: session.title || '' });
+    }
+    entry.meta = this.sessionMeta(session);
+
+    for (const message of session.messages.slice(indexed.length)) {
+      this.addMessage(session, message);
+    }
+  }
+
+  /**
+   * (Re-)index a whole session
+   *
+   * @param {object} session
+   */
+  indexSession(session) {
+    this.removeSession(session.id);
+    this.sessions.set(session.id, {
+      meta: this.sessionMeta(session),
+      messageIds: [],
+      docKeys: new Set()
+    });
+
+    this.addDoc(session.id, TITLE_KEY, { content: session.title || '' });
+    for (const message of session.messages) {
+      this.addMessage(session, message);
+    }
+  }
+
+  /**
+   * Index one message appended to an indexed session
+   *
+   * @param {object} session
+   * @param {object} message - { id, role, timestamp, content }
+   */
+  addMessage(session, message) {
+    const entry = this.sessions.get(session.id);
+    if (!entry) return;
+
+    entry.messageIds.push(message.id);
+    // Errors and interruption notes aren't worth finding
+    if (message.role === 'system') return;
+    this.addDoc(session.id, message.id, message);
+  }
+
+  /**
+   * Drop a session from the index
+   *
+   * @param {string} sessionId
+   */
+  removeSession(sessionId) {
+    const entry = this.sessions.get(sessionId);
+    if (!entry) return;
+
+    for (const docKey of [...entry.docKeys]) {
+      this.removeDoc(sessionId, docKey.slice(sessionId.length + 1));
+    }
+    this.sessions.delete(sessionId);
+  }
+
+  /**
+   * Filterable fields of a session
+   */
+  sessionMeta(session) {
+    return {
+      id: session.id,
+      title: session.title || null,
+      agentPath: session.agentPath,
+      workingDirectory: session.workingDirectory || null,
+      archived: session.archived || false,
+      createdAt: session.createdAt,
+      lastAccessed: session.lastAccessed
+    };
+  }
+
+  addDoc(sessionId, messageId, message) {
+    const terms = tokenize(message.content);
+    if (terms.length === 0) return;
+
+    const docKey = `${sessionId}:${messageId}`;
+    const frequencies = new Map();
+    for (const term of terms) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+    for (const [term, tf] of frequencies) {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(docKey, tf);
+    }
+
+    this.docs.set(docKey, {
+      sessionId,
+      messageId,
+      role: message.role || null,
+      timestamp: message.timestamp || null,
+      content: message.content,
+      length: terms.length,
+      terms: [...frequencies.keys()]
+    });
+    this.totalLength += terms.length;
+    this.sessions.get(sessionId).docKeys.add(docKey);
+  }
+
+  removeDoc(sessionId, messageId) {
+    const docKey = `${sessionId}:${messageId}`;
+    const doc = this.docs.get(docKey);
+    if (!doc) return;
+
+    for (const term of doc.terms) {
+      const posting = this.postings.get(term);
+      posting.delete(docKey);
+      if (posting.size === 0) this.postings.delete(term);
+    }
+    this.docs.delete(docKey);
+    this.totalLength -= doc.length;
+    this.sessions.get(sessionId)?.docKeys.delete(docKey);
+  }
+
+  /**
+   * Whether a session passes the search filters
+   */
+  matchesFilters(meta, filters) {
+    if (!filters.archived && meta.archived) return false;
+    if (filters.agentPath && meta.agentPath !== filters.agentPath) return false;
+    if (filters.workingDirectory && meta.workingDirectory !== filters.workingDirectory) return false;
+    // Session must have been active during the range
+    if (filters.from && (meta.lastAccessed || meta.createdAt) < filters.from) return false;
+    if (filters.to && meta.createdAt > filters.to) return false;
+    return true;
+  }
+
+  /**
+   * Search sessions
+   *
+   * @param {string} query
+   * @param {object} filters - { agentPath, workingDirectory, from, to (ISO strings), archived, limit, maxMatches }
+   * @returns {Array<object>} Ranked sessions with highlighted message snippets
+   */
+  search(query, filters = {}) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0) return [];
+
+    const { limit = 20, maxMatches = 3 } = filters;
+    const docCount = this.docs.size || 1;
+    const avgLength = this.totalLength / docCount || 1;
+
+    // sessionId -> { score, terms: Set, docs: Map(docKey -> score) }
+    const hits = new Map();
+
+    for (const term of terms) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+
+      const idf = Math.log(1 + (docCount - posting.size + 0.5) / (posting.size + 0.5));
+
+      for (const [docKey, tf] of posting) {
+        const doc = this.docs.get(docKey);
+        const meta = this.sessions.get(doc.sessionId).meta;
+        if (!this.matchesFilters(meta, filters)) continue;
+
+        const isTitle = doc.messageId === TITLE_KEY;
+        if (!isTitle && doc.timestamp) {
+          if (filters.from && doc.timestamp < filters.from) continue;
+          if (filters.to && doc.timestamp > filters.to) continue;
+        }
+
+        const norm = tf * (K1 + 1) / (tf + K1 * (1 - B + B * doc.length / avgLength));
+        const score = idf * norm * (isTitle ? TITLE_WEIGHT : 1);
+
+        if (!hits.has(doc.sessionId)) {
+          hits.set(doc.sessionId, { score: 0, terms: new Set(), docs: new Map() });
+        }
+        const hit = hits.get(doc.sessionId);
+        hit.score += score;
+        hit.terms.add(term);
+        hit.docs.set(docKey, (hit.docs.get(docKey) || 0) + score);
+      }
+    }
+
+    return [...hits.entries()]
+      .map(([sessionId, hit]) => {
+        const meta = this.sessions.get(sessionId).meta;
+        const coverage = hit.terms.size / terms.length;
+
+        const matches = [...hit.docs.entries()]
+          .filter(([docKey]) => !docKey.endsWith(`:${TITLE_KEY}`))
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, maxMatches)
+          .map(([docKey]) => {
+            const doc = this.docs.get(docKey);
+            return {
+              messageId: doc.messageId,
+              role: doc.role,
+              timestamp: doc.timestamp,
+              snippet: buildSnippet(doc.content, terms)
+            };
+          });
+
+        return {
+          ...meta,
+          score: Math.round(hit.score * coverage * coverage * 1000) / 1000,
+          matchedTerms: [...hit.terms],
+          titleHighlighted: meta.title ? buildSnippet(meta.title, terms) : null,
+          matches
+        };
+      })
+      .sort((a, b) => b.score - a.score || String(b.lastAccessed).localeCompare(String(a.lastAccessed)))
+      .slice(0, limit);
+  }
+
+  /**
+   * Index size, for debugging
+   */
+  getStats() {
+    return {
+      sessions: this.sessions.size,
+      documents: this.docs.size,
+      terms: this.postings.size
+    };
+  }
+}
+
+export default SessionSearchIndex;
@@ -0,0 +1,97 @@
+/**
+ * Session Search Tests
+ *
+ * Run with: node --test lib/session-search.test.js
+ */
+
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { SessionSearchIndex, tokenize, buildSnippet } from './session-search.js';
+
+function makeSession(id, title, contents, overrides = {}) {
+  return {
+    id,
+    title,
+    agentPath: 'agents/helper.md',
+    workingDirectory: null,
+    archived: false,
+    createdAt: '2025-12-01T00:00:00.000Z',
+    lastAccessed: '2025-12-02T00:00:00.000Z',
+    messages: contents.map((content, i) => ({
+      id: `${id}-m${i}`,
+      role: i % 2 ? 'assistant' : 'user',
+      timestamp: `2025-12-0${i + 1}T10:00:00.000Z`,
+      content
+    })),
+    ...overrides
+  };
+}
+
+describe('SessionSearchIndex', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new SessionSearchIndex();
+    index.indexSession(makeSession('api', 'REST API design', [
+      'Let us design the API for the sync service',
+      'Endpoints: GET /sessions, POST /sessions. Pagination via cursor.'
+    ]));
+    index.indexSession(makeSession('garden', 'Garden plans', [
+      'Which tomatoes grow best in shade?',
+      'Cherry tomatoes tolerate partial shade; an API of plants does not exist.'
+    ]));
+  });
+
+  test('ranks title and content matches with highlighted snippets', () => {
+    const [first, second] = index.search('API design');
+
+    assert.strictEqual(first.id, 'api');
+    assert.deepStrictEqual(first.matchedTerms.sort(), ['api', 'design']);
+    assert.match(first.matches[0].snippet, /<mark>design<\/mark> the <mark>API<\/mark>/);
+    assert.strictEqual(first.titleHighlighted, 'REST <mark>API</mark> <mark>design</mark>');
+    assert.strictEqual(second.id, 'garden');
+    assert.ok(first.score > second.score);
+  });
+
+  test('picks up appended messages and re-indexes truncated sessions', () => {
+    const session = makeSession('garden', 'Garden plans', ['Which tomatoes grow best in shade?']);
+    index.syncSession(session);
+    assert.deepStrictEqual(index.search('cherry'), []);
+
+    session.messages.push({ id: 'new', role: 'assistant', timestamp: '2025-12-03T00:00:00Z', content: 'Basil loves sun' });
+    index.syncSession(session);
+    assert.strictEqual(index.search('basil')[0].matches[0].messageId, 'new');
+
+    index.removeSession('garden');
+    assert.deepStrictEqual(index.search('basil'), []);
+    assert.strictEqual(index.getStats().sessions, 1);
+  });
+
+  test('applies agent, directory, date and archive filters', () => {
+    index.indexSession(makeSession('old', 'Old API notes', ['API v1'], {
+      agentPath: 'agents/other.md',
+      workingDirectory: '/code/app',
+      archived: true
+    }));
+
+    assert.deepStrictEqual(index.search('api').map(r => r.id).sort(), ['api', 'garden']);
+    assert.deepStrictEqual(index.search('api', { archived: true, agentPath: 'agents/other.md' }).map(r => r.id), ['old']);
+    assert.deepStrictEqual(index.search('api', { archived: true, workingDirectory: '/code/app' }).map(r => r.id), ['old']);
+    // "grow" only appears in a message before the range
+    const ranged = index.search('pagination grow', { from: '2025-12-02T00:00:00.000Z' });
+    assert.deepStrictEqual(ranged.map(r => r.id), ['api']);
+  });
+});
+
+describe('tokenize and buildSnippet', () => {
+  test('drops stop words and short tokens', () => {
+    assert.deepStrictEqual(tokenize('Where is the API? v2 x'), ['api', 'v2']);
+  });
+
+  test('centers long text on the first match', () => {
+    const text = `${'lorem '.repeat(40)}needle ${'ipsum '.repeat(40)}`;
+    const snippet = buildSnippet(text, ['needle']);
+    assert.ok(snippet.startsWith('…') && snippet.endsWith('…'));
+    assert.ok(snippet.includes('<mark>needle</mark>'));
+  });
+});
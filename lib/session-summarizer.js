@@ -0,0 +1,101 @@
+/**
+ * Session Summarizer
+ *
+ * Maintains a rolling summary of older chat turns using Haiku, so context
+ * injection can carry the early framing of a long conversation instead of
+ * dropping it. Each update folds newly aged-out messages into the previous
+ * summary (which the user may have edited in the session file).
+ */
+
+import { query } from '@anthropic-ai/claude-agent-sdk';
+import { getUsageTracker, UsageKind } from './usage-tracker.js';
+
+/**
+ * Max characters of any single message included in the summary prompt
+ */
+const MAX_MESSAGE_CHARS = 4000;
+
+/**
+ * Generate an updated summary of a conversation
+ *
+ * @param {string|null} previousSummary - Existing summary to extend
+ * @param {Array} messages - {role, content} messages not yet summarized
+ * @param {string} agentName - Name of the agent
+ * @param {object} attribution - { sessionId, agentPath } for usage tracking
+ * @returns {Promise<string|null>} - New summary (or null if generation fails)
+ */
+export async function generateSessionSummary(previousSummary, messages, agentName, attribution = {}) {
+  if (!messages || messages.length === 0) {
+    return null;
+  }
+
+  const conversationText = messages
+    .map(m => {
+      const content = m.content.length > MAX_MESSAGE_CHARS
+        ? `${m.content.slice(0, MAX_MESSAGE_CHARS)}\n[...truncated]`
+        : m.content;
+      return `${m.role.toUpperCase()}: ${content}`;
+    })
+    .join('\n\n');
+
+  const previous = previousSummary
+    ? `Existing summary of the conversation so far:\n\n${previousSummary}\n\n`
+    : '';
+
+  const prompt = `You maintain the running summary of a long chat with "${agentName}". The summary replaces the older messages when the conversation is resumed, so keep what later turns depend on: the user's goals and framing, decisions made, constraints, open questions, and key facts, file paths or names. Preserve everything in the existing summary unless the new messages supersede it.
+
+${previous}New messages to fold into the summary:
+
+${conversationText}
+
+Return ONLY the updated summary as concise markdown (bullet points are fine), no preamble.`;
+
+  try {
+    const response = query({
+      prompt,
+      options: {
+        model: 'haiku',
+        // Don't give Haiku any tools - this is just for text generation
+        tools: [],
+        permissionMode: 'acceptEdits'
+      }
+    });
+
+    let summary = '';
+    let model = 'haiku';
+    for await (const msg of response) {
+      if (msg.type === 'system' && msg.subtype === 'init') {
+        model = msg.model || model;
+      } else if (msg.type === 'assistant' && msg.message?.content) {
+        for (const block of msg.message.content) {
+          if (block.type === 'text') {
+            summary = block.text;
+          }
+        }
+      } else if (msg.type === 'result') {
+        if (msg.result) {
+          summary = msg.result;
+        }
+        getUsageTracker()?.recordUsage(msg.usage, attribution.sessionId || null, attribution.agentPath || null, {
+          kind: UsageKind.SUMMARY,
+          model,
+          costUsd: msg.total_cost_usd,
+          modelUsage: msg.modelUsage
+        });
+      }
+    }
+
+    summary = summary.trim();
+    if (summary) {
+      console.log(`[SessionSummarizer] Summarized ${messages.length} messages (${summary.length} chars)`);
+      return summary;
+    }
+
+    return null;
+  } catch (error) {
+    console.error(`[SessionSummarizer] Error generating summary:`, error.message);
+    return null;
+  }
+}
+
+export default { generateSessionSummary };
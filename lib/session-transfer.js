@@ -0,0 +1,341 @@
+/**
+ * Session Transfer
+ *
+ * Export sessions as self-contained transcripts, and convert conversation
+ * exports from other chat tools into sessions.
+ *
+ * Export formats:
+ * - json: the full session (messages with tool calls, summary, lineage)
+ * - html: a standalone page with rendered markdown and collapsible tool calls
+ * - md:   the session file itself (see session-format.js)
+ *
+ * Import formats (detected automatically):
+ * - chatgpt:   conversations.json from a ChatGPT data export
+ * - claude:    conversations.json from a Claude.ai data export
+ * - parachute: our own JSON export
+ *
+ * Imports are normalized to { source, externalId, title, createdAt,
+ * updatedAt, messages: [{ role, content, timestamp }] }.
+ */
+
+import { Marked } from 'marked';
+import { SESSION_FORMAT_VERSION } from './session-format.js';
+
+/**
+ * Marker identifying our JSON export format
+ */
+export const EXPORT_FORMAT = 'parachute-session';
+
+/**
+ * Supported export formats
+ */
+export const ExportFormat = {
+  JSON: 'json',
+  HTML: 'html',
+  MARKDOWN: 'md'
+};
+
+/**
+ * Supported import sources
+ */
+export const ImportSource = {
+  CHATGPT: 'chatgpt',
+  CLAUDE: 'claude',
+  PARACHUTE: 'parachute'
+};
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Export a session as JSON
+ *
+ * @param {object} session
+ * @returns {object}
+ */
+export function exportSessionJson(session) {
+  return {
+    format: EXPORT_FORMAT,
+    formatVersion: SESSION_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    session: {
+      id: session.id,
+      title: session.title || null,
+      agentPath: session.agentPath,
+      createdAt: session.createdAt,
+      lastAccessed: session.lastAccessed,
+      archived: session.archived || false,
+      workingDirectory: session.workingDirectory || null,
+      context: session.context || {},
+      parentSessionId: session.parentSessionId || null,
+      forkedFromMessageId: session.forkedFromMessageId || null,
+      importedFrom: session.importedFrom || null,
+      handoffs: session.handoffs || [],
+      summary: session.summary || null,
+      messages: session.messages
+    }
+  };
+}
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Markdown renderer for exports. Message text comes from models and other
+ * chat tools, so raw HTML is shown as text and script links are dropped.
+ */
+const markdown = new Marked({
+  renderer: {
+    html({ text }) {
+      return escapeHtml(text);
+    }
+  },
+  walkTokens(token) {
+    if ((token.type === 'link' || token.type === 'image') && /^\s*(javascript|vbscript|data):/i.test(token.href)) {
+      token.href = '#';
+    }
+  }
+});
+
+/**
+ * Render a tool call as a <details> block
+ */
+function toolCallHtml(toolCall) {
+  const failed = toolCall.result?.isError ? ' <span class="error">(error)</span>' : '';
+  let html = `<details class="tool"><summary>${escapeHtml(toolCall.name)}${failed}</summary>`;
+  html += `<pre><code>${escapeHtml(JSON.stringify(toolCall.input ?? {}, null, 2))}</code></pre>`;
+  if (toolCall.result) {
+    const note = toolCall.result.truncated ? ` (first ${toolCall.result.content.length} of ${toolCall.result.length} characters)` : '';
+    html += `<p><strong>Result</strong>${note}</p><pre><code>${escapeHtml(toolCall.result.content)}</code></pre>`;
+  }
+  return `${html}</details>`;
+}
+
+/**
+ * Render a permission decision as a list item
+ */
+function permissionHtml(permission) {
+  const subject = permission.filePath || permission.mcpServer || '';
+  return `<li class="${escapeHtml(permission.decision)}">${escapeHtml(permission.decision)}: ` +
+    `${escapeHtml(permission.toolName)} <code>${escapeHtml(subject)}</code></li>`;
+}
+
+/**
+ * Export a session as a standalone HTML page
+ *
+ * @param {object} session
+ * @returns {string}
+ */
+export function exportSessionHtml(session) {
+  const agentName = session.agentPath.replace('agents/', '').replace('.md', '');
+  const title = session.title || `Chat with ${agentName}`;
+
+  const messages = session.messages.map(msg => {
+    let html = `<section class="message ${escapeHtml(msg.role)}">`;
+    html += `<header><strong>${escapeHtml(msg.role)}</strong> <time>${escapeHtml(msg.timestamp)}</time></header>`;
+    html += `<div class="content">${markdown.parse(msg.content || '')}</div>`;
+    if (msg.permissions?.length) {
+      html += `<ul class="permissions">${msg.permissions.map(permissionHtml).join('')}</ul>`;
+    }
+    if (msg.toolCalls?.length) {
+      html += msg.toolCalls.map(toolCallHtml).join('');
+    }
+    return `${html}</section>`;
+  }).join('\n');
+
+  const summary = session.summary?.content
+    ? `<details class="summary"><summary>Summary of earlier conversation</summary>${markdown.parse(session.summary.content)}</details>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; color: #222; }
+.meta { color: #666; font-size: 0.9rem; }
+.message { border-top: 1px solid #ddd; padding: 0.75rem 0; }
+.message header { color: #666; font-size: 0.85rem; text-transform: capitalize; }
+.message.user .content { background: #f3f6fa; padding: 0 0.75rem; border-radius: 6px; }
+.message.system { color: #888; font-style: italic; }
+pre { background: #f6f6f6; padding: 0.5rem; overflow-x: auto; }
+details { margin: 0.5rem 0; }
+.error, .denied, .timeout { color: #b00; }
+.granted { color: #070; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">Agent: ${escapeHtml(agentName)} · Created ${escapeHtml(session.createdAt)} · ${session.messages.length} messages · Session ${escapeHtml(session.id)}</p>
+${summary}
+${messages}
+</body>
+</html>
+`;
+}
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+/**
+ * Seconds since epoch (ChatGPT) to ISO string
+ */
+function fromUnixSeconds(value) {
+  return typeof value === 'number' ? new Date(value * 1000).toISOString() : null;
+}
+
+/**
+ * Text of a ChatGPT message's content parts
+ */
+function chatGptText(content) {
+  if (!content) return '';
+  if (typeof content.text === 'string') return content.text;
+  return (content.parts || [])
+    .map(part => (typeof part === 'string' ? part : part?.text ?? `[${part?.content_type || 'attachment'}]`))
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Convert one ChatGPT conversation, following the branch that ends at
+ * `current_node` (the one shown in the ChatGPT UI)
+ */
+function fromChatGpt(conversation) {
+  const mapping = conversation.mapping || {};
+  const chain = [];
+  let nodeId = conversation.current_node;
+  while (nodeId && mapping[nodeId]) {
+    chain.unshift(mapping[nodeId]);
+    nodeId = mapping[nodeId].parent;
+  }
+
+  const messages = chain
+    .map(node => node.message)
+    .filter(msg => msg && (msg.author?.role === 'user' || msg.author?.role === 'assistant'))
+    .filter(msg => !msg.metadata?.is_visually_hidden_from_conversation)
+    .map(msg => ({
+      role: msg.author.role,
+      content: chatGptText(msg.content),
+      timestamp: fromUnixSeconds(msg.create_time)
+    }))
+    .filter(msg => msg.content);
+
+  return {
+    source: ImportSource.CHATGPT,
+    externalId: conversation.conversation_id || conversation.id || null,
+    title: conversation.title || null,
+    createdAt: fromUnixSeconds(conversation.create_time),
+    updatedAt: fromUnixSeconds(conversation.update_time),
+    messages
+  };
+}
+
+/**
+ * Convert one Claude.ai conversation
+ */
+function fromClaude(conversation) {
+  const messages = (conversation.chat_messages || [])
+    .map(msg => {
+      const blocks = Array.isArray(msg.content) ? msg.content : [];
+      const text = blocks.length > 0
+        ? blocks.filter(block => block.type === 'text').map(block => block.text).join('\n\n')
+        : msg.text || '';
+      return {
+        role: msg.sender === 'human' ? 'user' : 'assistant',
+        content: text.trim(),
+        timestamp: msg.created_at || null
+      };
+    })
+    .filter(msg => msg.content);
+
+  return {
+    source: ImportSource.CLAUDE,
+    externalId: conversation.uuid || null,
+    title: conversation.name || null,
+    createdAt: conversation.created_at || null,
+    updatedAt: conversation.updated_at || null,
+    messages
+  };
+}
+
+/**
+ * Convert one of our own JSON exports
+ */
+function fromParachute(exported) {
+  const session = exported.session;
+  return {
+    source: ImportSource.PARACHUTE,
+    externalId: session.id,
+    title: session.title || null,
+    agentPath: session.agentPath || null,
+    createdAt: session.createdAt || null,
+    updatedAt: session.lastAccessed || null,
+    summary: session.summary || null,
+    messages: (session.messages || []).filter(msg => msg.role && typeof msg.content === 'string')
+  };
+}
+
+/**
+ * Detect which tool a conversation came from
+ *
+ * @param {object} conversation
+ * @returns {string|null} ImportSource, or null if unrecognized
+ */
+export function detectImportSource(conversation) {
+  if (!conversation || typeof conversation !== 'object') return null;
+  if (conversation.format === EXPORT_FORMAT && conversation.session) return ImportSource.PARACHUTE;
+  if (conversation.mapping && typeof conversation.mapping === 'object') return ImportSource.CHATGPT;
+  if (Array.isArray(conversation.chat_messages)) return ImportSource.CLAUDE;
+  return null;
+}
+
+/**
+ * Normalize a conversation export (a single conversation or an array)
+ *
+ * @param {object|Array} data - Parsed export file
+ * @returns {{ conversations: Array<object>, unrecognized: number }}
+ */
+export function parseConversationExport(data) {
+  const items = Array.isArray(data) ? data : [data];
+  const conversations = [];
+  let unrecognized = 0;
+
+  for (const item of items) {
+    switch (detectImportSource(item)) {
+      case ImportSource.CHATGPT:
+        conversations.push(fromChatGpt(item));
+        break;
+      case ImportSource.CLAUDE:
+        conversations.push(fromClaude(item));
+        break;
+      case ImportSource.PARACHUTE:
+        conversations.push(fromParachute(item));
+        break;
+      default:
+        unrecognized++;
+    }
+  }
+
+  return { conversations, unrecognized };
+}
+
+export default {
+  EXPORT_FORMAT,
+  ExportFormat,
+  ImportSource,
+  exportSessionJson,
+  exportSessionHtml,
+  detectImportSource,
+  parseConversationExport
+};
@@ -0,0 +1,129 @@
+/**
+ * Session Transfer Tests
+ *
+ * Run with: node --test lib/session-transfer.test.js
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import {
+  ImportSource,
+  exportSessionJson,
+  exportSessionHtml,
+  detectImportSource,
+  parseConversationExport
+} from './session-transfer.js';
+
+const chatGptConversation = {
+  title: 'API design',
+  create_time: 1700000000,
+  update_time: 1700000600,
+  conversation_id: 'gpt-1',
+  current_node: 'n3',
+  mapping: {
+    root: { id: 'root', message: null, parent: null, children: ['n0'] },
+    n0: { id: 'n0', parent: 'root', children: ['n1'], message: { author: { role: 'system' }, content: { content_type: 'text', parts: [''] } } },
+    n1: { id: 'n1', parent: 'n0', children: ['n2', 'n2b'], message: { author: { role: 'user' }, create_time: 1700000100, content: { content_type: 'text', parts: ['Design the API'] } } },
+    n2b: { id: 'n2b', parent: 'n1', children: [], message: { author: { role: 'assistant' }, content: { content_type: 'text', parts: ['Abandoned branch'] } } },
+    n2: { id: 'n2', parent: 'n1', children: ['n3'], message: { author: { role: 'assistant' }, create_time: 1700000200, content: { content_type: 'text', parts: ['Use REST'] } } },
+    n3: { id: 'n3', parent: 'n2', children: [], message: { author: { role: 'user' }, create_time: 1700000300, content: { content_type: 'multimodal_text', parts: [{ content_type: 'image_asset_pointer' }, 'What about this?'] } } }
+  }
+};
+
+const claudeConversation = {
+  uuid: 'claude-1',
+  name: 'Garden',
+  created_at: '2024-05-01T10:00:00.000Z',
+  updated_at: '2024-05-01T10:05:00.000Z',
+  chat_messages: [
+    { uuid: 'm1', sender: 'human', text: 'Tomatoes?', content: [{ type: 'text', text: 'Tomatoes?' }], created_at: '2024-05-01T10:00:00.000Z' },
+    { uuid: 'm2', sender: 'assistant', text: '', content: [{ type: 'text', text: 'Full sun.' }, { type: 'tool_use', name: 'x' }], created_at: '2024-05-01T10:01:00.000Z' }
+  ]
+};
+
+describe('parseConversationExport', () => {
+  test('follows the visible ChatGPT branch', () => {
+    const { conversations, unrecognized } = parseConversationExport([chatGptConversation, { foo: 1 }]);
+
+    assert.strictEqual(unrecognized, 1);
+    const [conversation] = conversations;
+    assert.strictEqual(conversation.source, ImportSource.CHATGPT);
+    assert.strictEqual(conversation.externalId, 'gpt-1');
+    assert.strictEqual(conversation.createdAt, '2023-11-14T22:13:20.000Z');
+    assert.deepStrictEqual(conversation.messages.map(m => [m.role, m.content]), [
+      ['user', 'Design the API'],
+      ['assistant', 'Use REST'],
+      ['user', '[image_asset_pointer]\nWhat about this?']
+    ]);
+  });
+
+  test('reads Claude.ai exports', () => {
+    const { conversations } = parseConversationExport(claudeConversation);
+
+    assert.strictEqual(conversations[0].source, ImportSource.CLAUDE);
+    assert.strictEqual(conversations[0].title, 'Garden');
+    assert.deepStrictEqual(conversations[0].messages.map(m => [m.role, m.content]), [
+      ['user', 'Tomatoes?'],
+      ['assistant', 'Full sun.']
+    ]);
+  });
+
+  test('round-trips our own JSON export', () => {
+    const session = {
+      id: 's1',
+      title: 'Mine',
+      agentPath: 'agents/helper.md',
+      createdAt: '2025-01-01T00:00:00.000Z',
+      messages: [{ id: 'a', role: 'user', timestamp: '2025-01-01T00:00:00.000Z', content: 'Hi', toolCalls: [] }]
+    };
+
+    const exported = JSON.parse(JSON.stringify(exportSessionJson(session)));
+    assert.strictEqual(detectImportSource(exported), ImportSource.PARACHUTE);
+
+    const [conversation] = parseConversationExport(exported).conversations;
+    assert.strictEqual(conversation.agentPath, 'agents/helper.md');
+    assert.deepStrictEqual(conversation.messages, session.messages);
+  });
+});
+
+describe('exportSessionHtml', () => {
+  test('renders markdown and escapes metadata', () => {
+    const html = exportSessionHtml({
+      id: 's1',
+      title: '<script>alert(1)</script>',
+      agentPath: 'agents/helper.md',
+      createdAt: '2025-01-01T00:00:00.000Z',
+      messages: [{
+        role: 'assistant',
+        timestamp: '2025-01-01T00:00:00.000Z',
+        content: '**Done**',
+        toolCalls: [{ name: 'Bash', input: { command: 'echo "<b>"' }, result: { content: 'ok', isError: false } }]
+      }]
+    });
+
+    assert.ok(html.includes('<title>&lt;script&gt;alert(1)&lt;/script&gt;</title>'));
+    assert.ok(html.includes('<strong>Done</strong>'));
+    assert.ok(html.includes('<details class="tool"><summary>Bash</summary>'));
+    assert.ok(html.includes('echo \\&quot;&lt;b&gt;\\&quot;'));
+  });
+
+  test('shows raw HTML in messages and summaries as text', () => {
+    const html = exportSessionHtml({
+      id: 's1',
+      agentPath: 'agents/helper.md',
+      createdAt: '2025-01-01T00:00:00.000Z',
+      summary: { content: '<script>steal()</script>' },
+      messages: [{
+        role: 'assistant',
+        timestamp: '2025-01-01T00:00:00.000Z',
+        content: 'Look <img src=x onerror=alert(1)> and [click](javascript:alert(2))\n\n<script>alert(3)</script>'
+      }]
+    });
+
+    assert.ok(!/<script>|<img/.test(html));
+    assert.ok(!html.includes('javascript:'));
+    assert.ok(html.includes('&lt;img src=x onerror=alert(1)&gt;'));
+    assert.ok(html.includes('&lt;script&gt;alert(3)&lt;/script&gt;'));
+    assert.ok(html.includes('&lt;script&gt;steal()&lt;/script&gt;'));
+  });
+});
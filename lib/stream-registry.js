@@ -0,0 +1,183 @@
+/**
+ * Stream Registry
+ *
+ * Keeps a sequence-numbered log of the events of each chat stream, so a
+ * client that lost its connection mid-response can reconnect and replay
+ * what it missed (SSE `Last-Event-ID`) instead of refetching the session.
+ *
+ * The run itself doesn't depend on any client: events are appended here as
+ * the agent produces them, and clients follow the log.
+ */
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+
+/**
+ * Stream statuses
+ */
+export const StreamStatus = {
+  ACTIVE: 'active',
+  FINISHED: 'finished'
+};
+
+/**
+ * Default registry configuration
+ */
+const DEFAULT_OPTIONS = {
+  maxEvents: 5000,           // Events buffered per stream (oldest dropped first)
+  retainMs: 5 * 60 * 1000    // Keep finished streams this long for late reconnects
+};
+
+/**
+ * Stream Registry class
+ */
+export class StreamRegistry {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.streams = new Map();
+  }
+
+  /**
+   * Register a new stream
+   *
+   * @param {object} params
+   * @param {string|null} params.sessionId - Known up front when resuming a session
+   * @param {string|null} params.agentPath
+   * @returns {object} Stream record
+   */
+  create({ sessionId = null, agentPath = null } = {}) {
+    const stream = {
+      id: crypto.randomUUID(),
+      sessionId,
+      agentPath,
+      status: StreamStatus.ACTIVE,
+      startedAt: new Date(),
+      finishedAt: null,
+      lastSeq: 0,
+      events: [],              // [{ seq, event }]
+      emitter: new EventEmitter()
+    };
+
+    this.streams.set(stream.id, stream);
+    return stream;
+  }
+
+  /**
+   * Get a stream by ID
+   *
+   * @param {string} streamId
+   * @returns {object|undefined}
+   */
+  get(streamId) {
+    return this.streams.get(streamId);
+  }
+
+  /**
+   * Append an event to a stream's log and notify followers
+   *
+   * @param {string} streamId
+   * @param {object} event - Chat stream event
+   * @returns {number|null} Sequence number, or null if the stream is gone
+   */
+  append(streamId, event) {
+    const stream = this.streams.get(streamId);
+    if (!stream || stream.status !== StreamStatus.ACTIVE) return null;
+
+    // New sessions only get their ID from the first event
+    if (event.type === 'session' && event.sessionId) {
+      stream.sessionId = event.sessionId;
+    }
+
+    const entry = { seq: ++stream.lastSeq, event };
+    stream.events.push(entry);
+    if (stream.events.length > this.options.maxEvents) {
+      stream.events.shift();
+    }
+
+    stream.emitter.emit('event', entry);
+    return entry.seq;
+  }
+
+  /**
+   * Mark a stream as finished; it is dropped after `retainMs`
+   *
+   * @param {string} streamId
+   */
+  finish(streamId) {
+    const stream = this.streams.get(streamId);
+    if (!stream || stream.status !== StreamStatus.ACTIVE) return;
+
+    stream.status = StreamStatus.FINISHED;
+    stream.finishedAt = new Date();
+    stream.emitter.emit('end');
+    stream.emitter.removeAllListeners();
+
+    const timer = setTimeout(() => this.streams.delete(streamId), this.options.retainMs);
+    timer.unref?.();
+  }
+
+  /**
+   * Replay a stream's events after a sequence number, then follow it live
+   *
+   * @param {string} streamId
+   * @param {object} handlers
+   * @param {number} handlers.after - Last sequence number the client saw
+   * @param {function({ seq, event })} handlers.onEvent
+   * @param {function()} handlers.onEnd - Called once the stream has finished
+   * @returns {function()|null} Unsubscribe, or null if the stream is unknown
+   */
+  follow(streamId, { after = 0, onEvent, onEnd }) {
+    const stream = this.streams.get(streamId);
+    if (!stream) return null;
+
+    for (const entry of stream.events) {
+      if (entry.seq > after) onEvent(entry);
+    }
+
+    if (stream.status === StreamStatus.FINISHED) {
+      onEnd();
+      return () => {};
+    }
+
+    stream.emitter.on('event', onEvent);
+    stream.emitter.once('end', onEnd);
+
+    return () => {
+      stream.emitter.off('event', onEvent);
+      stream.emitter.off('end', onEnd);
+    };
+  }
+
+  /**
+   * List streams for a session
+   *
+   * @param {string} sessionId
+   * @param {object} options
+   * @param {boolean} options.includeFinished - Also list recently finished streams
+   * @returns {object[]} Stream summaries
+   */
+  listForSession(sessionId, { includeFinished = false } = {}) {
+    return [...this.streams.values()]
+      .filter(stream => stream.sessionId === sessionId)
+      .filter(stream => includeFinished || stream.status === StreamStatus.ACTIVE)
+      .map(stream => this.toSummary(stream));
+  }
+
+  /**
+   * Stream metadata without the event log
+   */
+  toSummary(stream) {
+    return {
+      id: stream.id,
+      sessionId: stream.sessionId,
+      agentPath: stream.agentPath,
+      status: stream.status,
+      startedAt: stream.startedAt,
+      finishedAt: stream.finishedAt,
+      lastEventId: stream.lastSeq,
+      firstBufferedEventId: stream.events[0]?.seq ?? null
+    };
+  }
+}
+
+export default StreamRegistry;
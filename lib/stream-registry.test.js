@@ -0,0 +1,81 @@
+/**
+ * Stream Registry Tests
+ *
+ * Run with: node --test lib/stream-registry.test.js
+ */
+
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { StreamRegistry, StreamStatus } from './stream-registry.js';
+
+describe('StreamRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new StreamRegistry();
+  });
+
+  test('numbers events and picks up the session ID', () => {
+    const stream = registry.create({ agentPath: 'agents/helper.md' });
+
+    assert.strictEqual(registry.append(stream.id, { type: 'session', sessionId: 's1' }), 1);
+    assert.strictEqual(registry.append(stream.id, { type: 'text', content: 'hi' }), 2);
+    assert.strictEqual(stream.sessionId, 's1');
+    assert.strictEqual(registry.append('missing', { type: 'text' }), null);
+  });
+
+  test('replays missed events, then follows live until the end', () => {
+    const stream = registry.create({ sessionId: 's1' });
+    registry.append(stream.id, { type: 'session', sessionId: 's1' });
+    registry.append(stream.id, { type: 'text', content: 'a' });
+
+    const seen = [];
+    let ended = false;
+    registry.follow(stream.id, {
+      after: 1,
+      onEvent: ({ seq }) => seen.push(seq),
+      onEnd: () => { ended = true; }
+    });
+
+    registry.append(stream.id, { type: 'done' });
+    registry.finish(stream.id);
+
+    assert.deepStrictEqual(seen, [2, 3]);
+    assert.strictEqual(ended, true);
+    assert.strictEqual(registry.append(stream.id, { type: 'text' }), null);
+  });
+
+  test('replays finished streams immediately', () => {
+    const stream = registry.create();
+    registry.append(stream.id, { type: 'done' });
+    registry.finish(stream.id);
+
+    const seen = [];
+    let ended = false;
+    registry.follow(stream.id, { onEvent: (entry) => seen.push(entry), onEnd: () => { ended = true; } });
+
+    assert.strictEqual(seen.length, 1);
+    assert.strictEqual(ended, true);
+    assert.strictEqual(registry.follow('missing', { onEvent() {}, onEnd() {} }), null);
+  });
+
+  test('keeps only the most recent events', () => {
+    registry = new StreamRegistry({ maxEvents: 2 });
+    const stream = registry.create();
+    for (let i = 0; i < 5; i++) registry.append(stream.id, { type: 'text', content: String(i) });
+
+    assert.deepStrictEqual(stream.events.map(e => e.seq), [4, 5]);
+    assert.strictEqual(registry.toSummary(stream).firstBufferedEventId, 4);
+  });
+
+  test('lists in-flight streams for a session', () => {
+    const active = registry.create({ sessionId: 's1' });
+    const done = registry.create({ sessionId: 's1' });
+    registry.create({ sessionId: 's2' });
+    registry.finish(done.id);
+
+    assert.deepStrictEqual(registry.listForSession('s1').map(s => s.id), [active.id]);
+    assert.strictEqual(registry.listForSession('s1', { includeFinished: true }).length, 2);
+    assert.strictEqual(registry.listForSession('s1')[0].status, StreamStatus.ACTIVE);
+  });
+});
@@ -0,0 +1,291 @@
+/**
+ * Text Diff
+ *
+ * Line diffs between two versions of a file, as unified-diff hunks - used
+ * to show what a write will change before the user approves it. Write,
+ * Edit and MultiEdit inputs are turned into the resulting content with
+ * applyToolEdit, and applyHunks applies some or all of a patch's hunks
+ * (for reviewing staged edits hunk by hunk).
+ *
+ * A patch is:
+ *   { path, newFile, additions, deletions,
+ *     hunks: [{ oldStart, oldLines, newStart, newLines, lines: ['+added', '-removed', ' context'] }] }
+ */
+
+// Past this many changed lines the diff gives up on finding the smallest
+// edit and replaces the differing middle wholesale
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Split text into lines, keeping each line's newline so a missing newline
+ * at the end of the file shows up as a change
+ */
+function splitLines(text) {
+  if (!text) return [];
+  return text.match(/[^\n]*\n|[^\n]+$/g);
+}
+
+/**
+ * Myers' diff: the shortest list of equal/delete/insert operations turning
+ * `a` into `b`, or null if it needs more than MAX_EDIT_DISTANCE edits
+ */
+function shortestEdit(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    if (d > MAX_EDIT_DISTANCE) return null;
+    // Furthest x reached on each diagonal k in [-d-1, d+1] before this step
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+      v[offset + k] = x;
+      if (x >= n && y >= m) return backtrack(trace, a, b);
+    }
+  }
+  return null;
+}
+
+function backtrack(trace, a, b) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const snapshot = trace[d];
+    const at = (k) => snapshot[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : at(prevK);
+    const prevY = d === 0 ? 0 : prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', line: a[--x] });
+      y--;
+    }
+    if (d === 0) break;
+    if (x === prevX) {
+      ops.push({ type: 'insert', line: b[--y] });
+    } else {
+      ops.push({ type: 'delete', line: a[--x] });
+    }
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Diff two texts line by line
+ *
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<{ type: 'equal'|'delete'|'insert', line: string }>} Lines keep their newline
+ */
+export function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // Only diff what lies between the common start and end
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const middle = shortestEdit(middleA, middleB) || [
+    ...middleA.map(line => ({ type: 'delete', line })),
+    ...middleB.map(line => ({ type: 'insert', line }))
+  ];
+
+  return [
+    ...a.slice(0, start).map(line => ({ type: 'equal', line })),
+    ...middle,
+    ...a.slice(endA).map(line => ({ type: 'equal', line }))
+  ];
+}
+
+/**
+ * Render one diff line with its prefix (and git's marker for a last line
+ * without a newline)
+ */
+function hunkLine(prefix, line) {
+  return line.endsWith('\n')
+    ? [prefix + line.slice(0, -1)]
+    : [prefix + line, '\\ No newline at end of file'];
+}
+
+/**
+ * Build a patch from two versions of a file
+ *
+ * @param {string|null} oldText - Current content, or null for a new file
+ * @param {string} newText - Content after the change
+ * @param {object} options - { path, context: lines of context around changes (default 3) }
+ * @returns {object} Patch (see module comment)
+ */
+export function createPatch(oldText, newText, { path = null, context = 3 } = {}) {
+  const ops = diffLines(oldText || '', newText || '');
+
+  // Where each op sits in the old and new file
+  let oldIndex = 0;
+  let newIndex = 0;
+  for (const op of ops) {
+    op.oldIndex = oldIndex;
+    op.newIndex = newIndex;
+    if (op.type !== 'insert') oldIndex++;
+    if (op.type !== 'delete') newIndex++;
+  }
+
+  // Group changes that are close enough to share context
+  const ranges = [];
+  ops.forEach((op, i) => {
+    if (op.type === 'equal') return;
+    const last = ranges[ranges.length - 1];
+    if (last && i - last.end <= 2 * context) {
+      last.end = i;
+    } else {
+      ranges.push({ start: i, end: i });
+    }
+  });
+
+  let additions = 0;
+  let deletions = 0;
+  const hunks = ranges.map(range => {
+    const slice = ops.slice(Math.max(0, range.start - context), Math.min(ops.length, range.end + context + 1));
+    const lines = [];
+    let oldLines = 0;
+    let newLines = 0;
+    for (const op of slice) {
+      if (op.type === 'equal') {
+        lines.push(...hunkLine(' ', op.line));
+        oldLines++;
+        newLines++;
+      } else if (op.type === 'delete') {
+        lines.push(...hunkLine('-', op.line));
+        oldLines++;
+        deletions++;
+      } else {
+        lines.push(...hunkLine('+', op.line));
+        newLines++;
+        additions++;
+      }
+    }
+    // An empty side starts at the line before it (unified diff convention)
+    return {
+      oldStart: oldLines === 0 ? slice[0].oldIndex : slice[0].oldIndex + 1,
+      oldLines,
+      newStart: newLines === 0 ? slice[0].newIndex : slice[0].newIndex + 1,
+      newLines,
+      lines
+    };
+  });
+
+  return { path, newFile: oldText === null, additions, deletions, hunks };
+}
+
+/**
+ * Render a patch as a unified diff
+ *
+ * @param {object} patch - From createPatch
+ * @returns {string} Empty if nothing changed
+ */
+export function formatPatch(patch) {
+  if (patch.hunks.length === 0) return '';
+  const name = patch.path || 'file';
+  const lines = [
+    patch.newFile ? '--- /dev/null' : `--- a/${name}`,
+    `+++ b/${name}`
+  ];
+  for (const hunk of patch.hunks) {
+    lines.push(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`, ...hunk.lines);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Apply hunks to a text. Each hunk is placed where its context and removed
+ * lines are found, searching outward from its line number, so edits made
+ * elsewhere in the file since the patch was created don't get in the way.
+ *
+ * @param {string} text - Current content
+ * @param {Array<object>} hunks - Hunks from createPatch (a subset is fine), in order
+ * @returns {string|null} The patched text, or null if a hunk no longer fits
+ */
+export function applyHunks(text, hunks) {
+  const lines = splitLines(text);
+  const output = [];
+  let position = 0;
+  let offset = 0;
+
+  for (const hunk of hunks) {
+    // Rebuild the hunk's old and new lines, newlines included
+    const entries = [];
+    for (const line of hunk.lines) {
+      if (line.startsWith('\\')) {
+        if (entries.length > 0) entries[entries.length - 1].newline = false;
+        continue;
+      }
+      entries.push({ op: line[0], text: line.slice(1), newline: true });
+    }
+    const toLine = (entry) => entry.text + (entry.newline ? '\n' : '');
+    const oldBlock = entries.filter(e => e.op !== '+').map(toLine);
+    const newBlock = entries.filter(e => e.op !== '-').map(toLine);
+
+    const expected = (hunk.oldLines === 0 ? hunk.oldStart : hunk.oldStart - 1) + offset;
+    const fits = (at) => at >= position && at + oldBlock.length <= lines.length &&
+      oldBlock.every((line, i) => lines[at + i] === line);
+
+    let at = null;
+    for (let distance = 0; at === null && distance <= lines.length; distance++) {
+      if (fits(expected - distance)) at = expected - distance;
+      else if (fits(expected + distance)) at = expected + distance;
+    }
+    if (at === null) return null;
+
+    output.push(...lines.slice(position, at), ...newBlock);
+    position = at + oldBlock.length;
+    offset = at - (hunk.oldLines === 0 ? hunk.oldStart : hunk.oldStart - 1);
+  }
+
+  output.push(...lines.slice(position));
+  return output.join('');
+}
+
+/**
+ * Content a file tool call would leave behind
+ *
+ * @param {string} toolName - Write, Edit or MultiEdit
+ * @param {string|null} content - Current content, or null if the file doesn't exist
+ * @param {object} input - Tool input
+ * @returns {string|null} New content, or null if the call can't be applied
+ */
+export function applyToolEdit(toolName, content, input = {}) {
+  const applyEdit = (text, { old_string: oldString, new_string: newString, replace_all: replaceAll }) => {
+    if (text === null || typeof oldString !== 'string' || typeof newString !== 'string') return null;
+    if (oldString === '' || !text.includes(oldString)) return null;
+    return replaceAll ? text.split(oldString).join(newString) : text.replace(oldString, () => newString);
+  };
+
+  if (toolName === 'Write') {
+    return typeof input.content === 'string' ? input.content : null;
+  }
+  if (toolName === 'Edit') {
+    return applyEdit(content, input);
+  }
+  if (toolName === 'MultiEdit' && Array.isArray(input.edits)) {
+    return input.edits.reduce((text, edit) => text === null ? null : applyEdit(text, edit), content);
+  }
+  return null;
+}
+
+export default { diffLines, createPatch, formatPatch, applyHunks, applyToolEdit };
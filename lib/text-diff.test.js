@@ -0,0 +1,66 @@
+/**
+ * Text Diff Tests
+ *
+ * Run with: node --test lib/text-diff.test.js
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { diffLines, createPatch, formatPatch, applyHunks, applyToolEdit } from './text-diff.js';
+
+const lines = (n, change = {}) => Array.from({ length: n }, (_, i) => change[i] ?? `line ${i + 1}`).join('\n') + '\n';
+
+describe('text diff', () => {
+  test('finds the smallest line diff', () => {
+    const ops = diffLines('a\nb\nc\nd\n', 'a\nc\nd\ne\n');
+    assert.deepStrictEqual(
+      ops.map(op => `${op.type[0]}${op.line.trim()}`),
+      ['ea', 'db', 'ec', 'ed', 'ie']
+    );
+  });
+
+  test('groups changes into hunks with context and stats', () => {
+    const patch = createPatch(lines(30), lines(30, { 3: 'changed', 25: 'also changed' }), { path: 'notes/a.md' });
+
+    assert.strictEqual(patch.additions, 2);
+    assert.strictEqual(patch.deletions, 2);
+    assert.deepStrictEqual(patch.hunks.map(h => [h.oldStart, h.oldLines, h.newStart, h.newLines]), [[1, 7, 1, 7], [23, 7, 23, 7]]);
+    assert.deepStrictEqual(patch.hunks[0].lines.slice(2, 6), [' line 3', '-line 4', '+changed', ' line 5']);
+
+    const unified = formatPatch(patch);
+    assert.ok(unified.startsWith('--- a/notes/a.md\n+++ b/notes/a.md\n@@ -1,7 +1,7 @@\n'));
+    // Nearby changes share a hunk
+    assert.strictEqual(createPatch(lines(30), lines(30, { 3: 'x', 8: 'y' })).hunks.length, 1);
+  });
+
+  test('handles new files, missing final newlines and no changes', () => {
+    const created = createPatch(null, 'hello\n', { path: 'new.md' });
+    assert.strictEqual(created.newFile, true);
+    assert.strictEqual(formatPatch(created), '--- /dev/null\n+++ b/new.md\n@@ -0,0 +1,1 @@\n+hello\n');
+
+    const newline = createPatch('a\nb', 'a\nb\n');
+    assert.deepStrictEqual(newline.hunks[0].lines, [' a', '-b', '\\ No newline at end of file', '+b']);
+
+    assert.strictEqual(formatPatch(createPatch('same\n', 'same\n')), '');
+  });
+
+  test('applies some or all hunks, following lines that moved', () => {
+    const patch = createPatch(lines(30), lines(30, { 3: 'x', 25: 'y' }));
+
+    assert.strictEqual(applyHunks(lines(30), patch.hunks), lines(30, { 3: 'x', 25: 'y' }));
+    assert.strictEqual(applyHunks(lines(30), [patch.hunks[1]]), lines(30, { 25: 'y' }));
+    assert.strictEqual(applyHunks('new top\n' + lines(30), patch.hunks), 'new top\n' + lines(30, { 3: 'x', 25: 'y' }));
+    assert.strictEqual(applyHunks(lines(30, { 3: 'changed' }), patch.hunks), null);
+  });
+
+  test('applies Write, Edit and MultiEdit inputs', () => {
+    assert.strictEqual(applyToolEdit('Write', null, { content: 'new' }), 'new');
+    assert.strictEqual(applyToolEdit('Edit', 'a b a', { old_string: 'a', new_string: '$&c' }), '$&c b a');
+    assert.strictEqual(applyToolEdit('Edit', 'a b a', { old_string: 'a', new_string: 'c', replace_all: true }), 'c b c');
+    assert.strictEqual(applyToolEdit('MultiEdit', 'a b', {
+      edits: [{ old_string: 'a', new_string: 'x' }, { old_string: 'b', new_string: 'y' }]
+    }), 'x y');
+    assert.strictEqual(applyToolEdit('Edit', 'a b', { old_string: 'z', new_string: 'y' }), null);
+    assert.strictEqual(applyToolEdit('Edit', null, { old_string: 'a', new_string: 'b' }), null);
+  });
+});
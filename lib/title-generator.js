@@ -6,15 +6,17 @@
  */
 
 import { query } from '@anthropic-ai/claude-agent-sdk';
+import { getUsageTracker, UsageKind } from './usage-tracker.js';
 
 /**
  * Generate a title for a chat session based on the conversation
  *
  * @param {Array} messages - Array of {role, content} messages
  * @param {string} agentName - Name of the agent
+ * @param {object} attribution - { sessionId, agentPath } for usage tracking
  * @returns {Promise<string>} - Generated title (or null if generation fails)
  */
-export async function generateSessionTitle(messages, agentName) {
+export async function generateSessionTitle(messages, agentName, attribution = {}) {
   // Need at least one user message to generate a title
   if (!messages || messages.length === 0) {
     return null;
@@ -56,15 +58,26 @@ ${conversationText}`;
 
     // Collect the response
     let title = '';
+    let model = 'haiku';
     for await (const msg of response) {
-      if (msg.type === 'assistant' && msg.message?.content) {
+      if (msg.type === 'system' && msg.subtype === 'init') {
+        model = msg.model || model;
+      } else if (msg.type === 'assistant' && msg.message?.content) {
         for (const block of msg.message.content) {
           if (block.type === 'text') {
             title = block.text;
           }
         }
-      } else if (msg.type === 'result' && msg.result) {
-        title = msg.result;
+      } else if (msg.type === 'result') {
+        if (msg.result) {
+          title = msg.result;
+        }
+        getUsageTracker()?.recordUsage(msg.usage, attribution.sessionId || null, attribution.agentPath || null, {
+          kind: UsageKind.TITLE,
+          model,
+          costUsd: msg.total_cost_usd,
+          modelUsage: msg.modelUsage
+        });
       }
     }
 
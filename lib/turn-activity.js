@@ -0,0 +1,127 @@
+/**
+ * Turn Activity
+ *
+ * Collects what an agent did during one chat turn - tool calls, their
+ * (truncated) results and the user's permission decisions - so it can be
+ * stored with the assistant message instead of only the final text.
+ *
+ * Stored on the message as:
+ *   toolCalls:   [{ id, name, input, result?: { content, isError, truncated, length } }]
+ *   permissions: [{ toolName, filePath?, mcpServer?, decision, timestamp }]
+ *
+ * `decision` is 'granted', 'denied' or 'timeout'.
+ */
+
+/**
+ * Default max characters kept per tool result
+ */
+export const DEFAULT_MAX_RESULT_CHARS = 2000;
+
+/**
+ * Flatten tool_result content (a string or a list of content blocks) to text
+ *
+ * @param {string|Array<object>} content
+ * @returns {string}
+ */
+export function toolResultText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+
+  return content
+    .map(block => {
+      if (block.type === 'text') return block.text;
+      if (block.type === 'image') return '[image]';
+      return `[${block.type}]`;
+    })
+    .join('\n');
+}
+
+/**
+ * Turn Activity class
+ */
+export class TurnActivity {
+  constructor(options = {}) {
+    this.maxResultChars = options.maxResultChars ?? DEFAULT_MAX_RESULT_CHARS;
+    this.toolCalls = [];
+    this.permissions = [];
+  }
+
+  /**
+   * Record a tool_use block from an assistant message
+   *
+   * @param {object} block - { id, name, input }
+   * @returns {object} The stored tool call
+   */
+  addToolUse(block) {
+    const toolCall = {
+      id: block.id,
+      name: block.name,
+      input: block.input
+    };
+    this.toolCalls.push(toolCall);
+    return toolCall;
+  }
+
+  /**
+   * Record the tool_result blocks of an SDK user message
+   *
+   * @param {object} msg - SDK message of type 'user'
+   * @returns {Array<object>} Tool calls that received a result
+   */
+  addToolResults(msg) {
+    const content = msg.message?.content;
+    if (!Array.isArray(content)) return [];
+
+    const updated = [];
+    for (const block of content) {
+      if (block.type !== 'tool_result') continue;
+
+      const toolCall = this.toolCalls.find(call => call.id === block.tool_use_id);
+      if (!toolCall) continue;
+
+      const text = toolResultText(block.content);
+      const truncated = text.length > this.maxResultChars;
+      toolCall.result = {
+        content: truncated ? text.slice(0, this.maxResultChars) : text,
+        isError: block.is_error === true,
+        truncated,
+        length: text.length
+      };
+      updated.push(toolCall);
+    }
+    return updated;
+  }
+
+  /**
+   * Record a permission decision made by the user (or a timeout)
+   *
+   * @param {object} decision - { toolName, filePath?, mcpServer?, decision }
+   */
+  addPermission(decision) {
+    this.permissions.push({
+      ...decision,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Whether anything was recorded
+   */
+  isEmpty() {
+    return this.toolCalls.length === 0 && this.permissions.length === 0;
+  }
+
+  /**
+   * Message metadata for SessionManager.addMessage (empty lists omitted)
+   *
+   * @returns {object}
+   */
+  toMetadata() {
+    const metadata = {};
+    if (this.toolCalls.length > 0) metadata.toolCalls = this.toolCalls;
+    if (this.permissions.length > 0) metadata.permissions = this.permissions;
+    return metadata;
+  }
+}
+
+export default TurnActivity;
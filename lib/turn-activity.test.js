@@ -0,0 +1,61 @@
+/**
+ * Turn Activity Tests
+ *
+ * Run with: node --test lib/turn-activity.test.js
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { TurnActivity, toolResultText } from './turn-activity.js';
+
+describe('TurnActivity', () => {
+  test('attaches truncated results to their tool calls', () => {
+    const activity = new TurnActivity({ maxResultChars: 5 });
+    activity.addToolUse({ id: 't1', name: 'Bash', input: { command: 'ls' } });
+    activity.addToolUse({ id: 't2', name: 'Read', input: { file_path: 'a.md' } });
+
+    const updated = activity.addToolResults({
+      type: 'user',
+      message: {
+        content: [
+          { type: 'tool_result', tool_use_id: 't1', content: 'a.md\nb.md', is_error: false },
+          { type: 'tool_result', tool_use_id: 'unknown', content: 'ignored' },
+          { type: 'text', text: 'not a result' }
+        ]
+      }
+    });
+
+    assert.deepStrictEqual(updated.map(call => call.id), ['t1']);
+    assert.deepStrictEqual(activity.toolCalls[0].result, {
+      content: 'a.md\n',
+      isError: false,
+      truncated: true,
+      length: 9
+    });
+    assert.strictEqual(activity.toolCalls[1].result, undefined);
+  });
+
+  test('omits empty lists from message metadata', () => {
+    const activity = new TurnActivity();
+    assert.strictEqual(activity.isEmpty(), true);
+    assert.deepStrictEqual(activity.toMetadata(), {});
+
+    activity.addPermission({ toolName: 'Write', filePath: 'notes/a.md', decision: 'granted' });
+    const { permissions, toolCalls } = activity.toMetadata();
+
+    assert.strictEqual(toolCalls, undefined);
+    assert.strictEqual(permissions[0].decision, 'granted');
+    assert.ok(permissions[0].timestamp);
+  });
+});
+
+describe('toolResultText', () => {
+  test('flattens content blocks', () => {
+    assert.strictEqual(toolResultText('plain'), 'plain');
+    assert.strictEqual(
+      toolResultText([{ type: 'text', text: 'one' }, { type: 'image', source: {} }]),
+      'one\n[image]'
+    );
+    assert.strictEqual(toolResultText(undefined), '');
+  });
+});
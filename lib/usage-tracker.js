@@ -7,6 +7,7 @@
 
 import fs from 'fs/promises';
 import path from 'path';
+import { BudgetExceededError } from './errors.js';
 
 /**
  * Usage data structure
@@ -17,7 +18,19 @@ const DEFAULT_USAGE = {
   totalTokens: 0,
   requestCount: 0,
   cacheCreationInputTokens: 0,
-  cacheReadInputTokens: 0
+  cacheReadInputTokens: 0,
+  costUsd: 0               // Cost reported by the SDK
+};
+
+/**
+ * Kinds of SDK calls usage is attributed to
+ */
+export const UsageKind = {
+  CHAT: 'chat',           // Interactive chat turn
+  DOC_RUN: 'doc_run',     // Doc agent processing a document
+  AGENT_RUN: 'agent_run', // Standalone, spawned or workflow step run
+  TITLE: 'title',         // Session title generation
+  SUMMARY: 'summary'      // Rolling session summary
 };
 
 /**
@@ -33,6 +46,10 @@ export class UsageTracker {
     this.bySession = new Map();  // sessionId -> usage
     this.byAgent = new Map();    // agentPath -> usage
     this.byDay = new Map();      // YYYY-MM-DD -> usage
+    this.byModel = new Map();    // model name -> usage
+    this.byKind = new Map();     // UsageKind -> usage
+    this.byAgentToday = new Map(); // agentPath -> usage (for max_daily_tokens)
+    this.agentDay = this.getDayKey();
 
     // Track hourly for rate limiting
     this.hourlyUsage = new Map(); // hour timestamp -> usage
@@ -44,6 +61,16 @@ export class UsageTracker {
     // Cost estimation (default Claude pricing)
     this.costPerInputToken = options.costPerInputToken || 0.000003;  // $3/M input
     this.costPerOutputToken = options.costPerOutputToken || 0.000015; // $15/M output
+
+    // Vault-wide monthly spend limit in USD (null = unlimited)
+    this.monthlyBudgetUsd = options.monthlyBudgetUsd || null;
+  }
+
+  /**
+   * Current day key (UTC, matches byDay)
+   */
+  getDayKey(date = new Date()) {
+    return date.toISOString().split('T')[0];
   }
 
   /**
@@ -80,6 +107,22 @@ export class UsageTracker {
           this.byDay.set(key, { ...DEFAULT_USAGE, ...value });
         }
       }
+      if (parsed.byModel) {
+        for (const [key, value] of Object.entries(parsed.byModel)) {
+          this.byModel.set(key, { ...DEFAULT_USAGE, ...value });
+        }
+      }
+      if (parsed.byKind) {
+        for (const [key, value] of Object.entries(parsed.byKind)) {
+          this.byKind.set(key, { ...DEFAULT_USAGE, ...value });
+        }
+      }
+      // Per-agent daily usage only matters for the current day
+      if (parsed.byAgentToday && parsed.agentDay === this.agentDay) {
+        for (const [key, value] of Object.entries(parsed.byAgentToday)) {
+          this.byAgentToday.set(key, { ...DEFAULT_USAGE, ...value });
+        }
+      }
 
       console.log(`[UsageTracker] Loaded usage data: ${this.global.totalTokens} total tokens`);
     } catch (e) {
@@ -100,6 +143,10 @@ export class UsageTracker {
         bySession: Object.fromEntries(this.bySession),
         byAgent: Object.fromEntries(this.byAgent),
         byDay: Object.fromEntries(this.byDay),
+        byModel: Object.fromEntries(this.byModel),
+        byKind: Object.fromEntries(this.byKind),
+        byAgentToday: Object.fromEntries(this.byAgentToday),
+        agentDay: this.agentDay,
         lastSaved: new Date().toISOString()
       };
 
@@ -132,8 +179,13 @@ export class UsageTracker {
    * @param {object} usage - Usage object from API response
    * @param {string} sessionId - Session ID
    * @param {string} agentPath - Agent path
+   * @param {object} details - Optional attribution
+   * @param {string} details.kind - UsageKind of the call
+   * @param {string} details.model - Model name (used when modelUsage is absent)
+   * @param {number} details.costUsd - Total cost reported by the SDK
+   * @param {object} details.modelUsage - SDK per-model breakdown
    */
-  recordUsage(usage, sessionId = null, agentPath = null) {
+  recordUsage(usage, sessionId = null, agentPath = null, details = {}) {
     if (!usage) return;
 
     const inputTokens = usage.input_tokens || 0;
@@ -147,12 +199,36 @@ export class UsageTracker {
       totalTokens: inputTokens + outputTokens,
       requestCount: 1,
       cacheCreationInputTokens: cacheCreation,
-      cacheReadInputTokens: cacheRead
+      cacheReadInputTokens: cacheRead,
+      costUsd: details.costUsd || 0
     };
 
     // Update global
     this.addToUsage(this.global, record);
 
+    // Update call kind
+    if (details.kind) {
+      this.addToBucket(this.byKind, details.kind, record);
+    }
+
+    // Update model - prefer the SDK's per-model breakdown (subagents may use other models)
+    const modelEntries = Object.entries(details.modelUsage || {});
+    if (modelEntries.length > 0) {
+      for (const [model, mu] of modelEntries) {
+        this.addToBucket(this.byModel, model, {
+          inputTokens: mu.inputTokens || 0,
+          outputTokens: mu.outputTokens || 0,
+          totalTokens: (mu.inputTokens || 0) + (mu.outputTokens || 0),
+          requestCount: 1,
+          cacheCreationInputTokens: mu.cacheCreationInputTokens || 0,
+          cacheReadInputTokens: mu.cacheReadInputTokens || 0,
+          costUsd: mu.costUSD || 0
+        });
+      }
+    } else if (details.model) {
+      this.addToBucket(this.byModel, details.model, record);
+    }
+
     // Update session
     if (sessionId) {
       if (!this.bySession.has(sessionId)) {
@@ -167,6 +243,9 @@ export class UsageTracker {
         this.byAgent.set(agentPath, { ...DEFAULT_USAGE });
       }
       this.addToUsage(this.byAgent.get(agentPath), record);
+
+      this.rolloverAgentDay();
+      this.addToBucket(this.byAgentToday, agentPath, record);
     }
 
     // Update daily
@@ -186,6 +265,16 @@ export class UsageTracker {
     this.addToUsage(this.hourlyUsage.get(hourKey), record);
   }
 
+  /**
+   * Add usage record to a keyed map of usage objects
+   */
+  addToBucket(map, key, record) {
+    if (!map.has(key)) {
+      map.set(key, { ...DEFAULT_USAGE });
+    }
+    this.addToUsage(map.get(key), record);
+  }
+
   /**
    * Add usage record to existing usage object
    */
@@ -196,6 +285,7 @@ export class UsageTracker {
     target.requestCount += record.requestCount;
     target.cacheCreationInputTokens += record.cacheCreationInputTokens;
     target.cacheReadInputTokens += record.cacheReadInputTokens;
+    target.costUsd += record.costUsd || 0;
   }
 
   /**
@@ -313,6 +403,148 @@ export class UsageTracker {
     return agents;
   }
 
+  /**
+   * Get usage broken down by model
+   */
+  getModelUsage() {
+    return Array.from(this.byModel.entries())
+      .map(([model, usage]) => ({
+        model,
+        ...usage,
+        estimatedCost: this.estimateCost(usage)
+      }))
+      .sort((a, b) => b.totalTokens - a.totalTokens);
+  }
+
+  /**
+   * Get usage broken down by call kind
+   */
+  getKindUsage() {
+    return Array.from(this.byKind.entries())
+      .map(([kind, usage]) => ({
+        kind,
+        ...usage,
+        estimatedCost: this.estimateCost(usage)
+      }))
+      .sort((a, b) => b.totalTokens - a.totalTokens);
+  }
+
+  /**
+   * Start a fresh per-agent daily tally when the day changes
+   */
+  rolloverAgentDay() {
+    const today = this.getDayKey();
+    if (this.agentDay !== today) {
+      this.agentDay = today;
+      this.byAgentToday.clear();
+    }
+  }
+
+  /**
+   * Get an agent's usage for the current day
+   */
+  getAgentDailyUsage(agentPath) {
+    this.rolloverAgentDay();
+    return this.byAgentToday.get(agentPath) || { ...DEFAULT_USAGE };
+  }
+
+  /**
+   * Spend in USD - the SDK-reported cost, or an estimate for older data
+   */
+  getSpend(usage) {
+    return usage.costUsd > 0 ? usage.costUsd : this.estimateCost(usage);
+  }
+
+  /**
+   * Spend this month, worked out day by day so days recorded before the
+   * SDK reported costs are estimated rather than counted as free
+   */
+  getMonthSpend() {
+    const month = this.getDayKey().slice(0, 7);
+    let spent = 0;
+    for (const [day, dayUsage] of this.byDay) {
+      if (day.startsWith(month)) {
+        spent += this.getSpend(dayUsage);
+      }
+    }
+    return spent;
+  }
+
+  /**
+   * Check an agent against the monthly budget and its daily token limit
+   *
+   * @param {string} agentPath - Agent path
+   * @param {object} constraints - Agent constraints (max_daily_tokens)
+   * @throws {BudgetExceededError} If a limit has been reached
+   */
+  checkBudget(agentPath, constraints = {}) {
+    const now = new Date();
+
+    if (this.monthlyBudgetUsd) {
+      const spentUsd = this.getMonthSpend();
+      if (spentUsd >= this.monthlyBudgetUsd) {
+        const resetsAt = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+        throw new BudgetExceededError(
+          `Monthly budget of $${this.monthlyBudgetUsd} reached ($${spentUsd.toFixed(2)} spent)`,
+          Math.ceil((resetsAt - now) / 1000),
+          { scope: 'monthly', limitUsd: this.monthlyBudgetUsd, spentUsd, resetsAt: resetsAt.toISOString() }
+        );
+      }
+    }
+
+    const maxDailyTokens = constraints?.max_daily_tokens;
+    if (maxDailyTokens && agentPath) {
+      const usedTokens = this.getAgentDailyUsage(agentPath).totalTokens;
+      if (usedTokens >= maxDailyTokens) {
+        const resetsAt = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+        throw new BudgetExceededError(
+          `Daily token limit for ${agentPath} reached (${usedTokens}/${maxDailyTokens})`,
+          Math.ceil((resetsAt - now) / 1000),
+          { scope: 'agent_daily', agentPath, limitTokens: maxDailyTokens, usedTokens, resetsAt: resetsAt.toISOString() }
+        );
+      }
+    }
+  }
+
+  /**
+   * Get remaining budget for the vault and for agents with limits
+   *
+   * @param {Array} agents - Agent definitions ({ path, constraints })
+   * @returns {object}
+   */
+  getBudgetStatus(agents = []) {
+    const now = new Date();
+    const spentUsd = this.getMonthSpend();
+    const dayResetsAt = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+
+    return {
+      monthly: {
+        limitUsd: this.monthlyBudgetUsd,
+        spentUsd: Math.round(spentUsd * 10000) / 10000,
+        remainingUsd: this.monthlyBudgetUsd
+          ? Math.max(0, Math.round((this.monthlyBudgetUsd - spentUsd) * 10000) / 10000)
+          : null,
+        resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString()
+      },
+      agents: agents
+        .filter(a => a.constraints?.max_daily_tokens || a.constraints?.max_cost_per_run)
+        .map(a => {
+          const usedTokens = this.getAgentDailyUsage(a.path).totalTokens;
+          const limitTokens = a.constraints.max_daily_tokens || null;
+          return {
+            agentPath: a.path,
+            maxCostPerRun: a.constraints.max_cost_per_run || null,
+            dailyTokens: {
+              limit: limitTokens,
+              used: usedTokens,
+              remaining: limitTokens ? Math.max(0, limitTokens - usedTokens) : null,
+              resetsAt: dayResetsAt.toISOString()
+            }
+          };
+        })
+    };
+  }
+
   /**
    * Get usage summary
    */
@@ -330,12 +562,15 @@ export class UsageTracker {
       },
       activeSessions: this.bySession.size,
       activeAgents: this.byAgent.size,
-      topAgents: this.getTopAgents(5)
+      topAgents: this.getTopAgents(5),
+      byModel: this.getModelUsage(),
+      byKind: this.getKindUsage()
     };
   }
 
   /**
    * Estimate cost for usage
+   * (the SDK-reported figure is in `costUsd` when available)
    */
   estimateCost(usage) {
     const inputCost = usage.inputTokens * this.costPerInputToken;
@@ -351,6 +586,9 @@ export class UsageTracker {
     this.bySession.clear();
     this.byAgent.clear();
     this.byDay.clear();
+    this.byModel.clear();
+    this.byKind.clear();
+    this.byAgentToday.clear();
     this.hourlyUsage.clear();
     await this.save();
   }
@@ -379,9 +617,12 @@ export function getUsageTracker(vaultPath) {
 
 /**
  * Initialize the usage tracker (called from server startup)
+ *
+ * @param {string} vaultPath - Vault path
+ * @param {object} options - Tracker options (e.g. monthlyBudgetUsd)
  */
-export async function initializeUsageTracker(vaultPath) {
-  instance = new UsageTracker(vaultPath);
+export async function initializeUsageTracker(vaultPath, options = {}) {
+  instance = new UsageTracker(vaultPath, options);
   await instance.initialize();
   return instance;
 }
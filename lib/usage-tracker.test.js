@@ -0,0 +1,127 @@
+/**
+ * Usage Tracker Tests
+ *
+ * Run with: node --test lib/usage-tracker.test.js
+ */
+
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { UsageTracker, UsageKind } from './usage-tracker.js';
+
+const usage = {
+  input_tokens: 100,
+  output_tokens: 50,
+  cache_creation_input_tokens: 10,
+  cache_read_input_tokens: 20
+};
+
+describe('UsageTracker', () => {
+  let tracker;
+
+  beforeEach(() => {
+    tracker = new UsageTracker('/tmp/test-vault-usage-' + Date.now());
+  });
+
+  test('attributes usage to session, agent and kind', () => {
+    tracker.recordUsage(usage, 'session-1', 'agents/helper.md', {
+      kind: UsageKind.CHAT,
+      model: 'claude-sonnet',
+      costUsd: 0.25
+    });
+
+    assert.strictEqual(tracker.getSessionUsage('session-1').totalTokens, 150);
+    assert.strictEqual(tracker.getAgentUsage('agents/helper.md').costUsd, 0.25);
+    assert.deepStrictEqual(tracker.getKindUsage().map(k => [k.kind, k.requestCount]), [['chat', 1]]);
+    assert.strictEqual(tracker.getModelUsage()[0].model, 'claude-sonnet');
+    assert.strictEqual(tracker.getGlobalStats().costUsd, 0.25);
+  });
+
+  test('prefers the per-model breakdown when reported', () => {
+    tracker.recordUsage(usage, null, null, {
+      kind: UsageKind.DOC_RUN,
+      model: 'claude-opus',
+      costUsd: 0.3,
+      modelUsage: {
+        'claude-opus': { inputTokens: 80, outputTokens: 40, costUSD: 0.28 },
+        'claude-haiku': { inputTokens: 20, outputTokens: 10, costUSD: 0.02 }
+      }
+    });
+
+    const models = tracker.getModelUsage();
+    assert.deepStrictEqual(models.map(m => [m.model, m.totalTokens, m.costUsd]), [
+      ['claude-opus', 120, 0.28],
+      ['claude-haiku', 30, 0.02]
+    ]);
+  });
+
+  test('keeps working without attribution details', () => {
+    tracker.recordUsage(usage);
+
+    assert.strictEqual(tracker.getGlobalStats().requestCount, 1);
+    assert.strictEqual(tracker.getModelUsage().length, 0);
+    assert.strictEqual(tracker.getKindUsage().length, 0);
+  });
+});
+
+describe('UsageTracker budgets', () => {
+  test('blocks an agent once its daily token limit is reached', () => {
+    const tracker = new UsageTracker('/tmp/test-vault-usage-' + Date.now());
+    const constraints = { max_daily_tokens: 200 };
+
+    tracker.recordUsage(usage, null, 'agents/nightly.md');
+    assert.doesNotThrow(() => tracker.checkBudget('agents/nightly.md', constraints));
+
+    tracker.recordUsage(usage, null, 'agents/nightly.md');
+    assert.throws(() => tracker.checkBudget('agents/nightly.md', constraints), (error) => {
+      assert.strictEqual(error.name, 'BudgetExceededError');
+      assert.strictEqual(error.statusCode, 429);
+      assert.strictEqual(error.budget.scope, 'agent_daily');
+      assert.ok(error.retryAfter > 0 && error.retryAfter <= 24 * 60 * 60);
+      return true;
+    });
+
+    // Other agents are unaffected
+    assert.doesNotThrow(() => tracker.checkBudget('agents/other.md', constraints));
+  });
+
+  test('blocks all runs once the monthly budget is spent', () => {
+    const tracker = new UsageTracker('/tmp/test-vault-usage-' + Date.now(), { monthlyBudgetUsd: 1 });
+
+    tracker.recordUsage(usage, null, 'agents/a.md', { costUsd: 0.6 });
+    assert.doesNotThrow(() => tracker.checkBudget('agents/b.md'));
+
+    tracker.recordUsage(usage, null, 'agents/a.md', { costUsd: 0.6 });
+    assert.throws(() => tracker.checkBudget('agents/b.md'), /Monthly budget/);
+  });
+
+  test('estimates the spend of days recorded without an SDK cost', () => {
+    const tracker = new UsageTracker('/tmp/test-vault-usage-' + Date.now(), { monthlyBudgetUsd: 1 });
+    tracker.recordUsage(usage, null, 'agents/a.md', { costUsd: 0.6 });
+
+    // An earlier day this month, from before costs were reported
+    const today = tracker.getDayKey();
+    const earlier = today.slice(0, 8) + (today.endsWith('-01') ? '02' : '01');
+    const older = { inputTokens: 100000, outputTokens: 20000, totalTokens: 120000, requestCount: 3, costUsd: 0 };
+    tracker.byDay.set(earlier, older);
+
+    const expected = 0.6 + tracker.estimateCost(older);
+    assert.ok(expected >= 1);
+    assert.strictEqual(tracker.getMonthSpend(), expected);
+    assert.throws(() => tracker.checkBudget('agents/b.md'), /Monthly budget/);
+  });
+
+  test('reports remaining budget', () => {
+    const tracker = new UsageTracker('/tmp/test-vault-usage-' + Date.now(), { monthlyBudgetUsd: 10 });
+    tracker.recordUsage(usage, null, 'agents/a.md', { costUsd: 2.5 });
+
+    const status = tracker.getBudgetStatus([
+      { path: 'agents/a.md', constraints: { max_daily_tokens: 1000, max_cost_per_run: 0.5 } },
+      { path: 'agents/b.md', constraints: {} }
+    ]);
+
+    assert.strictEqual(status.monthly.remainingUsd, 7.5);
+    assert.strictEqual(status.agents.length, 1);
+    assert.strictEqual(status.agents[0].dailyTokens.remaining, 850);
+    assert.strictEqual(status.agents[0].maxCostPerRun, 0.5);
+  });
+});
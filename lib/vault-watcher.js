@@ -0,0 +1,211 @@
+/**
+ * Vault Watcher
+ *
+ * Watches the vault for markdown files being saved so `on_save` triggers
+ * fire no matter where the edit came from (plugin, mobile app, git sync,
+ * another editor).
+ *
+ * - Skips dot-directories and agent output folders
+ * - Debounces rapid successive saves of the same file
+ * - Ignores writes the server itself made (agent runs, status updates)
+ */
+
+import fsSync from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+
+/**
+ * Default watcher configuration
+ */
+const DEFAULT_OPTIONS = {
+  debounceMs: 1500,                 // Wait for saves to settle
+  selfWriteWindowMs: 10000,         // How long a server write is ignored
+  ignoredDirs: ['agent-sessions', 'agent-logs', 'agent-chats']
+};
+
+/**
+ * Vault Watcher class
+ *
+ * Emits 'change' with the vault-relative path of a saved markdown file,
+ * and 'remove' when one was deleted or renamed away.
+ */
+export class VaultWatcher extends EventEmitter {
+  constructor(vaultPath, options = {}) {
+    super();
+    this.vaultPath = vaultPath;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
+    // fs.FSWatcher instances (one when recursive watching is supported)
+    this.watchers = new Map();
+
+    // Pending debounce timers: relativePath -> timeout
+    this.debounceTimers = new Map();
+
+    // Writes made by the server: relativePath -> expiry timestamp
+    this.selfWrites = new Map();
+  }
+
+  /**
+   * Start watching the vault
+   */
+  start() {
+    if (this.watchers.size > 0) return;
+
+    try {
+      this.watchDirectory(this.vaultPath, true);
+      console.log(`[VaultWatcher] Watching ${this.vaultPath}`);
+    } catch (e) {
+      if (e.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw e;
+
+      // Older Node on Linux: fall back to one watcher per directory
+      console.log('[VaultWatcher] Recursive watch unavailable, watching directories individually');
+      this.watchTree(this.vaultPath);
+    }
+  }
+
+  /**
+   * Stop watching and drop pending events
+   */
+  stop() {
+    for (const watcher of this.watchers.values()) {
+      watcher.close();
+    }
+    this.watchers.clear();
+
+    for (const timer of this.debounceTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.debounceTimers.clear();
+  }
+
+  /**
+   * Attach a watcher to a directory
+   */
+  watchDirectory(dir, recursive = false) {
+    const watcher = fsSync.watch(dir, { recursive }, (eventType, filename) => {
+      if (!filename) return;
+      const relativePath = path.relative(this.vaultPath, path.join(dir, filename.toString()));
+      this.handleEvent(relativePath, recursive);
+    });
+
+    watcher.on('error', (e) => {
+      // Directory was removed or became unreadable
+      console.warn(`[VaultWatcher] Watch error on ${dir}:`, e.message);
+      watcher.close();
+      this.watchers.delete(dir);
+    });
+
+    // Don't keep the process alive just for the watcher
+    watcher.unref();
+    this.watchers.set(dir, watcher);
+  }
+
+  /**
+   * Watch a directory tree one directory at a time (non-recursive fallback)
+   */
+  watchTree(dir) {
+    const relativeDir = path.relative(this.vaultPath, dir);
+    if (relativeDir && this.isIgnored(relativeDir)) return;
+    if (this.watchers.has(dir)) return;
+
+    this.watchDirectory(dir, false);
+
+    let entries = [];
+    try {
+      entries = fsSync.readdirSync(dir, { withFileTypes: true });
+    } catch (e) {
+      return;
+    }
+
+    for (const entry of entries) {
+      if (entry.isDirectory()) {
+        this.watchTree(path.join(dir, entry.name));
+      }
+    }
+  }
+
+  /**
+   * Check if a vault-relative path is outside the watched scope
+   */
+  isIgnored(relativePath) {
+    const segments = relativePath.split(path.sep);
+    if (segments.some(s => s.startsWith('.'))) return true;
+    return this.options.ignoredDirs.includes(segments[0]);
+  }
+
+  /**
+   * Handle a raw filesystem event
+   */
+  handleEvent(relativePath, recursive) {
+    if (!relativePath || this.isIgnored(relativePath)) return;
+
+    if (!relativePath.endsWith('.md')) {
+      // New directories need their own watcher in fallback mode
+      if (!recursive) {
+        const fullPath = path.join(this.vaultPath, relativePath);
+        fsSync.stat(fullPath, (err, stats) => {
+          if (!err && stats.isDirectory()) this.watchTree(fullPath);
+        });
+      }
+      return;
+    }
+
+    // Debounce: restart the timer on every event for this file
+    clearTimeout(this.debounceTimers.get(relativePath));
+    this.debounceTimers.set(relativePath, setTimeout(() => {
+      this.debounceTimers.delete(relativePath);
+      this.flush(relativePath);
+    }, this.options.debounceMs));
+  }
+
+  /**
+   * Emit a settled change unless the server caused it
+   */
+  flush(relativePath) {
+    if (this.isSelfWrite(relativePath)) {
+      console.log(`[VaultWatcher] Ignoring server write: ${relativePath}`);
+      return;
+    }
+
+    // Deletions and renames away also produce events
+    if (!fsSync.existsSync(path.join(this.vaultPath, relativePath))) {
+      this.emit('remove', relativePath);
+      return;
+    }
+
+    this.emit('change', relativePath);
+  }
+
+  /**
+   * Record that the server is about to write a file, so the resulting
+   * filesystem events don't count as a user save
+   *
+   * @param {string} filePath - Absolute or vault-relative path
+   */
+  ignoreWrite(filePath) {
+    const relativePath = path.isAbsolute(filePath)
+      ? path.relative(this.vaultPath, filePath)
+      : path.normalize(filePath);
+    const now = Date.now();
+
+    for (const [key, expiresAt] of this.selfWrites) {
+      if (expiresAt < now) this.selfWrites.delete(key);
+    }
+    this.selfWrites.set(relativePath, now + this.options.selfWriteWindowMs);
+  }
+
+  /**
+   * Check (and expire) a recorded server write
+   */
+  isSelfWrite(relativePath) {
+    const expiresAt = this.selfWrites.get(relativePath);
+    if (!expiresAt) return false;
+    if (expiresAt < Date.now()) {
+      this.selfWrites.delete(relativePath);
+      return false;
+    }
+    return true;
+  }
+}
+
+export default VaultWatcher;
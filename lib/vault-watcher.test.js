@@ -0,0 +1,96 @@
+/**
+ * Vault Watcher Tests
+ *
+ * Run with: node --test lib/vault-watcher.test.js
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import path from 'path';
+import { VaultWatcher } from './vault-watcher.js';
+
+const TEST_VAULT_PATH = '/tmp/test-vault-watcher-' + Date.now();
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('VaultWatcher', () => {
+  let watcher;
+  let events;
+
+  beforeEach(async () => {
+    await fs.mkdir(path.join(TEST_VAULT_PATH, 'notes'), { recursive: true });
+    await fs.writeFile(path.join(TEST_VAULT_PATH, 'notes/a.md'), '# A\n');
+    await fs.writeFile(path.join(TEST_VAULT_PATH, 'notes/b.md'), '# B\n');
+
+    watcher = new VaultWatcher(TEST_VAULT_PATH, { debounceMs: 20, selfWriteWindowMs: 150 });
+    events = [];
+    watcher.on('change', (file) => events.push(['change', file]));
+    watcher.on('remove', (file) => events.push(['remove', file]));
+  });
+
+  afterEach(async () => {
+    watcher.stop();
+    await fs.rm(TEST_VAULT_PATH, { recursive: true, force: true });
+  });
+
+  test('coalesces rapid events for a file into one change', async () => {
+    for (let i = 0; i < 5; i++) {
+      watcher.handleEvent('notes/a.md', true);
+      await wait(5);
+    }
+    watcher.handleEvent('notes/b.md', true);
+    assert.deepStrictEqual(events, []);
+
+    await wait(60);
+    assert.deepStrictEqual(events, [['change', 'notes/a.md'], ['change', 'notes/b.md']]);
+    assert.strictEqual(watcher.debounceTimers.size, 0);
+  });
+
+  test('reports files that are gone as removed', async () => {
+    await fs.rm(path.join(TEST_VAULT_PATH, 'notes/b.md'));
+    watcher.handleEvent('notes/b.md', true);
+    await wait(50);
+    assert.deepStrictEqual(events, [['remove', 'notes/b.md']]);
+  });
+
+  test('ignores its own writes until the window expires', async () => {
+    watcher.ignoreWrite(path.join(TEST_VAULT_PATH, 'notes/a.md'));
+    watcher.ignoreWrite('notes/../notes/b.md');
+    watcher.handleEvent('notes/a.md', true);
+    watcher.handleEvent('notes/b.md', true);
+    await wait(40);
+    assert.deepStrictEqual(events, []);
+
+    // Past the window, saves count again and the record is dropped
+    await wait(150);
+    watcher.handleEvent('notes/a.md', true);
+    await wait(40);
+    assert.deepStrictEqual(events, [['change', 'notes/a.md']]);
+    assert.strictEqual(watcher.isSelfWrite('notes/b.md'), false);
+    assert.strictEqual(watcher.selfWrites.has('notes/b.md'), false);
+  });
+
+  test('skips dot-directories, agent output folders and non-markdown files', async () => {
+    for (const file of ['.obsidian/workspace.md', 'notes/.trash/a.md', 'agent-sessions/chat.md', 'agent-logs/run.md', 'notes/a.txt']) {
+      watcher.handleEvent(file, true);
+    }
+    await wait(50);
+    assert.deepStrictEqual(events, []);
+
+    const custom = new VaultWatcher(TEST_VAULT_PATH, { ignoredDirs: ['notes'] });
+    assert.ok(custom.isIgnored('notes/a.md'));
+    assert.ok(!custom.isIgnored('agent-sessions/chat.md'));
+  });
+
+  test('picks up saves from the filesystem', async () => {
+    watcher.start();
+    await wait(50);
+    await fs.writeFile(path.join(TEST_VAULT_PATH, 'notes/a.md'), '# A\n\nEdited\n');
+    await fs.appendFile(path.join(TEST_VAULT_PATH, 'notes/a.md'), 'Again\n');
+
+    for (let i = 0; i < 50 && events.length === 0; i++) await wait(20);
+    await wait(50);
+    assert.deepStrictEqual(events, [['change', 'notes/a.md']]);
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Workflow Definitions
+ *
+ * Parses `workflow` agent definitions and evaluates their step templates
+ * and conditions. A workflow chains other agents:
+ *
+ *   agent:
+ *     type: workflow
+ *     workflow:
+ *       steps:
+ *         - id: transcribe
+ *           agent: agents/transcriber.md
+ *           input: "Transcribe {{input}}"
+ *         - id: summarize
+ *           agent: agents/summarizer.md
+ *           input: "{{steps.transcribe.output}}"
+ *           retries: 2
+ *         - parallel:
+ *             - id: tasks
+ *               agent: agents/task-breakdown.md
+ *               condition: steps.summarize.output contains "TODO"
+ *             - id: ideas
+ *               agent: agents/idea-curator.md
+ *
+ * Steps run in order; steps inside `parallel` run concurrently.
+ * Templates can reference {{input}}, {{documentPath}}, {{previous.output}}
+ * and {{steps.<id>.output}} / {{steps.<id>.status}}.
+ */
+
+/**
+ * Step statuses
+ */
+export const StepStatus = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+
+const STEP_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Normalize a single step definition
+ */
+function parseStep(raw, index, seenIds) {
+  if (!raw || typeof raw !== 'object' || !raw.agent) {
+    throw new Error(`Workflow step ${index + 1} must have an "agent" path`);
+  }
+
+  const id = String(raw.id || `step${index + 1}`);
+  if (!STEP_ID_PATTERN.test(id)) {
+    throw new Error(`Invalid workflow step id "${id}" (use letters, numbers, - and _)`);
+  }
+  if (seenIds.has(id)) {
+    throw new Error(`Duplicate workflow step id "${id}"`);
+  }
+  seenIds.add(id);
+
+  return {
+    id,
+    agent: raw.agent,
+    input: raw.input ?? null,
+    condition: raw.condition ?? null,
+    retries: Math.max(0, parseInt(raw.retries, 10) || 0),
+    continueOnError: raw.continue_on_error === true
+  };
+}
+
+/**
+ * Parse a workflow definition into ordered groups of steps.
+ * Each group runs after the previous one; steps in a group run in parallel.
+ *
+ * @param {object} config - The `workflow` block from agent frontmatter
+ * @returns {{ groups: Array<Array<object>>, steps: Array<object> }}
+ * @throws {Error} If the definition is invalid
+ */
+export function parseWorkflow(config) {
+  if (!config || !Array.isArray(config.steps) || config.steps.length === 0) {
+    throw new Error('Workflow must define a non-empty "steps" list');
+  }
+
+  const seenIds = new Set();
+  const groups = [];
+  let index = 0;
+
+  for (const entry of config.steps) {
+    if (entry && Array.isArray(entry.parallel)) {
+      if (entry.parallel.length === 0) {
+        throw new Error('Workflow "parallel" group must not be empty');
+      }
+      groups.push(entry.parallel.map(step => parseStep(step, index++, seenIds)));
+    } else {
+      groups.push([parseStep(entry, index++, seenIds)]);
+    }
+  }
+
+  return { groups, steps: groups.flat() };
+}
+
+/**
+ * Resolve a dotted reference against workflow state
+ *
+ * @param {string} ref - e.g. "input", "steps.summarize.output"
+ * @param {object} state - { input, documentPath, previous, steps }
+ * @returns {string}
+ */
+function resolveRef(ref, state) {
+  let value = state;
+  for (const key of ref.split('.')) {
+    if (value === null || value === undefined) return '';
+    value = value[key];
+  }
+  if (value === null || value === undefined) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Render a step input template
+ *
+ * @param {string} template - Template with {{ref}} placeholders
+ * @param {object} state - Workflow state
+ * @returns {string}
+ */
+export function renderTemplate(template, state) {
+  return String(template).replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (_, ref) => resolveRef(ref, state));
+}
+
+/**
+ * Evaluate a step condition
+ *
+ * Supported forms:
+ *   steps.x.output                    - non-empty
+ *   !steps.x.output                   - empty
+ *   steps.x.status == completed       - equality (also !=)
+ *   steps.x.output contains "TODO"    - substring (also "not contains")
+ *
+ * @param {string|boolean|null} condition
+ * @param {object} state - Workflow state
+ * @returns {boolean}
+ */
+export function evaluateCondition(condition, state) {
+  if (condition === null || condition === undefined || condition === true) return true;
+  if (condition === false) return false;
+
+  const expr = String(condition).trim();
+  const match = expr.match(/^([\w.-]+)\s+(==|!=|not contains|contains)\s+(.+)$/);
+
+  if (!match) {
+    if (expr.startsWith('!')) {
+      return resolveRef(expr.slice(1).trim(), state).trim() === '';
+    }
+    return resolveRef(expr, state).trim() !== '';
+  }
+
+  const [, ref, op, rawValue] = match;
+  const actual = resolveRef(ref, state);
+  const expected = rawValue.trim().replace(/^(["'])(.*)\1$/, '$2');
+
+  switch (op) {
+    case '==':
+      return actual.trim() === expected;
+    case '!=':
+      return actual.trim() !== expected;
+    case 'contains':
+      return actual.toLowerCase().includes(expected.toLowerCase());
+    case 'not contains':
+      return !actual.toLowerCase().includes(expected.toLowerCase());
+    default:
+      return false;
+  }
+}
+
+export default {
+  StepStatus,
+  parseWorkflow,
+  renderTemplate,
+  evaluateCondition
+};
@@ -0,0 +1,83 @@
+/**
+ * Workflow Tests
+ *
+ * Run with: node --test lib/workflow.test.js
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseWorkflow, renderTemplate, evaluateCondition } from './workflow.js';
+
+describe('parseWorkflow', () => {
+  test('groups sequential and parallel steps', () => {
+    const { groups, steps } = parseWorkflow({
+      steps: [
+        { id: 'transcribe', agent: 'agents/transcriber.md' },
+        { parallel: [
+          { id: 'tasks', agent: 'agents/tasks.md', retries: 2 },
+          { agent: 'agents/ideas.md' }
+        ] }
+      ]
+    });
+
+    assert.strictEqual(groups.length, 2);
+    assert.deepStrictEqual(groups[1].map(s => s.id), ['tasks', 'step3']);
+    assert.strictEqual(steps[1].retries, 2);
+    assert.strictEqual(steps[2].retries, 0);
+  });
+
+  test('rejects invalid definitions', () => {
+    assert.throws(() => parseWorkflow({}), /non-empty/);
+    assert.throws(() => parseWorkflow({ steps: [{ id: 'a' }] }), /agent/);
+    assert.throws(() => parseWorkflow({ steps: [{ parallel: [] }] }), /parallel/);
+    assert.throws(() => parseWorkflow({
+      steps: [{ id: 'a', agent: 'x.md' }, { id: 'a', agent: 'y.md' }]
+    }), /Duplicate/);
+  });
+});
+
+describe('renderTemplate', () => {
+  const state = {
+    input: 'hello',
+    documentPath: 'notes/a.md',
+    previous: { output: 'prev' },
+    steps: { summarize: { status: 'completed', output: 'short version' } }
+  };
+
+  test('substitutes references', () => {
+    assert.strictEqual(
+      renderTemplate('{{input}} / {{ steps.summarize.output }} / {{previous.output}}', state),
+      'hello / short version / prev'
+    );
+  });
+
+  test('renders unknown references as empty', () => {
+    assert.strictEqual(renderTemplate('[{{steps.missing.output}}]', state), '[]');
+  });
+});
+
+describe('evaluateCondition', () => {
+  const state = {
+    steps: {
+      summarize: { status: 'completed', output: 'Some TODO items' },
+      empty: { status: 'skipped', output: '' }
+    }
+  };
+
+  test('treats missing conditions as true', () => {
+    assert.strictEqual(evaluateCondition(null, state), true);
+  });
+
+  test('checks for non-empty references', () => {
+    assert.strictEqual(evaluateCondition('steps.summarize.output', state), true);
+    assert.strictEqual(evaluateCondition('steps.empty.output', state), false);
+    assert.strictEqual(evaluateCondition('!steps.empty.output', state), true);
+  });
+
+  test('compares values', () => {
+    assert.strictEqual(evaluateCondition('steps.summarize.status == completed', state), true);
+    assert.strictEqual(evaluateCondition('steps.empty.status != skipped', state), false);
+    assert.strictEqual(evaluateCondition('steps.summarize.output contains "todo"', state), true);
+    assert.strictEqual(evaluateCondition("steps.summarize.output not contains 'TODO'", state), false);
+  });
+});
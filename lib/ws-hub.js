@@ -0,0 +1,393 @@
+/**
+ * WebSocket Hub
+ *
+ * One authenticated WebSocket connection per client that multiplexes what
+ * the SSE endpoints provide separately:
+ *
+ * - chat streaming (same events as POST /api/chat/stream)
+ * - permission requests and decisions (GET /api/permissions/stream)
+ * - queue progress (GET /api/queue/:id/stream, or every item at once)
+ * - document agent status changes
+ * - review change sets (staged, applied or rejected)
+ *
+ * Clients subscribe to topics and can send commands back over the socket.
+ *
+ * Client -> server messages (JSON, `id` is echoed back in replies):
+ *   { type: 'subscribe', topics: ['permissions', 'queue', 'queue:<id>', 'documents', 'reviews'] }
+ *   { type: 'unsubscribe', topics: [...] }
+ *   { type: 'chat', id, message, agentPath?, sessionId?, initialContext?, workingDirectory?, attachments? }
+ *   { type: 'resume', id, streamId, lastEventId? }   - replay a chat stream after a reconnect
+ *   { type: 'interrupt', id, sessionId }
+ *   { type: 'permission', id, requestId, decision: 'grant' | 'deny', remember?, rule? }
+ *   { type: 'cancel', id, queueId }
+ *   { type: 'ping', id }
+ *
+ * Server -> client messages:
+ *   { type: 'connected', topics }
+ *   { type: 'event', topic, event }   - topic events (event.type as in the SSE streams)
+ *   { type: 'chat', id, streamId, seq, event } - chat stream events for 'chat'/'resume'
+ *   { type: 'ack', id, ... }          - command succeeded
+ *   { type: 'error', id, error, code }
+ *   { type: 'pong', id }
+ */
+
+import { timingSafeEqual } from 'crypto';
+import { WebSocketServer, WebSocket } from 'ws';
+import { BadRequestError, NotFoundError } from './errors.js';
+import { createLogger } from './logger.js';
+import { normalizeAttachments } from './attachments.js';
+import { RuleEffect } from './permission-rules.js';
+
+const log = createLogger('WebSocket');
+
+/**
+ * Subscription topics (plus `queue:<id>` for a single queue item)
+ */
+export const Topic = {
+  PERMISSIONS: 'permissions',
+  QUEUE: 'queue',
+  DOCUMENTS: 'documents',
+  REVIEWS: 'reviews'
+};
+
+/**
+ * Default hub configuration
+ */
+const DEFAULT_OPTIONS = {
+  path: '/api/ws',
+  apiKey: null,              // Required key, if any (header or ?token=)
+  allowedOrigins: null,      // null = any origin
+  maxMessageLength: 102400,  // Max chat message length
+  heartbeatMs: 30000         // Ping interval; unresponsive clients are dropped
+};
+
+/**
+ * Whether a topic name is valid
+ *
+ * @param {string} topic
+ * @returns {boolean}
+ */
+export function isValidTopic(topic) {
+  return Object.values(Topic).includes(topic) || /^queue:[\w-]+$/.test(topic);
+}
+
+/**
+ * WebSocket Hub class
+ */
+export class WebSocketHub {
+  constructor(orchestrator, options = {}) {
+    this.orchestrator = orchestrator;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.wss = null;
+    this.heartbeatInterval = null;
+
+    // Orchestrator listeners, kept so close() can remove them
+    this.listeners = {
+      permissionRequest: (request) => this.publish(Topic.PERMISSIONS, { type: 'permissionRequest', request }),
+      permissionGranted: (request) => this.publish(Topic.PERMISSIONS, { type: 'permissionGranted', request }),
+      permissionDenied: (request) => this.publish(Topic.PERMISSIONS, { type: 'permissionDenied', request }),
+      queueEvent: ({ queueId, event }) => {
+        this.publish(Topic.QUEUE, { ...event, queueId });
+        this.publish(`queue:${queueId}`, { ...event, queueId });
+      },
+      documentStatus: (change) => this.publish(Topic.DOCUMENTS, { type: 'status', ...change }),
+      reviewChanged: (review) => this.publish(Topic.REVIEWS, { type: 'review', review })
+    };
+
+    this.handleUpgrade = this.handleUpgrade.bind(this);
+  }
+
+  /**
+   * Start accepting WebSocket connections on an HTTP server
+   *
+   * @param {http.Server} server
+   */
+  attach(server) {
+    this.wss = new WebSocketServer({ noServer: true });
+    server.on('upgrade', this.handleUpgrade);
+
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.orchestrator.on(event, listener);
+    }
+
+    this.heartbeatInterval = setInterval(() => this.heartbeat(), this.options.heartbeatMs);
+    this.heartbeatInterval.unref?.();
+
+    log.info('WebSocket endpoint ready', { path: this.options.path });
+  }
+
+  /**
+   * Check credentials and origin, then hand the socket to the WebSocket server
+   */
+  handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname !== this.options.path) {
+      socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    if (!this.isAuthorized(req, url)) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    const origin = req.headers.origin;
+    if (origin && this.options.allowedOrigins && !this.options.allowedOrigins.includes(origin)) {
+      socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => this.handleConnection(ws));
+  }
+
+  /**
+   * Same key sources as the REST API, plus ?token= for clients that can't
+   * set headers on a WebSocket handshake
+   */
+  isAuthorized(req, url) {
+    if (!this.options.apiKey) return true;
+
+    const providedKey = req.headers['x-api-key'] ||
+      req.headers['authorization']?.replace('Bearer ', '') ||
+      url.searchParams.get('token');
+
+    if (!providedKey) return false;
+
+    // Constant-time compare; timingSafeEqual needs equal-length buffers
+    const provided = Buffer.from(providedKey);
+    const expected = Buffer.from(this.options.apiKey);
+    return provided.length === expected.length && timingSafeEqual(provided, expected);
+  }
+
+  /**
+   * Set up a new client connection
+   */
+  handleConnection(ws) {
+    ws.topics = new Set();
+    ws.isAlive = true;
+
+    ws.on('pong', () => { ws.isAlive = true; });
+    ws.on('message', (data) => {
+      this.handleMessage(ws, data).catch(error => {
+        log.error('Message handling failed', error);
+      });
+    });
+
+    this.send(ws, { type: 'connected', topics: Object.values(Topic) });
+  }
+
+  /**
+   * Dispatch a client command
+   */
+  async handleMessage(ws, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (e) {
+      this.send(ws, { type: 'error', id: null, error: 'Invalid JSON', code: 'BAD_REQUEST' });
+      return;
+    }
+
+    const id = message.id ?? null;
+
+    try {
+      switch (message.type) {
+        case 'subscribe':
+          this.subscribe(ws, message.topics);
+          this.send(ws, { type: 'ack', id, topics: [...ws.topics] });
+          break;
+
+        case 'unsubscribe':
+          for (const topic of [].concat(message.topics || [])) {
+            ws.topics.delete(topic);
+          }
+          this.send(ws, { type: 'ack', id, topics: [...ws.topics] });
+          break;
+
+        case 'chat':
+          this.streamChat(ws, message);
+          break;
+
+        case 'resume':
+          if (!message.streamId) throw new BadRequestError('streamId is required');
+          this.followChatStream(ws, id, message.streamId, parseInt(message.lastEventId, 10) || 0);
+          break;
+
+        case 'interrupt': {
+          if (!message.sessionId) throw new BadRequestError('sessionId is required');
+          const interrupted = this.orchestrator.interruptSession(message.sessionId);
+          if (!interrupted) throw new NotFoundError('No run in progress for this session');
+          this.send(ws, { type: 'ack', id, interrupted: true, sessionId: message.sessionId });
+          break;
+        }
+
+        case 'permission': {
+          const { requestId, decision, remember } = message;
+          if (!requestId) throw new BadRequestError('requestId is required');
+          if (decision !== 'grant' && decision !== 'deny') {
+            throw new BadRequestError('decision must be "grant" or "deny"');
+          }
+          // Save an allow/deny rule too (see POST /api/permissions/:id/grant)
+          const rule = remember
+            ? await this.orchestrator.rememberPermission(requestId, decision === 'grant' ? RuleEffect.ALLOW : RuleEffect.DENY, message.rule)
+            : null;
+          const decided = decision === 'grant'
+            ? this.orchestrator.grantPermission(requestId)
+            : this.orchestrator.denyPermission(requestId);
+          if (!decided) throw new NotFoundError('Permission request not found');
+          this.send(ws, { type: 'ack', id, requestId, decision, rule: rule || undefined });
+          break;
+        }
+
+        case 'cancel': {
+          if (!message.queueId) throw new BadRequestError('queueId is required');
+          const item = this.orchestrator.cancelQueueItem(message.queueId);
+          if (!item) throw new NotFoundError('Queue item not found');
+          this.send(ws, { type: 'ack', id, queueId: item.id, status: item.status });
+          break;
+        }
+
+        case 'ping':
+          this.send(ws, { type: 'pong', id });
+          break;
+
+        default:
+          throw new BadRequestError(`Unknown message type: ${message.type}`);
+      }
+    } catch (error) {
+      this.send(ws, { type: 'error', id, error: error.message, code: error.code || 'INTERNAL_ERROR' });
+    }
+  }
+
+  /**
+   * Add topics to a client's subscriptions. Subscribing to permissions
+   * replays requests that are still waiting for a decision.
+   */
+  subscribe(ws, topics) {
+    const list = [].concat(topics || []);
+    const invalid = list.filter(topic => !isValidTopic(topic));
+    if (list.length === 0 || invalid.length > 0) {
+      throw new BadRequestError(`Invalid topics: ${invalid.join(', ') || '(none given)'}`);
+    }
+
+    for (const topic of list) {
+      const isNew = !ws.topics.has(topic);
+      ws.topics.add(topic);
+
+      if (isNew && topic === Topic.PERMISSIONS) {
+        for (const request of this.orchestrator.getPendingPermissions()) {
+          this.send(ws, { type: 'event', topic, event: { type: 'permissionRequest', request } });
+        }
+      }
+    }
+  }
+
+  /**
+   * Start a streaming chat turn and relay its events to the requesting client
+   */
+  streamChat(ws, message) {
+    const { id = null, agentPath, sessionId, initialContext, workingDirectory } = message;
+    const attachments = normalizeAttachments(message.attachments);
+
+    if (!message.message && attachments.length === 0) throw new BadRequestError('message is required');
+    if (message.message && message.message.length > this.options.maxMessageLength) {
+      throw new BadRequestError(
+        `Message too long: ${message.message.length} chars exceeds limit of ${this.options.maxMessageLength}`
+      );
+    }
+
+    const context = {};
+    if (sessionId) context.sessionId = sessionId;
+    if (initialContext) context.initialContext = initialContext;
+    if (workingDirectory) context.workingDirectory = workingDirectory;
+    if (attachments.length > 0) context.attachments = attachments;
+
+    log.info('Streaming chat request', { agentPath, sessionId, workingDirectory });
+
+    // The turn runs on its own; a disconnected client can resume it by streamId
+    const stream = this.orchestrator.startChatStream(agentPath || null, message.message || '', context);
+    this.followChatStream(ws, id, stream.id, 0);
+  }
+
+  /**
+   * Relay a buffered chat stream to a client, starting after `after`
+   */
+  followChatStream(ws, id, streamId, after) {
+    let unsubscribe = null;
+    const onClose = () => unsubscribe?.();
+    ws.on('close', onClose);
+
+    unsubscribe = this.orchestrator.chatStreams.follow(streamId, {
+      after,
+      onEvent: ({ seq, event }) => this.send(ws, { type: 'chat', id, streamId, seq, event }),
+      onEnd: () => ws.off('close', onClose)
+    });
+
+    if (!unsubscribe) {
+      ws.off('close', onClose);
+      throw new NotFoundError('Stream not found or expired');
+    }
+  }
+
+  /**
+   * Send an event to every client subscribed to a topic
+   *
+   * @param {string} topic
+   * @param {object} event
+   */
+  publish(topic, event) {
+    if (!this.wss) return;
+    for (const ws of this.wss.clients) {
+      if (ws.topics?.has(topic)) {
+        this.send(ws, { type: 'event', topic, event });
+      }
+    }
+  }
+
+  /**
+   * Send a message to one client, if it is still connected
+   */
+  send(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Drop clients that stopped answering pings
+   */
+  heartbeat() {
+    for (const ws of this.wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }
+
+  /**
+   * Close all connections and stop listening for orchestrator events
+   */
+  async close() {
+    if (!this.wss) return;
+
+    clearInterval(this.heartbeatInterval);
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.orchestrator.off(event, listener);
+    }
+    for (const ws of this.wss.clients) {
+      ws.close(1001, 'Server shutting down');
+    }
+
+    await new Promise(resolve => this.wss.close(resolve));
+    this.wss = null;
+  }
+}
+
+export default WebSocketHub;
@@ -0,0 +1,181 @@
+/**
+ * WebSocket Hub Tests
+ *
+ * Run with: node --test lib/ws-hub.test.js
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { EventEmitter } from 'events';
+import { WebSocket } from 'ws';
+import { WebSocketHub, isValidTopic } from './ws-hub.js';
+import { StreamRegistry } from './stream-registry.js';
+
+/**
+ * Orchestrator stand-in: emits the same events and records commands
+ */
+function createFakeOrchestrator() {
+  const orchestrator = new EventEmitter();
+  orchestrator.granted = [];
+  orchestrator.getPendingPermissions = () => [{ id: 'perm-old', toolName: 'Write' }];
+  orchestrator.grantPermission = (id) => {
+    orchestrator.granted.push(id);
+    return id !== 'missing';
+  };
+  orchestrator.denyPermission = () => false;
+  orchestrator.interruptSession = (sessionId) => sessionId === 'busy';
+  orchestrator.cancelQueueItem = (id) => (id === 'q1' ? { id, status: 'cancelled' } : null);
+  orchestrator.chatStreams = new StreamRegistry();
+  orchestrator.startChatStream = (agentPath, message, context) => {
+    const stream = orchestrator.chatStreams.create({ sessionId: context.sessionId, agentPath });
+    setImmediate(() => {
+      orchestrator.chatStreams.append(stream.id, { type: 'session', sessionId: context.sessionId });
+      orchestrator.chatStreams.append(stream.id, { type: 'text', content: `echo: ${message}` });
+      orchestrator.chatStreams.append(stream.id, { type: 'done', response: `echo: ${message}` });
+      orchestrator.chatStreams.finish(stream.id);
+    });
+    return stream;
+  };
+  return orchestrator;
+}
+
+/**
+ * Connect a client that collects every message it receives
+ */
+async function connect(port, query = '') {
+  const ws = new WebSocket(`ws://127.0.0.1:${port}/api/ws${query}`);
+  ws.received = [];
+  ws.waiters = [];
+  ws.on('message', (data) => {
+    const message = JSON.parse(data.toString());
+    ws.received.push(message);
+    ws.waiters = ws.waiters.filter(({ predicate, resolve }) => {
+      if (!predicate(message)) return true;
+      resolve(message);
+      return false;
+    });
+  });
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+  return ws;
+}
+
+/**
+ * Wait for a message matching the predicate (already received or upcoming)
+ */
+function nextMessage(ws, predicate) {
+  const existing = ws.received.find(predicate);
+  if (existing) return Promise.resolve(existing);
+  return new Promise(resolve => ws.waiters.push({ predicate, resolve }));
+}
+
+describe('WebSocketHub', () => {
+  let server;
+  let port;
+  let orchestrator;
+  let hub;
+  let clients;
+
+  async function start(options = {}) {
+    orchestrator = createFakeOrchestrator();
+    server = http.createServer();
+    hub = new WebSocketHub(orchestrator, options);
+    hub.attach(server);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  }
+
+  async function client(query) {
+    const ws = await connect(port, query);
+    clients.push(ws);
+    return ws;
+  }
+
+  beforeEach(() => {
+    clients = [];
+  });
+
+  afterEach(async () => {
+    for (const ws of clients) ws.terminate();
+    await hub.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('rejects connections without the API key', async () => {
+    await start({ apiKey: 'secret' });
+
+    await assert.rejects(() => connect(port), /401/);
+    await assert.rejects(() => connect(port, '?token=secreT'), /401/);
+    await assert.rejects(() => connect(port, '?token=secret2'), /401/);
+    const ws = await client('?token=secret');
+    assert.strictEqual((await nextMessage(ws, m => m.type === 'connected')).type, 'connected');
+  });
+
+  test('delivers events only for subscribed topics', async () => {
+    await start();
+    const ws = await client();
+
+    ws.send(JSON.stringify({ type: 'subscribe', id: 1, topics: ['permissions', 'queue:q1'] }));
+    await nextMessage(ws, m => m.type === 'ack' && m.id === 1);
+
+    // Pending requests are replayed on subscribe
+    const replayed = await nextMessage(ws, m => m.topic === 'permissions');
+    assert.strictEqual(replayed.event.request.id, 'perm-old');
+
+    orchestrator.emit('queueEvent', { queueId: 'q2', event: { type: 'text', content: 'other' } });
+    orchestrator.emit('queueEvent', { queueId: 'q1', event: { type: 'text', content: 'mine' } });
+    orchestrator.emit('documentStatus', { path: 'notes/a.md', agentPath: 'agents/x.md', status: 'running' });
+
+    const queued = await nextMessage(ws, m => m.topic === 'queue:q1');
+    assert.deepStrictEqual(queued.event, { type: 'text', content: 'mine', queueId: 'q1' });
+    assert.ok(!ws.received.some(m => m.topic === 'documents' || m.event?.queueId === 'q2'));
+  });
+
+  test('streams chat events back to the sender', async () => {
+    await start();
+    const ws = await client();
+
+    ws.send(JSON.stringify({ type: 'chat', id: 'c1', message: 'hi', sessionId: 's1' }));
+    const done = await nextMessage(ws, m => m.type === 'chat' && m.event.type === 'done');
+
+    assert.strictEqual(done.id, 'c1');
+    assert.deepStrictEqual(
+      ws.received.filter(m => m.type === 'chat').map(m => m.event.type),
+      ['session', 'text', 'done']
+    );
+
+    // A reconnecting client replays what it missed
+    ws.send(JSON.stringify({ type: 'resume', id: 'r1', streamId: done.streamId, lastEventId: 1 }));
+    await nextMessage(ws, m => m.id === 'r1' && m.event.type === 'done');
+    assert.deepStrictEqual(ws.received.filter(m => m.id === 'r1').map(m => m.seq), [2, 3]);
+  });
+
+  test('accepts permission decisions, interrupts and cancellations', async () => {
+    await start();
+    const ws = await client();
+
+    ws.send(JSON.stringify({ type: 'permission', id: 1, requestId: 'perm-1', decision: 'grant' }));
+    ws.send(JSON.stringify({ type: 'permission', id: 2, requestId: 'missing', decision: 'deny' }));
+    ws.send(JSON.stringify({ type: 'interrupt', id: 3, sessionId: 'busy' }));
+    ws.send(JSON.stringify({ type: 'cancel', id: 4, queueId: 'q1' }));
+    ws.send(JSON.stringify({ type: 'bogus', id: 5 }));
+
+    assert.strictEqual((await nextMessage(ws, m => m.id === 1)).type, 'ack');
+    assert.deepStrictEqual(orchestrator.granted, ['perm-1']);
+    assert.strictEqual((await nextMessage(ws, m => m.id === 2)).code, 'NOT_FOUND');
+    assert.strictEqual((await nextMessage(ws, m => m.id === 3)).interrupted, true);
+    assert.strictEqual((await nextMessage(ws, m => m.id === 4)).status, 'cancelled');
+    assert.match((await nextMessage(ws, m => m.id === 5)).error, /Unknown message type/);
+  });
+});
+
+describe('isValidTopic', () => {
+  test('accepts known topics and single queue items', () => {
+    assert.strictEqual(isValidTopic('permissions'), true);
+    assert.strictEqual(isValidTopic('queue:3f2a-1b'), true);
+    assert.strictEqual(isValidTopic('sessions'), false);
+  });
+});
@@ -21,13 +21,51 @@ const DEFAULT_SETTINGS: AgentPilotSettings = {
 // Forward declaration of PermissionRequest interface (full definition below)
 interface PermissionRequest {
   id: string;
+  type?: 'read' | 'mcp';
   toolName: string;
   filePath: string;
   agentName: string;
   allowedPatterns: string[];
+  // Bash commands: why the agent's policy asks, and the pattern that matched
+  policy?: { reason: string; rule: string | null };
+  // Write/Edit: what the change would do to the file
+  diff?: PermissionDiff | null;
   status: 'pending' | 'granted' | 'denied';
 }
 
+interface PermissionDiff {
+  newFile: boolean;
+  unified: string;
+  additions: number;
+  deletions: number;
+  truncated: boolean;
+}
+
+/**
+ * Render a write permission request's diff with stats
+ */
+function renderPermissionDiff(containerEl: HTMLElement, diff: PermissionDiff): void {
+  const statsEl = containerEl.createDiv({ cls: 'pilot-permission-diff-stats' });
+  statsEl.createSpan({ text: diff.newFile ? 'New file ' : '' });
+  statsEl.createSpan({ cls: 'pilot-diff-add', text: `+${diff.additions}` });
+  statsEl.createSpan({ text: ' ' });
+  statsEl.createSpan({ cls: 'pilot-diff-del', text: `-${diff.deletions}` });
+
+  const preEl = containerEl.createEl('pre', { cls: 'pilot-permission-diff' });
+  // Skip the ---/+++ header; the path is shown above
+  for (const line of diff.unified.split('\n').slice(2)) {
+    if (!line) continue;
+    const cls = line.startsWith('+') ? 'pilot-diff-add'
+      : line.startsWith('-') ? 'pilot-diff-del'
+      : line.startsWith('@@') ? 'pilot-diff-hunk'
+      : '';
+    preEl.createDiv({ cls, text: line });
+  }
+  if (diff.truncated) {
+    preEl.createDiv({ cls: 'pilot-diff-hunk', text: '… diff truncated' });
+  }
+}
+
 // ============================================================================
 // PERMISSION REQUEST MODAL
 // ============================================================================
@@ -52,7 +90,7 @@ class PermissionRequestModal extends Modal {
 
     const infoEl = contentEl.createDiv({ cls: 'permission-info' });
     infoEl.createEl('p', {
-      text: `Agent "${this.request.agentName}" wants to write to a file outside its allowed paths.`
+      text: `Agent "${this.request.agentName}" wants to ${this.request.type === 'read' ? 'read' : 'write to'} a file outside its allowed paths.`
     });
 
     const detailsEl = contentEl.createDiv({ cls: 'permission-details' });
@@ -68,9 +106,18 @@ class PermissionRequestModal extends Modal {
       text: this.request.allowedPatterns.join(', ')
     });
 
+    if (this.request.policy) {
+      detailsEl.createEl('div', { cls: 'permission-label', text: 'Policy:' });
+      detailsEl.createEl('div', { cls: 'permission-value', text: this.request.policy.reason });
+    }
+
+    if (this.request.diff) {
+      renderPermissionDiff(contentEl.createDiv({ cls: 'permission-diff' }), this.request.diff);
+    }
+
     const warningEl = contentEl.createDiv({ cls: 'permission-warning' });
     warningEl.createEl('p', {
-      text: 'Do you want to allow this write operation?'
+      text: `Do you want to allow this ${this.request.type === 'read' ? 'read' : 'write'} operation?`
     });
 
     const buttonsEl = contentEl.createDiv({ cls: 'permission-buttons' });
@@ -306,11 +353,14 @@ class AgentPilotView extends ItemView {
     this.render();
   }
 
-  private async respondToPermission(requestId: string, granted: boolean): Promise<void> {
+  private async respondToPermission(requestId: string, granted: boolean, remember = false): Promise<void> {
     try {
       const endpoint = granted ? 'grant' : 'deny';
+      // remember saves a rule so the same request isn't asked again
       await fetch(`${this.plugin.settings.orchestratorUrl}/api/permissions/${requestId}/${endpoint}`, {
-        method: 'POST'
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ remember })
       });
       this.pendingPermissionRequests.delete(requestId);
       this.render();
@@ -914,7 +964,7 @@ class AgentPilotView extends ItemView {
 
           permEl.createEl('div', {
             cls: 'pilot-permission-desc',
-            text: `Agent wants to write outside allowed paths:`
+            text: `Agent wants to ${request.type === 'read' ? 'read' : 'write'} outside allowed paths:`
           });
 
           permEl.createEl('div', {
@@ -922,11 +972,22 @@ class AgentPilotView extends ItemView {
             text: request.filePath
           });
 
+          if (request.diff) {
+            renderPermissionDiff(permEl, request.diff);
+          }
+
           permEl.createEl('div', {
             cls: 'pilot-permission-allowed',
             text: `Allowed: ${request.allowedPatterns.join(', ')}`
           });
 
+          if (request.policy) {
+            permEl.createEl('div', {
+              cls: 'pilot-permission-allowed',
+              text: `Policy: ${request.policy.reason}`
+            });
+          }
+
           const btnContainer = permEl.createDiv({ cls: 'pilot-permission-actions' });
 
           const denyBtn = btnContainer.createEl('button', {
@@ -940,6 +1001,12 @@ class AgentPilotView extends ItemView {
             text: 'Allow'
           });
           allowBtn.addEventListener('click', () => this.respondToPermission(id, true));
+
+          const alwaysBtn = btnContainer.createEl('button', {
+            cls: 'pilot-permission-allow',
+            text: 'Always allow'
+          });
+          alwaysBtn.addEventListener('click', () => this.respondToPermission(id, true, true));
         }
       }
     }
@@ -2410,6 +2477,34 @@ class AgentPilotView extends ItemView {
         border-radius: 4px;
       }
 
+      .pilot-permission-diff-stats {
+        font-size: 11px;
+        margin-bottom: 4px;
+      }
+
+      .pilot-permission-diff {
+        font-size: 11px;
+        max-height: 240px;
+        overflow: auto;
+        margin: 0 0 8px;
+        padding: 4px 8px;
+        background: var(--background-primary);
+        border-radius: 4px;
+        white-space: pre;
+      }
+
+      .pilot-diff-add {
+        color: var(--text-success);
+      }
+
+      .pilot-diff-del {
+        color: var(--text-error);
+      }
+
+      .pilot-diff-hunk {
+        color: var(--text-muted);
+      }
+
       .pilot-permission-allowed {
         font-size: 11px;
         color: var(--text-muted);
@@ -2844,6 +2939,163 @@ class ResultModal extends Modal {
   }
 }
 
+// ============================================================================
+// REVIEW MODAL
+// ============================================================================
+
+interface ReviewHunk {
+  oldStart: number;
+  oldLines: number;
+  newStart: number;
+  newLines: number;
+  lines: string[];
+}
+
+interface ReviewFile {
+  path: string;
+  status: 'pending' | 'applied' | 'partial' | 'rejected';
+  newFile: boolean;
+  additions: number;
+  deletions: number;
+  hunks?: ReviewHunk[];
+}
+
+interface Review {
+  id: string;
+  status: string;
+  agentName: string;
+  documentPath: string | null;
+  createdAt: string;
+  files: ReviewFile[];
+}
+
+/**
+ * Staged edits from agents in review mode: apply or reject whole change
+ * sets, single files, or selected hunks
+ */
+class ReviewChangesModal extends Modal {
+  private plugin: AgentPilotPlugin;
+
+  constructor(app: App, plugin: AgentPilotPlugin) {
+    super(app);
+    this.plugin = plugin;
+  }
+
+  async onOpen(): Promise<void> {
+    await this.render();
+  }
+
+  private async render(): Promise<void> {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl('h2', { text: 'Review Agent Changes' });
+
+    let reviews: Review[];
+    try {
+      const response = await fetch(`${this.plugin.settings.orchestratorUrl}/api/reviews?status=pending`);
+      const summaries: Review[] = await response.json();
+      reviews = await Promise.all(summaries.map(async (summary) => {
+        const detail = await fetch(`${this.plugin.settings.orchestratorUrl}/api/reviews/${summary.id}`);
+        return detail.json();
+      }));
+    } catch (e) {
+      contentEl.createEl('p', { text: `Failed to load reviews: ${(e as Error).message}` });
+      return;
+    }
+
+    if (reviews.length === 0) {
+      contentEl.createEl('p', { text: 'No changes waiting for review.' });
+      return;
+    }
+
+    for (const review of reviews) {
+      const reviewEl = contentEl.createDiv({ cls: 'pilot-review' });
+      reviewEl.createEl('h3', {
+        text: `${review.agentName}${review.documentPath ? ` on ${review.documentPath}` : ''}`
+      });
+      reviewEl.createDiv({ cls: 'pilot-diff-hunk', text: new Date(review.createdAt).toLocaleString() });
+
+      const actionsEl = reviewEl.createDiv({ cls: 'pilot-permission-actions' });
+      const applyAll = actionsEl.createEl('button', { text: 'Apply all', cls: 'pilot-permission-allow' });
+      applyAll.addEventListener('click', () => this.decide(review.id, 'apply', {}));
+      const rejectAll = actionsEl.createEl('button', { text: 'Reject all', cls: 'pilot-permission-deny' });
+      rejectAll.addEventListener('click', () => this.decide(review.id, 'reject', {}));
+
+      for (const file of review.files.filter(f => f.status === 'pending')) {
+        this.renderFile(reviewEl, review, file);
+      }
+    }
+  }
+
+  private renderFile(containerEl: HTMLElement, review: Review, file: ReviewFile): void {
+    const fileEl = containerEl.createDiv({ cls: 'pilot-review-file' });
+    const headerEl = fileEl.createDiv({ cls: 'pilot-permission-diff-stats' });
+    headerEl.createSpan({ cls: 'pilot-permission-path', text: file.path });
+    headerEl.createSpan({ text: file.newFile ? ' (new) ' : ' ' });
+    headerEl.createSpan({ cls: 'pilot-diff-add', text: `+${file.additions}` });
+    headerEl.createSpan({ text: ' ' });
+    headerEl.createSpan({ cls: 'pilot-diff-del', text: `-${file.deletions}` });
+
+    // Every hunk starts selected; untick the ones to leave out
+    const selected = new Set((file.hunks || []).map((_, i) => i));
+    (file.hunks || []).forEach((hunk, i) => {
+      const hunkEl = fileEl.createDiv({ cls: 'pilot-review-hunk' });
+      const label = hunkEl.createEl('label');
+      const checkbox = label.createEl('input', { type: 'checkbox' });
+      checkbox.checked = true;
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) selected.add(i);
+        else selected.delete(i);
+      });
+      label.createSpan({
+        cls: 'pilot-diff-hunk',
+        text: ` @@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`
+      });
+
+      const preEl = hunkEl.createEl('pre', { cls: 'pilot-permission-diff' });
+      for (const line of hunk.lines) {
+        const cls = line.startsWith('+') ? 'pilot-diff-add'
+          : line.startsWith('-') ? 'pilot-diff-del'
+          : line.startsWith('\\') ? 'pilot-diff-hunk'
+          : '';
+        preEl.createDiv({ cls, text: line });
+      }
+    });
+
+    const actionsEl = fileEl.createDiv({ cls: 'pilot-permission-actions' });
+    const applyBtn = actionsEl.createEl('button', { text: 'Apply selected', cls: 'pilot-permission-allow' });
+    applyBtn.addEventListener('click', () => {
+      this.decide(review.id, 'apply', { path: file.path, hunks: [...selected].sort((a, b) => a - b) });
+    });
+    const rejectBtn = actionsEl.createEl('button', { text: 'Reject file', cls: 'pilot-permission-deny' });
+    rejectBtn.addEventListener('click', () => this.decide(review.id, 'reject', { path: file.path }));
+  }
+
+  private async decide(reviewId: string, action: 'apply' | 'reject', body: { path?: string; hunks?: number[] }): Promise<void> {
+    try {
+      const response = await fetch(`${this.plugin.settings.orchestratorUrl}/api/reviews/${reviewId}/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      if (!response.ok) {
+        const error = await response.json();
+        new Notice(`Could not ${action} changes: ${error.error || response.statusText}`);
+      } else {
+        new Notice(action === 'apply' ? 'Changes applied' : 'Changes rejected');
+      }
+    } catch (e) {
+      new Notice(`Could not ${action} changes: ${(e as Error).message}`);
+    }
+    await this.render();
+  }
+
+  onClose(): void {
+    const { contentEl } = this;
+    contentEl.empty();
+  }
+}
+
 // ============================================================================
 // MCP SERVER MANAGEMENT
 // ============================================================================
@@ -3292,6 +3544,12 @@ export default class AgentPilotPlugin extends Plugin {
       }
     });
 
+    this.addCommand({
+      id: 'review-changes',
+      name: 'Review Agent Changes',
+      callback: () => new ReviewChangesModal(this.app, this).open()
+    });
+
     // Settings tab
     this.addSettingTab(new AgentPilotSettingTab(this.app, this));
 
@@ -3713,6 +3971,11 @@ class RunAgentsModal extends Modal {
         color: white;
       }
 
+      .run-agents-status-awaiting_review {
+        background: var(--text-warning);
+        color: white;
+      }
+
       .run-agents-status-error {
         background: var(--text-error);
         color: white;
@@ -5,6 +5,8 @@
  * - REST API for agent orchestration
  * - Web interface for vault interaction
  * - Queue management and monitoring
+ * - WebSocket endpoint (/api/ws) multiplexing chat, permission, queue and
+ *   document events
  */
 
 import express from 'express';
@@ -18,6 +20,11 @@ import { listVaultFiles, readDocument, searchVault } from './lib/vault-utils.js'
 import { validateRelativePath, sanitizeFilename } from './lib/path-validator.js';
 import { queryLogs, getLogStats, serverLogger as log } from './lib/logger.js';
 import { initializeUsageTracker, getUsageTracker } from './lib/usage-tracker.js';
+import { ApiError, RateLimitError, ConflictError, BadRequestError } from './lib/errors.js';
+import { Lane } from './lib/queue.js';
+import { WebSocketHub } from './lib/ws-hub.js';
+import { normalizeAttachments, MAX_ATTACHMENT_BYTES } from './lib/attachments.js';
+import { RuleEffect } from './lib/permission-rules.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -32,10 +39,24 @@ const CONFIG = {
   apiKey: process.env.API_KEY || null,
   // Max message length (default 100KB)
   maxMessageLength: parseInt(process.env.MAX_MESSAGE_LENGTH || '102400', 10),
+  // Max size of one chat attachment, and of a whole request body (base64 or multipart)
+  maxAttachmentBytes: parseInt(process.env.MAX_ATTACHMENT_BYTES, 10) || MAX_ATTACHMENT_BYTES,
+  maxRequestSize: process.env.MAX_REQUEST_SIZE || '25mb',
+  // Optional vault-wide monthly spend limit in USD
+  monthlyBudgetUsd: parseFloat(process.env.MONTHLY_BUDGET_USD) || null,
+  // Session retention defaults (agents override via `sessions:` frontmatter)
+  sessionRetention: {
+    archiveAfterDays: parseInt(process.env.SESSION_ARCHIVE_AFTER_DAYS, 10) || null,
+    maxSessions: parseInt(process.env.SESSION_MAX_PER_AGENT, 10) || null,
+    deleteAfterDays: parseInt(process.env.SESSION_DELETE_AFTER_DAYS, 10) || null
+  },
 };
 
 const app = express();
-app.use(express.json());
+app.use(express.json({ limit: CONFIG.maxRequestSize }));
+
+// Chat routes also take multipart/form-data uploads (see readChatRequest)
+const multipartBody = express.raw({ type: 'multipart/form-data', limit: CONFIG.maxRequestSize });
 
 // Parse allowed CORS origins
 const allowedOrigins = CONFIG.corsOrigins === '*'
@@ -59,7 +80,7 @@ app.use((req, res, next) => {
   }
 
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, Last-Event-ID');
 
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
@@ -91,8 +112,8 @@ app.use(express.static(path.join(__dirname, 'public')));
 // Initialize orchestrator
 const orchestrator = new Orchestrator(CONFIG.vaultPath, {
   maxDepth: 3,
-  maxConcurrent: 1,
-  persistQueue: true
+  persistQueue: true,
+  sessionRetention: CONFIG.sessionRetention
 });
 
 // ============================================================================
@@ -186,23 +207,63 @@ app.get('/api/health', async (req, res) => {
   }
 });
 
+/**
+ * Read a chat request body: JSON with base64 `attachments`
+ * ([{ name, mimeType, data }]), or multipart/form-data with the same text
+ * fields plus any number of files
+ *
+ * @returns {Promise<object>} Body fields, with `attachments` normalized
+ * @throws {BadRequestError} On malformed or oversized attachments
+ */
+async function readChatRequest(req) {
+  if (!req.is('multipart/form-data')) {
+    const body = req.body || {};
+    return { ...body, attachments: normalizeAttachments(body.attachments, { maxBytes: CONFIG.maxAttachmentBytes }) };
+  }
+
+  let form;
+  try {
+    // The fetch API's Request parses multipart bodies for us
+    form = await new Request('http://localhost/', {
+      method: 'POST',
+      headers: { 'content-type': req.headers['content-type'] },
+      body: req.body
+    }).formData();
+  } catch (e) {
+    throw new BadRequestError(`Invalid multipart body: ${e.message}`);
+  }
+
+  const body = {};
+  const files = [];
+  for (const [name, value] of form) {
+    if (typeof value === 'string') {
+      body[name] = value;
+    } else {
+      files.push({ name: value.name, mimeType: value.type || null, buffer: Buffer.from(await value.arrayBuffer()) });
+    }
+  }
+  return { ...body, attachments: normalizeAttachments(files, { maxBytes: CONFIG.maxAttachmentBytes }) };
+}
+
 /**
  * POST /api/chat
  * Chat with vault agent or specific document agent
  * Sessions are maintained automatically for conversation continuity
+ * Attachments: base64 `attachments` in JSON, or files in multipart/form-data
  */
-app.post('/api/chat', async (req, res) => {
+app.post('/api/chat', multipartBody, async (req, res) => {
   try {
-    const { message, agentPath, documentPath, sessionId, initialContext, workingDirectory } = req.body;
+    const { message, agentPath, documentPath, sessionId, initialContext, workingDirectory, attachments } =
+      await readChatRequest(req);
 
-    log.info('Chat request', { agentPath, sessionId, workingDirectory });
+    log.info('Chat request', { agentPath, sessionId, workingDirectory, attachments: attachments.length });
 
-    if (!message) {
+    if (!message && attachments.length === 0) {
       return res.status(400).json({ error: 'message is required' });
     }
 
     // Validate message length
-    if (message.length > CONFIG.maxMessageLength) {
+    if (message && message.length > CONFIG.maxMessageLength) {
       return res.status(400).json({
         error: `Message too long: ${message.length} chars exceeds limit of ${CONFIG.maxMessageLength}`
       });
@@ -222,11 +283,14 @@ app.post('/api/chat', async (req, res) => {
     if (workingDirectory) {
       context.workingDirectory = workingDirectory;
     }
+    if (attachments.length > 0) {
+      context.attachments = attachments;
+    }
 
     // Run agent
     const result = await orchestrator.runImmediate(
       agentPath || null,
-      message,
+      message || '',
       context
     );
 
@@ -241,22 +305,50 @@ app.post('/api/chat', async (req, res) => {
       messageCount: result.messageCount || 0,
       toolCalls: result.toolCalls || undefined,
       permissionDenials: result.permissionDenials || undefined,
+      handoff: result.handoff || undefined,
       sessionResume: result.sessionResume || undefined,
       debug: result.debug || undefined
     });
 
   } catch (error) {
     log.error('Chat error', error);
+    if (error instanceof RateLimitError) {
+      if (error.retryAfter) res.setHeader('Retry-After', error.retryAfter);
+      return res.status(429).json(error.toJSON());
+    }
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
+/**
+ * Relay a buffered chat stream to an SSE response, starting after a given
+ * event ID. Each event carries its sequence number as the SSE `id`.
+ */
+function pipeChatStream(res, streamId, after = 0) {
+  const unsubscribe = orchestrator.chatStreams.follow(streamId, {
+    after,
+    onEvent: ({ seq, event }) => {
+      res.write(`id: ${seq}\ndata: ${JSON.stringify(event)}\n\n`);
+    },
+    onEnd: () => res.end()
+  });
+
+  // The run keeps going without us; stop relaying when the client leaves
+  res.on('close', () => unsubscribe?.());
+}
+
 /**
  * POST /api/chat/stream
  * Streaming chat with agent via SSE
- * Events: session, init, text, tool_use, done, error
+ * Events: stream, session, init, text, tool_use, done, error, cancelled
+ * Takes attachments the same way as POST /api/chat
+ * The first event ({ type: 'stream', streamId }) identifies the stream for
+ * resuming via GET /api/chat/stream/:streamId after a disconnect.
  */
-app.post('/api/chat/stream', async (req, res) => {
+app.post('/api/chat/stream', multipartBody, async (req, res) => {
   // Set SSE headers
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
@@ -264,16 +356,24 @@ app.post('/api/chat/stream', async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.flushHeaders();
 
-  const { message, agentPath, sessionId, initialContext, workingDirectory } = req.body;
+  let body;
+  try {
+    body = await readChatRequest(req);
+  } catch (error) {
+    res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
+    res.end();
+    return;
+  }
+  const { message, agentPath, sessionId, initialContext, workingDirectory, attachments } = body;
 
-  if (!message) {
+  if (!message && attachments.length === 0) {
     res.write(`data: ${JSON.stringify({ type: 'error', error: 'message is required' })}\n\n`);
     res.end();
     return;
   }
 
   // Validate message length
-  if (message.length > CONFIG.maxMessageLength) {
+  if (message && message.length > CONFIG.maxMessageLength) {
     res.write(`data: ${JSON.stringify({ type: 'error', error: `Message too long: ${message.length} chars exceeds limit of ${CONFIG.maxMessageLength}` })}\n\n`);
     res.end();
     return;
@@ -291,23 +391,51 @@ app.post('/api/chat/stream', async (req, res) => {
   if (workingDirectory) {
     context.workingDirectory = workingDirectory;
   }
+  if (attachments.length > 0) {
+    context.attachments = attachments;
+  }
 
-  try {
-    const stream = orchestrator.runImmediateStreaming(
-      agentPath || null,
-      message,
-      context
-    );
+  const stream = orchestrator.startChatStream(agentPath || null, message || '', context);
 
-    for await (const event of stream) {
-      res.write(`data: ${JSON.stringify(event)}\n\n`);
-    }
-  } catch (error) {
-    log.error('Stream error', error);
-    res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
+  res.write(`data: ${JSON.stringify({ type: 'stream', streamId: stream.id })}\n\n`);
+  pipeChatStream(res, stream.id);
+});
+
+/**
+ * GET /api/chat/stream/:streamId
+ * Resume a chat stream via SSE, replaying events after the `Last-Event-ID`
+ * header (or ?lastEventId=) and then following it live
+ */
+app.get('/api/chat/stream/:streamId', (req, res) => {
+  if (!orchestrator.chatStreams.get(req.params.streamId)) {
+    return res.status(404).json({ error: 'Stream not found or expired' });
   }
 
-  res.end();
+  const after = parseInt(req.headers['last-event-id'] ?? req.query.lastEventId, 10) || 0;
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.flushHeaders();
+
+  log.info('Resuming chat stream', { streamId: req.params.streamId, after });
+  pipeChatStream(res, req.params.streamId, after);
+});
+
+/**
+ * GET /api/chat/session/:id/streams
+ * List in-flight chat streams for a session (?all=true includes recently finished)
+ */
+app.get('/api/chat/session/:id/streams', (req, res) => {
+  try {
+    const streams = orchestrator.chatStreams.listForSession(req.params.id, {
+      includeFinished: req.query.all === 'true'
+    });
+    res.json({ streams });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 /**
@@ -354,6 +482,129 @@ app.get('/api/chat/sessions', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/chat/sessions/search
+ * Full-text search over session titles and messages, ranked, with
+ * <mark>-highlighted snippets of the best matching messages
+ * Query params: q (required), agentPath, workingDirectory, from, to
+ * (ISO dates), archived (true to include archived), limit
+ */
+app.get('/api/chat/sessions/search', async (req, res) => {
+  try {
+    const { q, agentPath, workingDirectory, from, to } = req.query;
+    if (!q || !q.trim()) {
+      return res.status(400).json({ error: 'q is required' });
+    }
+
+    const range = {};
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (!value) continue;
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        return res.status(400).json({ error: `Invalid date for ${name}: ${value}` });
+      }
+      // A plain date as `to` includes that whole day
+      if (name === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        date.setUTCHours(23, 59, 59, 999);
+      }
+      range[name] = date.toISOString();
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const results = await orchestrator.searchChatSessions(q, {
+      agentPath,
+      workingDirectory,
+      ...range,
+      archived: req.query.archived === 'true',
+      limit
+    });
+
+    res.json({ query: q, results });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/chat/sessions/import
+ * Import conversations exported from other chat tools (ChatGPT or Claude.ai
+ * conversations.json) or from GET /api/chat/session/:id/export
+ * Body: { data } with the parsed export, or { filePath } of an export file
+ * in the vault (for exports too large to upload); optional agentPath
+ */
+app.post('/api/chat/sessions/import', async (req, res) => {
+  try {
+    const { data, filePath, agentPath } = req.body || {};
+    let exported = data;
+
+    if (!exported && filePath) {
+      const safePath = validateVaultPath(filePath);
+      if (!safePath) {
+        return res.status(400).json({ error: 'Invalid file path' });
+      }
+      try {
+        exported = JSON.parse(await fs.readFile(path.join(CONFIG.vaultPath, safePath), 'utf-8'));
+      } catch (e) {
+        return res.status(400).json({ error: `Could not read export file: ${e.message}` });
+      }
+    }
+
+    if (!exported) {
+      return res.status(400).json({ error: 'data or filePath is required' });
+    }
+
+    const result = await orchestrator.importChatSessions(exported, { agentPath });
+    res.status(201).json(result);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/chat/sessions/retention
+ * Dry run of the session retention policies: the effective policies and
+ * every archive/move/delete they would perform right now
+ */
+app.get('/api/chat/sessions/retention', async (req, res) => {
+  try {
+    const result = await orchestrator.applySessionRetention({ dryRun: true });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/chat/sessions/retention/run
+ * Apply the session retention policies now (they also run hourly)
+ */
+app.post('/api/chat/sessions/retention/run', async (req, res) => {
+  try {
+    const result = await orchestrator.applySessionRetention();
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/chat/sessions/retention/log
+ * Actions taken by session retention, newest first
+ * Query params: limit (default 100), sessionId
+ */
+app.get('/api/chat/sessions/retention/log', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const entries = await orchestrator.getSessionRetentionLog({ limit, sessionId: req.query.sessionId || null });
+    res.json({ entries });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/chat/history
  * Get chat history for an agent
@@ -384,6 +635,9 @@ app.get('/api/chat/session/:id', async (req, res) => {
       agentPath: session.agentPath,
       agentName: session.agentPath.replace('agents/', '').replace('.md', ''),
       messages: session.messages,
+      summary: session.summary || null,
+      parentSessionId: session.parentSessionId || null,
+      forkedFromMessageId: session.forkedFromMessageId || null,
       createdAt: session.createdAt,
       lastAccessed: session.lastAccessed,
       workingDirectory: session.workingDirectory || null
@@ -442,6 +696,160 @@ app.post('/api/chat/session/:id/unarchive', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/chat/session/:id/interrupt
+ * Abort the in-flight chat turn for a session
+ * (streaming clients receive a 'cancelled' event)
+ */
+app.post('/api/chat/session/:id/interrupt', async (req, res) => {
+  try {
+    const interrupted = orchestrator.interruptSession(req.params.id);
+    if (interrupted) {
+      res.json({ interrupted: true, id: req.params.id });
+    } else {
+      res.status(404).json({ error: 'No run in progress for this session' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/chat/session/:id/export
+ * Download a self-contained transcript, including tool calls and metadata
+ * Query params: format (json|html|md, default json)
+ */
+app.get('/api/chat/session/:id/export', async (req, res) => {
+  try {
+    const exported = await orchestrator.exportChatSession(req.params.id, req.query.format || 'json');
+    if (!exported) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const baseName = (exported.session.title || `session-${exported.session.id}`)
+      .replace(/[^a-zA-Z0-9_\-.]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 80) || exported.session.id;
+
+    res.setHeader('Content-Type', `${exported.contentType}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}.${exported.extension}"`);
+    res.send(exported.content);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/chat/session/:id/fork
+ * Copy a session's first messages into a new session linked to it
+ * Body: { messageCount } or { messageId } (up to and including); default all
+ */
+app.post('/api/chat/session/:id/fork', async (req, res) => {
+  try {
+    const { messageCount, messageId } = req.body || {};
+    const session = await orchestrator.forkChatSession(req.params.id, { messageCount, messageId });
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.status(201).json({
+      id: session.id,
+      agentPath: session.agentPath,
+      title: session.title,
+      messageCount: session.messages.length,
+      parentSessionId: session.parentSessionId,
+      forkedFromMessageId: session.forkedFromMessageId,
+      context: session.context
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/chat/session/:id/handoff
+ * Hand a session over to another chat agent. The history stays; the next
+ * message runs with the new agent's system prompt. Messages sent with the
+ * original agentPath and sessionId follow the session to its new agent.
+ * Body: { agentPath, reason? } - agentPath 'vault-agent' for the vault agent
+ */
+app.post('/api/chat/session/:id/handoff', async (req, res) => {
+  try {
+    const { agentPath, reason } = req.body || {};
+    const handoff = await orchestrator.handoffChatSession(req.params.id, agentPath, { reason });
+    if (!handoff) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(handoff);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/chat/session/:id/messages/:messageId
+ * Edit a user message and re-run the conversation from it
+ * Body: { content, fork?, stream? } - `fork` keeps the original session
+ * intact; `stream` returns { sessionId, streamId } to follow via
+ * GET /api/chat/stream/:streamId instead of waiting for the reply
+ */
+app.put('/api/chat/session/:id/messages/:messageId', async (req, res) => {
+  try {
+    const { content, fork, stream } = req.body || {};
+    if (content && content.length > CONFIG.maxMessageLength) {
+      return res.status(400).json({
+        error: `Message too long: ${content.length} chars exceeds limit of ${CONFIG.maxMessageLength}`
+      });
+    }
+
+    const result = await orchestrator.editChatMessage(req.params.id, req.params.messageId, content, {
+      fork: fork === true,
+      stream: stream === true
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(result);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/chat/session/:id/regenerate
+ * Replace the reply to the last user message with a new one
+ * Body: { fork?, stream? } (as for editing a message)
+ */
+app.post('/api/chat/session/:id/regenerate', async (req, res) => {
+  try {
+    const { fork, stream } = req.body || {};
+    const result = await orchestrator.regenerateChatReply(req.params.id, {
+      fork: fork === true,
+      stream: stream === true
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(result);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * DELETE /api/chat/session/:id
  * Delete a chat session permanently
@@ -465,7 +873,7 @@ app.delete('/api/chat/session/:id', async (req, res) => {
  */
 app.post('/api/agents/spawn', async (req, res) => {
   try {
-    const { agentPath, message, context, priority, scheduledFor } = req.body;
+    const { agentPath, message, context, priority, scheduledFor, lane } = req.body;
 
     if (!agentPath) {
       return res.status(400).json({ error: 'agentPath is required' });
@@ -474,7 +882,7 @@ app.post('/api/agents/spawn', async (req, res) => {
     const queueId = await orchestrator.enqueue(
       agentPath,
       { userMessage: message, ...context },
-      { priority, scheduledFor }
+      { priority, scheduledFor, lane, defaultLane: Lane.INTERACTIVE }
     );
 
     res.json({
@@ -484,6 +892,9 @@ app.post('/api/agents/spawn', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof BadRequestError) {
+      return res.status(400).json(error.toJSON());
+    }
     log.error('Spawn error', error);
     res.status(500).json({ error: error.message });
   }
@@ -511,7 +922,7 @@ app.get('/api/agents', async (req, res) => {
 
 /**
  * GET /api/queue
- * Get queue state
+ * Get queue state, including per-lane counts and concurrency limits
  */
 app.get('/api/queue', async (req, res) => {
   try {
@@ -522,6 +933,19 @@ app.get('/api/queue', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/queue/failed
+ * Dead-letter list: queued runs that failed after all retries
+ */
+app.get('/api/queue/failed', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit, 10) || 50;
+    res.json({ failed: orchestrator.getFailedQueueItems(limit) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/stats
  * Get system stats for debugging
@@ -562,7 +986,9 @@ app.get('/api/stats/usage', async (req, res) => {
         today: { totalTokens: 0, estimatedCost: 0, requestCount: 0, cacheReadInputTokens: 0 },
         total: { totalTokens: 0, estimatedCost: 0, requestCount: 0 },
         activeSessions: 0,
-        topAgents: []
+        topAgents: [],
+        byModel: [],
+        byKind: []
       });
     }
     res.json(tracker.getSummary());
@@ -642,7 +1068,8 @@ app.get('/api/analytics', async (req, res) => {
 
 /**
  * GET /api/usage
- * Get token usage summary
+ * Get token usage summary, including per-model and per-call-kind breakdowns
+ * and the remaining monthly / per-agent budget
  */
 app.get('/api/usage', async (req, res) => {
   try {
@@ -650,7 +1077,11 @@ app.get('/api/usage', async (req, res) => {
     if (!tracker) {
       return res.json({ error: 'Usage tracking not initialized', usage: null });
     }
-    res.json(tracker.getSummary());
+    const agents = await orchestrator.getAgents();
+    res.json({
+      ...tracker.getSummary(),
+      budget: tracker.getBudgetStatus(agents)
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -828,16 +1259,23 @@ app.get('/api/permissions', async (req, res) => {
 /**
  * POST /api/permissions/:id/grant
  * Grant a permission request
+ * Body (optional): { remember: true, rule? } - also save an "always allow"
+ * rule for it; `rule` overrides its fields, e.g. { path: 'projects/*' }
  */
 app.post('/api/permissions/:id/grant', async (req, res) => {
   try {
+    const { remember, rule: overrides } = req.body || {};
+    const rule = remember ? await orchestrator.rememberPermission(req.params.id, RuleEffect.ALLOW, overrides) : null;
     const granted = orchestrator.grantPermission(req.params.id);
     if (granted) {
-      res.json({ granted: true, id: req.params.id });
+      res.json({ granted: true, id: req.params.id, rule: rule || undefined });
     } else {
       res.status(404).json({ error: 'Permission request not found' });
     }
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
     res.status(500).json({ error: error.message });
   }
 });
@@ -845,16 +1283,162 @@ app.post('/api/permissions/:id/grant', async (req, res) => {
 /**
  * POST /api/permissions/:id/deny
  * Deny a permission request
+ * Body (optional): { remember: true, rule? } - also save a "never allow" rule
  */
 app.post('/api/permissions/:id/deny', async (req, res) => {
   try {
+    const { remember, rule: overrides } = req.body || {};
+    const rule = remember ? await orchestrator.rememberPermission(req.params.id, RuleEffect.DENY, overrides) : null;
     const denied = orchestrator.denyPermission(req.params.id);
     if (denied) {
-      res.json({ denied: true, id: req.params.id });
+      res.json({ denied: true, id: req.params.id, rule: rule || undefined });
     } else {
       res.status(404).json({ error: 'Permission request not found' });
     }
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/permissions/rules
+ * List saved allow/deny rules (.parachute/permissions.json)
+ * Query: agentPath, tool, effect - only rules that can apply to them
+ */
+app.get('/api/permissions/rules', async (req, res) => {
+  try {
+    const { agentPath, tool, effect } = req.query;
+    res.json(await orchestrator.listPermissionRules({ agentPath, tool, effect }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/permissions/rules
+ * Add a rule
+ * Body: { effect: 'allow' | 'deny', tool, agent?, path?, command?, note? }
+ */
+app.post('/api/permissions/rules', async (req, res) => {
+  try {
+    const rule = await orchestrator.addPermissionRule(req.body || {});
+    res.status(201).json(rule);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/permissions/rules/:ruleId
+ * Change a rule's fields
+ */
+app.put('/api/permissions/rules/:ruleId', async (req, res) => {
+  try {
+    const rule = await orchestrator.updatePermissionRule(req.params.ruleId, req.body || {});
+    if (!rule) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    res.json(rule);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/permissions/rules/:ruleId
+ * Revoke a rule
+ */
+app.delete('/api/permissions/rules/:ruleId', async (req, res) => {
+  try {
+    const removed = await orchestrator.removePermissionRule(req.params.ruleId);
+    if (removed) {
+      res.json({ deleted: true, id: req.params.ruleId });
+    } else {
+      res.status(404).json({ error: 'Rule not found' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/reviews
+ * List change sets staged by agents in review mode, newest first
+ * Query: status (pending, applied, partial, rejected), agentPath, documentPath
+ */
+app.get('/api/reviews', async (req, res) => {
+  try {
+    const { status, agentPath, documentPath } = req.query;
+    res.json(orchestrator.listReviews({ status, agentPath, documentPath }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/reviews/:reviewId
+ * A change set with each file's unified diff and hunks
+ */
+app.get('/api/reviews/:reviewId', async (req, res) => {
+  try {
+    const review = orchestrator.getReview(req.params.reviewId);
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    res.json(review);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/reviews/:reviewId/apply
+ * Write staged edits to the vault
+ * Body (optional): { path?, hunks? } - only this file, and only these hunk
+ * indexes of it (its other hunks are rejected)
+ */
+app.post('/api/reviews/:reviewId/apply', async (req, res) => {
+  try {
+    const { path: filePath, hunks } = req.body || {};
+    const review = await orchestrator.applyReview(req.params.reviewId, { path: filePath, hunks });
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    res.json(review);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/reviews/:reviewId/reject
+ * Discard staged edits
+ * Body (optional): { path? } - only this file
+ */
+app.post('/api/reviews/:reviewId/reject', async (req, res) => {
+  try {
+    const { path: filePath } = req.body || {};
+    const review = await orchestrator.rejectReview(req.params.reviewId, { path: filePath });
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    res.json(review);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
     res.status(500).json({ error: error.message });
   }
 });
@@ -1180,10 +1764,50 @@ app.post('/api/queue/process', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/queue/:id/cancel
+ * Cancel a queue item - pending items are dropped, running ones aborted
+ */
+app.post('/api/queue/:id/cancel', async (req, res) => {
+  try {
+    const item = orchestrator.cancelQueueItem(req.params.id);
+    if (item) {
+      res.json({ id: item.id, status: item.status, cancelRequested: !!item.cancelRequested });
+    } else {
+      res.status(404).json({ error: 'Queue item not found' });
+    }
+  } catch (error) {
+    if (error instanceof ConflictError) {
+      return res.status(409).json(error.toJSON());
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/queue/:id/requeue
+ * Move a failed (dead-letter) queue item back into the queue
+ */
+app.post('/api/queue/:id/requeue', async (req, res) => {
+  try {
+    const item = await orchestrator.requeueFailedItem(req.params.id);
+    if (item) {
+      res.json({ id: item.id, status: item.status, requeueCount: item.requeueCount });
+    } else {
+      res.status(404).json({ error: 'Queue item not found' });
+    }
+  } catch (error) {
+    if (error instanceof ConflictError) {
+      return res.status(409).json(error.toJSON());
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/queue/:id/stream
  * Stream live updates for a running queue item via SSE
- * Events: init, text, tool_use, done, error, close
+ * Events: init, text, tool_use, step, deferred, retry, done, error, cancelled, close
  */
 app.get('/api/queue/:id/stream', async (req, res) => {
   const { id } = req.params;
@@ -1230,8 +1854,8 @@ app.get('/api/queue/:id/stream', async (req, res) => {
   const eventHandler = (event) => {
     res.write(`data: ${JSON.stringify(event)}\n\n`);
 
-    // Close connection on done, error, or close events
-    if (event.type === 'done' || event.type === 'error' || event.type === 'close') {
+    // Close connection once the run ends (a retry is a new run)
+    if (['done', 'error', 'cancelled', 'retry', 'close'].includes(event.type)) {
       res.end();
     }
   };
@@ -1307,6 +1931,7 @@ app.get('/api/documents/stats', async (req, res) => {
 /**
  * GET /api/documents/:path/agents
  * Get all agents configured for a document
+ * Each agent includes nextRun (ISO timestamp) when a scheduled trigger is set
  */
 app.get('/api/documents/*/agents', async (req, res) => {
   try {
@@ -1585,6 +2210,7 @@ app.post('/api/triggers/check', async (req, res) => {
 // Track server instance for graceful shutdown
 let server = null;
 let usageTracker = null;
+let wsHub = null;
 let isShuttingDown = false;
 
 /**
@@ -1606,6 +2232,12 @@ async function gracefulShutdown(signal) {
   }, 30000);
 
   try {
+    // Close WebSocket clients (they would keep the HTTP server open)
+    if (wsHub) {
+      await wsHub.close();
+      log.info('WebSocket connections closed');
+    }
+
     // Stop accepting new connections
     if (server) {
       await new Promise((resolve) => {
@@ -1625,8 +2257,12 @@ async function gracefulShutdown(signal) {
       clearInterval(orchestrator.permissionCleanupInterval);
     }
 
+    // Stop watching the vault
+    orchestrator.stopVaultWatcher();
+
     // Save session data
     // (SessionManager saves on each message, but we ensure final save)
+    await orchestrator.sessionManager.saveIndexCache();
     log.info('Cleanup complete');
 
     clearTimeout(shutdownTimeout);
@@ -1654,7 +2290,9 @@ process.on('unhandledRejection', (reason, promise) => {
 
 async function start() {
   // Initialize usage tracker
-  usageTracker = await initializeUsageTracker(CONFIG.vaultPath);
+  usageTracker = await initializeUsageTracker(CONFIG.vaultPath, {
+    monthlyBudgetUsd: CONFIG.monthlyBudgetUsd
+  });
   log.info('Usage tracker initialized');
 
   // Initialize orchestrator
@@ -1679,6 +2317,7 @@ async function start() {
 ║  Endpoints:                                                   ║
 ║    POST /api/chat            - Chat with agent                ║
 ║    POST /api/chat/stream     - Streaming chat (SSE)           ║
+║    GET  /api/ws              - WebSocket (chat, queue, perms) ║
 ║    GET  /api/chat/sessions   - List sessions (paginated)      ║
 ║    GET  /api/logs            - Query server logs              ║
 ║    GET  /api/agents          - List defined agents            ║
@@ -1687,6 +2326,14 @@ async function start() {
 ╚═══════════════════════════════════════════════════════════════╝
     `);
   });
+
+  // WebSocket transport shares the HTTP server and API key
+  wsHub = new WebSocketHub(orchestrator, {
+    apiKey: CONFIG.apiKey,
+    allowedOrigins,
+    maxMessageLength: CONFIG.maxMessageLength
+  });
+  wsHub.attach(server);
 }
 
 start().catch((error) => {